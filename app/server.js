@@ -1,18 +1,20 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { usersService } = require('./src/parser/users');
+const { invitesService } = require('./src/parser/invites');
+const { housesService } = require('./src/parser/houses');
+const { sessionsService } = require('./src/parser/sessions');
+const { getPermissions, hasPermission } = require('./src/parser/permissions');
+const { auditLogService } = require('./src/parser/audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Security configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || '$2b$10$example.hash.replace.with.real.hash';
-const GUEST_PASSWORD_HASH = process.env.GUEST_PASSWORD_HASH || '$2b$10$example.guest.hash.replace.with.real.hash';
 
 // Middleware for JSON parsing
 app.use(express.json());
@@ -42,26 +44,22 @@ const loginLimiter = rateLimit({
   }
 });
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Authorization middleware factory. Routes list the permissions they need;
+// entries can be functions of the request for permissions that depend on route
+// parameters. Routes that only need public permissions skip authentication.
+//
+// Access tokens are short-lived and only identify the session and the account
+// or guest invite behind it; the session, role and status are read from the
+// stores on every request, so revoked sessions, disabled users, role changes
+// and revoked invites take effect immediately (other instances cache the
+// stores for a few seconds).
+const requirePermission = (...permissions) => async (req, res, next) => {
+  const required = permissions.map(permission => typeof permission === 'function' ? permission(req) : permission);
 
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'Access token required' });
+  if (required.length > 0 && required.every(permission => hasPermission(null, permission))) {
+    return next();
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// Admin-only authentication middleware
-const authenticateAdmin = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -69,79 +67,136 @@ const authenticateAdmin = (req, res, next) => {
     return res.status(401).json({ success: false, message: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!payload.sid || !(await sessionsService.isActive(payload.sid))) {
+      return res.status(401).json({ success: false, message: 'Session expired or revoked' });
     }
-    
-    if (user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+
+    const user = payload.inviteId
+      ? await invitesService.resolveTokenUser(payload)
+      : await usersService.resolveTokenUser(payload);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Account is disabled or no longer exists' });
     }
-    
-    req.user = user;
+
+    const houses = await housesService.listHouses();
+    const missing = required.find(permission => !hasPermission(user, permission, houses));
+    if (missing) {
+      return res.status(403).json({ success: false, message: `Missing permission: ${missing}` });
+    }
+
+    req.user = { ...user, sessionId: payload.sid };
     next();
-  });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
 };
 
-// Guest or admin authentication middleware
-const authenticateGuestOrAdmin = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Any signed-in account or invite guest
+const authenticate = requirePermission();
 
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'Access token required' });
+// Looks up the :house of the route as req.house. Runs before the house's
+// permission check, so an unknown house is a 404 rather than a missing
+// permission (the house list is public anyway).
+const requireHouse = async (req, res, next) => {
+  try {
+    req.house = await housesService.getHouse(req.params.house);
+    next();
+  } catch (error) {
+    const isClientError = error.code === 404;
+    res.status(isClientError ? 404 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to load house',
+      error: error.message
+    });
   }
+};
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-    }
-    
-    if (user.role !== 'admin' && user.role !== 'guest') {
-      return res.status(403).json({ success: false, message: 'Guest or admin access required' });
-    }
-    
-    req.user = user;
-    next();
+// Public fields of the signed-in account returned to the frontend
+const toSessionUser = async (user) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.displayName,
+  role: user.role,
+  permissions: getPermissions(user, await housesService.listHouses()),
+  ...(user.houses && { houses: user.houses }),
+  ...(user.stay && { stay: user.stay })
+});
+
+// Access token for a session. Invite guests' tokens never outlive their stay.
+const signAccessToken = (user, sessionId) => {
+  const now = Math.floor(Date.now() / 1000);
+  const checkOut = user.stay ? Math.floor(Date.parse(user.stay.checkOut) / 1000) : Infinity;
+
+  return jwt.sign(
+    {
+      sub: user.id,
+      sid: sessionId,
+      role: user.role,
+      ...(user.stay && { inviteId: user.id, houses: user.houses }),
+      exp: Math.min(now + config.sessions.accessTokenMinutes * 60, checkOut)
+    },
+    JWT_SECRET
+  );
+};
+
+// Register a session for a successful login and build the token response
+const startSession = async (req, user) => {
+  const { session, refreshToken } = await sessionsService.createSession(user, {
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip
   });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    role: user.role,
+    user: await toSessionUser(user)
+  };
 };
 
+// Record an action of the signed-in user (or of an anonymous client) in the audit log
+const audit = (req, action, fields = {}) => auditLogService.record({
+  actor: req.user || null,
+  ip: req.ip,
+  action,
+  ...fields
+});
+
+// Current account or invite behind a stored session
+const resolveSessionUser = (session) => session.kind === 'invite'
+  ? invitesService.resolveTokenUser({ inviteId: session.userId })
+  : usersService.resolveTokenUser({ sub: session.userId });
+
 // Authentication endpoint
 app.post('/api/auth/login', loginLimiter, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { username, password } = req.body;
     
     if (!password) {
       return res.status(400).json({ success: false, message: 'Password is required' });
     }
 
-    // Check both admin and guest passwords
-    const isAdminValid = await bcrypt.compare(password, ADMIN_PASSWORD_HASH);
-    const isGuestValid = await bcrypt.compare(password, GUEST_PASSWORD_HASH);
-    
-    let userRole = null;
-    if (isAdminValid) {
-      userRole = 'admin';
-    } else if (isGuestValid) {
-      userRole = 'guest';
-    }
+    const user = await usersService.authenticate(username, password);
     
-    if (!userRole) {
-      return res.status(401).json({ success: false, message: 'Invalid password' });
+    if (!user) {
+      await audit(req, 'auth.login', { outcome: 'failure', target: username || null });
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
     }
 
-    // Generate JWT token with role
-    const token = jwt.sign(
-      { role: userRole, timestamp: Date.now() },
-      JWT_SECRET,
-      { expiresIn: '30d' } // Token expires in 1 hour
-    );
-
+    await audit(req, 'auth.login', { actor: user, target: user.username });
     res.json({
       success: true,
       message: 'Login successful',
-      token: token,
-      role: userRole
+      ...(await startSession(req, user))
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -149,53 +204,122 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
   }
 });
 
+// Invite link endpoint: exchanges a link code for a guest token that expires at check-out
+app.post('/api/auth/invite', loginLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Invite code is required' });
+    }
+
+    const guest = await invitesService.redeem(code);
+
+    await audit(req, 'auth.invite', { actor: guest, target: guest.id });
+    res.json({
+      success: true,
+      message: 'Invite accepted',
+      ...(await startSession(req, guest))
+    });
+  } catch (error) {
+    console.error('Invite error:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    if (isClientError) {
+      await audit(req, 'auth.invite', { outcome: 'failure', details: { reason: error.message } });
+    }
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and a new refresh token
+app.post('/api/auth/refresh', loginLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const { session, user, refreshToken: nextRefreshToken } = await sessionsService.rotate(refreshToken, resolveSessionUser);
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session.id),
+      refreshToken: nextRefreshToken,
+      role: user.role,
+      user: await toSessionUser(user)
+    });
+  } catch (error) {
+    if (error.code !== 401) {
+      console.error('Token refresh error:', error);
+    }
+    res.status(error.code === 401 ? 401 : 500).json({
+      success: false,
+      message: error.code === 401 ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// End the session a refresh token belongs to
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const session = await sessionsService.endSession(req.body?.refreshToken);
+    if (session) {
+      await audit(req, 'auth.logout', {
+        actor: { id: session.userId, username: session.username, role: session.role },
+        target: session.id
+      });
+    }
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
 // Token verification endpoint
-app.get('/api/auth/verify', authenticateToken, (req, res) => {
+app.get('/api/auth/verify', authenticate, async (req, res) => {
   // If we reach here, the token is valid (checked by middleware)
   res.json({
     success: true,
     valid: true,
     role: req.user.role,
-    timestamp: req.user.timestamp,
+    user: await toSessionUser(req.user),
     message: 'Token is valid'
   });
 });
 
-// Import the parser functions
-const { runParse, runParseWithStreaming } = require('./src/parser/index');
-const { googleCloudStorageService } = require('./src/parser/google-cloud-storage');
+// Parser runs go through a durable queue processed by the parser worker
+const { jobQueueService } = require('./src/parser/job-queue');
+const { parserWorker } = require('./src/parser/parser-worker');
+const { schedulerService } = require('./src/parser/scheduler');
+const { storageService } = require('./src/parser/storage');
+const { houseMechanicsService } = require('./src/parser/house-mechanics-service');
+const { datasetVersionsService } = require('./src/parser/dataset-versions');
+const { placeOverridesService } = require('./src/parser/place-overrides');
+const { reviewQueueService } = require('./src/parser/review-queue');
+const { parserJobsService } = require('./src/parser/parser-jobs');
+const { sourceDocumentsService } = require('./src/parser/source-documents');
+const { checklistProgressService } = require('./src/parser/checklist-progress');
+const { secretsService } = require('./src/parser/secrets');
+const { config } = require('./src/parser/config');
 
-// API endpoint to serve compound places data from Google Cloud Storage
-app.get('/api/compound-places', async (req, res) => {
+// API endpoint to serve compound places data from the storage backend
+app.get('/api/compound-places', requirePermission('places:read'), async (req, res) => {
   try {
-    const config = require('./src/parser/config').config;
+    const placesData = await storageService.readJson(config.storage.datasetKey);
     
-    if (config.googleCloudStorage.enabled) {
-      // Fetch from Google Cloud Storage
-      const placesData = await googleCloudStorageService.downloadFile();
-      
-      if (!placesData) {
-        return res.status(404).json({
-          success: false,
-          message: 'Places data not found. Please run the parser first.'
-        });
-      }
-
-      res.json(placesData);
-    } else {
-      // Fallback to local file system
-      const outputPath = path.join(__dirname, 'public', 'compound-places.json');
-      
-      if (!fs.existsSync(outputPath)) {
-        return res.status(404).json({
-          success: false,
-          message: 'Places data not found. Please run the parser first.'
-        });
-      }
-
-      const placesData = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
-      res.json(placesData);
+    if (!placesData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Places data not found. Please run the parser first.'
+      });
     }
+
+    res.json(placesData);
   } catch (error) {
     console.error('Error fetching compound places:', error);
     res.status(500).json({
@@ -206,82 +330,168 @@ app.get('/api/compound-places', async (req, res) => {
   }
 });
 
-// API endpoint to serve house mechanics markdown files (protected with guest/admin auth)
-app.get('/api/house-mechanics/:house', authenticateGuestOrAdmin, async (req, res) => {
+// The compound's houses, for navigation. Anyone may list them; address and
+// access rules are only returned with a house's mechanics.
+app.get('/api/houses', async (req, res) => {
+  try {
+    const houses = await housesService.listHouses();
+
+    res.json({
+      success: true,
+      data: houses.map(house => housesService.toPublicHouse(house))
+    });
+  } catch (error) {
+    console.error('Error listing houses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list houses',
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to serve house mechanics markdown files (needs the house's mechanics:read permission).
+// Passwords and door codes are filled in for users with the house's secrets:read
+// permission and masked for everyone else.
+app.get('/api/house-mechanics/:house', requireHouse, requirePermission(req => `mechanics:read:${req.house.slug}`), async (req, res) => {
   try {
-    const { house } = req.params;
+    const { house } = req;
+
+    const filename = houseMechanicsService.getFileName(house.slug);
+    const markdownContent = await houseMechanicsService.loadHouseMechanicsFile(house.slug);
     
-    // Validate house parameter
-    if (!['lofty', 'shady'].includes(house)) {
-      return res.status(400).json({
+    if (!markdownContent) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid house parameter. Must be "lofty" or "shady".'
+        message: `House mechanics file for ${house.name} not found. Please ensure the file exists in ${storageService.provider} storage.`
       });
     }
-    
-    const config = require('./src/parser/config').config;
-    const filename = `house-mechanics-${house}.md`;
-    
-    if (config.googleCloudStorage.enabled) {
-      // Fetch from Google Cloud Storage
-      const markdownContent = await googleCloudStorageService.downloadMarkdownFile(filename);
-      
-      if (!markdownContent) {
-        return res.status(404).json({
-          success: false,
-          message: `House mechanics file for ${house} not found. Please ensure the file exists in Google Cloud Storage.`
-        });
-      }
 
-      res.json({
-        success: true,
-        content: markdownContent,
-        house: house,
-        filename: filename
-      });
-    } else {
-      // Fallback to local file system (for development)
-      const localPath = path.join(__dirname, 'public', filename);
-      
-      if (!fs.existsSync(localPath)) {
-        return res.status(404).json({
-          success: false,
-          message: `House mechanics file for ${house} not found locally. Please ensure the file exists or enable Google Cloud Storage.`
-        });
-      }
+    // Widgets are shown from the structured model when the parser extracted one
+    const structured = await houseMechanicsService.loadStructuredMechanics(house.slug);
 
-      const markdownContent = fs.readFileSync(localPath, 'utf8');
-      res.json({
-        success: true,
-        content: markdownContent,
-        house: house,
-        filename: filename
-      });
-    }
+    const revealSecrets = hasPermission(req.user, `secrets:read:${house.slug}`, await housesService.listHouses());
+    const { content, mechanics, hidden, unavailable } = await secretsService.prepareHouseMechanics(
+      { content: markdownContent, mechanics: structured },
+      revealSecrets
+    );
+
+    await audit(req, 'mechanics.view', { target: house.slug, details: { secretsRevealed: revealSecrets } });
+    res.json({
+      success: true,
+      content,
+      mechanics,
+      secretsHidden: hidden,
+      secretsUnavailable: unavailable,
+      house: {
+        ...housesService.toPublicHouse(house),
+        address: house.address || null,
+        coordinates: house.coordinates || null
+      },
+      filename: filename
+    });
   } catch (error) {
     console.error('Error fetching house mechanics:', error);
-    res.status(500).json({
+    const isClientError = error.code === 404;
+    res.status(isClientError ? 404 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to fetch house mechanics data',
+      error: error.message
+    });
+  }
+});
+
+// Checklist progress of the signed-in guest's stay in a house
+app.get('/api/house-mechanics/:house/checklists', requireHouse, requirePermission(req => `mechanics:read:${req.house.slug}`), async (req, res) => {
+  try {
+    const { house } = req;
+    const checklists = await checklistProgressService.getProgress(req.user, house.slug);
+
+    res.json({
+      success: true,
+      data: checklists
+    });
+  } catch (error) {
+    console.error('Error fetching checklist progress:', error);
+    const isClientError = error.code === 404;
+    res.status(isClientError ? 404 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to fetch checklist progress',
+      error: error.message
+    });
+  }
+});
+
+// Save the ticked items of one checklist for the signed-in guest's stay
+app.put('/api/house-mechanics/:house/checklists/:checklistId', requireHouse, requirePermission(req => `mechanics:read:${req.house.slug}`), async (req, res) => {
+  try {
+    const { house } = req;
+    const checklist = await checklistProgressService.setProgress(req.user, house.slug, req.params.checklistId, req.body);
+    await audit(req, 'checklists.update', {
+      target: `${house.slug}/${checklist.id}`,
+      details: { done: checklist.done, total: checklist.total, completed: Boolean(checklist.completedAt) }
+    });
+
+    res.json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    console.error('Error saving checklist progress:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
       success: false,
-      message: 'Failed to fetch house mechanics data',
+      message: isClientError ? error.message : 'Failed to save checklist progress',
       error: error.message
     });
   }
 });
 
-// Parser status tracking for polling approach
-let parserStatus = {
+// Parser status tracking for polling approach. Parser runs are queued (see
+// src/parser/job-queue.js); the status mirrors the run the worker is on, or
+// the last one it finished.
+const createParserStatus = (fields = {}) => ({
   isRunning: false,
+  cancelling: false,
+  cancelled: false,
+  queueId: null,
+  jobId: null,
   currentStep: '',
   logs: [],
   result: null,
   error: null,
+  progress: null,
   startTime: null,
-  lastUpdate: null
+  lastUpdate: null,
+  ...fields
+});
+
+let parserStatus = createParserStatus();
+
+// Open Server-Sent Events streams. Status events carry an id that keeps
+// increasing across runs, so a client reconnecting with Last-Event-ID only
+// receives what it missed.
+const parserEventStreams = new Set();
+let lastParserEventId = 0;
+const PARSER_EVENTS_HEARTBEAT_MS = 15000;
+
+const writeParserEvent = (res, event) => {
+  if (event.id) {
+    res.write(`id: ${event.id}\n`);
+  }
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
+
+// Run state without the log, sent when a stream connects
+const getParserState = () => {
+  const { logs, ...state } = parserStatus;
+  return state;
 };
 
 // Add status event to parser status
 const addStatusEvent = (type, message, data = null) => {
   const event = {
+    id: ++lastParserEventId,
     type,
     message,
     timestamp: new Date().toISOString(),
@@ -299,196 +509,365 @@ const addStatusEvent = (type, message, data = null) => {
   if (parserStatus.logs.length > 100) {
     parserStatus.logs = parserStatus.logs.slice(-100);
   }
+
+  parserEventStreams.forEach(res => writeParserEvent(res, event));
   
   console.log(`[PARSER-STATUS] ${type}: ${message}`);
 };
 
-// Polling-based parser endpoint
-app.post('/api/admin/parse-polling', authenticateAdmin, async (req, res) => {
-  if (parserStatus.isRunning) {
-    return res.json({
-      success: false,
-      message: 'Parser is already running'
-    });
-  }
-
-  // Reset status
-  parserStatus = {
+// Start mirroring a queue request's run
+const beginParserRun = (entry) => {
+  parserStatus = createParserStatus({
     isRunning: true,
+    queueId: entry.id,
     currentStep: 'Starting...',
-    logs: [],
-    result: null,
-    error: null,
     startTime: new Date().toISOString(),
     lastUpdate: new Date().toISOString()
-  };
+  });
+};
 
-  // Start parser in background
-  runParserAsync();
+// Record how the mirrored run ended. `outcome` is the worker's onJobEnd outcome.
+const endParserRun = (entry, outcome) => {
+  if (parserStatus.queueId !== entry.id) return;
 
-  res.json({
-    success: true,
-    message: 'Parser started successfully',
-    data: {
-      isRunning: true,
-      startTime: parserStatus.startTime
+  parserStatus.isRunning = false;
+  parserStatus.cancelling = false;
+  parserStatus.jobId = entry.jobId || parserStatus.jobId;
+
+  if (outcome.status === 'completed') {
+    parserStatus.result = outcome.result;
+    parserStatus.currentStep = 'Completed';
+    addStatusEvent('completed', 'Parser completed successfully', outcome.result);
+  } else if (outcome.status === 'cancelled') {
+    parserStatus.cancelled = true;
+    parserStatus.progress = outcome.progress;
+    parserStatus.currentStep = 'Cancelled';
+    addStatusEvent('cancelled', 'Parser cancelled, the dataset was not changed', outcome.progress);
+  } else {
+    console.error('Parser run failed:', outcome.error);
+    parserStatus.error = outcome.error;
+    parserStatus.currentStep = 'Error';
+    addStatusEvent('error', `Parser failed: ${outcome.error}`);
+  }
+};
+
+// Worker hooks for PARSER_WORKER=inline, where runs happen in this process
+const parserWorkerHooks = {
+  onJobStart: (entry) => {
+    if (parserStatus.queueId !== entry.id || !parserStatus.isRunning) {
+      beginParserRun(entry);
     }
-  });
-});
+    const name = entry.kind === 'refresh' ? 'enrichment refresh' : 'parser';
+    addStatusEvent('info', entry.attempts > 1 ? `Starting ${name} (attempt ${entry.attempts})...` : `Starting ${name}...`);
+  },
+  onEvent: addStatusEvent,
+  onJobEnd: endParserRun
+};
 
-// Get parser status for polling
-app.get('/api/admin/parse-status', authenticateAdmin, (req, res) => {
-  res.json({
-    success: true,
-    data: parserStatus
-  });
-});
+// Outcome of a run that ended in an external worker, from its job record
+const toParserOutcome = (job) => {
+  if (!job) {
+    return { status: 'cancelled', progress: null };
+  }
+  if (job.status === 'completed') {
+    return {
+      status: 'completed',
+      result: { success: true, message: 'Parser completed successfully', jobId: job.id, data: job.stats }
+    };
+  }
+  if (job.status === 'cancelled') {
+    return { status: 'cancelled', progress: job.stats };
+  }
+  return { status: 'failed', error: job.error || 'The parser run ended without a result' };
+};
 
-// Stop parser (if possible)
-app.post('/api/admin/parse-stop', authenticateAdmin, (req, res) => {
-  if (!parserStatus.isRunning) {
-    return res.json({
-      success: false,
-      message: 'Parser is not running'
-    });
+// PARSER_WORKER=external: the run happens in another process, so mirror it
+// from the queue and from the job record the worker keeps saving
+const PARSER_STATUS_SYNC_MS = 2000;
+let mirroredEventCount = 0;
+
+const syncExternalParserStatus = async () => {
+  const entries = await jobQueueService.listEntries();
+  const running = entries.find(entry => entry.status === 'running');
+  if (running && (running.id !== parserStatus.queueId || !parserStatus.isRunning)) {
+    beginParserRun(running);
+    mirroredEventCount = 0;
   }
+  if (!parserStatus.isRunning) return;
 
-  // Mark as stopped (the actual parser may continue but we'll ignore its updates)
-  parserStatus.isRunning = false;
-  parserStatus.currentStep = 'Stopped by user';
-  addStatusEvent('info', 'Parser stopped by user');
+  const entry = entries.find(candidate => candidate.id === parserStatus.queueId);
+  if (entry?.jobId && entry.jobId !== parserStatus.jobId) {
+    parserStatus.jobId = entry.jobId;
+    mirroredEventCount = 0;
+  }
+  if (!entry && !parserStatus.jobId) {
+    // Ended between two syncs
+    const jobs = await parserJobsService.listJobs(10);
+    parserStatus.jobId = jobs.find(job => job.queueId === parserStatus.queueId)?.id || null;
+  }
 
-  res.json({
-    success: true,
-    message: 'Parser stop requested'
-  });
-});
+  const job = parserStatus.jobId ? await parserJobsService.getJob(parserStatus.jobId).catch(() => null) : null;
+  if (job) {
+    job.events.slice(mirroredEventCount).forEach(event => addStatusEvent(event.type, event.message, event.data));
+    mirroredEventCount = job.events.length;
+  }
 
-// Get Google Doc URL
-app.get('/api/admin/google-doc-url', authenticateAdmin, (req, res) => {
+  if (!entry) {
+    endParserRun({ id: parserStatus.queueId }, toParserOutcome(job));
+  }
+};
+
+const startParserQueue = () => {
+  if (config.jobs.worker === 'inline') {
+    parserWorker.start(parserWorkerHooks);
+    schedulerService.start({ onQueued: () => parserWorker.wake() });
+    return;
+  }
+
+  console.log('Parser runs are left to an external worker (npm run worker)');
+  setInterval(() => {
+    syncExternalParserStatus().catch(error => console.error('Failed to sync parser status:', error));
+  }, PARSER_STATUS_SYNC_MS);
+};
+
+// Queue a parser run. Requests made during a run wait for it to finish, and a
+// request made while another is already waiting is merged into that one.
+const queueParserRun = async (req, res, mode) => {
   try {
-    const config = require('./src/parser/config').config;
-    const docId = config.google.docId;
-    
-    if (!docId) {
-      return res.status(404).json({
-        success: false,
-        message: 'Google Doc ID not configured'
-      });
+    const { entry, coalesced, position } = await jobQueueService.enqueue({ trigger: 'manual', actor: req.user.username });
+    await audit(req, 'parser.run', { target: entry.id, details: { mode, coalesced } });
+
+    // Nothing else to show, so mirror this request until the worker starts it
+    if (!parserStatus.isRunning && position === 0) {
+      beginParserRun(entry);
     }
+    parserWorker.wake();
 
-    const googleDocUrl = `https://docs.google.com/document/d/${docId}/edit`;
-    
     res.json({
       success: true,
-      url: googleDocUrl,
-      docId: docId
+      message: coalesced
+        ? 'A parser run was already waiting; your request was merged into it'
+        : position > 0 ? 'Parser run queued' : 'Parser started successfully',
+      data: {
+        queueId: entry.id,
+        coalesced,
+        position,
+        isRunning: parserStatus.isRunning,
+        startTime: parserStatus.startTime
+      }
     });
   } catch (error) {
-    console.error('Error getting Google Doc URL:', error);
+    console.error('Error queueing parser run:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get Google Doc URL',
+      message: 'Failed to queue parser run',
       error: error.message
     });
   }
-});
+};
 
-// Async parser function that updates status
-async function runParserAsync() {
-  try {
-    addStatusEvent('info', 'Starting parser...');
-    
-    // Use the parser with status callback
-    const result = await runParseWithStreaming(null, addStatusEvent);
-    
-    parserStatus.isRunning = false;
-    parserStatus.result = result;
-    parserStatus.currentStep = 'Completed';
-    addStatusEvent('completed', 'Parser completed successfully', result);
-    
-    // Handle file copying for local development if needed
-    const config = require('./src/parser/config').config;
-    if (!config.googleCloudStorage.enabled) {
-      const outputPath = path.join(__dirname, 'src', 'parser', 'output', 'compound-places.json');
-      const publicPath = path.join(__dirname, 'public', 'compound-places.json');
-      
-      if (fs.existsSync(outputPath)) {
-        try {
-          fs.copyFileSync(outputPath, publicPath);
-          console.log('Successfully copied output file to public directory');
-        } catch (copyError) {
-          console.error('Failed to copy file to public directory:', copyError);
-        }
-      }
-    }
-    
-  } catch (error) {
-    console.error('Async parser execution failed:', error);
-    parserStatus.isRunning = false;
-    parserStatus.error = error.message;
-    parserStatus.currentStep = 'Error';
-    addStatusEvent('error', `Parser failed: ${error.message}`);
-  }
-}
+// Polling-based parser endpoint
+app.post('/api/admin/parse-polling', requirePermission('parser:run'), (req, res) => queueParserRun(req, res, 'polling'));
 
-// Admin API endpoints (now protected)
-app.post('/api/admin/parse', authenticateAdmin, async (req, res) => {
+// Get parser status for polling, with the requests in the queue
+app.get('/api/admin/parse-status', requirePermission('parser:run'), async (req, res) => {
   try {
-    console.log('Running parser...');
-    
-    // Use the parser directly instead of subprocess
-    const result = await runParser();
-    res.json(result);
+    const queue = (await jobQueueService.listEntries()).map(entry => ({
+      id: entry.id,
+      kind: entry.kind || 'parse',
+      status: entry.status,
+      trigger: entry.trigger,
+      actor: entry.actor,
+      queuedAt: entry.queuedAt,
+      attempts: entry.attempts,
+      cancelRequested: entry.cancelRequested
+    }));
+
+    res.json({
+      success: true,
+      data: { ...parserStatus, queue }
+    });
   } catch (error) {
-    console.error('Parser error:', error);
+    console.error('Error reading parser queue:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Parser failed'
+      message: 'Failed to read parser status',
+      error: error.message
     });
   }
 });
 
-app.get('/api/admin/download-output', authenticateAdmin, async (req, res) => {
-  try {
-    const config = require('./src/parser/config').config;
-    
-    if (config.googleCloudStorage.enabled) {
-      // Download from Google Cloud Storage
-      const placesData = await googleCloudStorageService.downloadFile();
-      
-      if (!placesData) {
-        return res.status(404).json({
-          success: false,
-          message: 'Output file not found. Run the parser first.'
-        });
-      }
+// Live parser events (Server-Sent Events). Starts with a `connected` event
+// holding the run state, replays the events after Last-Event-ID (or the whole
+// log of the current run) and then pushes every status event as it happens.
+// Heartbeats keep proxies from closing an idle stream and end it once the
+// session has been revoked.
+app.get('/api/admin/parse-events', requirePermission('parser:run'), (req, res) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
 
-      // Send as JSON download
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=compound-places.json');
-      res.send(JSON.stringify(placesData, null, 2));
-    } else {
-      // Fallback to local file system
-      const outputPath = path.join(__dirname, 'src', 'parser', 'output', 'compound-places.json');
-      
-      if (!fs.existsSync(outputPath)) {
-        return res.status(404).json({
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  writeParserEvent(res, {
+    type: 'connected',
+    message: 'Connected to parser events',
+    timestamp: new Date().toISOString(),
+    data: getParserState()
+  });
+  parserStatus.logs
+    .filter(event => event.id > lastEventId)
+    .forEach(event => writeParserEvent(res, event));
+  parserEventStreams.add(res);
+
+  const heartbeat = setInterval(async () => {
+    const sessionActive = await sessionsService.isActive(req.user.sessionId).catch(() => false);
+    if (!sessionActive) {
+      res.end();
+      return;
+    }
+    writeParserEvent(res, {
+      type: 'heartbeat',
+      message: 'heartbeat',
+      timestamp: new Date().toISOString(),
+      data: { isRunning: parserStatus.isRunning }
+    });
+  }, PARSER_EVENTS_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    parserEventStreams.delete(res);
+  });
+});
+
+// Stop parser. Requests in flight are aborted; the run stays `isRunning` until
+// it has unwound and reports `cancelled` in the status. A worker in another
+// process sees the cancel marker at its next heartbeat.
+app.post('/api/admin/parse-stop', requirePermission('parser:run'), async (req, res) => {
+  if (!parserStatus.isRunning) {
+    return res.json({
+      success: false,
+      message: 'Parser is not running'
+    });
+  }
+
+  if (!parserStatus.cancelling) {
+    try {
+      await jobQueueService.requestCancel(parserStatus.queueId);
+    } catch (error) {
+      // Already finished and removed from the queue
+      if (error.code !== 404) {
+        console.error('Error cancelling parser run:', error);
+        return res.status(500).json({
           success: false,
-          message: 'Output file not found. Run the parser first.'
+          message: 'Failed to stop parser',
+          error: error.message
         });
       }
+    }
+
+    parserStatus.cancelling = true;
+    parserStatus.currentStep = 'Cancelling...';
+    addStatusEvent('info', 'Parser stop requested by user');
+    parserWorker.cancel(parserStatus.queueId);
+    await audit(req, 'parser.stop', { target: parserStatus.queueId });
+  }
+
+  res.json({
+    success: true,
+    message: 'Parser stop requested'
+  });
+});
+
+// Source documents the dataset is merged from, with what the last parse got from each
+app.get('/api/admin/sources', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const sources = await sourceDocumentsService.listSourcesWithStatus();
+
+    res.json({
+      success: true,
+      data: sources,
+      // Without a key, passwords and codes redacted from the documents can't be shown
+      secretsEnabled: secretsService.isEnabled()
+    });
+  } catch (error) {
+    console.error('Error listing source documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list source documents',
+      error: error.message
+    });
+  }
+});
+
+// Add a source document or change its owner and category prefix
+app.put('/api/admin/sources/:docId', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const source = await sourceDocumentsService.setSource(req.params.docId, req.body, req.user.username);
+    await audit(req, 'sources.set', { target: source.docId, details: { owner: source.owner, categoryPrefix: source.categoryPrefix } });
+
+    res.json({
+      success: true,
+      message: `Source document of ${source.owner} saved, it is merged in from the next parse`,
+      data: source
+    });
+  } catch (error) {
+    console.error('Error saving source document:', error);
+    const isClientError = error.code === 400;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to save source document',
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/sources/:docId', requirePermission('parser:run'), async (req, res) => {
+  try {
+    await sourceDocumentsService.deleteSource(req.params.docId);
+    await audit(req, 'sources.delete', { target: req.params.docId });
 
-      res.download(outputPath, 'compound-places.json', (err) => {
-        if (err) {
-          console.error('Download error:', err);
-          res.status(500).json({
-            success: false,
-            message: 'Failed to download file'
-          });
-        }
+    res.json({
+      success: true,
+      message: 'Source document removed, its places are dropped by the next parse'
+    });
+  } catch (error) {
+    console.error('Error deleting source document:', error);
+    const isClientError = error.code === 404;
+    res.status(isClientError ? 404 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to remove source document',
+      error: error.message
+    });
+  }
+});
+
+// Admin API endpoints (now protected). Runs go through the queue like
+// parse-polling; follow them with parse-status or parse-events.
+app.post('/api/admin/parse', requirePermission('parser:run'), (req, res) => queueParserRun(req, res, 'api'));
+
+app.get('/api/admin/download-output', requirePermission('data:download'), async (req, res) => {
+  try {
+    const placesData = await storageService.readJson(config.storage.datasetKey);
+    
+    if (!placesData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Output file not found. Run the parser first.'
       });
     }
+
+    await audit(req, 'data.download', { target: config.storage.datasetKey });
+
+    // Send as JSON download
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=compound-places.json');
+    res.send(JSON.stringify(placesData, null, 2));
   } catch (error) {
     console.error('Download error:', error);
     res.status(500).json({
@@ -499,75 +878,630 @@ app.get('/api/admin/download-output', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Function to run the parser directly
-async function runParser() {
+// List timestamped dataset versions with place counts
+app.get('/api/admin/versions', requirePermission('parser:run'), async (req, res) => {
   try {
-    console.log('Starting parser...');
-    
-    // Use the imported runParse function - it handles all the logic now
-    await runParse();
-    
-    console.log('Parser completed successfully');
-    
-    // Handle file copying for local development if needed
-    const config = require('./src/parser/config').config;
-    if (!config.googleCloudStorage.enabled) {
-      const outputPath = path.join(__dirname, 'src', 'parser', 'output', 'compound-places.json');
-      const publicPath = path.join(__dirname, 'public', 'compound-places.json');
-      
-      if (fs.existsSync(outputPath)) {
-        try {
-          fs.copyFileSync(outputPath, publicPath);
-          console.log('Successfully copied output file to public directory');
-        } catch (copyError) {
-          console.error('Failed to copy file to public directory:', copyError);
-          // Don't fail the entire operation for copy errors
-        }
-      }
+    const versions = await datasetVersionsService.listVersions(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error listing dataset versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list dataset versions',
+      error: error.message
+    });
+  }
+});
+
+// Per-place diff between two versions ("live" refers to the current dataset)
+app.get('/api/admin/versions/diff', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const { from, to = 'live' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'The "from" version is required'
+      });
     }
 
-    // Read the result data for response
-    let outputData;
-    if (config.googleCloudStorage.enabled) {
-      outputData = await googleCloudStorageService.downloadFile();
-    } else {
-      const outputPath = path.join(__dirname, 'src', 'parser', 'output', 'compound-places.json');
-      if (fs.existsSync(outputPath)) {
-        outputData = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    const diff = await datasetVersionsService.diffVersions(from, to);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Error diffing dataset versions:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to diff dataset versions',
+      error: error.message
+    });
+  }
+});
+
+// Promote an older version back to the live dataset
+app.post('/api/admin/versions/:versionId/promote', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const result = await datasetVersionsService.promoteVersion(req.params.versionId);
+    await audit(req, 'versions.promote', { target: req.params.versionId });
+
+    res.json({
+      success: true,
+      message: `Version ${req.params.versionId} is now live`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error promoting dataset version:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to promote dataset version',
+      error: error.message
+    });
+  }
+});
+
+// Parser run history, newest first, without the event logs
+app.get('/api/admin/jobs', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const jobs = await parserJobsService.listJobs(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error listing parser jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list parser jobs',
+      error: error.message
+    });
+  }
+});
+
+// Automatic run settings, with what the scheduler did last and when it runs next
+app.get('/api/admin/schedule', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const status = await schedulerService.getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load schedule',
+      error: error.message
+    });
+  }
+});
+
+// Replace the automatic run settings ({ documentCheck, enrichmentRefresh })
+app.put('/api/admin/schedule', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const settings = await schedulerService.updateSettings(req.body, req.user.username);
+    await audit(req, 'schedule.update', {
+      details: {
+        documentCheck: settings.documentCheck,
+        enrichmentRefresh: settings.enrichmentRefresh
       }
-    }
+    });
 
-    if (!outputData) {
-      throw new Error('Parser output not found after completion');
+    res.json({
+      success: true,
+      message: 'Schedule saved',
+      data: await schedulerService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    const isClientError = error.code === 400;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to save schedule',
+      error: error.message
+    });
+  }
+});
+
+// One parser run with its full event log
+app.get('/api/admin/jobs/:jobId', requirePermission('parser:run'), async (req, res) => {
+  try {
+    const job = await parserJobsService.getJob(req.params.jobId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching parser job:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to fetch parser job',
+      error: error.message
+    });
+  }
+});
+
+// List manual place overrides
+app.get('/api/admin/overrides', requirePermission('overrides:edit'), async (req, res) => {
+  try {
+    const overrides = await placeOverridesService.listOverrides();
+
+    res.json({
+      success: true,
+      data: overrides
+    });
+  } catch (error) {
+    console.error('Error listing place overrides:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list place overrides',
+      error: error.message
+    });
+  }
+});
+
+// Create or replace the override for a place, and apply it to the live dataset
+app.put('/api/admin/overrides/:placeId', requirePermission('overrides:edit'), async (req, res) => {
+  try {
+    const override = await placeOverridesService.setOverride(req.params.placeId, req.body, req.user.id);
+    await datasetVersionsService.applyOverrides();
+    await audit(req, 'overrides.set', { target: req.params.placeId, details: { fields: Object.keys(override.fields || {}) } });
+
+    res.json({
+      success: true,
+      message: `Override saved for ${req.params.placeId}`,
+      data: override
+    });
+  } catch (error) {
+    console.error('Error saving place override:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to save place override',
+      error: error.message
+    });
+  }
+});
+
+// Remove the override for a place and restore its parsed values in the live dataset
+app.delete('/api/admin/overrides/:placeId', requirePermission('overrides:edit'), async (req, res) => {
+  try {
+    await placeOverridesService.deleteOverride(req.params.placeId);
+    await datasetVersionsService.applyOverrides();
+    await audit(req, 'overrides.delete', { target: req.params.placeId });
+
+    res.json({
+      success: true,
+      message: `Override removed for ${req.params.placeId}`
+    });
+  } catch (error) {
+    console.error('Error deleting place override:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to delete place override',
+      error: error.message
+    });
+  }
+});
+
+// List places whose Google Places match was too uncertain to use
+app.get('/api/admin/review-queue', requirePermission('overrides:edit'), async (req, res) => {
+  try {
+    const items = await reviewQueueService.list();
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error listing review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list review queue',
+      error: error.message
+    });
+  }
+});
+
+// Resolve a queued place by picking a candidate ({ googlePlaceId }) or rejecting enrichment ({ reject: true })
+app.post('/api/admin/review-queue/:placeId/resolve', requirePermission('overrides:edit'), async (req, res) => {
+  try {
+    const { googlePlaceId, reject } = req.body || {};
+    const result = await reviewQueueService.resolve(req.params.placeId, {
+      googlePlaceId: typeof googlePlaceId === 'string' ? googlePlaceId : null,
+      reject: reject === true
+    }, req.user.id);
+    await audit(req, 'review.resolve', {
+      target: req.params.placeId,
+      details: result.rejected ? { rejected: true } : { googlePlaceId: result.googlePlaceId }
+    });
+
+    res.json({
+      success: true,
+      message: result.rejected
+        ? `Enrichment rejected for ${req.params.placeId}, applied on the next parser run`
+        : `Match saved for ${req.params.placeId}, applied on the next parser run`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error resolving review queue item:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to resolve review queue item',
+      error: error.message
+    });
+  }
+});
+
+// Audit log filters shared by the table and the CSV export
+const getAuditQuery = (req) => ({
+  from: typeof req.query.from === 'string' && req.query.from ? req.query.from : null,
+  to: typeof req.query.to === 'string' && req.query.to ? req.query.to : null,
+  action: typeof req.query.action === 'string' && req.query.action ? req.query.action : null,
+  actor: typeof req.query.actor === 'string' && req.query.actor ? req.query.actor : null,
+  outcome: ['success', 'failure'].includes(req.query.outcome) ? req.query.outcome : null
+});
+
+// List audit log entries, newest first
+app.get('/api/admin/audit-log', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const entries = await auditLogService.query({
+      ...getAuditQuery(req),
+      limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to query audit log',
+      error: error.message
+    });
+  }
+});
+
+// Download the filtered audit log as CSV
+app.get('/api/admin/audit-log/export', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const entries = await auditLogService.query({ ...getAuditQuery(req), limit: 50000 });
+    await audit(req, 'audit.export', { details: { ...getAuditQuery(req), entries: entries.length } });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(auditLogService.toCsv(entries));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log',
+      error: error.message
+    });
+  }
+});
+
+// List active sessions
+app.get('/api/admin/sessions', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const sessions = await sessionsService.listActiveSessions();
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list sessions',
+      error: error.message
+    });
+  }
+});
+
+// Revoke every active session except the caller's own
+app.delete('/api/admin/sessions', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const count = await sessionsService.revokeAll(req.user.sessionId, req.user.id);
+    await audit(req, 'sessions.revoke-all', { details: { revoked: count } });
+
+    res.json({
+      success: true,
+      message: `Revoked ${count} session(s)`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+});
+
+// Revoke one session
+app.delete('/api/admin/sessions/:sessionId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const session = await sessionsService.revokeSession(req.params.sessionId, req.user.id);
+    await audit(req, 'sessions.revoke', { target: session.id, details: { username: session.username } });
+
+    res.json({
+      success: true,
+      message: `Revoked session of ${session.displayName}`,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
+// List houses with their address and access rules
+app.get('/api/admin/houses', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const houses = await housesService.listHouses();
+
+    res.json({
+      success: true,
+      data: houses
+    });
+  } catch (error) {
+    console.error('Error listing houses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list houses',
+      error: error.message
+    });
+  }
+});
+
+// Add a house or replace the one with this slug
+app.put('/api/admin/houses/:slug', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const house = await housesService.setHouse(req.params.slug, req.body, req.user.username);
+    await audit(req, 'houses.set', { target: house.slug, details: { name: house.name, roles: house.access.roles } });
+
+    res.json({
+      success: true,
+      message: `House ${house.name} saved`,
+      data: house
+    });
+  } catch (error) {
+    console.error('Error saving house:', error);
+    const isClientError = error.code === 400;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to save house',
+      error: error.message
+    });
+  }
+});
+
+// Remove a house; invites that include it no longer open it
+app.delete('/api/admin/houses/:slug', requirePermission('users:manage'), async (req, res) => {
+  try {
+    await housesService.deleteHouse(req.params.slug);
+    await audit(req, 'houses.delete', { target: req.params.slug });
+
+    res.json({
+      success: true,
+      message: `House ${req.params.slug} removed`
+    });
+  } catch (error) {
+    console.error('Error deleting house:', error);
+    const isClientError = error.code === 404;
+    res.status(isClientError ? 404 : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to delete house',
+      error: error.message
+    });
+  }
+});
+
+// List guest invites
+app.get('/api/admin/invites', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const invites = await invitesService.listInvites();
+
+    res.json({
+      success: true,
+      data: invites
+    });
+  } catch (error) {
+    console.error('Error listing invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list invites',
+      error: error.message
+    });
+  }
+});
+
+// Create a guest invite. The link code is returned once and not stored.
+app.post('/api/admin/invites', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await invitesService.createInvite(req.body, req.user.id);
+    await audit(req, 'invites.create', {
+      target: result.invite.id,
+      details: { guestName: result.invite.guestName, houses: result.invite.houses, checkIn: result.invite.checkIn, checkOut: result.invite.checkOut }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invite created for ${result.invite.guestName}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to create invite',
+      error: error.message
+    });
+  }
+});
+
+// Departure checklist completion of every stay
+app.get('/api/admin/checklists', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const stays = await checklistProgressService.listStays();
+
+    res.json({
+      success: true,
+      data: stays
+    });
+  } catch (error) {
+    console.error('Error listing stay checklists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list stay checklists',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a guest invite, ending access for anyone who opened it
+app.delete('/api/admin/invites/:inviteId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const invite = await invitesService.revokeInvite(req.params.inviteId, req.user.id);
+    await sessionsService.revokeForUser(invite.id, req.user.id);
+    await audit(req, 'invites.revoke', { target: invite.id, details: { guestName: invite.guestName } });
+
+    res.json({
+      success: true,
+      message: `Invite for ${invite.guestName} revoked`,
+      data: invite
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to revoke invite',
+      error: error.message
+    });
+  }
+});
+
+// List user accounts
+app.get('/api/admin/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await usersService.listUsers();
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list users',
+      error: error.message
+    });
+  }
+});
+
+// Invite a user. Without a password a temporary one is generated and returned once.
+app.post('/api/admin/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await usersService.createUser(req.body, req.user.id);
+    await audit(req, 'users.create', { target: result.user.username, details: { role: result.user.role } });
+
+    res.status(201).json({
+      success: true,
+      message: `Created account ${result.user.username}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to create user',
+      error: error.message
+    });
+  }
+});
+
+// Change a user's role or display name, or disable/enable the account
+app.patch('/api/admin/users/:userId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id && (req.body?.disabled === true || (req.body?.role && req.body.role !== 'admin'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable or demote your own account'
+      });
     }
 
-    // Calculate type breakdown
-    const places = outputData.places || [];
-    const typeBreakdown = places.reduce((acc, place) => {
-      acc[place.type] = (acc[place.type] || 0) + 1;
-      return acc;
-    }, {});
+    const user = await usersService.updateUser(req.params.userId, req.body, req.user.id);
+    if (user.disabled) {
+      await sessionsService.revokeForUser(user.id, req.user.id);
+    }
+    await audit(req, 'users.update', { target: user.username, details: req.body });
 
-    return {
+    res.json({
       success: true,
-      message: 'Parser completed successfully',
-      data: {
-        totalPlaces: places.length,
-        sourceDocTitle: outputData.metadata?.sourceDocTitle || 'Unknown',
-        generatedAt: outputData.metadata?.generatedAt || new Date().toISOString(),
-        typeBreakdown: typeBreakdown,
-        categories: outputData.metadata?.categories || [],
-        enrichmentStats: outputData.metadata?.enrichmentStats || {},
-        houseMechanics: outputData.metadata?.houseMechanics || { processed: false }
-      }
-    };
+      message: `Updated account ${user.username}`,
+      data: user
+    });
   } catch (error) {
-    console.error('Parser execution failed:', error);
-    throw new Error(`Parser failed: ${error.message}`);
+    console.error('Error updating user:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to update user',
+      error: error.message
+    });
   }
-}
+});
 
+// Reset a user's password to a generated temporary one
+app.post('/api/admin/users/:userId/reset-password', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await usersService.resetPassword(req.params.userId, null, req.user.id);
+    await sessionsService.revokeForUser(result.user.id, req.user.id);
+    await audit(req, 'users.reset-password', { target: result.user.username });
 
+    res.json({
+      success: true,
+      message: `Password reset for ${result.user.username}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    const isClientError = error.code === 400 || error.code === 404;
+    res.status(isClientError ? error.code : 500).json({
+      success: false,
+      message: isClientError ? error.message : 'Failed to reset password',
+      error: error.message
+    });
+  }
+});
 
 // Handle client-side routing - serve index.html for all routes
 app.get('*', (req, res) => {
@@ -576,4 +1510,6 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  secretsService.warnIfDisabled();
+  startParserQueue();
 }); 
\ No newline at end of file
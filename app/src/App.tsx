@@ -5,8 +5,8 @@ import { AuthProvider } from './contexts/AuthContext';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { Navigation, PlacesList, GettingHere, Home, Footer } from './components';
 import { AdminDashboard } from './components/AdminDashboard';
-import { Lofty } from './components/Lofty';
-import { Shady } from './components/Shady';
+import { HousePage } from './components/HousePage';
+import { InviteRedeem } from './components/InviteRedeem';
 import { theme } from './theme';
 import '@mantine/core/styles.css';
 import '@mantine/notifications/styles.css';
@@ -28,35 +28,12 @@ function AppContent() {
           <Route path="/" element={<Home />} />
           <Route path="/places" element={<PlacesList />} />
           <Route path="/getting-here" element={<GettingHere />} />
-          <Route 
-            path="/shady" 
-            element={
-              <ProtectedRoute 
-                requiredRole="guest" 
-                title="Access Required"
-                subtitle="Please enter the password to access Shady content."
-              >
-                <Shady />
-              </ProtectedRoute>
-            } 
-          />
-          <Route 
-            path="/lofty" 
-            element={
-              <ProtectedRoute 
-                requiredRole="guest" 
-                title="Access Required"
-                subtitle="Please enter the password to access Lofty content."
-              >
-                <Lofty />
-              </ProtectedRoute>
-            } 
-          />
+          <Route path="/invite/:code" element={<InviteRedeem />} />
           <Route 
             path="/admin" 
             element={
               <ProtectedRoute 
-                requiredRole="admin" 
+                permission="parser:run"
                 title="Admin Access"
                 subtitle="Please enter admin credentials."
               >
@@ -64,6 +41,8 @@ function AppContent() {
               </ProtectedRoute>
             } 
           />
+          {/* Every house in the house list; the fixed routes above take precedence */}
+          <Route path="/:slug" element={<HousePage />} />
         </Routes>
       </div>
       <Footer />
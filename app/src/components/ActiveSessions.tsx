@@ -0,0 +1,192 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, Tooltip, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconPlugConnectedX, IconCheck, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+interface Session {
+  id: string;
+  userId: string;
+  displayName: string;
+  role: 'admin' | 'editor' | 'guest';
+  kind: 'account' | 'invite';
+  userAgent: string | null;
+  createdAt: string;
+  lastRefreshedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+const roleColors: Record<Session['role'], string> = {
+  admin: 'grape',
+  editor: 'orange',
+  guest: 'blue',
+};
+
+// Short browser/OS summary of a user agent string
+const describeUserAgent = (userAgent: string | null) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = userAgent.match(/(Edg|Firefox|Chrome|Safari)\/[\d.]+/)?.[1]?.replace('Edg', 'Edge') || 'Browser';
+  const os = userAgent.match(/(Windows|Mac OS X|Android|iPhone|iPad|Linux)/)?.[1]?.replace('Mac OS X', 'macOS') || 'unknown OS';
+  return `${browser} on ${os}`;
+};
+
+export function ActiveSessions() {
+  const { request } = useAdminApi();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [confirmRevokeAll, setConfirmRevokeAll] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: Session[] }>('/api/admin/sessions');
+      setSessions(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load sessions',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (path: string, title: string) => {
+    try {
+      const result = await request<{ message: string }>(path, { method: 'DELETE' });
+      notifications.show({
+        title,
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmRevokeAll(false);
+      await loadSessions();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to revoke',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current).length;
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Active Sessions</Title>
+          <Group gap="xs">
+            {confirmRevokeAll ? (
+              <>
+                <Button
+                  size="xs"
+                  color="red"
+                  onClick={() => handleRevoke('/api/admin/sessions', 'Sessions revoked')}
+                >
+                  Confirm
+                </Button>
+                <Button size="xs" variant="subtle" onClick={() => setConfirmRevokeAll(false)}>
+                  Cancel
+                </Button>
+              </>
+            ) : (
+              <Button
+                size="xs"
+                variant="outline"
+                color="red"
+                leftSection={<IconPlugConnectedX size={14} />}
+                disabled={otherSessions === 0}
+                onClick={() => setConfirmRevokeAll(true)}
+              >
+                Revoke all others
+              </Button>
+            )}
+            <Button
+              variant="subtle"
+              leftSection={<IconRefresh size={16} />}
+              onClick={loadSessions}
+              loading={loading}
+            >
+              Refresh
+            </Button>
+          </Group>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Every login is a session that renews itself while the browser is open. Revoking a session signs that browser out within seconds.
+        </Text>
+
+        {sessions.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No active sessions.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={360} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>User</Table.Th>
+                  <Table.Th>Device</Table.Th>
+                  <Table.Th>Signed in</Table.Th>
+                  <Table.Th>Last active</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {sessions.map((session) => (
+                  <Table.Tr key={session.id}>
+                    <Table.Td>
+                      <Group gap="xs">
+                        <Text size="sm">{session.displayName}</Text>
+                        {session.current && <Badge size="xs" variant="outline">This session</Badge>}
+                      </Group>
+                      <Group gap={4}>
+                        <Badge size="xs" variant="light" color={roleColors[session.role]}>
+                          {session.role}
+                        </Badge>
+                        {session.kind === 'invite' && <Badge size="xs" variant="light" color="teal">invite</Badge>}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>
+                      <Tooltip label={session.userAgent || 'No user agent'} multiline w={300}>
+                        <Text size="sm">{describeUserAgent(session.userAgent)}</Text>
+                      </Tooltip>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{new Date(session.createdAt).toLocaleString()}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{new Date(session.lastRefreshedAt).toLocaleString()}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Group justify="flex-end">
+                        <Button
+                          size="xs"
+                          variant="subtle"
+                          color="red"
+                          disabled={session.current}
+                          onClick={() => handleRevoke(`/api/admin/sessions/${session.id}`, 'Session revoked')}
+                        >
+                          Revoke
+                        </Button>
+                      </Group>
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
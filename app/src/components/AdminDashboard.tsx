@@ -1,8 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Container, Paper, Title, Button, Stack, Alert, Text, Badge, ScrollArea } from '@mantine/core';
-import { IconDownload, IconAlertCircle, IconCheck, IconClock, IconX, IconPlayerPlay, IconExternalLink } from '@tabler/icons-react';
+import { IconDownload, IconAlertCircle, IconCheck, IconClock, IconX, IconPlayerPlay } from '@tabler/icons-react';
 import { notifications } from '@mantine/notifications';
 import { useAuth } from '../contexts/AuthContext';
+import { DatasetVersions } from './DatasetVersions';
+import { JobHistory } from './JobHistory';
+import { ScheduleSettings } from './ScheduleSettings';
+import { SourceDocuments } from './SourceDocuments';
+import { PlaceOverrides } from './PlaceOverrides';
+import { ReviewQueue } from './ReviewQueue';
+import { UserManagement } from './UserManagement';
+import { GuestInvites } from './GuestInvites';
+import { StayChecklists } from './StayChecklists';
+import { HouseManagement } from './HouseManagement';
+import { ActiveSessions } from './ActiveSessions';
+import { AuditLog } from './AuditLog';
+import { streamParserEvents, type StreamEvent } from './parserEvents';
 
 interface ParseResult {
   success: boolean;
@@ -15,37 +28,51 @@ interface ParseResult {
   };
 }
 
-interface StreamEvent {
-  type: 'connected' | 'step' | 'info' | 'warning' | 'error' | 'completed' | 'heartbeat';
-  message: string;
-  timestamp: string;
-  data?: any;
-}
-
 export function AdminDashboard() {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const authToken = user?.token;
+  // Access tokens are refreshed while a parse is polled, so requests read the latest one
+  const authTokenRef = useRef(authToken);
+  authTokenRef.current = authToken;
   const [isRunning, setIsRunning] = useState(false);
   const [lastResult, setLastResult] = useState<ParseResult | null>(null);
   const [streamingLogs, setStreamingLogs] = useState<StreamEvent[]>([]);
   const [currentStep, setCurrentStep] = useState<string>('');
   const [isPolling, setIsPolling] = useState(false);
-  const [pollingInterval, setPollingInterval] = useState<NodeJS.Timeout | null>(null);
-  const [completionNotificationShown, setCompletionNotificationShown] = useState(false);
-
-  // Cleanup polling on component unmount
-  useEffect(() => {
-    return () => {
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
-      }
-    };
-  }, [pollingInterval]);
+  const [isStopping, setIsStopping] = useState(false);
+  // How the running parser is followed: a live event stream, or polling when that fails
+  const [updateMode, setUpdateMode] = useState<'stream' | 'polling'>('stream');
+  // Refs rather than state: the polling interval keeps the callback from the
+  // render that started it, which would otherwise see stale values
+  const pollingIntervalRef = useRef<NodeJS.Timeout | null>(null);
+  const completionNotificationShownRef = useRef(false);
+  const eventStreamRef = useRef<AbortController | null>(null);
+  const lastEventIdRef = useRef(0);
+  // Queue request of the run this dashboard started; it may wait behind another run
+  const queueIdRef = useRef<string | null>(null);
+
+  const clearPollingInterval = () => {
+    if (pollingIntervalRef.current) {
+      clearInterval(pollingIntervalRef.current);
+      pollingIntervalRef.current = null;
+    }
+  };
+
+  const closeEventStream = () => {
+    eventStreamRef.current?.abort();
+    eventStreamRef.current = null;
+  };
+
+  // Cleanup polling and the event stream on component unmount
+  useEffect(() => () => {
+    clearPollingInterval();
+    closeEventStream();
+  }, []);
 
   const getAuthHeaders = () => {
     return {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${authToken}`,
+      'Authorization': `Bearer ${authTokenRef.current}`,
     };
   };
 
@@ -63,10 +90,11 @@ export function AdminDashboard() {
     console.log('[CLIENT] Starting polling parser...');
     setIsRunning(true);
     setIsPolling(true);
+    setIsStopping(false);
     setStreamingLogs([]);
     setCurrentStep('');
     setLastResult(null);
-    setCompletionNotificationShown(false); // Reset completion notification flag
+    completionNotificationShownRef.current = false; // Reset completion notification flag
 
     try {
       // Start the parser
@@ -76,7 +104,7 @@ export function AdminDashboard() {
       });
 
       if (!response.ok) {
-        if (response.status === 401 || response.status === 403) {
+        if (response.status === 401) {
           notifications.show({
             title: 'Authentication Error',
             message: 'Your session has expired. Please log in again.',
@@ -95,22 +123,20 @@ export function AdminDashboard() {
         throw new Error(result.message);
       }
 
-      console.log('[CLIENT] Parser started, beginning polling...');
-      
-      // Start polling for status
-      const interval = setInterval(async () => {
-        try {
-          await pollParserStatus();
-        } catch (error) {
-          console.error('[CLIENT] Polling error:', error);
-          // Continue polling even if one request fails
-        }
-      }, 2000); // Poll every 2 seconds
-
-      setPollingInterval(interval);
+      queueIdRef.current = result.data.queueId;
+      if (result.data.coalesced || result.data.position > 0) {
+        notifications.show({
+          title: 'Parser run queued',
+          message: result.data.coalesced
+            ? 'A run was already waiting to start; your request was merged into it.'
+            : 'It starts as soon as the current run has finished.',
+          color: 'blue',
+          icon: <IconClock size={16} />,
+        });
+      }
 
-      // Do initial poll
-      await pollParserStatus();
+      console.log('[CLIENT] Parser run requested, listening for events...');
+      followParserEvents();
 
     } catch (error) {
       console.error('[CLIENT] Error starting polling parser:', error);
@@ -126,6 +152,92 @@ export function AdminDashboard() {
     }
   };
 
+  const startPolling = async () => {
+    setUpdateMode('polling');
+    clearPollingInterval();
+
+    pollingIntervalRef.current = setInterval(async () => {
+      try {
+        await pollParserStatus();
+      } catch (error) {
+        console.error('[CLIENT] Polling error:', error);
+        // Continue polling even if one request fails
+      }
+    }, 2000); // Poll every 2 seconds
+
+    // Do initial poll
+    await pollParserStatus();
+  };
+
+  const handleParserEvent = (event: StreamEvent) => {
+    if (event.id) {
+      lastEventIdRef.current = event.id;
+    }
+
+    if (event.type === 'heartbeat') return;
+
+    if (event.type === 'connected') {
+      // The run may have ended before the stream connected
+      if (!(event.data as { isRunning?: boolean } | undefined)?.isRunning) {
+        pollParserStatus();
+      }
+      return;
+    }
+
+    setStreamingLogs(logs => {
+      if (event.id && logs.some(log => log.id === event.id)) return logs;
+      return [...logs, event].slice(-100);
+    });
+    if (event.type === 'step') {
+      setCurrentStep(event.message);
+    }
+
+    // The final status (result, error or partial stats) is read from the
+    // status endpoint, which also shows the completion notification and
+    // closes the stream unless our request is still waiting in the queue
+    if (event.type === 'completed' || event.type === 'error' || event.type === 'cancelled') {
+      pollParserStatus();
+    }
+  };
+
+  // Follow the run over Server-Sent Events. Dropped connections resume from
+  // the last event received; after three failed attempts in a row the
+  // dashboard falls back to polling the status endpoint.
+  const followParserEvents = async () => {
+    closeEventStream();
+    const controller = new AbortController();
+    eventStreamRef.current = controller;
+    lastEventIdRef.current = 0;
+    setUpdateMode('stream');
+
+    let failures = 0;
+    while (!controller.signal.aborted) {
+      try {
+        await streamParserEvents({
+          headers: getAuthHeaders(),
+          lastEventId: lastEventIdRef.current,
+          signal: controller.signal,
+          onEvent: (event) => {
+            failures = 0;
+            handleParserEvent(event);
+          },
+        });
+      } catch (error) {
+        failures += 1;
+        console.warn('[CLIENT] Parser event stream failed:', error);
+        if (failures >= 3) {
+          closeEventStream();
+          await startPolling();
+          return;
+        }
+      }
+
+      if (!controller.signal.aborted) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+  };
+
   const pollParserStatus = async () => {
     try {
       const response = await fetch('/api/admin/parse-status', {
@@ -145,22 +257,30 @@ export function AdminDashboard() {
         setCurrentStep(status.currentStep || '');
         setStreamingLogs(status.logs || []);
         
-        // Check if parser is complete
-        if (!status.isRunning) {
+        // Check if parser is complete, and not just a run ahead of ours
+        const waiting = (status.queue || []).some((entry: { id: string }) => entry.id === queueIdRef.current);
+        if (!status.isRunning && !waiting) {
           // Parser finished
           setIsRunning(false);
           setIsPolling(false);
-          
-          if (pollingInterval) {
-            clearInterval(pollingInterval);
-            setPollingInterval(null);
-          }
+          setIsStopping(false);
+          clearPollingInterval();
+          closeEventStream();
           
           // Only show completion notification once
-          if (!completionNotificationShown) {
-            setCompletionNotificationShown(true);
+          if (!completionNotificationShownRef.current) {
+            completionNotificationShownRef.current = true;
             
-            if (status.error) {
+            if (status.cancelled) {
+              // Parser stopped on request; nothing was saved
+              const progress = status.progress || {};
+              notifications.show({
+                title: 'Parser cancelled',
+                message: `Stopped during "${progress.step || 'startup'}" after finding ${progress.placesFound || 0} places and enriching ${progress.placesEnriched || 0}. The dataset was not changed.`,
+                color: 'yellow',
+                icon: <IconX size={16} />,
+              });
+            } else if (status.error) {
               // Parser failed
               notifications.show({
                 title: 'Parser failed',
@@ -192,25 +312,23 @@ export function AdminDashboard() {
     }
   };
 
+  // Ask the server to cancel the run; polling continues until it reports the
+  // run as cancelled (or finished, if the stop came too late)
   const stopPolling = async () => {
-    if (pollingInterval) {
-      clearInterval(pollingInterval);
-      setPollingInterval(null);
-    }
+    setIsStopping(true);
     
-    setIsRunning(false);
-    setIsPolling(false);
-    setCurrentStep('');
-    setCompletionNotificationShown(false); // Reset when manually stopped
-    
-    // Try to stop the parser on the server
     try {
-      await fetch('/api/admin/parse-stop', {
+      const response = await fetch('/api/admin/parse-stop', {
         method: 'POST',
         headers: getAuthHeaders(),
       });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      await pollParserStatus();
     } catch (error) {
       console.error('[CLIENT] Error stopping parser:', error);
+      setIsStopping(false);
     }
   };
 
@@ -221,7 +339,7 @@ export function AdminDashboard() {
       });
       
       if (!response.ok) {
-        if (response.status === 401 || response.status === 403) {
+        if (response.status === 401) {
           notifications.show({
             title: 'Authentication Error',
             message: 'Your session has expired. Please log in again.',
@@ -253,43 +371,6 @@ export function AdminDashboard() {
     }
   };
 
-  const handleOpenGoogleDoc = async () => {
-    try {
-      const response = await fetch('/api/admin/google-doc-url', {
-        headers: getAuthHeaders(),
-      });
-      
-      if (!response.ok) {
-        if (response.status === 401 || response.status === 403) {
-          notifications.show({
-            title: 'Authentication Error',
-            message: 'Your session has expired. Please log in again.',
-            color: 'red',
-            icon: <IconX size={16} />,
-          });
-          logout();
-          return;
-        }
-        throw new Error('Failed to get Google Doc URL');
-      }
-      
-      const result = await response.json();
-      
-      if (result.success && result.url) {
-        window.open(result.url, '_blank', 'noopener,noreferrer');
-      } else {
-        throw new Error(result.message || 'Failed to get Google Doc URL');
-      }
-    } catch (error) {
-      notifications.show({
-        title: 'Failed to open Google Doc',
-        message: error instanceof Error ? error.message : 'Unknown error',
-        color: 'red',
-        icon: <IconX size={16} />,
-      });
-    }
-  };
-
   return (
     <Container size="lg" mt="xl">
       <Stack gap="xl">
@@ -303,7 +384,7 @@ export function AdminDashboard() {
             </div>
             
             <Text c="dimmed">
-              Manage the compound places data by running the parser to rebuild the JSON from the Google Doc.
+              Manage the compound places data by running the parser to rebuild the JSON from the source documents.
             </Text>
           </Stack>
         </Paper>
@@ -328,28 +409,23 @@ export function AdminDashboard() {
                   leftSection={<IconX size={16} />}
                   variant="outline"
                   color="red"
+                  loading={isStopping}
+                  disabled={isStopping}
                 >
-                  Stop Parser
+                  {isStopping ? 'Stopping...' : 'Stop Parser'}
                 </Button>
               )}
               
-              <Button
-                onClick={handleDownloadOutput}
-                leftSection={<IconDownload size={16} />}
-                variant="outline"
-                disabled={!lastResult?.success}
-              >
-                Download Output
-              </Button>
-
-              <Button
-                onClick={handleOpenGoogleDoc}
-                leftSection={<IconExternalLink size={16} />}
-                variant="outline"
-                color="blue"
-              >
-                Open Google Doc
-              </Button>
+              {can('data:download') && (
+                <Button
+                  onClick={handleDownloadOutput}
+                  leftSection={<IconDownload size={16} />}
+                  variant="outline"
+                  disabled={!lastResult?.success}
+                >
+                  Download Output
+                </Button>
+              )}
             </div>
 
             {isRunning && (
@@ -373,7 +449,9 @@ export function AdminDashboard() {
                 
                 {streamingLogs.length > 0 && (
                   <Paper withBorder p="sm" style={{ backgroundColor: '#f0f9ff' }}>
-                    <Text size="sm" fw={500} mb="xs">Parser Output (updates every 2 seconds):</Text>
+                    <Text size="sm" fw={500} mb="xs">
+                      Parser Output ({updateMode === 'stream' ? 'live' : 'updates every 2 seconds'}):
+                    </Text>
                     <ScrollArea h={200} scrollbarSize={8}>
                       <Stack gap="xs">
                         {streamingLogs.map((log, index) => (
@@ -385,7 +463,8 @@ export function AdminDashboard() {
                                 log.type === 'error' ? 'red' :
                                 log.type === 'warning' ? 'yellow' :
                                 log.type === 'step' ? 'blue' :
-                                log.type === 'completed' ? 'green' : 'gray'
+                                log.type === 'completed' ? 'green' :
+                                log.type === 'cancelled' ? 'orange' : 'gray'
                               }
                             >
                               {log.type}
@@ -452,6 +531,38 @@ export function AdminDashboard() {
             </Stack>
           </Paper>
         )}
+
+        <SourceDocuments />
+
+        <ScheduleSettings />
+
+        <JobHistory />
+
+        <DatasetVersions />
+
+        {can('overrides:edit') && (
+          <>
+            <ReviewQueue />
+
+            <PlaceOverrides />
+          </>
+        )}
+
+        {can('users:manage') && (
+          <>
+            <UserManagement />
+
+            <HouseManagement />
+
+            <GuestInvites />
+
+            <StayChecklists />
+
+            <ActiveSessions />
+          </>
+        )}
+
+        {can('audit:read') && <AuditLog />}
       </Stack>
     </Container>
   );
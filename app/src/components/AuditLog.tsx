@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, Select, TextInput, Tooltip, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconFileSpreadsheet, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useDebouncedValue } from '@mantine/hooks';
+import { useAdminApi } from './useAdminApi';
+
+interface AuditEntry {
+  timestamp: string;
+  action: string;
+  outcome: 'success' | 'failure';
+  actor: string | null;
+  role: string | null;
+  target: string | null;
+  ip: string | null;
+  details?: Record<string, unknown>;
+}
+
+// Action groups; filtering by a group matches every action in it
+const actionOptions = [
+  { value: 'auth', label: 'Logins and logouts' },
+  { value: 'mechanics', label: 'House mechanics views' },
+  { value: 'checklists', label: 'House checklists' },
+  { value: 'parser', label: 'Parser runs' },
+  { value: 'schedule', label: 'Automatic run settings' },
+  { value: 'sources', label: 'Source documents' },
+  { value: 'data', label: 'Downloads' },
+  { value: 'versions', label: 'Dataset versions' },
+  { value: 'overrides', label: 'Place overrides' },
+  { value: 'review', label: 'Review queue' },
+  { value: 'users', label: 'User accounts' },
+  { value: 'invites', label: 'Guest invites' },
+  { value: 'houses', label: 'Houses' },
+  { value: 'sessions', label: 'Sessions' },
+  { value: 'audit', label: 'Audit exports' },
+];
+
+const outcomeOptions = [
+  { value: 'success', label: 'Succeeded' },
+  { value: 'failure', label: 'Failed' },
+];
+
+export function AuditLog() {
+  const { request, download } = useAdminApi();
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [action, setAction] = useState<string | null>(null);
+  const [outcome, setOutcome] = useState<string | null>(null);
+  const [actor, setActor] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  // Don't reload on every keystroke in the user filter
+  const [debouncedActor] = useDebouncedValue(actor, 300);
+
+  const buildQuery = useCallback(() => {
+    const params = new URLSearchParams();
+    if (action) params.set('action', action);
+    if (outcome) params.set('outcome', outcome);
+    if (debouncedActor.trim()) params.set('actor', debouncedActor.trim());
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return params.toString();
+  }, [action, outcome, debouncedActor, from, to]);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: AuditEntry[] }>(`/api/admin/audit-log?${buildQuery()}`);
+      setEntries(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load audit log',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request, buildQuery]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await download(`/api/admin/audit-log/export?${buildQuery()}`, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+      notifications.show({
+        title: 'Export failed',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Audit Log</Title>
+          <Group gap="xs">
+            <Button
+              size="xs"
+              variant="outline"
+              leftSection={<IconFileSpreadsheet size={14} />}
+              onClick={handleExport}
+              loading={exporting}
+            >
+              Export CSV
+            </Button>
+            <Button
+              variant="subtle"
+              leftSection={<IconRefresh size={16} />}
+              onClick={loadEntries}
+              loading={loading}
+            >
+              Refresh
+            </Button>
+          </Group>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Who logged in, ran the parser, downloaded data, opened house mechanics or changed anything. Entries can't be edited or deleted.
+        </Text>
+
+        <Group grow align="flex-end">
+          <Select
+            label="Action"
+            placeholder="All actions"
+            data={actionOptions}
+            value={action}
+            onChange={setAction}
+            clearable
+          />
+          <TextInput
+            label="User"
+            placeholder="Any user"
+            value={actor}
+            onChange={(event) => setActor(event.currentTarget.value)}
+          />
+          <Select
+            label="Outcome"
+            placeholder="Any outcome"
+            data={outcomeOptions}
+            value={outcome}
+            onChange={setOutcome}
+            clearable
+          />
+          <TextInput
+            type="date"
+            label="From"
+            value={from}
+            onChange={(event) => setFrom(event.currentTarget.value)}
+          />
+          <TextInput
+            type="date"
+            label="To"
+            value={to}
+            onChange={(event) => setTo(event.currentTarget.value)}
+          />
+        </Group>
+
+        {entries.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No matching entries.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={420} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Time</Table.Th>
+                  <Table.Th>User</Table.Th>
+                  <Table.Th>Action</Table.Th>
+                  <Table.Th>Target</Table.Th>
+                  <Table.Th>IP</Table.Th>
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {entries.map((entry, index) => (
+                  <Table.Tr key={`${entry.timestamp}-${index}`}>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{new Date(entry.timestamp).toLocaleString()}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{entry.actor || 'anonymous'}</Text>
+                      {entry.role && <Text size="xs" c="dimmed">{entry.role}</Text>}
+                    </Table.Td>
+                    <Table.Td>
+                      <Group gap="xs">
+                        <Text size="sm" ff="monospace">{entry.action}</Text>
+                        {entry.outcome === 'failure' && <Badge size="xs" color="red" variant="light">failed</Badge>}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>
+                      {entry.details ? (
+                        <Tooltip label={JSON.stringify(entry.details)} multiline w={320}>
+                          <Text size="sm">{entry.target || '—'}</Text>
+                        </Tooltip>
+                      ) : (
+                        <Text size="sm">{entry.target || '—'}</Text>
+                      )}
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{entry.ip || '—'}</Text>
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,295 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, Select, Alert, ScrollArea, Code } from '@mantine/core';
+import { IconRefresh, IconArrowBackUp, IconGitCompare, IconAlertCircle, IconCheck, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+interface DatasetVersion {
+  versionId: string;
+  createdAt: string;
+  generatedAt: string | null;
+  sourceDocTitle: string | null;
+  placeCount: number;
+  promotedFrom: string | null;
+  isLive: boolean;
+}
+
+interface PlaceSummary {
+  id: string;
+  name: string;
+  category?: string;
+}
+
+interface FieldChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+}
+
+interface VersionDiff {
+  from: string;
+  to: string;
+  added: PlaceSummary[];
+  removed: PlaceSummary[];
+  changed: (PlaceSummary & { fields: FieldChange[] })[];
+  unchangedCount: number;
+}
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+export function DatasetVersions() {
+  const { request } = useAdminApi();
+  const [versions, setVersions] = useState<DatasetVersion[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [fromVersion, setFromVersion] = useState<string | null>(null);
+  const [toVersion, setToVersion] = useState<string | null>('live');
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [confirmPromote, setConfirmPromote] = useState<string | null>(null);
+  const [promoting, setPromoting] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: DatasetVersion[] }>('/api/admin/versions');
+      setVersions(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load versions',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleCompare = async () => {
+    if (!fromVersion || !toVersion) return;
+
+    setDiffLoading(true);
+    try {
+      const params = new URLSearchParams({ from: fromVersion, to: toVersion });
+      const result = await request<{ data: VersionDiff }>(`/api/admin/versions/diff?${params}`);
+      setDiff(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to compare versions',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const handlePromote = async (versionId: string) => {
+    setPromoting(true);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/versions/${versionId}/promote`, {
+        method: 'POST',
+      });
+      notifications.show({
+        title: 'Version restored',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmPromote(null);
+      setDiff(null);
+      await loadVersions();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to restore version',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setPromoting(false);
+    }
+  };
+
+  const versionOptions = [
+    { value: 'live', label: 'Live dataset' },
+    ...versions.map((version) => ({
+      value: version.versionId,
+      label: `${new Date(version.createdAt).toLocaleString()} (${version.placeCount} places)`,
+    })),
+  ];
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Dataset History</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadVersions}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Every parser run saves a snapshot of the guide. Compare snapshots to see what changed, or restore an older one if a parse went wrong.
+        </Text>
+
+        {versions.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No saved versions yet.</Text>
+        ) : (
+          <ScrollArea h={260} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Saved</Table.Th>
+                  <Table.Th>Places</Table.Th>
+                  <Table.Th>Source</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {versions.map((version) => (
+                  <Table.Tr key={version.versionId}>
+                    <Table.Td>
+                      <Group gap="xs">
+                        <Text size="sm">{new Date(version.createdAt).toLocaleString()}</Text>
+                        {version.isLive && <Badge size="xs" color="green">Live</Badge>}
+                        {version.promotedFrom && (
+                          <Badge size="xs" variant="light" color="gray">Restored</Badge>
+                        )}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>{version.placeCount}</Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{version.sourceDocTitle || 'Unknown'}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {confirmPromote === version.versionId ? (
+                        <Group gap="xs" justify="flex-end">
+                          <Button
+                            size="xs"
+                            color="red"
+                            loading={promoting}
+                            onClick={() => handlePromote(version.versionId)}
+                          >
+                            Confirm
+                          </Button>
+                          <Button size="xs" variant="subtle" onClick={() => setConfirmPromote(null)}>
+                            Cancel
+                          </Button>
+                        </Group>
+                      ) : (
+                        <Group justify="flex-end">
+                          <Button
+                            size="xs"
+                            variant="outline"
+                            leftSection={<IconArrowBackUp size={14} />}
+                            disabled={version.isLive}
+                            onClick={() => setConfirmPromote(version.versionId)}
+                          >
+                            Restore
+                          </Button>
+                        </Group>
+                      )}
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea>
+        )}
+
+        <Group align="flex-end">
+          <Select
+            label="Compare from"
+            placeholder="Select version"
+            data={versionOptions}
+            value={fromVersion}
+            onChange={setFromVersion}
+            style={{ flex: 1 }}
+          />
+          <Select
+            label="To"
+            data={versionOptions}
+            value={toVersion}
+            onChange={setToVersion}
+            style={{ flex: 1 }}
+          />
+          <Button
+            leftSection={<IconGitCompare size={16} />}
+            onClick={handleCompare}
+            loading={diffLoading}
+            disabled={!fromVersion || !toVersion || fromVersion === toVersion}
+          >
+            Compare
+          </Button>
+        </Group>
+
+        {diff && (
+          <Stack gap="sm">
+            <Group gap="xs">
+              <Badge color="green" variant="light">{diff.added.length} added</Badge>
+              <Badge color="red" variant="light">{diff.removed.length} removed</Badge>
+              <Badge color="yellow" variant="light">{diff.changed.length} changed</Badge>
+              <Badge color="gray" variant="light">{diff.unchangedCount} unchanged</Badge>
+            </Group>
+
+            {diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0 && (
+              <Alert icon={<IconAlertCircle size={16} />} color="gray">
+                These versions contain the same places.
+              </Alert>
+            )}
+
+            <ScrollArea.Autosize mah={400} scrollbarSize={8}>
+              <Stack gap="xs">
+                {diff.added.map((place) => (
+                  <Text key={`added-${place.id}`} size="sm">
+                    <Badge size="xs" color="green" mr="xs">added</Badge>
+                    {place.name} <Text span c="dimmed" size="xs">{place.category}</Text>
+                  </Text>
+                ))}
+                {diff.removed.map((place) => (
+                  <Text key={`removed-${place.id}`} size="sm">
+                    <Badge size="xs" color="red" mr="xs">removed</Badge>
+                    {place.name} <Text span c="dimmed" size="xs">{place.category}</Text>
+                  </Text>
+                ))}
+                {diff.changed.map((place) => (
+                  <div key={`changed-${place.id}`}>
+                    <Text size="sm">
+                      <Badge size="xs" color="yellow" mr="xs">changed</Badge>
+                      {place.name}
+                    </Text>
+                    <Stack gap={2} ml="xl">
+                      {place.fields.map((change) => (
+                        <Text key={change.field} size="xs">
+                          <Code>{change.field}</Code>{' '}
+                          <Text span c="red" size="xs">{formatValue(change.from)}</Text>
+                          {' → '}
+                          <Text span c="green" size="xs">{formatValue(change.to)}</Text>
+                        </Text>
+                      ))}
+                    </Stack>
+                  </div>
+                ))}
+              </Stack>
+            </ScrollArea.Autosize>
+          </Stack>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,279 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, MultiSelect, TextInput, Alert, Code, CopyButton, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconLink, IconBan, IconCheck, IconX, IconCopy } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+type InviteStatus = 'upcoming' | 'active' | 'expired' | 'revoked';
+
+interface GuestInvite {
+  id: string;
+  guestName: string;
+  houses: string[];
+  checkIn: string;
+  checkOut: string;
+  note?: string;
+  status: InviteStatus;
+  lastUsedAt: string | null;
+}
+
+const statusColors: Record<InviteStatus, string> = {
+  upcoming: 'blue',
+  active: 'green',
+  expired: 'gray',
+  revoked: 'red',
+};
+
+export function GuestInvites() {
+  const { request } = useAdminApi();
+  const [invites, setInvites] = useState<GuestInvite[]>([]);
+  const [houseOptions, setHouseOptions] = useState<{ value: string; label: string }[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [guestName, setGuestName] = useState('');
+  const [houses, setHouses] = useState<string[]>([]);
+  const [checkIn, setCheckIn] = useState('');
+  const [checkOut, setCheckOut] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState<string | null>(null);
+  const [issuedLink, setIssuedLink] = useState<{ guestName: string; url: string } | null>(null);
+
+  const loadInvites = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [result, houseList] = await Promise.all([
+        request<{ data: GuestInvite[] }>('/api/admin/invites'),
+        request<{ data: { slug: string; name: string }[] }>('/api/admin/houses'),
+      ]);
+      setInvites(result.data);
+      setHouseOptions(houseList.data.map((house) => ({ value: house.slug, label: house.name })));
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load invites',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      // datetime-local values are in the admin's timezone
+      const result = await request<{ message: string; data: { invite: GuestInvite; code: string } }>('/api/admin/invites', {
+        method: 'POST',
+        body: JSON.stringify({
+          guestName: guestName.trim(),
+          houses,
+          checkIn: new Date(checkIn).toISOString(),
+          checkOut: new Date(checkOut).toISOString(),
+        }),
+      });
+      notifications.show({
+        title: 'Invite created',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setIssuedLink({
+        guestName: result.data.invite.guestName,
+        url: `${window.location.origin}/invite/${result.data.code}`,
+      });
+      setGuestName('');
+      setHouses([]);
+      setCheckIn('');
+      setCheckOut('');
+      await loadInvites();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to create invite',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (inviteId: string) => {
+    try {
+      const result = await request<{ message: string }>(`/api/admin/invites/${inviteId}`, {
+        method: 'DELETE',
+      });
+      notifications.show({
+        title: 'Invite revoked',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmRevoke(null);
+      await loadInvites();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to revoke invite',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  const canCreate = guestName.trim() && houses.length > 0 && checkIn && checkOut;
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Guest Invites</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadInvites}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Send each guest a link for their stay. It only opens the houses you pick, works from check-in, and logs them out at check-out.
+        </Text>
+
+        {issuedLink && (
+          <Alert color="blue" withCloseButton onClose={() => setIssuedLink(null)}>
+            <Stack gap="xs">
+              <Text size="sm">
+                Invite link for <strong>{issuedLink.guestName}</strong>. Copy it now; it is not shown again.
+              </Text>
+              <Group gap="xs" wrap="nowrap">
+                <Code style={{ wordBreak: 'break-all' }}>{issuedLink.url}</Code>
+                <CopyButton value={issuedLink.url}>
+                  {({ copied, copy }) => (
+                    <Button size="xs" variant="subtle" leftSection={<IconCopy size={14} />} onClick={copy}>
+                      {copied ? 'Copied' : 'Copy'}
+                    </Button>
+                  )}
+                </CopyButton>
+              </Group>
+            </Stack>
+          </Alert>
+        )}
+
+        {invites.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No invites yet.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={320} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Guest</Table.Th>
+                  <Table.Th>Houses</Table.Th>
+                  <Table.Th>Stay</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {invites.map((invite) => (
+                  <Table.Tr key={invite.id}>
+                    <Table.Td>
+                      <Group gap="xs">
+                        <Text size="sm">{invite.guestName}</Text>
+                        <Badge size="xs" variant="light" color={statusColors[invite.status]}>{invite.status}</Badge>
+                      </Group>
+                      <Text size="xs" c="dimmed">
+                        {invite.lastUsedAt ? `Opened ${new Date(invite.lastUsedAt).toLocaleString()}` : 'Not opened yet'}
+                      </Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Group gap={4}>
+                        {invite.houses.map((house) => (
+                          <Badge key={house} size="xs" variant="outline">{house}</Badge>
+                        ))}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{new Date(invite.checkIn).toLocaleString()}</Text>
+                      <Text size="xs" c="dimmed">to {new Date(invite.checkOut).toLocaleString()}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {confirmRevoke === invite.id ? (
+                        <Group gap="xs" justify="flex-end">
+                          <Button size="xs" color="red" onClick={() => handleRevoke(invite.id)}>
+                            Confirm
+                          </Button>
+                          <Button size="xs" variant="subtle" onClick={() => setConfirmRevoke(null)}>
+                            Cancel
+                          </Button>
+                        </Group>
+                      ) : (
+                        <Group justify="flex-end">
+                          <Button
+                            size="xs"
+                            variant="subtle"
+                            color="red"
+                            leftSection={<IconBan size={14} />}
+                            disabled={invite.status === 'expired' || invite.status === 'revoked'}
+                            onClick={() => setConfirmRevoke(invite.id)}
+                          >
+                            Revoke
+                          </Button>
+                        </Group>
+                      )}
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+
+        <Group grow align="flex-end">
+          <TextInput
+            label="Guest name"
+            placeholder="e.g. The Smiths"
+            value={guestName}
+            onChange={(event) => setGuestName(event.currentTarget.value)}
+          />
+          <MultiSelect
+            label="Houses"
+            placeholder="Pick houses"
+            data={houseOptions}
+            value={houses}
+            onChange={setHouses}
+          />
+        </Group>
+        <Group grow align="flex-end">
+          <TextInput
+            type="datetime-local"
+            label="Check-in"
+            value={checkIn}
+            onChange={(event) => setCheckIn(event.currentTarget.value)}
+          />
+          <TextInput
+            type="datetime-local"
+            label="Check-out"
+            value={checkOut}
+            onChange={(event) => setCheckOut(event.currentTarget.value)}
+          />
+        </Group>
+        <Group justify="flex-end">
+          <Button
+            leftSection={<IconLink size={16} />}
+            onClick={handleCreate}
+            loading={creating}
+            disabled={!canCreate}
+          >
+            Create invite link
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+}
@@ -1,5 +1,6 @@
 import { Container, Stack, Box, Group, Button, Divider } from '@mantine/core';
 import { Link } from 'react-router-dom';
+import { useHouses } from './useHouses';
 
 // Function to create a CSS filter for the brand color
 function getBrandColorFilter(): string {
@@ -9,10 +10,11 @@ function getBrandColorFilter(): string {
 }
 
 export function Home() {
+  const { houses } = useHouses();
+
   const tabs = [
     { id: 'places', label: 'Places', path: '/places' },
-    { id: 'shady', label: 'Shady', path: '/shady' },
-    { id: 'lofty', label: 'Lofty', path: '/lofty' },
+    ...houses.map((house) => ({ id: house.slug, label: house.name, path: `/${house.slug}` })),
     // { id: 'getting-here', label: 'Getting to the Sheddy', path: '/getting-here' }
   ];
 
@@ -0,0 +1,319 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, MultiSelect, TextInput, NumberInput, SimpleGrid, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconHomePlus, IconPencil, IconTrash, IconCheck, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+type UserRole = 'admin' | 'editor' | 'guest';
+
+interface HouseRecord {
+  slug: string;
+  name: string;
+  title?: string;
+  address: string | null;
+  coordinates: { lat: number; lng: number } | null;
+  access: { roles: UserRole[] };
+  updatedAt?: string;
+  updatedBy?: string | null;
+}
+
+interface HouseForm {
+  slug: string;
+  name: string;
+  title: string;
+  address: string;
+  lat: number | string;
+  lng: number | string;
+  roles: string[];
+}
+
+const emptyForm: HouseForm = {
+  slug: '',
+  name: '',
+  title: '',
+  address: '',
+  lat: '',
+  lng: '',
+  roles: ['admin', 'editor', 'guest'],
+};
+
+const roleOptions = [
+  { value: 'guest', label: 'Guest' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'admin', label: 'Admin' },
+];
+
+const toSlug = (name: string) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+
+export function HouseManagement() {
+  const { request } = useAdminApi();
+  const [houses, setHouses] = useState<HouseRecord[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState<HouseForm>(emptyForm);
+  const [editing, setEditing] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState<string | null>(null);
+
+  const loadHouses = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: HouseRecord[] }>('/api/admin/houses');
+      setHouses(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load houses',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadHouses();
+  }, [loadHouses]);
+
+  const startEditing = (house: HouseRecord) => {
+    setEditing(house.slug);
+    setForm({
+      slug: house.slug,
+      name: house.name,
+      title: house.title || '',
+      address: house.address || '',
+      lat: house.coordinates?.lat ?? '',
+      lng: house.coordinates?.lng ?? '',
+      roles: house.access.roles,
+    });
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(emptyForm);
+  };
+
+  const handleSave = async () => {
+    const hasCoordinates = form.lat !== '' && form.lng !== '';
+
+    setSaving(true);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/houses/${form.slug}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          name: form.name.trim(),
+          ...(form.title.trim() && { title: form.title.trim() }),
+          address: form.address.trim() || null,
+          coordinates: hasCoordinates ? { lat: Number(form.lat), lng: Number(form.lng) } : null,
+          access: { roles: form.roles },
+        }),
+      });
+      notifications.show({
+        title: editing ? 'House updated' : 'House added',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      resetForm();
+      await loadHouses();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to save house',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (slug: string) => {
+    try {
+      const result = await request<{ message: string }>(`/api/admin/houses/${slug}`, {
+        method: 'DELETE',
+      });
+      notifications.show({
+        title: 'House removed',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmDelete(null);
+      if (editing === slug) resetForm();
+      await loadHouses();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to remove house',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  const canSave = form.name.trim() && form.slug && form.roles.length > 0;
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Houses</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadHouses}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Each house gets its own page and navigation tab. Its mechanics come from the section of the Google Doc headed with the house's name, and only the roles you pick can open it. Guests with an invite can open the houses on their invite.
+        </Text>
+
+        <ScrollArea.Autosize mah={360} scrollbarSize={8}>
+          <Table striped highlightOnHover>
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>House</Table.Th>
+                <Table.Th>Address</Table.Th>
+                <Table.Th>Open to</Table.Th>
+                <Table.Th />
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {houses.map((house) => (
+                <Table.Tr key={house.slug}>
+                  <Table.Td>
+                    <Text size="sm">{house.name}</Text>
+                    <Text size="xs" c="dimmed">/{house.slug}</Text>
+                  </Table.Td>
+                  <Table.Td>
+                    <Text size="sm" c={house.address ? undefined : 'dimmed'}>
+                      {house.address || '—'}
+                    </Text>
+                  </Table.Td>
+                  <Table.Td>
+                    <Group gap={4}>
+                      {house.access.roles.map((role) => (
+                        <Badge key={role} size="xs" variant="outline">{role}</Badge>
+                      ))}
+                    </Group>
+                  </Table.Td>
+                  <Table.Td>
+                    {confirmDelete === house.slug ? (
+                      <Group gap="xs" justify="flex-end">
+                        <Button size="xs" color="red" onClick={() => handleDelete(house.slug)}>
+                          Confirm
+                        </Button>
+                        <Button size="xs" variant="subtle" onClick={() => setConfirmDelete(null)}>
+                          Cancel
+                        </Button>
+                      </Group>
+                    ) : (
+                      <Group gap="xs" justify="flex-end">
+                        <Button
+                          size="xs"
+                          variant="outline"
+                          leftSection={<IconPencil size={14} />}
+                          onClick={() => startEditing(house)}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          size="xs"
+                          variant="subtle"
+                          color="red"
+                          leftSection={<IconTrash size={14} />}
+                          onClick={() => setConfirmDelete(house.slug)}
+                        >
+                          Remove
+                        </Button>
+                      </Group>
+                    )}
+                  </Table.Td>
+                </Table.Tr>
+              ))}
+            </Table.Tbody>
+          </Table>
+        </ScrollArea.Autosize>
+
+        <SimpleGrid cols={{ base: 1, sm: 3 }}>
+          <TextInput
+            label="Name"
+            placeholder="e.g. Shady"
+            description="Matches the heading in the Google Doc"
+            value={form.name}
+            onChange={(event) => {
+              const name = event.currentTarget.value;
+              setForm({ ...form, name, ...(!editing && { slug: toSlug(name) }) });
+            }}
+          />
+          <TextInput
+            label="URL"
+            description="Lowercase letters, digits and dashes"
+            value={form.slug}
+            disabled={Boolean(editing)}
+            onChange={(event) => setForm({ ...form, slug: event.currentTarget.value })}
+          />
+          <TextInput
+            label="Page title"
+            placeholder="Defaults to the name"
+            value={form.title}
+            onChange={(event) => setForm({ ...form, title: event.currentTarget.value })}
+          />
+          <TextInput
+            label="Address"
+            placeholder="Optional"
+            value={form.address}
+            onChange={(event) => setForm({ ...form, address: event.currentTarget.value })}
+          />
+          <NumberInput
+            label="Latitude"
+            placeholder="Optional"
+            min={-90}
+            max={90}
+            decimalScale={6}
+            value={form.lat}
+            onChange={(value) => setForm({ ...form, lat: value })}
+          />
+          <NumberInput
+            label="Longitude"
+            placeholder="Optional"
+            min={-180}
+            max={180}
+            decimalScale={6}
+            value={form.lng}
+            onChange={(value) => setForm({ ...form, lng: value })}
+          />
+        </SimpleGrid>
+
+        <Group align="flex-end">
+          <MultiSelect
+            label="Open to"
+            placeholder="Pick roles"
+            data={roleOptions}
+            value={form.roles}
+            onChange={(roles) => setForm({ ...form, roles })}
+            style={{ flex: 1 }}
+          />
+          {editing && (
+            <Button variant="subtle" onClick={resetForm}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            leftSection={editing ? <IconCheck size={16} /> : <IconHomePlus size={16} />}
+            onClick={handleSave}
+            loading={saving}
+            disabled={!canSave}
+          >
+            {editing ? 'Save House' : 'Add House'}
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+}
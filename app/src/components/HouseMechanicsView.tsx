@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback, type ReactNode } from 'react';
+import { Card, Title, Text, Stack, Group, Button, Badge, Code, CopyButton, Checkbox, Accordion, List, Anchor, SimpleGrid } from '@mantine/core';
+import { IconWifi, IconKey, IconListCheck, IconTool, IconPhone, IconCopy, IconCheck, IconRefresh, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+import type { ChecklistProgress, HouseChecklist, HouseMechanics } from '../types';
+
+type Progress = Pick<ChecklistProgress, 'ticked' | 'completedAt'>;
+
+const checklistOrder: Record<HouseChecklist['kind'], number> = {
+  arrival: 0,
+  departure: 1,
+  other: 2,
+};
+
+function SectionTitle({ icon, children }: { icon: ReactNode; children: ReactNode }) {
+  return (
+    <Group gap="xs" mb="sm">
+      {icon}
+      <Title order={4}>{children}</Title>
+    </Group>
+  );
+}
+
+// Masked values are shown without a copy button
+function CopyValue({ value, hidden }: { value: string; hidden: boolean }) {
+  return (
+    <Group gap="xs" wrap="nowrap">
+      <Code>{value}</Code>
+      {!hidden && (
+        <CopyButton value={value}>
+          {({ copied, copy }) => (
+            <Button
+              size="compact-xs"
+              variant="subtle"
+              color={copied ? 'green' : undefined}
+              leftSection={copied ? <IconCheck size={12} /> : <IconCopy size={12} />}
+              onClick={copy}
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </Button>
+          )}
+        </CopyButton>
+      )}
+    </Group>
+  );
+}
+
+function WifiCard({ networks, secretsHidden }: { networks: HouseMechanics['wifi']; secretsHidden: boolean }) {
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <SectionTitle icon={<IconWifi size={18} />}>WiFi</SectionTitle>
+      <Stack gap="sm">
+        {networks.map((network) => (
+          <div key={network.network}>
+            <Text size="sm" fw={600}>{network.network}</Text>
+            {network.password ? <CopyValue value={network.password} hidden={secretsHidden} /> : <Text size="sm" c="dimmed">No password</Text>}
+            {network.note && <Text size="xs" c="dimmed">{network.note}</Text>}
+          </div>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
+
+function DoorCodesCard({ doors, secretsHidden }: { doors: HouseMechanics['doorCodes']; secretsHidden: boolean }) {
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <SectionTitle icon={<IconKey size={18} />}>Doors</SectionTitle>
+      <Stack gap="sm">
+        {doors.map((door) => (
+          <div key={door.door}>
+            <Text size="sm" fw={600}>{door.door}</Text>
+            {door.code && <CopyValue value={door.code} hidden={secretsHidden} />}
+            {door.instructions && <Text size="sm" c="dimmed">{door.instructions}</Text>}
+          </div>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
+
+function ChecklistCard({ checklist, progress, onChange }: {
+  checklist: HouseChecklist;
+  progress: Progress;
+  onChange: (ticked: string[]) => void;
+}) {
+  const { ticked, completedAt } = progress;
+  const done = checklist.items.filter((item) => ticked.includes(item.id)).length;
+
+  const toggle = (itemId: string) => {
+    onChange(ticked.includes(itemId)
+      ? ticked.filter((id) => id !== itemId)
+      : [...ticked, itemId]);
+  };
+
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <Group justify="space-between" mb="sm">
+        <Group gap="xs">
+          <IconListCheck size={18} />
+          <Title order={4}>{checklist.title}</Title>
+        </Group>
+        <Group gap="xs">
+          <Badge variant="light" color={done === checklist.items.length ? 'green' : 'gray'}>
+            {done}/{checklist.items.length}
+          </Badge>
+          {done > 0 && (
+            <Button size="compact-xs" variant="subtle" leftSection={<IconRefresh size={12} />} onClick={() => onChange([])}>
+              Reset
+            </Button>
+          )}
+        </Group>
+      </Group>
+      <Stack gap="xs">
+        {checklist.items.map((item) => (
+          <Checkbox
+            key={item.id}
+            label={item.text}
+            checked={ticked.includes(item.id)}
+            onChange={() => toggle(item.id)}
+          />
+        ))}
+      </Stack>
+      {completedAt && (
+        <Text size="xs" c="dimmed" mt="sm">
+          Completed {new Date(completedAt).toLocaleString()}
+        </Text>
+      )}
+    </Card>
+  );
+}
+
+function AppliancesCard({ appliances }: { appliances: HouseMechanics['appliances'] }) {
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <SectionTitle icon={<IconTool size={18} />}>Appliances</SectionTitle>
+      <Accordion variant="separated">
+        {appliances.map((appliance) => (
+          <Accordion.Item key={appliance.name} value={appliance.name}>
+            <Accordion.Control>{appliance.name}</Accordion.Control>
+            <Accordion.Panel>
+              <List size="sm" spacing={4}>
+                {appliance.instructions.map((instruction) => (
+                  <List.Item key={instruction}>{instruction}</List.Item>
+                ))}
+              </List>
+            </Accordion.Panel>
+          </Accordion.Item>
+        ))}
+      </Accordion>
+    </Card>
+  );
+}
+
+function EmergencyContactsCard({ contacts }: { contacts: HouseMechanics['emergencyContacts'] }) {
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <SectionTitle icon={<IconPhone size={18} />}>Emergency contacts</SectionTitle>
+      <Stack gap="sm">
+        {contacts.map((contact) => (
+          <div key={`${contact.name}-${contact.phone}`}>
+            <Group gap="xs">
+              <Text size="sm" fw={600}>{contact.name}</Text>
+              {contact.role && <Text size="xs" c="dimmed">{contact.role}</Text>}
+            </Group>
+            {contact.phone && (
+              <Anchor href={`tel:${contact.phone.replace(/[^\d+]/g, '')}`} size="sm">
+                {contact.phone}
+              </Anchor>
+            )}
+            {contact.note && <Text size="xs" c="dimmed">{contact.note}</Text>}
+          </div>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
+
+// Widgets for the structured house mechanics; empty parts are left out.
+// Checklist ticks are saved for the guest's stay, so they survive reloads and
+// are shared by everyone on the same invite.
+export function HouseMechanicsView({ house, mechanics, secretsHidden }: {
+  house: string;
+  mechanics: HouseMechanics;
+  secretsHidden: boolean;
+}) {
+  const { request } = useAdminApi();
+  const [progress, setProgress] = useState<Record<string, Progress>>({});
+  const checklists = [...mechanics.checklists].sort((a, b) => checklistOrder[a.kind] - checklistOrder[b.kind]);
+
+  const loadProgress = useCallback(async () => {
+    try {
+      const result = await request<{ data: ChecklistProgress[] }>(`/api/house-mechanics/${house}/checklists`);
+      setProgress(Object.fromEntries(result.data.map((checklist) => [checklist.id, checklist])));
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load checklist progress',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  }, [house, request]);
+
+  useEffect(() => {
+    if (mechanics.checklists.length > 0) {
+      loadProgress();
+    }
+  }, [mechanics, loadProgress]);
+
+  // Ticks show right away and are rolled back if they can't be saved
+  const saveProgress = async (checklistId: string, ticked: string[]) => {
+    const previous = progress[checklistId];
+    setProgress((current) => ({ ...current, [checklistId]: { ticked, completedAt: current[checklistId]?.completedAt ?? null } }));
+
+    try {
+      const result = await request<{ data: ChecklistProgress }>(`/api/house-mechanics/${house}/checklists/${checklistId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ticked }),
+      });
+      setProgress((current) => ({ ...current, [checklistId]: { ticked: current[checklistId].ticked, completedAt: result.data.completedAt } }));
+    } catch (error) {
+      setProgress((current) => ({ ...current, [checklistId]: previous ?? { ticked: [], completedAt: null } }));
+      notifications.show({
+        title: 'Failed to save checklist',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  return (
+    <Stack gap="md">
+      {(mechanics.wifi.length > 0 || mechanics.doorCodes.length > 0) && (
+        <SimpleGrid cols={{ base: 1, sm: 2 }}>
+          {mechanics.wifi.length > 0 && <WifiCard networks={mechanics.wifi} secretsHidden={secretsHidden} />}
+          {mechanics.doorCodes.length > 0 && <DoorCodesCard doors={mechanics.doorCodes} secretsHidden={secretsHidden} />}
+        </SimpleGrid>
+      )}
+
+      {checklists.map((checklist) => (
+        <ChecklistCard
+          key={checklist.id}
+          checklist={checklist}
+          progress={progress[checklist.id] ?? { ticked: [], completedAt: null }}
+          onChange={(ticked) => saveProgress(checklist.id, ticked)}
+        />
+      ))}
+
+      {mechanics.appliances.length > 0 && <AppliancesCard appliances={mechanics.appliances} />}
+
+      {mechanics.emergencyContacts.length > 0 && <EmergencyContactsCard contacts={mechanics.emergencyContacts} />}
+    </Stack>
+  );
+}
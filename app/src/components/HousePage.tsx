@@ -0,0 +1,124 @@
+import { Title, Text, Card, LoadingOverlay, Alert, Container, Anchor, Group, Accordion, Stack } from '@mantine/core';
+import { IconAlertCircle, IconLock, IconMapPin } from '@tabler/icons-react';
+import { useParams } from 'react-router-dom';
+import Markdown from 'react-markdown';
+import { ProtectedRoute } from './ProtectedRoute';
+import { HouseMechanicsView } from './HouseMechanicsView';
+import { useHouses } from './useHouses';
+import { useHouseMechanics } from './useHouseMechanics';
+import type { House } from '../types';
+
+const mapsLink = (house: House) => house.coordinates
+  ? `https://www.google.com/maps/search/?api=1&query=${house.coordinates.lat},${house.coordinates.lng}`
+  : `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(house.address || '')}`;
+
+function HouseMechanics({ house }: { house: House }) {
+  const { data: markdownContent, mechanics, secretsHidden, secretsUnavailable, details, loading, error } = useHouseMechanics(house.slug);
+
+  return (
+    <>
+      <Title order={1} mb="md">
+        {house.title}
+      </Title>
+
+      {(details?.address || details?.coordinates) && (
+        <Group gap="xs" mb="md">
+          <IconMapPin size={16} />
+          <Anchor href={mapsLink(details)} target="_blank" rel="noopener noreferrer" size="sm">
+            {details.address || 'Open in Google Maps'}
+          </Anchor>
+        </Group>
+      )}
+
+      {secretsHidden && (
+        secretsUnavailable ? (
+          <Alert icon={<IconAlertCircle size={16} />} color="yellow" mb="md">
+            WiFi passwords and door codes can't be shown because SECRETS_ENCRYPTION_KEY is not set on the server. Set it and run the parser again.
+          </Alert>
+        ) : (
+          <Alert icon={<IconLock size={16} />} color="blue" mb="md">
+            WiFi passwords and door codes are hidden. Invited guests see them during their stay.
+          </Alert>
+        )
+      )}
+
+      {mechanics ? (
+        // Widgets first; the full write-up stays available for anything they leave out
+        <Stack gap="md">
+          <HouseMechanicsView house={house.slug} mechanics={mechanics} secretsHidden={secretsHidden} />
+
+          {markdownContent && (
+            <Accordion variant="contained" radius="md">
+              <Accordion.Item value="notes">
+                <Accordion.Control>All house notes</Accordion.Control>
+                <Accordion.Panel>
+                  <div className="markdown-content">
+                    <Markdown>{markdownContent}</Markdown>
+                  </div>
+                </Accordion.Panel>
+              </Accordion.Item>
+            </Accordion>
+          )}
+        </Stack>
+      ) : (
+        <Card shadow="sm" padding="lg" radius="md" withBorder>
+
+          <LoadingOverlay visible={loading} />
+
+          {error && (
+            <Alert icon={<IconAlertCircle size={16} />} title="Error" color="red" mb="md">
+              {error}
+            </Alert>
+          )}
+
+          {markdownContent && (
+            <div className="markdown-content">
+              <Markdown>{markdownContent}</Markdown>
+            </div>
+          )}
+
+          {!loading && !error && !markdownContent && (
+            <Text c="dimmed">
+              (TBD password-protected section with info like wifi, address, house mechanics, etc.)
+            </Text>
+          )}
+        </Card>
+      )}
+    </>
+  );
+}
+
+// Page of any house in the house list, at /<slug>
+export function HousePage() {
+  const { slug = '' } = useParams();
+  const { houses, loading } = useHouses();
+  const house = houses.find((candidate) => candidate.slug === slug);
+
+  if (loading) {
+    return (
+      <Container size="sm" mt="xl">
+        <Text ta="center">Loading...</Text>
+      </Container>
+    );
+  }
+
+  if (!house) {
+    return (
+      <Container size="sm" mt="xl">
+        <Alert icon={<IconAlertCircle size={16} />} title="Page not found" color="gray">
+          There is no house or page at /{slug}.
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <ProtectedRoute
+      permission={`mechanics:read:${house.slug}`}
+      title="Access Required"
+      subtitle={`Please enter the password to access ${house.name} content.`}
+    >
+      <HouseMechanics house={house} />
+    </ProtectedRoute>
+  );
+}
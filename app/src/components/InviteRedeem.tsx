@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { Container, Paper, Title, Text, Alert, Button, Stack, Loader, Group } from '@mantine/core';
+import { IconAlertCircle } from '@tabler/icons-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page for guest invite links: logs the guest in and opens their house
+export function InviteRedeem() {
+  const { code } = useParams<{ code: string }>();
+  const { redeemInvite } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState<string | null>(null);
+  // Logging in re-renders the auth provider, so remember which code was redeemed
+  const redeemedCode = useRef<string | null>(null);
+
+  useEffect(() => {
+    const redeem = async () => {
+      if (!code || redeemedCode.current === code) return;
+      redeemedCode.current = code;
+
+      const result = await redeemInvite(code);
+      if (result.success && result.houses?.length) {
+        navigate(`/${result.houses[0]}`, { replace: true });
+      } else {
+        setError(result.message || 'This invite link could not be used');
+      }
+    };
+
+    redeem();
+  }, [code, redeemInvite, navigate]);
+
+  return (
+    <Container size="sm" mt="xl">
+      <Paper withBorder shadow="md" p="xl" radius="md">
+        {error ? (
+          <Stack gap="md">
+            <Title order={2} ta="center">Invite Unavailable</Title>
+            <Alert icon={<IconAlertCircle size={16} />} color="red">
+              {error}
+            </Alert>
+            <Text size="sm" c="dimmed" ta="center">
+              Ask your host for a new link if you think this is a mistake.
+            </Text>
+            <Group justify="center">
+              <Button component={Link} to="/places" variant="subtle">
+                Browse places
+              </Button>
+            </Group>
+          </Stack>
+        ) : (
+          <Stack gap="md" align="center">
+            <Loader />
+            <Text>Opening your invite...</Text>
+          </Stack>
+        )}
+      </Paper>
+    </Container>
+  );
+}
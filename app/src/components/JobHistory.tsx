@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, ScrollArea, SimpleGrid } from '@mantine/core';
+import { IconRefresh, IconListDetails, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+interface JobStep {
+  name: string;
+  startedAt: string;
+  durationMs: number | null;
+}
+
+interface JobMetrics {
+  llmCalls: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  placesApiCalls: number;
+}
+
+interface JobEvent {
+  type: string;
+  message: string;
+  timestamp: string;
+}
+
+interface ParserJob {
+  id: string;
+  kind?: 'parse' | 'refresh';
+  trigger: 'manual' | 'cli' | 'scheduled';
+  actor: string | null;
+  attempt?: number;
+  status: 'running' | 'completed' | 'failed' | 'cancelled' | 'interrupted';
+  startedAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+  steps: JobStep[];
+  metrics: JobMetrics | null;
+  stats: { totalPlaces?: number; placesFound?: number; placesEnriched?: number } | null;
+  error: string | null;
+  eventCount?: number;
+  events?: JobEvent[];
+}
+
+const statusColors: Record<ParserJob['status'], string> = {
+  running: 'blue',
+  completed: 'green',
+  failed: 'red',
+  cancelled: 'orange',
+  interrupted: 'gray',
+};
+
+const triggerLabels: Record<ParserJob['trigger'], string> = {
+  manual: 'Dashboard',
+  cli: 'CLI',
+  scheduled: 'Scheduled',
+};
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+};
+
+// Places in the result, or found before a cancelled run stopped
+const formatPlaces = (job: ParserJob) => {
+  if (job.stats?.totalPlaces !== undefined) return job.stats.totalPlaces;
+  if (job.stats?.placesFound) return `${job.stats.placesFound} found`;
+  return '—';
+};
+
+export function JobHistory() {
+  const { request } = useAdminApi();
+  const [jobs, setJobs] = useState<ParserJob[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedJob, setSelectedJob] = useState<ParserJob | null>(null);
+  const [detailLoading, setDetailLoading] = useState<string | null>(null);
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: ParserJob[] }>('/api/admin/jobs');
+      setJobs(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load run history',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleShowJob = async (jobId: string) => {
+    setDetailLoading(jobId);
+    try {
+      const result = await request<{ data: ParserJob }>(`/api/admin/jobs/${jobId}`);
+      setSelectedJob(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load run',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setDetailLoading(null);
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Run History</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadJobs}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Every parser run, whether started here, from the command line or by the scheduler, with its timings, API usage and full log.
+        </Text>
+
+        {jobs.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No parser runs recorded yet.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={320} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Started</Table.Th>
+                  <Table.Th>Started by</Table.Th>
+                  <Table.Th>Status</Table.Th>
+                  <Table.Th>Duration</Table.Th>
+                  <Table.Th>Places</Table.Th>
+                  <Table.Th>Tokens</Table.Th>
+                  <Table.Th>Places API calls</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {jobs.map((job) => (
+                  <Table.Tr key={job.id}>
+                    <Table.Td>
+                      <Text size="sm">{new Date(job.startedAt).toLocaleString()}</Text>
+                      {job.kind === 'refresh' && <Text size="xs" c="dimmed">Hours and ratings refresh</Text>}
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{job.actor || triggerLabels[job.trigger]}</Text>
+                      {job.actor && <Text size="xs" c="dimmed">{triggerLabels[job.trigger]}</Text>}
+                    </Table.Td>
+                    <Table.Td>
+                      <Group gap={4}>
+                        <Badge size="sm" variant="light" color={statusColors[job.status]}>{job.status}</Badge>
+                        {job.attempt && job.attempt > 1 && (
+                          <Badge size="sm" variant="outline" color="gray">attempt {job.attempt}</Badge>
+                        )}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>{formatDuration(job.durationMs)}</Table.Td>
+                    <Table.Td>{formatPlaces(job)}</Table.Td>
+                    <Table.Td>{job.metrics ? job.metrics.totalTokens.toLocaleString() : '—'}</Table.Td>
+                    <Table.Td>{job.metrics ? job.metrics.placesApiCalls : '—'}</Table.Td>
+                    <Table.Td>
+                      <Group justify="flex-end">
+                        <Button
+                          size="xs"
+                          variant="outline"
+                          leftSection={<IconListDetails size={14} />}
+                          loading={detailLoading === job.id}
+                          onClick={() => handleShowJob(job.id)}
+                        >
+                          Details
+                        </Button>
+                      </Group>
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+
+        {selectedJob && (
+          <Paper withBorder p="md">
+            <Stack gap="sm">
+              <Group justify="space-between">
+                <Group gap="xs">
+                  <Text fw={500}>Run {selectedJob.id}</Text>
+                  <Badge size="sm" variant="light" color={statusColors[selectedJob.status]}>{selectedJob.status}</Badge>
+                </Group>
+                <Button size="xs" variant="subtle" onClick={() => setSelectedJob(null)}>
+                  Close
+                </Button>
+              </Group>
+
+              {selectedJob.error && (
+                <Text size="sm" c="red">{selectedJob.error}</Text>
+              )}
+
+              {selectedJob.metrics && (
+                <SimpleGrid cols={{ base: 2, sm: 5 }}>
+                  <div>
+                    <Text size="xs" c="dimmed">LLM calls</Text>
+                    <Text size="sm">{selectedJob.metrics.llmCalls}</Text>
+                  </div>
+                  <div>
+                    <Text size="xs" c="dimmed">Prompt tokens</Text>
+                    <Text size="sm">{selectedJob.metrics.promptTokens.toLocaleString()}</Text>
+                  </div>
+                  <div>
+                    <Text size="xs" c="dimmed">Completion tokens</Text>
+                    <Text size="sm">{selectedJob.metrics.completionTokens.toLocaleString()}</Text>
+                  </div>
+                  <div>
+                    <Text size="xs" c="dimmed">Places API calls</Text>
+                    <Text size="sm">{selectedJob.metrics.placesApiCalls}</Text>
+                  </div>
+                  <div>
+                    <Text size="xs" c="dimmed">Duration</Text>
+                    <Text size="sm">{formatDuration(selectedJob.durationMs)}</Text>
+                  </div>
+                </SimpleGrid>
+              )}
+
+              {selectedJob.steps.length > 0 && (
+                <Table>
+                  <Table.Thead>
+                    <Table.Tr>
+                      <Table.Th>Step</Table.Th>
+                      <Table.Th>Time</Table.Th>
+                    </Table.Tr>
+                  </Table.Thead>
+                  <Table.Tbody>
+                    {selectedJob.steps.map((step) => (
+                      <Table.Tr key={`${step.startedAt}-${step.name}`}>
+                        <Table.Td>
+                          <Text size="sm">{step.name}</Text>
+                        </Table.Td>
+                        <Table.Td>{formatDuration(step.durationMs)}</Table.Td>
+                      </Table.Tr>
+                    ))}
+                  </Table.Tbody>
+                </Table>
+              )}
+
+              <Text size="sm" fw={500}>Log ({selectedJob.events?.length || 0} events)</Text>
+              <ScrollArea h={240} scrollbarSize={8}>
+                <Stack gap="xs">
+                  {(selectedJob.events || []).map((event, index) => (
+                    <div key={index} style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem' }}>
+                      <Badge
+                        size="xs"
+                        variant="light"
+                        color={
+                          event.type === 'error' ? 'red' :
+                          event.type === 'warning' ? 'yellow' :
+                          event.type === 'step' ? 'blue' : 'gray'
+                        }
+                      >
+                        {event.type}
+                      </Badge>
+                      <Text size="sm" style={{ fontFamily: 'monospace', flex: 1 }}>
+                        {event.message}
+                      </Text>
+                      <Text size="xs" c="dimmed">
+                        {new Date(event.timestamp).toLocaleTimeString()}
+                      </Text>
+                    </div>
+                  ))}
+                </Stack>
+              </ScrollArea>
+            </Stack>
+          </Paper>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -1,6 +1,8 @@
 import { Container, Group, Button, Burger, Drawer, Stack, Box } from '@mantine/core';
 import { useDisclosure } from '@mantine/hooks';
 import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useHouses } from './useHouses';
 
 // Function to create a CSS filter for the brand color
 function getBrandColorFilter(): string {
@@ -12,14 +14,18 @@ function getBrandColorFilter(): string {
 export function Navigation() {
   const [opened, { open, close }] = useDisclosure(false);
   const location = useLocation();
+  const { user, can } = useAuth();
+  const { houses } = useHouses();
 
-  const tabs = [
+  const allTabs: { id: string; label: string; path: string; house?: string }[] = [
     { id: 'places', label: 'Places', path: '/places' },
-    { id: 'shady', label: 'Shady', path: '/shady' },
-    { id: 'lofty', label: 'Lofty', path: '/lofty' },
+    ...houses.map((house) => ({ id: house.slug, label: house.name, path: `/${house.slug}`, house: house.slug })),
     // { id: 'getting-here', label: 'Getting to the Sheddy', path: '/getting-here' }
   ];
 
+  // Signed-in users only see the houses they can open (invite guests: the houses of their stay)
+  const tabs = allTabs.filter((tab) => !tab.house || !user || can(`mechanics:read:${tab.house}`));
+
   const isActive = (path: string) => {
     return location.pathname === path;
   };
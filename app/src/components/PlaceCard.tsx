@@ -11,6 +11,8 @@ interface PlaceCardProps {
   hideLinks?: boolean;
   hidePhoneHours?: boolean;
   maxDescriptionLength?: number;
+  // Owner of the source document the place comes from
+  recommendedBy?: string | null;
 }
 
 export function PlaceCard({ 
@@ -19,7 +21,8 @@ export function PlaceCard({
   compact = false, 
   hideLinks = false, 
   hidePhoneHours = false,
-  maxDescriptionLength 
+  maxDescriptionLength,
+  recommendedBy
 }: PlaceCardProps) {
   const [isTouchDevice, setIsTouchDevice] = useState(false);
   const [showAllTags, setShowAllTags] = useState(false);
@@ -175,6 +178,12 @@ export function PlaceCard({
             {getDisplayDescription()}
           </Text>
         )}
+
+        {recommendedBy && (
+          <Text size="xs" c="dimmed" fs="italic" mb="xs">
+            Recommended by {recommendedBy}
+          </Text>
+        )}
       </div>
 
       <Group mb="xs">
@@ -191,6 +200,13 @@ export function PlaceCard({
             ⭐ {place.rating}
           </Badge>
         )}
+        {place.overrides && (
+          <Tooltip label={`Curated: ${place.overrides.fields.join(', ')}`}>
+            <Badge variant="light" size="sm" color="teal">
+              CURATED
+            </Badge>
+          </Tooltip>
+        )}
       </Group>
 
       <Stack gap="xs" mb="md">
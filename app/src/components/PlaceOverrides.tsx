@@ -0,0 +1,355 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, Select, TextInput, NumberInput, Textarea, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconPencil, IconTrash, IconCheck, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+import type { Place, PlacesData } from '../types';
+
+interface OverrideFields {
+  name?: string;
+  address?: string;
+  phone?: string;
+  website?: string;
+  coordinates?: { lat: number; lng: number };
+  placeId?: string;
+}
+
+interface PlaceOverride {
+  placeId: string;
+  fields: OverrideFields;
+  note?: string;
+  updatedAt: string;
+  updatedBy: string | null;
+}
+
+interface OverrideForm {
+  name: string;
+  address: string;
+  phone: string;
+  website: string;
+  lat: number | string;
+  lng: number | string;
+  googlePlaceId: string;
+  note: string;
+}
+
+const emptyForm: OverrideForm = {
+  name: '',
+  address: '',
+  phone: '',
+  website: '',
+  lat: '',
+  lng: '',
+  googlePlaceId: '',
+  note: '',
+};
+
+const toForm = (override?: PlaceOverride): OverrideForm => ({
+  name: override?.fields.name || '',
+  address: override?.fields.address || '',
+  phone: override?.fields.phone || '',
+  website: override?.fields.website || '',
+  lat: override?.fields.coordinates?.lat ?? '',
+  lng: override?.fields.coordinates?.lng ?? '',
+  googlePlaceId: override?.fields.placeId || '',
+  note: override?.note || '',
+});
+
+// Only fields that were filled in become overrides
+const toFields = (form: OverrideForm): OverrideFields => {
+  const fields: OverrideFields = {};
+  if (form.name.trim()) fields.name = form.name.trim();
+  if (form.address.trim()) fields.address = form.address.trim();
+  if (form.phone.trim()) fields.phone = form.phone.trim();
+  if (form.website.trim()) fields.website = form.website.trim();
+  if (form.googlePlaceId.trim()) fields.placeId = form.googlePlaceId.trim();
+  if (typeof form.lat === 'number' && typeof form.lng === 'number') {
+    fields.coordinates = { lat: form.lat, lng: form.lng };
+  }
+  return fields;
+};
+
+export function PlaceOverrides() {
+  const { request } = useAdminApi();
+  const [overrides, setOverrides] = useState<PlaceOverride[]>([]);
+  const [places, setPlaces] = useState<Place[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedPlaceId, setSelectedPlaceId] = useState<string | null>(null);
+  const [form, setForm] = useState<OverrideForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState<string | null>(null);
+
+  const loadOverrides = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [overridesResult, placesData] = await Promise.all([
+        request<{ data: PlaceOverride[] }>('/api/admin/overrides'),
+        request<PlacesData>('/api/compound-places'),
+      ]);
+      setOverrides(overridesResult.data);
+      setPlaces(placesData.places);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load overrides',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadOverrides();
+  }, [loadOverrides]);
+
+  const selectPlace = (placeId: string | null) => {
+    setSelectedPlaceId(placeId);
+    setForm(toForm(overrides.find((override) => override.placeId === placeId)));
+  };
+
+  const handleSave = async () => {
+    if (!selectedPlaceId) return;
+
+    setSaving(true);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/overrides/${encodeURIComponent(selectedPlaceId)}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          fields: toFields(form),
+          ...(form.note.trim() && { note: form.note.trim() }),
+        }),
+      });
+      notifications.show({
+        title: 'Override saved',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setSelectedPlaceId(null);
+      setForm(emptyForm);
+      await loadOverrides();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to save override',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (placeId: string) => {
+    try {
+      const result = await request<{ message: string }>(`/api/admin/overrides/${encodeURIComponent(placeId)}`, {
+        method: 'DELETE',
+      });
+      notifications.show({
+        title: 'Override removed',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmDelete(null);
+      await loadOverrides();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to remove override',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  const placeNames = new Map(places.map((place) => [place.id, place.name]));
+  const selectedPlace = places.find((place) => place.id === selectedPlaceId);
+  // Show parsed values rather than curated ones as the hints
+  const original = selectedPlace?.overrides?.original || {};
+  const currentValue = (field: keyof Place) =>
+    String((field in original ? original[field] : selectedPlace?.[field]) ?? '');
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Place Overrides</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadOverrides}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Pin the correct details when Google Places picks the wrong match. Overrides are kept across parser runs and are shown as curated in the guide.
+        </Text>
+
+        {overrides.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">No overrides yet.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={260} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Place</Table.Th>
+                  <Table.Th>Fields</Table.Th>
+                  <Table.Th>Updated</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {overrides.map((override) => (
+                  <Table.Tr key={override.placeId}>
+                    <Table.Td>
+                      <Text size="sm">{placeNames.get(override.placeId) || override.placeId}</Text>
+                      {!placeNames.has(override.placeId) && (
+                        <Badge size="xs" color="yellow" variant="light">Not in guide</Badge>
+                      )}
+                    </Table.Td>
+                    <Table.Td>
+                      <Group gap={4}>
+                        {Object.keys(override.fields).map((field) => (
+                          <Badge key={field} size="xs" variant="outline">{field}</Badge>
+                        ))}
+                      </Group>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">{new Date(override.updatedAt).toLocaleString()}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {confirmDelete === override.placeId ? (
+                        <Group gap="xs" justify="flex-end">
+                          <Button size="xs" color="red" onClick={() => handleDelete(override.placeId)}>
+                            Confirm
+                          </Button>
+                          <Button size="xs" variant="subtle" onClick={() => setConfirmDelete(null)}>
+                            Cancel
+                          </Button>
+                        </Group>
+                      ) : (
+                        <Group gap="xs" justify="flex-end">
+                          <Button
+                            size="xs"
+                            variant="outline"
+                            leftSection={<IconPencil size={14} />}
+                            onClick={() => selectPlace(override.placeId)}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            size="xs"
+                            variant="subtle"
+                            color="red"
+                            leftSection={<IconTrash size={14} />}
+                            onClick={() => setConfirmDelete(override.placeId)}
+                          >
+                            Delete
+                          </Button>
+                        </Group>
+                      )}
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+
+        <Select
+          label="Place"
+          placeholder="Select a place to override"
+          searchable
+          clearable
+          data={places.map((place) => ({ value: place.id, label: place.name }))}
+          value={selectedPlaceId}
+          onChange={selectPlace}
+        />
+
+        {selectedPlaceId && (
+          <Stack gap="sm">
+            <Text size="xs" c="dimmed">
+              Leave a field empty to keep the parsed value (shown as the placeholder).
+            </Text>
+            <Group grow>
+              <TextInput
+                label="Name"
+                placeholder={currentValue('name')}
+                value={form.name}
+                onChange={(event) => setForm({ ...form, name: event.currentTarget.value })}
+              />
+              <TextInput
+                label="Google place_id"
+                placeholder={selectedPlace?.enrichmentStatus.place_id || 'Enrich from this place instead of searching'}
+                value={form.googlePlaceId}
+                onChange={(event) => setForm({ ...form, googlePlaceId: event.currentTarget.value })}
+              />
+            </Group>
+            <TextInput
+              label="Address"
+              placeholder={currentValue('address')}
+              value={form.address}
+              onChange={(event) => setForm({ ...form, address: event.currentTarget.value })}
+            />
+            <Group grow>
+              <TextInput
+                label="Phone"
+                placeholder={currentValue('phone')}
+                value={form.phone}
+                onChange={(event) => setForm({ ...form, phone: event.currentTarget.value })}
+              />
+              <TextInput
+                label="Website"
+                placeholder={currentValue('website')}
+                value={form.website}
+                onChange={(event) => setForm({ ...form, website: event.currentTarget.value })}
+              />
+            </Group>
+            <Group grow>
+              <NumberInput
+                label="Latitude"
+                placeholder={selectedPlace?.coordinates ? String(selectedPlace.coordinates.lat) : ''}
+                decimalScale={6}
+                value={form.lat}
+                onChange={(value) => setForm({ ...form, lat: value })}
+              />
+              <NumberInput
+                label="Longitude"
+                placeholder={selectedPlace?.coordinates ? String(selectedPlace.coordinates.lng) : ''}
+                decimalScale={6}
+                value={form.lng}
+                onChange={(value) => setForm({ ...form, lng: value })}
+              />
+            </Group>
+            <Textarea
+              label="Note"
+              placeholder="Why is this override needed?"
+              autosize
+              minRows={2}
+              value={form.note}
+              onChange={(event) => setForm({ ...form, note: event.currentTarget.value })}
+            />
+            <Group justify="flex-end">
+              <Button variant="subtle" onClick={() => selectPlace(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSave}
+                loading={saving}
+                disabled={Object.keys(toFields(form)).length === 0}
+              >
+                Save override
+              </Button>
+            </Group>
+          </Stack>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -14,7 +14,6 @@ const SAMPLE_DATA: PlacesData = {
     generatedAt: new Date().toISOString(),
     totalPlaces: 3,
     sourceDocTitle: 'Sample Development Data',
-    sourceDocId: 'sample',
     parserVersion: '1.0.0',
     enrichmentVersion: '2.0.0',
     summary: 'Sample places data for development',
@@ -306,6 +305,10 @@ export function PlacesList() {
     return null;
   }
 
+  // Who recommended each place, shown once the guide merges several documents
+  const owners = new Map((placesData.metadata.sources || []).map((source) => [source.docId, source.owner]));
+  const recommendedBy = (place: Place) => owners.size > 1 && place.sourceDocId ? owners.get(place.sourceDocId) : null;
+
   return (
     <Container size="xl" py="xl">
       {isUsingSampleData && (
@@ -361,7 +364,7 @@ export function PlacesList() {
             spacing="md"
           >
             {displayedPlaces.map((place) => (
-              <PlaceCard key={place.id} place={place} />
+              <PlaceCard key={place.id} place={place} recommendedBy={recommendedBy(place)} />
             ))}
           </SimpleGrid>
           
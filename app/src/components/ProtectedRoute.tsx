@@ -1,18 +1,26 @@
 import { useState } from 'react';
 import type { ReactNode } from 'react';
 import { Container, Paper, Title, TextInput, Button, Alert, Stack, Text, Group } from '@mantine/core';
-import { IconLock, IconAlertCircle, IconLogout } from '@tabler/icons-react';
+import { IconLock, IconUser, IconAlertCircle, IconLogout } from '@tabler/icons-react';
 import { useAuth } from '../contexts/AuthContext';
 
 interface ProtectedRouteProps {
   children: ReactNode;
-  requiredRole: 'admin' | 'guest';
+  // Permission needed to see the page, e.g. 'mechanics:read:lofty'
+  permission: string;
   title: string;
   subtitle?: string;
 }
 
-export function ProtectedRoute({ children, requiredRole, title, subtitle }: ProtectedRouteProps) {
-  const { user, isLoading, login, logout, hasAccess } = useAuth();
+const roleLabels = {
+  admin: 'Admin',
+  editor: 'Editor',
+  guest: 'Guest',
+};
+
+export function ProtectedRoute({ children, permission, title, subtitle }: ProtectedRouteProps) {
+  const { user, isLoading, login, logout, can } = useAuth();
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState<string | null>(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -26,13 +34,13 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
   }
 
   // Check if user has access
-  if (hasAccess(requiredRole)) {
+  if (can(permission)) {
     return (
       <Container size="lg" py="md">
         <Group justify="flex-end" mb="md">
           <Group gap="sm">
             <Text size="sm" c="dimmed">
-              Logged in as {user?.role === 'admin' ? 'Admin' : 'Guest'}
+              Logged in as {user?.displayName} ({user && roleLabels[user.role]})
             </Text>
             <Button
               leftSection={<IconLogout size={16} />}
@@ -50,7 +58,8 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
   }
 
   // User needs to login or doesn't have sufficient permissions
-  const isWrongRole = user && !hasAccess(requiredRole);
+  const isWrongRole = user && !can(permission);
+  const isOutsideStay = isWrongRole && permission.startsWith('mechanics:read:') && user.houses;
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -59,7 +68,7 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
     setIsSubmitting(true);
     setError(null);
 
-    const result = await login(password);
+    const result = await login(username, password);
     
     if (!result.success) {
       setError(result.message || 'Login failed');
@@ -70,6 +79,11 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
     setPassword('');
   };
 
+  const handleUsernameChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setUsername(e.target.value);
+    if (error) setError(null);
+  };
+
   const handlePasswordChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setPassword(e.target.value);
     if (error) setError(null);
@@ -81,7 +95,9 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
         <Alert color="orange" mb="md">
           <Group justify="space-between">
             <Text size="sm">
-              You are logged in as <strong>{user?.role}</strong>, but {requiredRole} access is required.
+              {isOutsideStay
+                ? <>Your invite covers <strong>{user.houses?.join(' and ')}</strong> only.</>
+                : <>You are logged in as <strong>{user?.role}</strong>, which can't open this page.</>}
             </Text>
             <Button size="xs" variant="outline" onClick={logout}>
               Logout
@@ -110,6 +126,14 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
           
           <form onSubmit={handleSubmit}>
             <Stack gap="md">
+              <TextInput
+                label="Username"
+                placeholder="Enter username"
+                value={username}
+                onChange={handleUsernameChange}
+                leftSection={<IconUser size={16} />}
+                autoComplete="username"
+              />
               <TextInput
                 type="password"
                 label="Password"
@@ -117,6 +141,7 @@ export function ProtectedRoute({ children, requiredRole, title, subtitle }: Prot
                 value={password}
                 onChange={handlePasswordChange}
                 leftSection={<IconLock size={16} />}
+                autoComplete="current-password"
                 required
               />
               <Button
@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconCheck, IconBan, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+interface MatchCandidate {
+  googlePlaceId: string;
+  name: string;
+  address: string | null;
+  types: string[];
+  score: number;
+  confidence: 'high' | 'medium' | 'low';
+  nameScore: number | null;
+  distanceScore: number | null;
+  typeScore: number | null;
+  distanceKm: number | null;
+}
+
+interface ReviewItem {
+  placeId: string;
+  placeName: string;
+  placeType: string;
+  category: string | null;
+  query: string;
+  candidates: MatchCandidate[];
+  queuedAt: string;
+}
+
+const confidenceColors: Record<MatchCandidate['confidence'], string> = {
+  high: 'green',
+  medium: 'yellow',
+  low: 'red',
+};
+
+export function ReviewQueue() {
+  const { request } = useAdminApi();
+  const [items, setItems] = useState<ReviewItem[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [resolving, setResolving] = useState<string | null>(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: ReviewItem[] }>('/api/admin/review-queue');
+      setItems(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load review queue',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleResolve = async (placeId: string, body: { googlePlaceId: string } | { reject: true }) => {
+    setResolving(placeId);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/review-queue/${encodeURIComponent(placeId)}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+      });
+      notifications.show({
+        title: 'Review saved',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      await loadQueue();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to save review',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Group gap="xs">
+            <Title order={3}>Match Review</Title>
+            {items.length > 0 && <Badge color="yellow">{items.length}</Badge>}
+          </Group>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadQueue}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Places whose best Google Places result scored too low to trust are held here instead of being enriched. Pick the right match or reject enrichment; the decision is applied on the next parser run.
+        </Text>
+
+        {items.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">Nothing waiting for review.</Text>
+        ) : (
+          <ScrollArea.Autosize mah={600} scrollbarSize={8}>
+            <Stack gap="lg">
+              {items.map((item) => (
+                <Stack key={item.placeId} gap="xs">
+                  <Group justify="space-between">
+                    <div>
+                      <Text fw={500}>{item.placeName}</Text>
+                      <Text size="xs" c="dimmed">
+                        {item.category || item.placeType} · searched for “{item.query}”
+                      </Text>
+                    </div>
+                    <Button
+                      size="xs"
+                      variant="subtle"
+                      color="red"
+                      leftSection={<IconBan size={14} />}
+                      loading={resolving === item.placeId}
+                      onClick={() => handleResolve(item.placeId, { reject: true })}
+                    >
+                      Reject enrichment
+                    </Button>
+                  </Group>
+                  <Table striped>
+                    <Table.Thead>
+                      <Table.Tr>
+                        <Table.Th>Candidate</Table.Th>
+                        <Table.Th>Distance</Table.Th>
+                        <Table.Th>Score</Table.Th>
+                        <Table.Th />
+                      </Table.Tr>
+                    </Table.Thead>
+                    <Table.Tbody>
+                      {item.candidates.map((candidate) => (
+                        <Table.Tr key={candidate.googlePlaceId}>
+                          <Table.Td>
+                            <Text size="sm">{candidate.name}</Text>
+                            <Text size="xs" c="dimmed">{candidate.address || 'No address'}</Text>
+                          </Table.Td>
+                          <Table.Td>
+                            <Text size="sm">
+                              {candidate.distanceKm !== null ? `${candidate.distanceKm.toFixed(1)} km` : '—'}
+                            </Text>
+                          </Table.Td>
+                          <Table.Td>
+                            <Badge size="sm" variant="light" color={confidenceColors[candidate.confidence]}>
+                              {Math.round(candidate.score * 100)}%
+                            </Badge>
+                          </Table.Td>
+                          <Table.Td>
+                            <Group justify="flex-end">
+                              <Button
+                                size="xs"
+                                variant="outline"
+                                leftSection={<IconCheck size={14} />}
+                                disabled={resolving === item.placeId}
+                                onClick={() => handleResolve(item.placeId, { googlePlaceId: candidate.googlePlaceId })}
+                              >
+                                Use this match
+                              </Button>
+                            </Group>
+                          </Table.Td>
+                        </Table.Tr>
+                      ))}
+                    </Table.Tbody>
+                  </Table>
+                </Stack>
+              ))}
+            </Stack>
+          </ScrollArea.Autosize>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Switch, NumberInput, SimpleGrid } from '@mantine/core';
+import { IconRefresh, IconCheck, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+interface ScheduleSettingsData {
+  documentCheck: { enabled: boolean; intervalMinutes: number };
+  enrichmentRefresh: { enabled: boolean; intervalHours: number };
+  updatedAt: string | null;
+  updatedBy: string | null;
+}
+
+interface TaskState {
+  lastRunAt?: string;
+  result?: 'unchanged' | 'queued' | 'already-queued' | 'failed';
+  error?: string | null;
+  modifiedTimes?: Record<string, string | null>;
+  nextRunAt: string | null;
+}
+
+interface ScheduleStatus {
+  settings: ScheduleSettingsData;
+  documentCheck: TaskState;
+  enrichmentRefresh: TaskState;
+}
+
+const resultLabels: Record<NonNullable<TaskState['result']>, string> = {
+  unchanged: 'no changes',
+  queued: 'run queued',
+  'already-queued': 'a run was already queued',
+  failed: 'failed',
+};
+
+const formatTime = (value?: string | null) => value ? new Date(value).toLocaleString() : '—';
+
+function TaskSummary({ state }: { state: TaskState }) {
+  return (
+    <Stack gap={2}>
+      <Text size="xs" c="dimmed">
+        Last run: {formatTime(state.lastRunAt)}{state.result && ` (${resultLabels[state.result]})`}
+      </Text>
+      {state.error && <Text size="xs" c="red">{state.error}</Text>}
+      {state.nextRunAt && <Text size="xs" c="dimmed">Next run: {formatTime(state.nextRunAt)}</Text>}
+    </Stack>
+  );
+}
+
+export function ScheduleSettings() {
+  const { request } = useAdminApi();
+  const [status, setStatus] = useState<ScheduleStatus | null>(null);
+  const [form, setForm] = useState<ScheduleSettingsData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadSchedule = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: ScheduleStatus }>('/api/admin/schedule');
+      setStatus(result.data);
+      setForm(result.data.settings);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load schedule',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setSaving(true);
+    try {
+      const result = await request<{ message: string; data: ScheduleStatus }>('/api/admin/schedule', {
+        method: 'PUT',
+        body: JSON.stringify({
+          documentCheck: form.documentCheck,
+          enrichmentRefresh: form.enrichmentRefresh,
+        }),
+      });
+      setStatus(result.data);
+      setForm(result.data.settings);
+      notifications.show({
+        title: 'Schedule saved',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to save schedule',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Automatic Runs</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadSchedule}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Re-parse the source documents on their own once one of them has been edited, and keep opening hours and ratings up to date between parses. Scheduled runs are queued like any other run and show up in the run history.
+        </Text>
+
+        {form && status && (
+          <>
+            <SimpleGrid cols={{ base: 1, sm: 2 }}>
+              <Paper withBorder p="md">
+                <Stack gap="sm">
+                  <Switch
+                    label="Re-parse when a document changes"
+                    checked={form.documentCheck.enabled}
+                    onChange={(event) => setForm({
+                      ...form,
+                      documentCheck: { ...form.documentCheck, enabled: event.currentTarget.checked },
+                    })}
+                  />
+                  <NumberInput
+                    label="Check the documents every (minutes)"
+                    min={5}
+                    max={1440}
+                    allowDecimal={false}
+                    value={form.documentCheck.intervalMinutes}
+                    onChange={(value) => setForm({
+                      ...form,
+                      documentCheck: { ...form.documentCheck, intervalMinutes: Number(value) || 5 },
+                    })}
+                  />
+                  <TaskSummary state={status.documentCheck} />
+                </Stack>
+              </Paper>
+
+              <Paper withBorder p="md">
+                <Stack gap="sm">
+                  <Switch
+                    label="Refresh hours and ratings"
+                    checked={form.enrichmentRefresh.enabled}
+                    onChange={(event) => setForm({
+                      ...form,
+                      enrichmentRefresh: { ...form.enrichmentRefresh, enabled: event.currentTarget.checked },
+                    })}
+                  />
+                  <NumberInput
+                    label="Refresh every (hours)"
+                    min={1}
+                    max={720}
+                    allowDecimal={false}
+                    value={form.enrichmentRefresh.intervalHours}
+                    onChange={(value) => setForm({
+                      ...form,
+                      enrichmentRefresh: { ...form.enrichmentRefresh, intervalHours: Number(value) || 1 },
+                    })}
+                  />
+                  <TaskSummary state={status.enrichmentRefresh} />
+                </Stack>
+              </Paper>
+            </SimpleGrid>
+
+            <Group justify="space-between">
+              <Text size="xs" c="dimmed">
+                {form.updatedAt
+                  ? `Last changed ${formatTime(form.updatedAt)}${form.updatedBy ? ` by ${form.updatedBy}` : ''}`
+                  : 'Automatic runs have not been set up yet.'}
+              </Text>
+              <Button leftSection={<IconCheck size={16} />} onClick={handleSave} loading={saving}>
+                Save Schedule
+              </Button>
+            </Group>
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
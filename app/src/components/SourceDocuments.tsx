@@ -0,0 +1,281 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, TextInput, Anchor, ScrollArea, Alert } from '@mantine/core';
+import { IconRefresh, IconFilePlus, IconPencil, IconTrash, IconExternalLink, IconCheck, IconX, IconLock } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+import type { SourceDocumentSummary } from '../types';
+
+interface SourceDocument {
+  docId: string;
+  owner: string | null;
+  categoryPrefix: string | null;
+  url: string;
+  lastParse: SourceDocumentSummary | null;
+}
+
+const statusColors: Record<SourceDocumentSummary['status'], string> = {
+  parsed: 'green',
+  carried: 'gray',
+  failed: 'red',
+};
+
+// Accepts the document's URL as well as its bare ID
+const toDocId = (value: string) => value.trim().match(/\/document\/d\/([A-Za-z0-9_-]+)/)?.[1] || value.trim();
+
+export function SourceDocuments() {
+  const { request } = useAdminApi();
+  const [sources, setSources] = useState<SourceDocument[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [documentInput, setDocumentInput] = useState('');
+  const [owner, setOwner] = useState('');
+  const [categoryPrefix, setCategoryPrefix] = useState('');
+  const [editing, setEditing] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState<string | null>(null);
+  const [secretsEnabled, setSecretsEnabled] = useState(true);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: SourceDocument[]; secretsEnabled: boolean }>('/api/admin/sources');
+      setSources(result.data);
+      setSecretsEnabled(result.secretsEnabled);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load source documents',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  const startEditing = (source: SourceDocument) => {
+    setEditing(source.docId);
+    setDocumentInput(source.docId);
+    setOwner(source.owner || '');
+    setCategoryPrefix(source.categoryPrefix || '');
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setDocumentInput('');
+    setOwner('');
+    setCategoryPrefix('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/sources/${encodeURIComponent(toDocId(documentInput))}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          owner: owner.trim(),
+          categoryPrefix: categoryPrefix.trim() || null,
+        }),
+      });
+      notifications.show({
+        title: editing ? 'Source document updated' : 'Source document added',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      resetForm();
+      await loadSources();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to save source document',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (docId: string) => {
+    try {
+      const result = await request<{ message: string }>(`/api/admin/sources/${encodeURIComponent(docId)}`, {
+        method: 'DELETE',
+      });
+      notifications.show({
+        title: 'Source document removed',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      setConfirmDelete(null);
+      if (editing === docId) resetForm();
+      await loadSources();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to remove source document',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Source Documents</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadSources}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Every run parses these Google Docs and merges their places into one guide, in this order. Each place remembers the document it came from. A category prefix goes in front of the categories of a document's places, e.g. "Grandma / Restaurants". Share each document with the parser's service account.
+        </Text>
+
+        {!secretsEnabled && (
+          <Alert icon={<IconLock size={16} />} color="yellow" title="House secrets can't be stored">
+            SECRETS_ENCRYPTION_KEY is not set, so parser runs stop when these documents contain WiFi passwords or door codes. Set it on the server and worker to store them encrypted.
+          </Alert>
+        )}
+
+        {sources.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">
+            No source documents yet. Add the first one below.
+          </Text>
+        ) : (
+          <ScrollArea.Autosize mah={360} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Document</Table.Th>
+                  <Table.Th>Category prefix</Table.Th>
+                  <Table.Th>Last parse</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {sources.map((source) => (
+                  <Table.Tr key={source.docId}>
+                    <Table.Td>
+                      <Anchor href={source.url} target="_blank" rel="noopener noreferrer" size="sm">
+                        <Group gap={4} wrap="nowrap">
+                          {source.lastParse?.title || source.docId}
+                          <IconExternalLink size={12} />
+                        </Group>
+                      </Anchor>
+                      <Text size="xs" c="dimmed">{source.owner || 'No owner set'}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c={source.categoryPrefix ? undefined : 'dimmed'}>
+                        {source.categoryPrefix || '—'}
+                      </Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {source.lastParse ? (
+                        <Stack gap={2}>
+                          <Group gap="xs">
+                            <Badge size="xs" variant="light" color={statusColors[source.lastParse.status]}>
+                              {source.lastParse.status}
+                            </Badge>
+                            <Text size="xs">{source.lastParse.totalPlaces} places</Text>
+                          </Group>
+                          {source.lastParse.parsedAt && (
+                            <Text size="xs" c="dimmed">{new Date(source.lastParse.parsedAt).toLocaleString()}</Text>
+                          )}
+                          {source.lastParse.error && <Text size="xs" c="red">{source.lastParse.error}</Text>}
+                        </Stack>
+                      ) : (
+                        <Text size="xs" c="dimmed">Not parsed yet</Text>
+                      )}
+                    </Table.Td>
+                    <Table.Td>
+                      {confirmDelete === source.docId ? (
+                        <Group gap="xs" justify="flex-end">
+                          <Button size="xs" color="red" onClick={() => handleDelete(source.docId)}>
+                            Confirm
+                          </Button>
+                          <Button size="xs" variant="subtle" onClick={() => setConfirmDelete(null)}>
+                            Cancel
+                          </Button>
+                        </Group>
+                      ) : (
+                        <Group gap="xs" justify="flex-end">
+                          <Button
+                            size="xs"
+                            variant="outline"
+                            leftSection={<IconPencil size={14} />}
+                            onClick={() => startEditing(source)}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            size="xs"
+                            variant="subtle"
+                            color="red"
+                            leftSection={<IconTrash size={14} />}
+                            onClick={() => setConfirmDelete(source.docId)}
+                          >
+                            Remove
+                          </Button>
+                        </Group>
+                      )}
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+
+        <Group align="flex-end">
+          <TextInput
+            label="Google Doc"
+            placeholder="Document URL or ID"
+            value={documentInput}
+            disabled={Boolean(editing)}
+            onChange={(event) => setDocumentInput(event.currentTarget.value)}
+            style={{ flex: 2 }}
+          />
+          <TextInput
+            label="Owner"
+            placeholder="e.g. Grandma"
+            value={owner}
+            onChange={(event) => setOwner(event.currentTarget.value)}
+            style={{ flex: 1 }}
+          />
+          <TextInput
+            label="Category prefix"
+            placeholder="Optional"
+            value={categoryPrefix}
+            onChange={(event) => setCategoryPrefix(event.currentTarget.value)}
+            style={{ flex: 1 }}
+          />
+          {editing && (
+            <Button variant="subtle" onClick={resetForm}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            leftSection={editing ? <IconCheck size={16} /> : <IconFilePlus size={16} />}
+            onClick={handleSave}
+            loading={saving}
+            disabled={!documentInput.trim() || !owner.trim()}
+          >
+            {editing ? 'Save' : 'Add'}
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconX } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+
+type InviteStatus = 'upcoming' | 'active' | 'expired' | 'revoked';
+
+interface StayChecklist {
+  stayId: string;
+  kind: 'invite' | 'account';
+  guestName: string;
+  checkIn: string | null;
+  checkOut: string | null;
+  status: InviteStatus | null;
+  house: string;
+  updatedAt?: string;
+  departure: {
+    done: number;
+    total: number;
+    completedAt: string | null;
+  };
+}
+
+const statusColors: Record<InviteStatus, string> = {
+  upcoming: 'blue',
+  active: 'green',
+  expired: 'gray',
+  revoked: 'red',
+};
+
+function DepartureStatus({ departure }: { departure: StayChecklist['departure'] }) {
+  if (departure.total === 0) {
+    return <Text size="xs" c="dimmed">No departure checklist</Text>;
+  }
+
+  if (departure.completedAt) {
+    return (
+      <Stack gap={2}>
+        <Badge size="xs" variant="light" color="green">completed</Badge>
+        <Text size="xs" c="dimmed">{new Date(departure.completedAt).toLocaleString()}</Text>
+      </Stack>
+    );
+  }
+
+  return (
+    <Badge size="xs" variant="light" color={departure.done > 0 ? 'yellow' : 'gray'}>
+      {departure.done > 0 ? `${departure.done}/${departure.total} done` : 'not started'}
+    </Badge>
+  );
+}
+
+export function StayChecklists() {
+  const { request } = useAdminApi();
+  const [stays, setStays] = useState<StayChecklist[]>([]);
+  const [houseNames, setHouseNames] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(false);
+
+  const loadStays = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [result, houseList] = await Promise.all([
+        request<{ data: StayChecklist[] }>('/api/admin/checklists'),
+        request<{ data: { slug: string; name: string }[] }>('/api/admin/houses'),
+      ]);
+      setStays(result.data);
+      setHouseNames(Object.fromEntries(houseList.data.map((house) => [house.slug, house.name])));
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load stay checklists',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadStays();
+  }, [loadStays]);
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Stay Checklists</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadStays}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Whether guests ticked off the departure checklist of each house they stayed in. Progress is kept per invite; signed-in accounts show up once they tick something.
+        </Text>
+
+        {stays.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">
+            No stays yet.
+          </Text>
+        ) : (
+          <ScrollArea.Autosize mah={360} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Guest</Table.Th>
+                  <Table.Th>House</Table.Th>
+                  <Table.Th>Stay</Table.Th>
+                  <Table.Th>Departure checklist</Table.Th>
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {stays.map((stay) => (
+                  <Table.Tr key={`${stay.stayId}-${stay.house}`}>
+                    <Table.Td>
+                      <Text size="sm">{stay.guestName}</Text>
+                      {stay.status ? (
+                        <Badge size="xs" variant="light" color={statusColors[stay.status]}>{stay.status}</Badge>
+                      ) : (
+                        <Text size="xs" c="dimmed">Account</Text>
+                      )}
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{houseNames[stay.house] || stay.house}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {stay.checkIn && stay.checkOut ? (
+                        <>
+                          <Text size="sm">{new Date(stay.checkIn).toLocaleString()}</Text>
+                          <Text size="xs" c="dimmed">to {new Date(stay.checkOut).toLocaleString()}</Text>
+                        </>
+                      ) : (
+                        <Text size="xs" c="dimmed">
+                          {stay.updatedAt ? `Last ticked ${new Date(stay.updatedAt).toLocaleString()}` : '—'}
+                        </Text>
+                      )}
+                    </Table.Td>
+                    <Table.Td>
+                      <DepartureStatus departure={stay.departure} />
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,301 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Paper, Title, Text, Stack, Group, Button, Badge, Table, Select, TextInput, Alert, Code, CopyButton, ScrollArea } from '@mantine/core';
+import { IconRefresh, IconUserPlus, IconKey, IconLock, IconLockOpen, IconCheck, IconX, IconCopy } from '@tabler/icons-react';
+import { notifications } from '@mantine/notifications';
+import { useAdminApi } from './useAdminApi';
+import { useAuth } from '../contexts/AuthContext';
+
+type UserRole = 'admin' | 'editor' | 'guest';
+
+interface UserAccount {
+  id: string;
+  username: string;
+  displayName: string;
+  role: UserRole;
+  disabled: boolean;
+  createdAt: string;
+  lastLoginAt: string | null;
+}
+
+interface PasswordResult {
+  user: UserAccount;
+  temporaryPassword: string | null;
+}
+
+const roleOptions = [
+  { value: 'guest', label: 'Guest' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'admin', label: 'Admin' },
+];
+
+const roleColors: Record<UserRole, string> = {
+  admin: 'grape',
+  editor: 'orange',
+  guest: 'blue',
+};
+
+export function UserManagement() {
+  const { request } = useAdminApi();
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<UserAccount[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [username, setUsername] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [role, setRole] = useState<UserRole>('guest');
+  const [inviting, setInviting] = useState(false);
+  const [busyUserId, setBusyUserId] = useState<string | null>(null);
+  const [issuedPassword, setIssuedPassword] = useState<{ username: string; password: string } | null>(null);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request<{ data: UserAccount[] }>('/api/admin/users');
+      setUsers(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to load users',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const showIssuedPassword = (result: PasswordResult) => {
+    if (result.temporaryPassword) {
+      setIssuedPassword({ username: result.user.username, password: result.temporaryPassword });
+    }
+  };
+
+  const handleInvite = async () => {
+    setInviting(true);
+    try {
+      const result = await request<{ message: string; data: PasswordResult }>('/api/admin/users', {
+        method: 'POST',
+        body: JSON.stringify({
+          username: username.trim(),
+          role,
+          ...(displayName.trim() && { displayName: displayName.trim() }),
+        }),
+      });
+      notifications.show({
+        title: 'User invited',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      showIssuedPassword(result.data);
+      setUsername('');
+      setDisplayName('');
+      setRole('guest');
+      await loadUsers();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to invite user',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleToggleDisabled = async (account: UserAccount) => {
+    setBusyUserId(account.id);
+    try {
+      const result = await request<{ message: string }>(`/api/admin/users/${account.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ disabled: !account.disabled }),
+      });
+      notifications.show({
+        title: account.disabled ? 'User enabled' : 'User disabled',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      await loadUsers();
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to update user',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleResetPassword = async (account: UserAccount) => {
+    setBusyUserId(account.id);
+    try {
+      const result = await request<{ message: string; data: PasswordResult }>(`/api/admin/users/${account.id}/reset-password`, {
+        method: 'POST',
+      });
+      notifications.show({
+        title: 'Password reset',
+        message: result.message,
+        color: 'green',
+        icon: <IconCheck size={16} />,
+      });
+      showIssuedPassword(result.data);
+    } catch (error) {
+      notifications.show({
+        title: 'Failed to reset password',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        color: 'red',
+        icon: <IconX size={16} />,
+      });
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  return (
+    <Paper withBorder shadow="md" p="xl" radius="md">
+      <Stack gap="md">
+        <Group justify="space-between">
+          <Title order={3}>Users</Title>
+          <Button
+            variant="subtle"
+            leftSection={<IconRefresh size={16} />}
+            onClick={loadUsers}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Group>
+
+        <Text c="dimmed" size="sm">
+          Everyone logs in with their own account. Disabling an account signs that person out everywhere without affecting anyone else.
+        </Text>
+
+        {issuedPassword && (
+          <Alert color="blue" withCloseButton onClose={() => setIssuedPassword(null)}>
+            <Stack gap="xs">
+              <Text size="sm">
+                Temporary password for <strong>{issuedPassword.username}</strong>. Share it securely; it is not shown again.
+              </Text>
+              <Group gap="xs">
+                <Code>{issuedPassword.password}</Code>
+                <CopyButton value={issuedPassword.password}>
+                  {({ copied, copy }) => (
+                    <Button size="xs" variant="subtle" leftSection={<IconCopy size={14} />} onClick={copy}>
+                      {copied ? 'Copied' : 'Copy'}
+                    </Button>
+                  )}
+                </CopyButton>
+              </Group>
+            </Stack>
+          </Alert>
+        )}
+
+        {users.length === 0 && !loading ? (
+          <Text size="sm" c="dimmed">
+            No accounts yet. You are signed in with the shared admin password, which stops working once the first account exists, so start by inviting yourself as an admin.
+          </Text>
+        ) : (
+          <ScrollArea.Autosize mah={360} scrollbarSize={8}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>User</Table.Th>
+                  <Table.Th>Role</Table.Th>
+                  <Table.Th>Last login</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {users.map((account) => (
+                  <Table.Tr key={account.id}>
+                    <Table.Td>
+                      <Group gap="xs">
+                        <Text size="sm">{account.displayName}</Text>
+                        {account.disabled && <Badge size="xs" color="red" variant="light">Disabled</Badge>}
+                        {account.id === currentUser?.id && <Badge size="xs" variant="outline">You</Badge>}
+                      </Group>
+                      <Text size="xs" c="dimmed">{account.username}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Badge size="sm" variant="light" color={roleColors[account.role]}>
+                        {account.role}
+                      </Badge>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm" c="dimmed">
+                        {account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString() : 'Never'}
+                      </Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Group gap="xs" justify="flex-end">
+                        <Button
+                          size="xs"
+                          variant="outline"
+                          leftSection={<IconKey size={14} />}
+                          loading={busyUserId === account.id}
+                          onClick={() => handleResetPassword(account)}
+                        >
+                          Reset password
+                        </Button>
+                        <Button
+                          size="xs"
+                          variant="subtle"
+                          color={account.disabled ? 'green' : 'red'}
+                          leftSection={account.disabled ? <IconLockOpen size={14} /> : <IconLock size={14} />}
+                          disabled={account.id === currentUser?.id || busyUserId === account.id}
+                          onClick={() => handleToggleDisabled(account)}
+                        >
+                          {account.disabled ? 'Enable' : 'Disable'}
+                        </Button>
+                      </Group>
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+
+        <Group align="flex-end">
+          <TextInput
+            label="Username"
+            placeholder="e.g. alice"
+            value={username}
+            onChange={(event) => setUsername(event.currentTarget.value)}
+            style={{ flex: 1 }}
+          />
+          <TextInput
+            label="Display name"
+            placeholder="Optional"
+            value={displayName}
+            onChange={(event) => setDisplayName(event.currentTarget.value)}
+            style={{ flex: 1 }}
+          />
+          <Select
+            label="Role"
+            data={roleOptions}
+            value={role}
+            onChange={(value) => setRole((value as UserRole) || 'guest')}
+            allowDeselect={false}
+            w={120}
+          />
+          <Button
+            leftSection={<IconUserPlus size={16} />}
+            onClick={handleInvite}
+            loading={inviting}
+            disabled={!username.trim()}
+          >
+            Invite
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+}
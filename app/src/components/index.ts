@@ -1,16 +1,31 @@
+export { ActiveSessions } from './ActiveSessions';
 export { Admin } from './Admin';
 export { AdminDashboard } from './AdminDashboard';
+export { AuditLog } from './AuditLog';
+export { DatasetVersions } from './DatasetVersions';
 export { Footer } from './Footer';
 export { GettingHere } from './GettingHere';
+export { GuestInvites } from './GuestInvites';
 export { Home } from './Home';
-export { Lofty } from './Lofty';
+export { HouseManagement } from './HouseManagement';
+export { HouseMechanicsView } from './HouseMechanicsView';
+export { HousePage } from './HousePage';
+export { InviteRedeem } from './InviteRedeem';
+export { JobHistory } from './JobHistory';
 export { MapView } from './MapView';
 export { Navigation } from './Navigation';
 export { PlaceCard } from './PlaceCard';
 export { PlaceListItem } from './PlaceListItem';
+export { PlaceOverrides } from './PlaceOverrides';
 export { PlacesList } from './PlacesList';
 export { ProtectedRoute } from './ProtectedRoute';
-export { Shady } from './Shady';
+export { ReviewQueue } from './ReviewQueue';
+export { ScheduleSettings } from './ScheduleSettings';
+export { SourceDocuments } from './SourceDocuments';
+export { StayChecklists } from './StayChecklists';
+export { UserManagement } from './UserManagement';
 
 // Hooks
-export { useHouseMechanics } from './useHouseMechanics'; 
\ No newline at end of file
+export { useAdminApi } from './useAdminApi';
+export { useHouseMechanics } from './useHouseMechanics';
+export { useHouses } from './useHouses'; 
\ No newline at end of file
@@ -0,0 +1,86 @@
+export interface StreamEvent {
+  id?: number;
+  type: 'connected' | 'step' | 'info' | 'warning' | 'error' | 'completed' | 'cancelled' | 'heartbeat';
+  message: string;
+  timestamp: string;
+  data?: unknown;
+}
+
+interface StreamParserEventsOptions {
+  headers: Record<string, string>;
+  // Id of the last event received; the server replays everything after it
+  lastEventId?: number;
+  signal: AbortSignal;
+  onEvent: (event: StreamEvent) => void;
+}
+
+// The server sends a heartbeat every 15 seconds; a stream that stays silent
+// for longer than this is treated as dead
+const IDLE_TIMEOUT_MS = 45000;
+
+// Reads the parser's Server-Sent Events stream. fetch is used instead of
+// EventSource because EventSource can't send the Authorization header.
+// Resolves when the server ends the stream or `signal` aborts it, rejects
+// when the request fails or the stream goes quiet.
+export async function streamParserEvents({ headers, lastEventId, signal, onEvent }: StreamParserEventsOptions): Promise<void> {
+  let idleTimer: ReturnType<typeof setTimeout> | undefined;
+  let timedOut = false;
+
+  try {
+    const response = await fetch('/api/admin/parse-events', {
+      headers: {
+        ...headers,
+        'Accept': 'text/event-stream',
+        ...(lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {}),
+      },
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        timedOut = true;
+        reader.cancel();
+      }, IDLE_TIMEOUT_MS);
+    };
+    resetIdleTimer();
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      resetIdleTimer();
+
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop() ?? '';
+
+      for (const frame of frames) {
+        const data = frame
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trimStart())
+          .join('\n');
+        if (data) {
+          onEvent(JSON.parse(data));
+        }
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) return;
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  if (timedOut) {
+    throw new Error('Parser event stream timed out');
+  }
+}
@@ -0,0 +1,86 @@
+import { useCallback } from 'react';
+import { notifications } from '@mantine/notifications';
+import { useAuth } from '../contexts/AuthContext';
+
+interface ApiErrorResponse {
+  success: false;
+  message?: string;
+}
+
+// Thrown for requests the signed-in user is not allowed to make (HTTP 403)
+export class AuthorizationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AuthorizationError';
+  }
+}
+
+// Authenticated requests against the admin API. A rejected access token (401)
+// is refreshed once and the request retried; ended sessions log the user out.
+// Missing permissions (403) don't touch the session and throw an AuthorizationError.
+export function useAdminApi() {
+  const { user, logout, refreshSession } = useAuth();
+  const token = user?.token;
+
+  const fetchWithAuth = useCallback(async (path: string, options: RequestInit = {}): Promise<Response> => {
+    const send = (accessToken: string | null | undefined) => fetch(path, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        ...options.headers,
+      },
+    });
+
+    let response = await send(token);
+
+    if (response.status === 401) {
+      const refreshedToken = await refreshSession();
+      if (refreshedToken) {
+        response = await send(refreshedToken);
+      }
+    }
+
+    if (response.status === 401) {
+      notifications.show({
+        title: 'Authentication Error',
+        message: 'Your session has expired. Please log in again.',
+        color: 'red',
+      });
+      logout();
+      throw new Error('Session expired');
+    }
+
+    if (response.status === 403) {
+      const errorData: ApiErrorResponse = await response.json().catch(() => ({ success: false }));
+      throw new AuthorizationError(errorData.message || 'You are not allowed to do this');
+    }
+
+    if (!response.ok) {
+      const errorData: ApiErrorResponse = await response.json().catch(() => ({ success: false }));
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    }
+
+    return response;
+  }, [token, logout, refreshSession]);
+
+  const request = useCallback(async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetchWithAuth(path, options);
+    return response.json();
+  }, [fetchWithAuth]);
+
+  // Save a file response (e.g. a CSV export) under the given name
+  const download = useCallback(async (path: string, filename: string): Promise<void> => {
+    const response = await fetchWithAuth(path);
+    const url = window.URL.createObjectURL(await response.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  }, [fetchWithAuth]);
+
+  return { request, download };
+}
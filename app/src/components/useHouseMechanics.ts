@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import type { House, HouseMechanics } from '../types';
 
 interface HouseMechanicsData {
   success: boolean;
   content: string;
-  house: string;
+  mechanics: HouseMechanics | null;
+  secretsHidden: boolean;
+  secretsUnavailable: boolean;
+  house: House;
   filename: string;
 }
 
@@ -13,9 +17,17 @@ interface HouseMechanicsError {
   message: string;
 }
 
-export function useHouseMechanics(house: 'lofty' | 'shady') {
+// Mechanics of the house with this slug as markdown and, when the parser
+// extracted it, as a structured model; with its address once the user may open it.
+// secretsHidden is set when passwords and codes were masked for this user, and
+// secretsUnavailable when that is only because the server has no key for them.
+export function useHouseMechanics(house: string) {
   const { user } = useAuth();
   const [data, setData] = useState<string | null>(null);
+  const [mechanics, setMechanics] = useState<HouseMechanics | null>(null);
+  const [details, setDetails] = useState<House | null>(null);
+  const [secretsHidden, setSecretsHidden] = useState(false);
+  const [secretsUnavailable, setSecretsUnavailable] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -44,6 +56,10 @@ export function useHouseMechanics(house: 'lofty' | 'shady') {
 
         const houseMechanicsData: HouseMechanicsData = await response.json();
         setData(houseMechanicsData.content);
+        setMechanics(houseMechanicsData.mechanics);
+        setSecretsHidden(houseMechanicsData.secretsHidden);
+        setSecretsUnavailable(houseMechanicsData.secretsUnavailable);
+        setDetails(houseMechanicsData.house);
       } catch (err) {
         const errorMessage = err instanceof Error ? err.message : 'An error occurred';
         setError(errorMessage);
@@ -55,5 +71,5 @@ export function useHouseMechanics(house: 'lofty' | 'shady') {
     fetchHouseMechanics();
   }, [house, user?.token]);
 
-  return { data, loading, error };
+  return { data, mechanics, secretsHidden, secretsUnavailable, details, loading, error };
 } 
\ No newline at end of file
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import type { House } from '../types';
+
+interface HousesResponse {
+  success: boolean;
+  data: House[];
+}
+
+// The compound's houses in navigation order. Listing them needs no login.
+export function useHouses() {
+  const [houses, setHouses] = useState<House[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchHouses = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch('/api/houses');
+        if (!response.ok) {
+          throw new Error('Failed to load houses');
+        }
+
+        const result: HousesResponse = await response.json();
+        setHouses(result.data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'An error occurred');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHouses();
+  }, []);
+
+  return { houses, loading, error };
+}
@@ -1,64 +1,146 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import type { ReactNode } from 'react';
 import axios from 'axios';
 
 interface User {
-  role: 'admin' | 'guest';
+  id: string;
+  username: string;
+  displayName: string;
+  role: 'admin' | 'editor' | 'guest';
+  // Named permissions granted by the role, e.g. 'parser:run' or 'mechanics:read:lofty'
+  permissions: string[];
   token: string;
+  // Present for invite guests: the houses and window of their stay
+  houses?: string[];
+  stay?: { checkIn: string; checkOut: string };
 }
 
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
-  login: (password: string) => Promise<{ success: boolean; message?: string }>;
+  login: (username: string, password: string) => Promise<{ success: boolean; message?: string }>;
   logout: () => void;
-  hasAccess: (requiredRole: 'admin' | 'guest') => boolean;
+  // Renews the access token; resolves to null when the session has ended
+  refreshSession: () => Promise<string | null>;
+  redeemInvite: (code: string) => Promise<{ success: boolean; message?: string; houses?: string[] }>;
+  can: (permission: string) => boolean;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+interface SessionResponse {
+  token: string;
+  refreshToken: string;
+  user: Omit<User, 'token'>;
+}
+
+// Expiry of a JWT in milliseconds, read without verifying it
+function getTokenExpiry(token: string): number | null {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
 export function AuthProvider({ children }: { children: ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const refreshInFlight = useRef<Promise<string | null> | null>(null);
+
+  const storeSession = useCallback((session: SessionResponse) => {
+    localStorage.setItem('authToken', session.token);
+    localStorage.setItem('refreshToken', session.refreshToken);
+    setUser({ ...session.user, token: session.token });
+  }, []);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    setUser(null);
+  }, []);
+
+  // Swap the refresh token for a new access token. Concurrent callers share one request.
+  const refreshSession = useCallback((): Promise<string | null> => {
+    if (!refreshInFlight.current) {
+      refreshInFlight.current = (async () => {
+        // Another tab may have rotated the token, so always read the latest one
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          clearSession();
+          return null;
+        }
 
-  // Initialize auth state from localStorage
-  useEffect(() => {
-    const initAuth = async () => {
-      const storedToken = localStorage.getItem('authToken');
-      if (storedToken) {
         try {
-          const response = await axios.get('/api/auth/verify', {
-            headers: { Authorization: `Bearer ${storedToken}` }
-          });
-          
-          if (response.data.valid) {
-            setUser({
-              role: response.data.role,
-              token: storedToken
-            });
-          } else {
-            localStorage.removeItem('authToken');
-          }
+          const response = await axios.post('/api/auth/refresh', { refreshToken });
+          storeSession(response.data);
+          return response.data.token as string;
         } catch (error) {
-          console.error('Token verification failed:', error);
-          localStorage.removeItem('authToken');
+          console.error('Session refresh failed:', error);
+          // Keep the session through network errors; only the server can end it
+          if (axios.isAxiosError(error) && error.response?.status === 401) {
+            clearSession();
+          }
+          return null;
+        } finally {
+          refreshInFlight.current = null;
         }
+      })();
+    }
+    return refreshInFlight.current;
+  }, [clearSession, storeSession]);
+
+  // Initialize auth state from localStorage
+  useEffect(() => {
+    const initAuth = async () => {
+      if (localStorage.getItem('refreshToken')) {
+        await refreshSession();
+      } else {
+        // Tokens from before refresh tokens existed can't be renewed
+        localStorage.removeItem('authToken');
       }
       setIsLoading(false);
     };
 
     initAuth();
+  }, [refreshSession]);
+
+  // Refresh silently shortly before the access token expires
+  useEffect(() => {
+    if (!user?.token) return;
+
+    const expiresAt = getTokenExpiry(user.token);
+    if (!expiresAt) return;
+
+    const timer = setTimeout(refreshSession, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN_MS));
+    return () => clearTimeout(timer);
+  }, [user?.token, refreshSession]);
+
+  // Follow logins, refreshes and logouts made in other tabs
+  useEffect(() => {
+    const handleStorage = (event: StorageEvent) => {
+      if (event.key === 'refreshToken' && !event.newValue) {
+        setUser(null);
+      } else if (event.key === 'authToken' && event.newValue) {
+        const token = event.newValue;
+        setUser((current) => (current ? { ...current, token } : current));
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
-  const login = async (password: string): Promise<{ success: boolean; message?: string }> => {
+  const login = async (username: string, password: string): Promise<{ success: boolean; message?: string }> => {
     try {
-      const response = await axios.post('/api/auth/login', { password });
+      const response = await axios.post('/api/auth/login', { username, password });
       
       if (response.data.success) {
-        const { token, role } = response.data;
-        
-        localStorage.setItem('authToken', token);
-        setUser({ role, token });
+        storeSession(response.data);
         
         return { success: true };
       } else {
@@ -73,21 +155,39 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('authToken');
-    setUser(null);
+  const redeemInvite = async (code: string): Promise<{ success: boolean; message?: string; houses?: string[] }> => {
+    try {
+      const response = await axios.post('/api/auth/invite', { code });
+      storeSession(response.data);
+
+      return { success: true, houses: response.data.user.houses };
+    } catch (error) {
+      console.error('Invite error:', error);
+      return {
+        success: false,
+        message: axios.isAxiosError(error) ? error.response?.data?.message || 'Network error. Please try again.' : 'Network error. Please try again.'
+      };
+    }
   };
 
-  const hasAccess = (requiredRole: 'admin' | 'guest'): boolean => {
+  const logout = useCallback(() => {
+    // End the session on the server too, so the refresh token can't be reused
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      axios.post('/api/auth/logout', { refreshToken }).catch((error) => {
+        console.error('Logout error:', error);
+      });
+    }
+    clearSession();
+  }, [clearSession]);
+
+  // Same matching as the server: 'mechanics:read:*' grants 'mechanics:read:lofty'
+  const can = (permission: string): boolean => {
     if (!user) return false;
-    
-    // Admin can access everything
-    if (user.role === 'admin') return true;
-    
-    // Guest can only access guest-level content
-    if (user.role === 'guest' && requiredRole === 'guest') return true;
-    
-    return false;
+
+    return user.permissions.some((granted) =>
+      granted === permission || (granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1)))
+    );
   };
 
   return (
@@ -96,7 +196,9 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       isLoading,
       login,
       logout,
-      hasAccess
+      refreshSession,
+      redeemInvite,
+      can
     }}>
       {children}
     </AuthContext.Provider>
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+
+const CSV_COLUMNS = ['timestamp', 'action', 'outcome', 'actor', 'role', 'target', 'ip', 'details'];
+
+// Day files ("2024-05-01.jsonl") and day folders of entry objects ("2024-05-01/")
+const DAY_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.jsonl|\/)$/;
+
+// Entry objects read at once when querying an object store
+const READ_BATCH_SIZE = 50;
+
+/**
+ * Audit Log Service
+ *
+ * Append-only record of who did what: logins, parser runs, downloads, house
+ * mechanics views and every change to data, accounts, invites and sessions.
+ * On local storage entries are appended as JSON Lines to one file per UTC day
+ * ("<prefix>YYYY-MM-DD.jsonl"). Object stores (GCS, S3) can't append, so
+ * there each entry is an object of its own under its day
+ * ("<prefix>YYYY-MM-DD/<timestamp>-<sequence>-<id>.json"), created only if
+ * absent. Either way nothing ever rewrites or removes an entry.
+ *
+ * Recording never fails the request that triggered it. Appends from this
+ * process are queued so they land in order.
+ */
+class AuditLogService {
+  constructor() {
+    this.prefix = config.audit.prefix;
+    this.pending = Promise.resolve();
+    this.sequence = 0;
+  }
+
+  dayKey(timestamp) {
+    return `${this.prefix}${timestamp.slice(0, 10)}.jsonl`;
+  }
+
+  // Entry keys sort in the order they were recorded: by timestamp, then by a
+  // sequence number for entries of the same millisecond
+  entryKey(timestamp) {
+    const sequence = String(this.sequence++ % 1e6).padStart(6, '0');
+    return `${this.prefix}${timestamp.slice(0, 10)}/${timestamp}-${sequence}-${crypto.randomBytes(4).toString('hex')}.json`;
+  }
+
+  async write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    if (storageService.canAppend()) {
+      return storageService.append(this.dayKey(entry.timestamp), line);
+    }
+    return storageService.create(this.entryKey(entry.timestamp), line, 'application/json');
+  }
+
+  /**
+   * Append an entry. `actor` is the signed-in user (or null), `action` a
+   * dotted name such as "auth.login" or "overrides.set".
+   */
+  async record({ actor = null, action, target = null, outcome = 'success', ip = null, details = null }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action,
+      outcome,
+      actor: actor?.username || null,
+      actorId: actor?.id || null,
+      role: actor?.role || null,
+      target,
+      ip,
+      ...(details && { details })
+    };
+
+    this.pending = this.pending
+      .then(() => this.write(entry))
+      .catch(error => logger.error(`Failed to record audit entry ${action}:`, error));
+
+    await this.pending;
+    return entry;
+  }
+
+  /**
+   * Entries newest first. `from`/`to` are dates or timestamps (inclusive),
+   * `action` matches a prefix ("auth" matches "auth.login"), `actor` a
+   * case-insensitive part of the username.
+   */
+  async query({ from = null, to = null, action = null, actor = null, outcome = null, limit = 500 } = {}) {
+    try {
+      const fromDay = from ? new Date(from).toISOString().slice(0, 10) : null;
+      const toDay = to ? new Date(to).toISOString().slice(0, 10) : null;
+
+      // Only the days in range are opened, newest first
+      const days = (await storageService.listShallow(this.prefix))
+        .map(entry => ({ key: entry.key, day: entry.key.slice(this.prefix.length).match(DAY_PATTERN)?.[1] }))
+        .filter(entry => entry.day && (!fromDay || entry.day >= fromDay) && (!toDay || entry.day <= toDay))
+        .sort((a, b) => b.key.localeCompare(a.key));
+
+      const matches = (entry) =>
+        (!from || entry.timestamp >= new Date(from).toISOString()) &&
+        (!to || entry.timestamp <= (to.length === 10 ? `${to}T23:59:59.999Z` : new Date(to).toISOString())) &&
+        (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+        (!actor || (entry.actor || '').toLowerCase().includes(actor.toLowerCase())) &&
+        (!outcome || entry.outcome === outcome);
+
+      const parse = (key, content) => (content || '')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            logger.warn(`Skipping unreadable audit entry in ${key}`);
+            return null;
+          }
+        })
+        .filter(entry => entry && matches(entry))
+        .reverse();
+
+      const entries = [];
+      for (const { key } of days) {
+        if (entries.length >= limit) break;
+
+        // Entry objects sort by their timestamp
+        const files = key.endsWith('/')
+          ? (await storageService.list(key)).map(file => file.key).sort((a, b) => b.localeCompare(a))
+          : [key];
+
+        for (let start = 0; start < files.length && entries.length < limit; start += READ_BATCH_SIZE) {
+          const batch = files.slice(start, start + READ_BATCH_SIZE);
+          const contents = await Promise.all(batch.map(file => storageService.readText(file)));
+          batch.forEach((file, index) => entries.push(...parse(file, contents[index])));
+        }
+      }
+
+      return entries.slice(0, limit);
+    } catch (error) {
+      logger.error('Failed to query audit log:', error);
+      throw new Error(`Failed to query audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Entries as CSV. Cells that spreadsheets would run as formulas are
+   * prefixed with a quote, since usernames of failed logins are user input.
+   */
+  toCsv(entries) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      CSV_COLUMNS.join(','),
+      ...entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','))
+    ].join('\n') + '\n';
+  }
+}
+
+const auditLogService = new AuditLogService();
+
+module.exports = { auditLogService };
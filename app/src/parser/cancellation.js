@@ -0,0 +1,33 @@
+/**
+ * Parser cancellation
+ *
+ * A parser run is cancelled through an AbortSignal. Loops check it between
+ * items with throwIfCancelled(), and LLM and Google Places requests pass it on
+ * so calls in flight are aborted too. Catch blocks that fall back to a default
+ * value on failure must rethrow instead when isCancelled() is true, otherwise
+ * a cancelled run would carry on with the fallbacks.
+ */
+
+/**
+ * Error thrown when a run is cancelled. `progress` holds whatever partial
+ * stats were collected before it stopped.
+ */
+function createCancelledError(progress = null) {
+  const cancelledError = new Error('Parser run was cancelled');
+  cancelledError.cancelled = true;
+  cancelledError.progress = progress;
+  return cancelledError;
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+// Aborted requests fail with library-specific errors, so the signal decides
+function isCancelled(error, signal = null) {
+  return Boolean(error?.cancelled || signal?.aborted);
+}
+
+module.exports = { createCancelledError, throwIfCancelled, isCancelled };
@@ -0,0 +1,245 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { ChecklistProgressSchema } = require('./schema');
+const { invitesService } = require('./invites');
+const { houseMechanicsService } = require('./house-mechanics-service');
+
+// Other server instances share the store, so it is re-read after this long
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Checklist Progress Service
+ *
+ * Which items of a house's checklists (see the structured house mechanics)
+ * have been ticked, kept per stay on the server. The stay of an invite guest
+ * is their invite, so everyone on the same link shares one list; accounts
+ * keep one list per house across all their logins.
+ *
+ * Items are stored by ID. Ticks on items that a later parse removed are
+ * ignored, and a checklist only counts as completed while all of its current
+ * items are ticked.
+ */
+class ChecklistProgressService {
+  constructor() {
+    this.key = config.checklists.key;
+    this.stays = null;
+    this.loadedAt = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async loadStays(fresh = false) {
+    if (!fresh && this.stays && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.stays;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.stays = data?.stays || {};
+      this.loadedAt = Date.now();
+      return this.stays;
+    } catch (error) {
+      logger.error('Failed to load checklist progress:', error);
+      throw new Error(`Failed to load checklist progress: ${error.message}`);
+    }
+  }
+
+  async saveStays(stays) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        stays
+      });
+      this.stays = stays;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save checklist progress:', error);
+      throw new Error(`Failed to save checklist progress: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run `change` on a fresh read of the store and return its result. Changes
+   * made by this process run one at a time, so none overwrites another made
+   * here.
+   */
+  async updateStays(change) {
+    const run = this.pending.then(async () => change(await this.loadStays(true)));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * The stay a signed-in user's ticks belong to
+   */
+  getStay(user) {
+    return user.stay
+      ? { stayId: user.id, kind: 'invite', checkIn: user.stay.checkIn, checkOut: user.stay.checkOut }
+      : { stayId: `account:${user.id}`, kind: 'account', checkIn: null, checkOut: null };
+  }
+
+  /**
+   * Drop stays kept per login session by earlier versions, which nothing
+   * reads any more
+   */
+  pruneStays(stays) {
+    return Object.fromEntries(Object.entries(stays).filter(([, stay]) => stay.kind !== 'session'));
+  }
+
+  /**
+   * Progress of one checklist against its current items
+   */
+  getChecklistStatus(checklist, entry = null) {
+    const itemIds = new Set(checklist.items.map(item => item.id));
+    const ticked = (entry?.ticked || []).filter(itemId => itemIds.has(itemId));
+    const completed = itemIds.size > 0 && ticked.length === itemIds.size;
+
+    return {
+      id: checklist.id,
+      kind: checklist.kind,
+      title: checklist.title,
+      ticked,
+      done: ticked.length,
+      total: itemIds.size,
+      completedAt: completed ? entry.completedAt || entry.updatedAt : null,
+      updatedAt: entry?.updatedAt || null
+    };
+  }
+
+  /**
+   * Progress of the signed-in user's stay on each checklist of a house
+   */
+  async getProgress(user, slug) {
+    const [stays, mechanics] = await Promise.all([
+      this.loadStays(),
+      houseMechanicsService.loadStructuredMechanics(slug)
+    ]);
+    const { stayId } = this.getStay(user);
+    const entries = stays[stayId]?.houses?.[slug] || {};
+
+    return (mechanics?.checklists || []).map(checklist => this.getChecklistStatus(checklist, entries[checklist.id]));
+  }
+
+  /**
+   * Replace the ticked items of one checklist for the signed-in user's stay
+   */
+  async setProgress(user, slug, checklistId, input) {
+    const parsed = ChecklistProgressSchema.safeParse(input);
+    if (!parsed.success) {
+      const invalidError = new Error(`Invalid checklist progress: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`).join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const mechanics = await houseMechanicsService.loadStructuredMechanics(slug);
+    const checklist = mechanics?.checklists?.find(candidate => candidate.id === checklistId);
+    if (!checklist) {
+      const notFoundError = new Error(`Checklist ${checklistId} not found for house ${slug}`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    const stay = this.getStay(user);
+    const itemIds = new Set(checklist.items.map(item => item.id));
+    const ticked = parsed.data.ticked.filter(itemId => itemIds.has(itemId));
+    const completed = itemIds.size > 0 && ticked.length === itemIds.size;
+
+    const { entry, previous } = await this.updateStays(async stays => {
+      const record = stays[stay.stayId] || { ...stay, houses: {} };
+      const previousEntry = record.houses[slug]?.[checklistId];
+      const now = new Date().toISOString();
+      const updatedEntry = {
+        ticked,
+        updatedAt: now,
+        completedAt: completed ? previousEntry?.completedAt || now : null
+      };
+
+      await this.saveStays({
+        ...this.pruneStays(stays),
+        [stay.stayId]: {
+          ...record,
+          userId: user.id,
+          guestName: user.displayName || user.username,
+          updatedAt: now,
+          houses: {
+            ...record.houses,
+            [slug]: { ...record.houses[slug], [checklistId]: updatedEntry }
+          }
+        }
+      });
+      return { entry: updatedEntry, previous: previousEntry };
+    });
+
+    if (completed && !previous?.completedAt) {
+      logger.info(`${user.displayName || user.username} completed the ${checklist.title} checklist of ${slug} (stay ${stay.stayId})`);
+    }
+
+    return this.getChecklistStatus(checklist, entry);
+  }
+
+  /**
+   * Whether the departure checklists of each house were completed, for every
+   * invite and every account that ticked something. Houses without a
+   * departure checklist are reported with a total of 0.
+   */
+  async listStays() {
+    const [stays, invites] = await Promise.all([this.loadStays(), invitesService.listInvites()]);
+    const mechanicsCache = new Map();
+    const loadMechanics = (slug) => {
+      if (!mechanicsCache.has(slug)) {
+        mechanicsCache.set(slug, houseMechanicsService.loadStructuredMechanics(slug));
+      }
+      return mechanicsCache.get(slug);
+    };
+
+    const departureStatus = async (slug, entries = {}) => {
+      const mechanics = await loadMechanics(slug);
+      const checklists = (mechanics?.checklists || [])
+        .filter(checklist => checklist.kind === 'departure')
+        .map(checklist => this.getChecklistStatus(checklist, entries[checklist.id]));
+      const completed = checklists.length > 0 && checklists.every(checklist => checklist.completedAt);
+
+      return {
+        done: checklists.reduce((sum, checklist) => sum + checklist.done, 0),
+        total: checklists.reduce((sum, checklist) => sum + checklist.total, 0),
+        completedAt: completed ? checklists.map(checklist => checklist.completedAt).sort().pop() : null
+      };
+    };
+
+    const inviteRows = invites.flatMap(invite => invite.houses.map(async slug => ({
+      stayId: invite.id,
+      kind: 'invite',
+      guestName: invite.guestName,
+      checkIn: invite.checkIn,
+      checkOut: invite.checkOut,
+      status: invite.status,
+      house: slug,
+      departure: await departureStatus(slug, stays[invite.id]?.houses?.[slug])
+    })));
+
+    const accountRows = Object.values(stays)
+      .filter(stay => stay.kind === 'account')
+      .flatMap(stay => Object.entries(stay.houses).map(async ([slug, entries]) => ({
+        stayId: stay.stayId,
+        kind: 'account',
+        guestName: stay.guestName,
+        checkIn: null,
+        checkOut: null,
+        status: null,
+        house: slug,
+        updatedAt: stay.updatedAt,
+        departure: await departureStatus(slug, entries)
+      })));
+
+    try {
+      return await Promise.all([...inviteRows, ...accountRows]);
+    } catch (error) {
+      logger.error('Failed to list stay checklists:', error);
+      throw new Error(`Failed to list stay checklists: ${error.message}`);
+    }
+  }
+}
+
+const checklistProgressService = new ChecklistProgressService();
+
+module.exports = { checklistProgressService };
@@ -9,7 +9,21 @@ const config = {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4.1',
     temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.1,
-    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 4096
+    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 4096,
+    chunkTokens: parseInt(process.env.OPENAI_CHUNK_TOKENS) || 1500, // document tokens per parsing request
+    concurrency: parseInt(process.env.OPENAI_CONCURRENCY) || 3, // parallel parsing requests
+    outputMode: process.env.OPENAI_OUTPUT_MODE || 'structured' // 'structured' (function calling) or 'text'
+  },
+
+  // LLM Provider Configuration
+  // provider: 'openai' | 'local' (OpenAI-compatible endpoint) | 'replay' (recorded responses from ./logs)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4.1',
+    replayDir: process.env.LLM_REPLAY_DIR || './logs',
+    record: process.env.LLM_RECORD !== 'false' // defaults to true, records every response for replay
   },
 
   // Google API Configuration  
@@ -19,9 +33,18 @@ const config = {
     houseMechanicsFolder: process.env.GOOGLE_HOUSE_MECHANICS_FOLDER || 'House Mechanics'
   },
 
+  // Source Documents Configuration
+  // The Google Docs the guide is merged from, edited on the admin dashboard;
+  // GOOGLE_DOC_ID is the only source until the list is first saved
+  sources: {
+    key: process.env.SOURCES_KEY || 'source-documents.json'
+  },
+
   // Google Places API Configuration
   googlePlaces: {
     apiKey: process.env.GOOGLE_PLACES_API_KEY,
+    mode: process.env.GOOGLE_PLACES_MODE || 'live', // 'live' | 'record' | 'replay'
+    recordingsDir: process.env.GOOGLE_PLACES_RECORDINGS_DIR || './fixtures/google-places'
   },
 
   // Google Cloud Storage Configuration
@@ -31,12 +54,132 @@ const config = {
     enabled: process.env.GOOGLE_CLOUD_STORAGE_ENABLED !== 'false' // defaults to true
   },
 
+  // Storage Backend Configuration
+  // provider: 'local' | 'gcs' | 's3' (defaults to gcs unless GOOGLE_CLOUD_STORAGE_ENABLED=false)
+  storage: {
+    provider: process.env.STORAGE_PROVIDER || (process.env.GOOGLE_CLOUD_STORAGE_ENABLED !== 'false' ? 'gcs' : 'local'),
+    datasetKey: process.env.GOOGLE_CLOUD_STORAGE_FILE_NAME || process.env.OUTPUT_FILE || 'compound-places.json',
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || process.env.OUTPUT_DIR || './output'
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // set for S3-compatible stores (MinIO, R2, etc.)
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    }
+  },
+
   // Geographic Configuration
   location: {
     state: process.env.LOCATION_STATE || 'Maine',
     country: process.env.LOCATION_COUNTRY || 'USA',
     region: process.env.LOCATION_REGION || 'Maine, USA',
-    searchContext: process.env.LOCATION_SEARCH_CONTEXT || 'Maine, United States'
+    searchContext: process.env.LOCATION_SEARCH_CONTEXT || 'Maine, United States',
+    // Compound centre used to score how plausible a Google Places match is
+    center: process.env.COMPOUND_CENTER_LAT && process.env.COMPOUND_CENTER_LNG ? {
+      lat: parseFloat(process.env.COMPOUND_CENTER_LAT),
+      lng: parseFloat(process.env.COMPOUND_CENTER_LNG)
+    } : null
+  },
+
+  // Match Confidence Configuration
+  matching: {
+    minConfidence: parseFloat(process.env.MATCH_MIN_CONFIDENCE) || 0.6, // below this a match goes to the review queue
+    nearbyKm: parseFloat(process.env.MATCH_NEARBY_KM) || 15, // full distance score within this radius
+    maxDistanceKm: parseFloat(process.env.MATCH_MAX_DISTANCE_KM) || 60, // zero distance score beyond this radius
+    reviewQueueKey: process.env.REVIEW_QUEUE_KEY || 'review-queue.json'
+  },
+
+  // Enrichment Cache Configuration
+  // Google Places results persisted on the storage backend, with TTLs per field group
+  enrichmentCache: {
+    enabled: process.env.ENRICHMENT_CACHE_ENABLED !== 'false', // defaults to true
+    key: process.env.ENRICHMENT_CACHE_KEY || 'enrichment-cache.json',
+    ttlDays: {
+      volatile: parseFloat(process.env.ENRICHMENT_TTL_VOLATILE_DAYS) || 7, // hours, rating, review count, price range
+      standard: parseFloat(process.env.ENRICHMENT_TTL_STANDARD_DAYS) || 30, // phone, website, maps link, types
+      stable: parseFloat(process.env.ENRICHMENT_TTL_STABLE_DAYS) || 180, // address, coordinates
+      query: parseFloat(process.env.ENRICHMENT_TTL_QUERY_DAYS) || 90 // search query -> place_id
+    }
+  },
+
+  // Place Overrides Configuration
+  overrides: {
+    key: process.env.PLACE_OVERRIDES_KEY || 'place-overrides.json'
+  },
+
+  // User Accounts Configuration
+  users: {
+    key: process.env.USERS_KEY || 'users.json',
+    // Shared password hashes from before named accounts; only accepted while the user store is empty
+    legacyPasswordHashes: {
+      admin: process.env.ADMIN_PASSWORD_HASH,
+      guest: process.env.GUEST_PASSWORD_HASH
+    }
+  },
+
+  // Houses Configuration
+  // The compound's houses, edited on the admin dashboard
+  houses: {
+    key: process.env.HOUSES_KEY || 'houses.json'
+  },
+
+  // Guest Invite Configuration
+  invites: {
+    key: process.env.INVITES_KEY || 'invites.json'
+  },
+
+  // House Secrets Configuration
+  // WiFi passwords and door codes are redacted from documents by the parser
+  // and kept here, encrypted with encryptionKey; without a key, runs that
+  // find any fail
+  secrets: {
+    key: process.env.SECRETS_KEY || 'house-secrets.json',
+    encryptionKey: process.env.SECRETS_ENCRYPTION_KEY
+  },
+
+  // Checklist Progress Configuration
+  // Ticks on the house checklists, kept per stay
+  checklists: {
+    key: process.env.CHECKLIST_PROGRESS_KEY || 'checklist-progress.json'
+  },
+
+  // Session Configuration
+  sessions: {
+    key: process.env.SESSIONS_KEY || 'sessions.json',
+    accessTokenMinutes: parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15,
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30 // sliding, extended on every refresh
+  },
+
+  // Audit Log Configuration
+  // Under this prefix on the storage backend: one JSON Lines file per day on
+  // local storage, one object per entry under a folder per day on GCS and S3
+  audit: {
+    prefix: process.env.AUDIT_LOG_PREFIX || 'audit/'
+  },
+
+  // Parser Job History and Queue
+  // One JSON record per parser run under `prefix`; older runs are pruned.
+  // Requested runs wait under `queuePrefix` until a worker picks them up.
+  jobs: {
+    prefix: process.env.PARSER_JOBS_PREFIX || 'jobs/',
+    retain: parseInt(process.env.PARSER_JOBS_RETAIN) || 200,
+    queuePrefix: process.env.PARSER_QUEUE_PREFIX || 'queue/',
+    worker: process.env.PARSER_WORKER || 'inline', // inline (in the web process) or external (`npm run worker`)
+    pollSeconds: parseInt(process.env.PARSER_QUEUE_POLL_SECONDS) || 5,
+    staleSeconds: parseInt(process.env.PARSER_JOB_STALE_SECONDS) || 60,
+    maxAttempts: parseInt(process.env.PARSER_JOB_MAX_ATTEMPTS) || 2
+  },
+
+  // Scheduler Configuration
+  // Settings are edited on the admin dashboard; the scheduler runs with the parser worker
+  scheduler: {
+    settingsKey: process.env.SCHEDULER_SETTINGS_KEY || 'scheduler-settings.json',
+    stateKey: process.env.SCHEDULER_STATE_KEY || 'scheduler-state.json',
+    tickSeconds: parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60
   },
 
   // Output Configuration
@@ -49,7 +192,8 @@ const config = {
   parsing: {
     fullRefresh: process.env.FULL_REFRESH === 'true' || false,
     enrichmentVersion: process.env.ENRICHMENT_VERSION || '2.0.0',
-    skipEnrichmentIfExists: process.env.SKIP_ENRICHMENT_IF_EXISTS !== 'false' // defaults to true
+    skipEnrichmentIfExists: process.env.SKIP_ENRICHMENT_IF_EXISTS !== 'false', // defaults to true
+    incremental: process.env.INCREMENTAL_PARSING !== 'false' // defaults to true, only re-parses changed sections
   },
 
   // Logging Configuration
@@ -59,7 +203,11 @@ const config = {
 };
 
 // Validate required configuration
-const requiredEnvVars = ['OPENAI_API_KEY', 'GOOGLE_DOC_ID', 'GOOGLE_PLACES_API_KEY'];
+// API keys are only needed when the live services are used
+const requiredEnvVars = [
+  ...(config.llm.provider === 'openai' ? ['OPENAI_API_KEY'] : []),
+  ...(config.googlePlaces.mode !== 'replay' ? ['GOOGLE_PLACES_API_KEY'] : [])
+];
 
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
@@ -0,0 +1,264 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { placeOverridesService } = require('./place-overrides');
+
+// Fields that change on every run and would drown out real differences
+const IGNORED_DIFF_FIELDS = ['enrichmentStatus'];
+
+/**
+ * Dataset Versions Service
+ *
+ * Saves the live dataset and lists, compares and restores the timestamped
+ * compound-places-<ts>.json snapshots kept alongside it. Every change to the
+ * live dataset (parser runs, override edits, rollbacks) goes through
+ * saveVersion.
+ *
+ * A small index ("compound-places-versions.json") keeps what the version list
+ * shows of each version and which one is live, so listing doesn't read every
+ * stored dataset. Full versions are only read to compare or restore them.
+ */
+class DatasetVersionsService {
+  constructor() {
+    this.datasetKey = config.storage.datasetKey;
+    this.indexKey = `${storageService.splitKey(this.datasetKey).base}-versions.json`;
+  }
+
+  summarize(data) {
+    return {
+      generatedAt: data?.metadata?.generatedAt || null,
+      sourceDocTitle: data?.metadata?.sourceDocTitle || null,
+      placeCount: data?.places?.length || 0,
+      promotedFrom: data?.metadata?.promotedFrom || null,
+      fingerprint: data ? this.fingerprint(data) : null
+    };
+  }
+
+  async loadIndex() {
+    try {
+      const index = await storageService.readJson(this.indexKey);
+      return { liveVersionId: index?.liveVersionId || null, versions: index?.versions || {} };
+    } catch (error) {
+      logger.warn('Failed to load the dataset version index, rebuilding it:', error.message);
+      return { liveVersionId: null, versions: {} };
+    }
+  }
+
+  async saveIndex(index) {
+    await storageService.writeJson(this.indexKey, { updatedAt: new Date().toISOString(), ...index });
+  }
+
+  /**
+   * Make a dataset live. The previous one is backed up and the new one is kept
+   * as a timestamped version.
+   */
+  async saveVersion(data) {
+    const result = await storageService.writeVersioned(this.datasetKey, data);
+
+    try {
+      const index = await this.loadIndex();
+      await this.saveIndex({
+        liveVersionId: result.versionId,
+        versions: { ...index.versions, [result.versionId]: this.summarize(data) }
+      });
+    } catch (error) {
+      // The list reads the version itself when the index lacks it
+      logger.warn('Failed to update the dataset version index:', error.message);
+    }
+
+    return result;
+  }
+
+  async listVersions(limit = 50) {
+    try {
+      const versions = (await storageService.listVersions(this.datasetKey)).slice(0, limit);
+      const index = await this.loadIndex();
+
+      // Versions saved before the index existed are read once and added to it
+      const missing = versions.filter(version => !index.versions[version.versionId]);
+      for (const version of missing) {
+        index.versions[version.versionId] = this.summarize(await storageService.readJson(version.key));
+      }
+      if (missing.length > 0) {
+        await this.saveIndex(index).catch(error => logger.warn('Failed to update the dataset version index:', error.message));
+      }
+
+      // Without a recorded live version, compare against the live dataset
+      let liveFingerprint = null;
+      if (!index.liveVersionId) {
+        const live = await storageService.readJson(this.datasetKey);
+        liveFingerprint = live ? this.fingerprint(live) : null;
+      }
+
+      return versions.map(version => {
+        const { fingerprint, ...summary } = index.versions[version.versionId];
+        return {
+          versionId: version.versionId,
+          key: version.key,
+          createdAt: version.createdAt,
+          size: version.size,
+          ...summary,
+          isLive: index.liveVersionId
+            ? version.versionId === index.liveVersionId
+            : Boolean(fingerprint) && fingerprint === liveFingerprint
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to list dataset versions:', error);
+      throw new Error(`Failed to list dataset versions: ${error.message}`);
+    }
+  }
+
+  fingerprint(data) {
+    return `${data.metadata?.generatedAt || ''}|${data.metadata?.promotedAt || ''}|${data.metadata?.overridesAppliedAt || ''}`;
+  }
+
+  /**
+   * Load a version by ID, or the live dataset when versionId is "live"
+   */
+  async getVersion(versionId) {
+    if (versionId !== 'live' && !/^\d+$/.test(String(versionId))) {
+      const invalidError = new Error(`Invalid version ID: ${versionId}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const key = versionId === 'live' ? this.datasetKey : storageService.versionKey(this.datasetKey, versionId);
+    const data = await storageService.readJson(key);
+
+    if (!data) {
+      const notFoundError = new Error(`Version ${versionId} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    return data;
+  }
+
+  async diffVersions(fromVersionId, toVersionId) {
+    const [fromData, toData] = await Promise.all([
+      this.getVersion(fromVersionId),
+      this.getVersion(toVersionId)
+    ]);
+
+    return {
+      from: fromVersionId,
+      to: toVersionId,
+      ...this.diffPlaces(fromData.places || [], toData.places || [])
+    };
+  }
+
+  diffPlaces(fromPlaces, toPlaces) {
+    const fromMap = new Map(fromPlaces.map(place => [place.id, place]));
+    const toMap = new Map(toPlaces.map(place => [place.id, place]));
+
+    const added = toPlaces
+      .filter(place => !fromMap.has(place.id))
+      .map(place => ({ id: place.id, name: place.name, category: place.category }));
+
+    const removed = fromPlaces
+      .filter(place => !toMap.has(place.id))
+      .map(place => ({ id: place.id, name: place.name, category: place.category }));
+
+    const changed = [];
+    for (const toPlace of toPlaces) {
+      const fromPlace = fromMap.get(toPlace.id);
+      if (!fromPlace) continue;
+
+      const fields = [...new Set([...Object.keys(fromPlace), ...Object.keys(toPlace)])]
+        .filter(field => !IGNORED_DIFF_FIELDS.includes(field))
+        .filter(field => JSON.stringify(fromPlace[field]) !== JSON.stringify(toPlace[field]))
+        .map(field => ({
+          field,
+          from: fromPlace[field] ?? null,
+          to: toPlace[field] ?? null
+        }));
+
+      if (fields.length > 0) {
+        changed.push({ id: toPlace.id, name: toPlace.name, fields });
+      }
+    }
+
+    return {
+      added,
+      removed,
+      changed,
+      unchangedCount: toPlaces.length - added.length - changed.length
+    };
+  }
+
+  /**
+   * Make an older version the live dataset again. The current live dataset is
+   * backed up and the promotion is itself saved as a new version. The current
+   * overrides are applied on top, so curated edits survive a rollback.
+   */
+  async promoteVersion(versionId) {
+    try {
+      const data = await this.getVersion(versionId);
+      const overrides = await placeOverridesService.loadOverrides();
+      const places = placeOverridesService.applyOverrides(data.places || [], overrides);
+
+      const promoted = {
+        ...data,
+        metadata: {
+          ...data.metadata,
+          overrides: placeOverridesService.summarize(places, overrides),
+          promotedFrom: versionId,
+          promotedAt: new Date().toISOString()
+        },
+        places
+      };
+
+      const result = await this.saveVersion(promoted);
+      logger.info(`Promoted dataset version ${versionId} to live`);
+
+      return {
+        versionId,
+        totalPlaces: promoted.places?.length || 0,
+        newVersionKey: result.versionKey
+      };
+    } catch (error) {
+      logger.error(`Failed to promote dataset version ${versionId}:`, error);
+      if (error.code === 400 || error.code === 404) {
+        throw error;
+      }
+      throw new Error(`Failed to promote version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the current overrides to the live dataset right away, so edits show
+   * up without waiting for the next parser run. The result is saved as a new
+   * version, so an edit can be compared and rolled back like a run.
+   */
+  async applyOverrides() {
+    try {
+      const dataset = await storageService.readJson(this.datasetKey);
+      if (!dataset) {
+        return null;
+      }
+
+      const overrides = await placeOverridesService.loadOverrides();
+      const places = placeOverridesService.applyOverrides(dataset.places || [], overrides);
+
+      await this.saveVersion({
+        ...dataset,
+        metadata: {
+          ...dataset.metadata,
+          overrides: placeOverridesService.summarize(places, overrides),
+          overridesAppliedAt: new Date().toISOString()
+        },
+        places
+      });
+
+      return places.filter(place => place.overrides).length;
+    } catch (error) {
+      logger.error('Failed to apply overrides to the live dataset:', error);
+      throw new Error(`Failed to apply overrides: ${error.message}`);
+    }
+  }
+}
+
+const datasetVersionsService = new DatasetVersionsService();
+
+module.exports = { datasetVersionsService };
@@ -0,0 +1,156 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each enriched field stays fresh, by volatility
+const FIELD_TTL_GROUPS = {
+  rawHours: 'volatile',
+  rating: 'volatile',
+  reviewCount: 'volatile',
+  priceRange: 'volatile',
+  phone: 'standard',
+  website: 'standard',
+  mapsLink: 'standard',
+  googlePlacesTypes: 'standard',
+  type: 'standard',
+  address: 'stable',
+  coordinates: 'stable'
+};
+
+/**
+ * Enrichment Cache Service
+ *
+ * Persists Google Places lookups on the storage backend between runs. Search
+ * queries map to a place_id, and every place_id keeps each field together with
+ * the time it was fetched. Fields expire on their own TTL, so hours and ratings
+ * are refreshed often while address and coordinates are kept for months.
+ */
+class EnrichmentCacheService {
+  constructor() {
+    this.key = config.enrichmentCache.key;
+    this.data = null;
+    this.dirty = false;
+  }
+
+  get fields() {
+    return Object.keys(FIELD_TTL_GROUPS);
+  }
+
+  fieldTtlMs(field) {
+    return config.enrichmentCache.ttlDays[FIELD_TTL_GROUPS[field]] * DAY_MS;
+  }
+
+  isFresh(fetchedAt, ttlMs) {
+    return Boolean(fetchedAt) && Date.now() - new Date(fetchedAt).getTime() < ttlMs;
+  }
+
+  normalizeQuery(query) {
+    return query.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      const stored = await storageService.readJson(this.key);
+      this.data = {
+        queries: stored?.queries || {},
+        places: stored?.places || {}
+      };
+      logger.info(`Loaded enrichment cache: ${Object.keys(this.data.queries).length} queries, ${Object.keys(this.data.places).length} places`);
+    } catch (error) {
+      logger.warn('Failed to load enrichment cache, starting with an empty cache:', error.message);
+      this.data = { queries: {}, places: {} };
+    }
+
+    return this.data;
+  }
+
+  async save() {
+    if (!this.data || !this.dirty) {
+      return;
+    }
+
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        queries: this.data.queries,
+        places: this.data.places
+      });
+      this.dirty = false;
+      logger.info(`Saved enrichment cache to ${storageService.provider} storage: ${this.key}`);
+    } catch (error) {
+      logger.error('Failed to save enrichment cache:', error);
+    }
+  }
+
+  /**
+   * Accepted match for a search query ({ placeId, match }), or null when the
+   * query is unknown or expired
+   */
+  getQueryMatch(query) {
+    const entry = this.data?.queries[this.normalizeQuery(query)];
+    if (!entry || !this.isFresh(entry.cachedAt, config.enrichmentCache.ttlDays.query * DAY_MS)) {
+      return null;
+    }
+    return { placeId: entry.placeId, match: entry.match || null };
+  }
+
+  setQueryMatch(query, placeId, match = null) {
+    this.data.queries[this.normalizeQuery(query)] = {
+      placeId,
+      match,
+      cachedAt: new Date().toISOString()
+    };
+    this.dirty = true;
+  }
+
+  /**
+   * Split the cached fields of a place into fresh values and the names of
+   * fields that are missing or past their TTL
+   */
+  getFields(placeId) {
+    const cachedFields = this.data?.places[placeId]?.fields || {};
+    const fresh = {};
+    const stale = [];
+
+    for (const field of this.fields) {
+      const entry = cachedFields[field];
+      if (entry && this.isFresh(entry.fetchedAt, this.fieldTtlMs(field))) {
+        if (entry.value !== null) {
+          fresh[field] = entry.value;
+        }
+      } else {
+        stale.push(field);
+      }
+    }
+
+    return { fresh, stale };
+  }
+
+  /**
+   * Store freshly fetched fields. Fields that were requested but not returned
+   * are stored as null so they aren't requested again until they expire.
+   */
+  setFields(placeId, values, fetchedFields) {
+    const now = new Date().toISOString();
+    const entry = this.data.places[placeId] || { fields: {} };
+
+    for (const field of new Set([...fetchedFields, ...Object.keys(values)])) {
+      if (FIELD_TTL_GROUPS[field]) {
+        entry.fields[field] = { value: values[field] ?? null, fetchedAt: now };
+      }
+    }
+
+    this.data.places[placeId] = entry;
+    this.dirty = true;
+  }
+}
+
+const enrichmentCacheService = new EnrichmentCacheService();
+
+module.exports = { enrichmentCacheService };
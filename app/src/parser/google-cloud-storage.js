@@ -1,11 +1,17 @@
 const { Storage } = require('@google-cloud/storage');
-const { google } = require('googleapis');
 const fs = require('fs');
 const { config } = require('./config');
 const { logger } = require('./logger');
 
-class GoogleCloudStorageService {
+/**
+ * Google Cloud Storage driver
+ *
+ * Objects live in config.googleCloudStorage.bucketName and are addressed by
+ * their storage key.
+ */
+class GoogleCloudStorageDriver {
   constructor() {
+    this.name = 'gcs';
     this.storage = null;
     this.bucket = null;
     this.initialized = false;
@@ -18,7 +24,7 @@ class GoogleCloudStorageService {
 
     try {
       let credentials;
-      
+
       // Reuse the same authentication logic from google-docs.js
       if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
         try {
@@ -63,233 +69,149 @@ class GoogleCloudStorageService {
     }
   }
 
-  async uploadFile(data, filename = null, contentType = null) {
+  async read(key) {
     await this.initialize();
 
     try {
-      const fileName = filename || config.googleCloudStorage.fileName;
-      const file = this.bucket.file(fileName);
-      
-      // Convert data to JSON string if it's an object and no specific content type is provided
-      let content;
-      let fileContentType;
-      
-      if (typeof data === 'string') {
-        content = data;
-        fileContentType = contentType || 'text/plain';
-      } else {
-        content = JSON.stringify(data, null, 2);
-        fileContentType = contentType || 'application/json';
-      }
-      
-      // Upload the file
-      await file.save(content, {
-        metadata: {
-          contentType: fileContentType,
-          metadata: {
-            uploadedAt: new Date().toISOString(),
-            source: 'compound-parser'
-          }
-        }
-      });
-
-      logger.info(`File uploaded successfully to GCS: ${fileName}`);
-      return {
-        success: true,
-        fileName: fileName,
-        url: `gs://${config.googleCloudStorage.bucketName}/${fileName}`
-      };
+      // One request: a missing file is a 404 rather than a separate exists() call
+      const [contents] = await this.bucket.file(key).download();
+      logger.debug(`File downloaded successfully from GCS: ${key}`);
+      return contents.toString('utf8');
     } catch (error) {
-      logger.error('Failed to upload file to GCS:', error);
-      throw new Error(`Failed to upload file to Google Cloud Storage: ${error.message}`);
+      if (error.code === 404) {
+        logger.debug(`File ${key} not found in GCS`);
+        return null;
+      }
+      logger.error(`Failed to download ${key} from GCS:`, error);
+      throw new Error(`Failed to download file from Google Cloud Storage: ${error.message}`);
     }
   }
 
-  async uploadMarkdownFile(content, filename) {
+  async write(key, content, contentType = 'text/plain') {
     await this.initialize();
 
     try {
-      const file = this.bucket.file(filename);
-      
-      // Upload the markdown file
+      const file = this.bucket.file(key);
+
       await file.save(content, {
         metadata: {
-          contentType: 'text/markdown',
+          contentType: contentType,
           metadata: {
             uploadedAt: new Date().toISOString(),
-            source: 'compound-parser-house-mechanics'
+            source: 'compound-parser'
           }
         }
       });
 
-      logger.info(`Markdown file uploaded successfully to GCS: ${filename}`);
+      logger.info(`File uploaded successfully to GCS: ${key}`);
       return {
-        success: true,
-        fileName: filename,
-        url: `gs://${config.googleCloudStorage.bucketName}/${filename}`
+        key,
+        url: `gs://${config.googleCloudStorage.bucketName}/${key}`
       };
     } catch (error) {
-      logger.error(`Failed to upload markdown file ${filename} to GCS:`, error);
-      throw new Error(`Failed to upload markdown file to Google Cloud Storage: ${error.message}`);
-    }
-  }
-
-  async uploadHouseMechanicsFiles(houseMechanicsData) {
-    try {
-      logger.info('Uploading house mechanics files to Google Cloud Storage');
-      
-      const uploadResults = {};
-
-      // Upload each house's markdown file
-      for (const [houseName, markdownContent] of Object.entries(houseMechanicsData)) {
-        const fileName = `house-mechanics-${houseName}.md`;
-        
-        try {
-          const result = await this.uploadMarkdownFile(markdownContent, fileName);
-          
-          uploadResults[houseName] = {
-            success: true,
-            fileName: result.fileName,
-            url: result.url
-          };
-          
-          logger.info(`Successfully uploaded ${fileName} to Google Cloud Storage`);
-        } catch (fileError) {
-          uploadResults[houseName] = {
-            success: false,
-            error: fileError.message
-          };
-          
-          logger.error(`Failed to upload ${fileName}:`, fileError);
-        }
-      }
-
-      return uploadResults;
-    } catch (error) {
-      logger.error('Failed to upload house mechanics files:', error);
-      throw new Error(`Failed to upload house mechanics files: ${error.message}`);
+      logger.error(`Failed to upload ${key} to GCS:`, error);
+      throw new Error(`Failed to upload file to Google Cloud Storage: ${error.message}`);
     }
   }
 
-  async downloadFile(filename = null) {
+  async create(key, content, contentType = 'text/plain') {
     await this.initialize();
 
     try {
-      const fileName = filename || config.googleCloudStorage.fileName;
-      const file = this.bucket.file(fileName);
-      
-      // Check if file exists
-      const [exists] = await file.exists();
-      if (!exists) {
-        logger.info(`File ${fileName} does not exist in GCS`);
-        return null;
-      }
-
-      // Download the file
-      const [contents] = await file.download();
-      const data = JSON.parse(contents.toString());
-      
-      logger.info(`File downloaded successfully from GCS: ${fileName}`);
-      return data;
+      // Generation 0 only matches an object that does not exist yet
+      await this.bucket.file(key).save(content, {
+        metadata: { contentType },
+        preconditionOpts: { ifGenerationMatch: 0 }
+      });
+      return true;
     } catch (error) {
-      if (error.code === 404) {
-        logger.info(`File ${filename || config.googleCloudStorage.fileName} not found in GCS`);
-        return null;
+      if (error.code === 412) {
+        return false;
       }
-      logger.error('Failed to download file from GCS:', error);
-      throw new Error(`Failed to download file from Google Cloud Storage: ${error.message}`);
+      logger.error(`Failed to create ${key} in GCS:`, error);
+      throw new Error(`Failed to create file in Google Cloud Storage: ${error.message}`);
     }
   }
 
-  async downloadMarkdownFile(filename) {
+  async stat(key) {
     await this.initialize();
 
     try {
-      const file = this.bucket.file(filename);
-      
-      // Check if file exists
+      const file = this.bucket.file(key);
+
       const [exists] = await file.exists();
       if (!exists) {
-        logger.info(`Markdown file ${filename} does not exist in GCS`);
         return null;
       }
 
-      // Download the file as text
-      const [contents] = await file.download();
-      const markdownContent = contents.toString('utf8');
-      
-      logger.info(`Markdown file downloaded successfully from GCS: ${filename}`);
-      return markdownContent;
+      const [metadata] = await file.getMetadata();
+      return {
+        key,
+        size: Number(metadata.size),
+        updated: metadata.updated,
+        contentType: metadata.contentType
+      };
     } catch (error) {
-      if (error.code === 404) {
-        logger.info(`Markdown file ${filename} not found in GCS`);
-        return null;
-      }
-      logger.error('Failed to download markdown file from GCS:', error);
-      throw new Error(`Failed to download markdown file from Google Cloud Storage: ${error.message}`);
+      logger.error(`Failed to get metadata for ${key} from GCS:`, error);
+      return null;
     }
   }
 
-  async fileExists(filename = null) {
+  async list(prefix = '') {
     await this.initialize();
 
     try {
-      const fileName = filename || config.googleCloudStorage.fileName;
-      const file = this.bucket.file(fileName);
-      const [exists] = await file.exists();
-      return exists;
+      const [files] = await this.bucket.getFiles({ prefix });
+      return files.map(file => ({
+        key: file.name,
+        size: Number(file.metadata.size),
+        updated: file.metadata.updated
+      }));
     } catch (error) {
-      logger.error('Failed to check file existence in GCS:', error);
-      return false;
+      logger.error('Failed to list files in GCS:', error);
+      throw new Error(`Failed to list files in Google Cloud Storage: ${error.message}`);
     }
   }
 
-  async getFileMetadata(filename = null) {
+  async listShallow(prefix = '') {
     await this.initialize();
 
     try {
-      const fileName = filename || config.googleCloudStorage.fileName;
-      const file = this.bucket.file(fileName);
-      
-      const [exists] = await file.exists();
-      if (!exists) {
-        return null;
+      const results = [];
+      let query = { prefix, delimiter: '/', autoPaginate: false };
+
+      while (query) {
+        const [files, nextQuery, response] = await this.bucket.getFiles(query);
+        files.forEach(file => results.push({
+          key: file.name,
+          size: Number(file.metadata.size),
+          updated: file.metadata.updated
+        }));
+        (response?.prefixes || []).forEach(subPrefix => results.push({ key: subPrefix }));
+        query = nextQuery;
       }
 
-      const [metadata] = await file.getMetadata();
-      return {
-        name: metadata.name,
-        size: metadata.size,
-        created: metadata.timeCreated,
-        updated: metadata.updated,
-        contentType: metadata.contentType,
-        etag: metadata.etag
-      };
+      return results;
     } catch (error) {
-      logger.error('Failed to get file metadata from GCS:', error);
-      return null;
+      logger.error(`Failed to list ${prefix} in GCS:`, error);
+      throw new Error(`Failed to list files in Google Cloud Storage: ${error.message}`);
     }
   }
 
-  async createBackup(data, filename = null) {
+  async delete(key) {
     await this.initialize();
 
     try {
-      const timestamp = Date.now();
-      const baseFileName = filename || config.googleCloudStorage.fileName;
-      const backupFileName = baseFileName.replace('.json', `-backup-${timestamp}.json`);
-      
-      await this.uploadFile(data, backupFileName);
-      logger.info(`Backup created successfully: ${backupFileName}`);
-      
-      return backupFileName;
+      await this.bucket.file(key).delete();
+      return true;
     } catch (error) {
-      logger.error('Failed to create backup in GCS:', error);
-      throw error;
+      if (error.code === 404) {
+        return false;
+      }
+      logger.error(`Failed to delete ${key} from GCS:`, error);
+      throw new Error(`Failed to delete file from Google Cloud Storage: ${error.message}`);
     }
   }
 }
 
-const googleCloudStorageService = new GoogleCloudStorageService();
-
-module.exports = { googleCloudStorageService }; 
\ No newline at end of file
+module.exports = { GoogleCloudStorageDriver };
\ No newline at end of file
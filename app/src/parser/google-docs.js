@@ -90,6 +90,29 @@ class GoogleDocsService {
     }
   }
 
+  /**
+   * Time the document was last modified, from Drive. Much cheaper than
+   * fetching the document, so the scheduler uses it to check for edits.
+   */
+  async getDocumentModifiedTime(docId) {
+    try {
+      if (!this.drive) {
+        await this.authenticate();
+      }
+
+      const response = await this.drive.files.get({
+        fileId: docId,
+        fields: 'modifiedTime',
+        supportsAllDrives: true
+      });
+
+      return response.data.modifiedTime;
+    } catch (error) {
+      logger.error(`Failed to get modified time of document ${docId}:`, error);
+      throw new Error(`Failed to get document modified time: ${error.message}`);
+    }
+  }
+
   async createFolder(name, parentFolderId = null) {
     try {
       if (!this.drive) {
@@ -457,6 +480,9 @@ class GoogleDocsService {
 
   async getDocumentAsMarkdown(docId) {
     try {
+      // Read before the content, so an edit made while fetching is picked up
+      // by the next scheduled check rather than missed
+      const modifiedTime = await this.getDocumentModifiedTime(docId).catch(() => null);
       const document = await this.getDocumentContent(docId);
       const structuredData = this.extractStructuredTextFromDocument(document);
       
@@ -474,6 +500,7 @@ class GoogleDocsService {
         content: cleanedText,
         sections: structuredData.sections,
         lastModified: document.revisionId,
+        modifiedTime,
         docId: docId
       };
     } catch (error) {
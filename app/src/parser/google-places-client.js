@@ -0,0 +1,124 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { throwIfCancelled } = require('./cancellation');
+
+/**
+ * Google Places HTTP client with record/replay
+ *
+ * All Google Places API requests go through here. config.googlePlaces.mode:
+ * - live: requests go straight to places.googleapis.com
+ * - record: requests go to the API and every request/response pair is saved
+ *   to config.googlePlaces.recordingsDir
+ * - replay: responses are served from the recordings, no network or API key
+ *
+ * Recordings are named by a hash of the method, URL, body and field mask (never
+ * the API key), so re-recording the same request overwrites its fixture.
+ *
+ * Options are passed to axios, so `signal` aborts a request in flight.
+ */
+class GooglePlacesClient {
+  constructor() {
+    this.mode = config.googlePlaces.mode;
+    this.recordingsDir = path.resolve(config.googlePlaces.recordingsDir);
+    this.requestCount = 0;
+
+    if (!['live', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown GOOGLE_PLACES_MODE: ${this.mode}`);
+    }
+  }
+
+  async post(url, body, options = {}) {
+    return this.request({ method: 'post', url, body, options });
+  }
+
+  async get(url, options = {}) {
+    return this.request({ method: 'get', url, body: null, options });
+  }
+
+  requestKey(method, url, body, fieldMask) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ method, url, body, fieldMask }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  recordingPath(key) {
+    return path.join(this.recordingsDir, `${key}.json`);
+  }
+
+  async request({ method, url, body, options }) {
+    const fieldMask = options.headers?.['X-Goog-FieldMask'] || null;
+    const key = this.requestKey(method, url, body, fieldMask);
+    throwIfCancelled(options.signal);
+    this.requestCount++;
+
+    if (this.mode === 'replay') {
+      return this.replay(key, method, url);
+    }
+
+    try {
+      const response = method === 'post'
+        ? await axios.post(url, body, options)
+        : await axios.get(url, options);
+
+      if (this.mode === 'record') {
+        this.record(key, { method, url, body, fieldMask }, { status: response.status, data: response.data });
+      }
+
+      return response;
+    } catch (error) {
+      // Record API errors too so error handling can be replayed
+      if (this.mode === 'record' && error.response) {
+        this.record(key, { method, url, body, fieldMask }, {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data
+        });
+      }
+      throw error;
+    }
+  }
+
+  record(key, request, response) {
+    try {
+      fs.mkdirSync(this.recordingsDir, { recursive: true });
+      fs.writeFileSync(this.recordingPath(key), JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        request,
+        response
+      }, null, 2), 'utf8');
+      logger.debug(`Recorded Google Places response ${key} for ${request.method.toUpperCase()} ${request.url}`);
+    } catch (error) {
+      logger.warn(`Failed to record Google Places response ${key}:`, error.message);
+    }
+  }
+
+  replay(key, method, url) {
+    const recordingPath = this.recordingPath(key);
+
+    if (!fs.existsSync(recordingPath)) {
+      throw new Error(`No recorded Google Places response for ${method.toUpperCase()} ${url} (${key}) in ${this.recordingsDir}`);
+    }
+
+    const { response } = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+    logger.debug(`Replaying Google Places response ${key} for ${method.toUpperCase()} ${url}`);
+
+    if (response.status >= 400) {
+      // Same shape as an axios error so callers handle it identically
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return { status: response.status, data: response.data };
+  }
+}
+
+const googlePlacesClient = new GooglePlacesClient();
+
+module.exports = { googlePlacesClient };
@@ -1,11 +1,25 @@
+const { config } = require('./config');
 const { logger } = require('./logger');
-const { openaiService } = require('./openai-service');
+const { llmClient } = require('./llm-client');
+const { storageService } = require('./storage');
+const { housesService } = require('./houses');
+const { HouseMechanicsExtractionSchema } = require('./schema');
+const { throwIfCancelled, isCancelled } = require('./cancellation');
 
+/**
+ * House Mechanics Service
+ *
+ * Turns each house's part of the "House Mechanics" section into two files:
+ * - house-mechanics-<slug>.md, the instructions rewritten as friendly markdown
+ * - house-mechanics-<slug>.json, a structured model (WiFi, door codes,
+ *   arrival/departure checklists, appliances and emergency contacts) that the
+ *   house page renders as widgets. The markdown is the fallback when the
+ *   model could not be extracted.
+ *
+ * The content arrives redacted (see secrets.js), so both files hold
+ * `{{secret:<id>}}` placeholders instead of passwords and codes.
+ */
 class HouseMechanicsService {
-  constructor() {
-    this.houseNames = ['Shady', 'Lofty'];
-  }
-
   /**
    * Extract the "House Mechanics" section from the document content
    */
@@ -33,9 +47,10 @@ class HouseMechanicsService {
   }
 
   /**
-   * Parse individual house data from the mechanics section
+   * Parse individual house data from the mechanics section, keyed by house
+   * slug. A heading matches a house by its name or its slug.
    */
-  parseHouseData(houseMechanicsContent) {
+  parseHouseData(houseMechanicsContent, knownHouses) {
     try {
       const houses = {};
       
@@ -46,12 +61,15 @@ class HouseMechanicsService {
         if (!section.trim()) continue;
         
         const lines = section.split('\n');
-        const houseName = lines[0].trim().toLowerCase();
+        const heading = lines[0].trim().toLowerCase();
+        const house = knownHouses.find(candidate => candidate.name.toLowerCase() === heading || candidate.slug === heading);
         
-        if (this.houseNames.map(name => name.toLowerCase()).includes(houseName)) {
+        if (house) {
           const houseContent = lines.slice(1).join('\n').trim();
-          houses[houseName] = houseContent;
-          logger.info(`Parsed data for house: ${houseName}`);
+          houses[house.slug] = houseContent;
+          logger.info(`Parsed data for house: ${house.name}`);
+        } else {
+          logger.warn(`Skipping house mechanics for "${lines[0].trim()}", which is not in the house list`);
         }
       }
       
@@ -84,7 +102,7 @@ class HouseMechanicsService {
   /**
    * Use OpenAI to enhance the formatting and readability
    */
-  async enhanceInstructions(houseName, rawContent) {
+  async enhanceInstructions(houseName, rawContent, signal = null) {
     try {
       logger.info(`Enhancing instructions for ${houseName} with OpenAI`);
       
@@ -105,6 +123,7 @@ Please:
 7. Keep all the original information but make it more readable
 8. Avoid "dividers" between sections - just use a blank line
 9. Do NOT add a title to the document (i.e., "Shady House Instructions") - just start with the instructions (using necessary headers for each section)
+10. Passwords and codes appear as placeholders like {{secret:3f9a1c2b7d4e}}. Keep every placeholder exactly as written, in the place of the value it stands for
 
 Format as markdown and return ONLY the formatted content without any wrapper text.
 
@@ -129,14 +148,14 @@ Before you go, please:
 ### WiFi Info 📶
 
 - Network: MyInternetSSID
-- Password: \`MyInternetPassword\`
+- Password: \`{{secret:3f9a1c2b7d4e}}\`
 
 ---
 *Last updated: 7/9/2025*
 
 `;
 
-      const enhancedContent = await openaiService.generateCompletion(prompt);
+      const enhancedContent = await llmClient.complete(prompt, undefined, { signal });
       
       // Create the final markdown without header
       const markdown = `${enhancedContent}
@@ -147,15 +166,100 @@ Before you go, please:
 
       return markdown;
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.error(`Failed to enhance instructions for ${houseName} with OpenAI:`, error);
       return null;
     }
   }
 
   /**
-   * Process the house mechanics section and return formatted markdown for each house
+   * Extract the structured model of a house's instructions. Returns null when
+   * the model could not be extracted, so only the markdown is shown.
    */
-  async processHouseMechanics(documentContent) {
+  async extractStructuredMechanics(houseName, rawContent, signal = null) {
+    try {
+      logger.info(`Extracting structured mechanics for ${houseName}`);
+
+      const structured = config.openai.outputMode === 'structured';
+      const prompt = `Record the mechanics of the house "${houseName}" from these instructions.
+
+Only use what the instructions say: copy network names, passwords, codes and phone numbers exactly, and leave a list empty when the instructions do not cover it. Passwords and codes appear as placeholders like {{secret:3f9a1c2b7d4e}}; copy the placeholders as they are. Checklists are step-by-step routines, e.g. what to do on arrival or before leaving.
+${structured ? '' : `
+Answer with JSON only, with the keys wifi, doorCodes, checklists, appliances and emergencyContacts.
+`}
+Instructions:
+${rawContent}`;
+
+      const response = await llmClient.invoke([
+        { role: 'system', content: 'You extract facts from house instructions precisely and never invent any.' },
+        { role: 'user', content: prompt }
+      ], structured
+        ? { schema: HouseMechanicsExtractionSchema, schemaName: 'record_house_mechanics', signal }
+        : { signal });
+
+      let extracted;
+      if (structured) {
+        extracted = response.toolCall?.args;
+      } else {
+        const content = response.content.trim();
+        const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+        extracted = JSON.parse(jsonMatch ? jsonMatch[1] : content);
+      }
+
+      const parsed = HouseMechanicsExtractionSchema.safeParse(extracted);
+      if (!parsed.success) {
+        throw new Error(parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join(', '));
+      }
+
+      return this.toStructuredMechanics(parsed.data);
+    } catch (error) {
+      if (isCancelled(error, signal)) throw error;
+      logger.warn(`Failed to extract structured mechanics for ${houseName}, only markdown will be shown:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Give checklists and their items IDs derived from their text, so ticks
+   * can be kept for an item while the rest of the list changes
+   */
+  toStructuredMechanics(extracted) {
+    const toId = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'item';
+    const uniqueIds = () => {
+      const used = new Set();
+      return text => {
+        const baseId = toId(text);
+        let id = baseId;
+        for (let suffix = 2; used.has(id); suffix++) {
+          id = `${baseId}-${suffix}`;
+        }
+        used.add(id);
+        return id;
+      };
+    };
+
+    const checklistId = uniqueIds();
+    return {
+      ...extracted,
+      checklists: extracted.checklists.map(checklist => {
+        const itemId = uniqueIds();
+        return {
+          id: checklistId(checklist.title),
+          kind: checklist.kind,
+          title: checklist.title,
+          items: checklist.items.map(text => ({ id: itemId(text), text }))
+        };
+      }),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Process the house mechanics section and return, for each house, its
+   * formatted markdown and structured model (null if it could not be extracted).
+   * Options: signal (AbortSignal that cancels processing and its LLM calls)
+   */
+  async processHouseMechanics(documentContent, { signal = null } = {}) {
     try {
       logger.info('Processing House Mechanics section');
       
@@ -166,25 +270,97 @@ Before you go, please:
       }
 
       // Parse individual house data
-      const housesData = this.parseHouseData(houseMechanicsContent);
+      const knownHouses = await housesService.listHouses();
+      const housesData = this.parseHouseData(houseMechanicsContent, knownHouses);
       
       // Format each house's instructions
       const formattedHouses = {};
-      for (const [houseName, rawContent] of Object.entries(housesData)) {
+      for (const [slug, rawContent] of Object.entries(housesData)) {
+        throwIfCancelled(signal);
+        const houseName = knownHouses.find(house => house.slug === slug).name;
         logger.info(`Processing instructions for ${houseName}`);
-        const formatted = await this.enhanceInstructions(houseName, rawContent);
-        if (formatted) {
-          formattedHouses[houseName] = formatted;
+        const markdown = await this.enhanceInstructions(houseName, rawContent, signal);
+        if (markdown) {
+          formattedHouses[slug] = {
+            markdown,
+            structured: await this.extractStructuredMechanics(houseName, rawContent, signal)
+          };
         }
       }
 
       logger.info(`Successfully processed ${Object.keys(formattedHouses).length} house(s)`);
       return formattedHouses;
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.error('Failed to process house mechanics:', error);
       return {};
     }
   }
+
+  /**
+   * Save each house's markdown to the storage backend as house-mechanics-<slug>.md
+   * and its structured model as house-mechanics-<slug>.json. A model left from
+   * an earlier run is removed when none was extracted, so it never disagrees
+   * with the markdown.
+   */
+  async saveHouseMechanicsFiles(houseMechanicsData) {
+    logger.info(`Saving house mechanics files to ${storageService.provider} storage`);
+
+    const saveResults = {};
+
+    for (const [slug, { markdown, structured }] of Object.entries(houseMechanicsData)) {
+      const fileName = this.getFileName(slug);
+
+      try {
+        const result = await storageService.writeText(fileName, markdown, 'text/markdown');
+        if (structured) {
+          await storageService.writeJson(this.getStructuredFileName(slug), structured);
+        } else {
+          await storageService.delete(this.getStructuredFileName(slug));
+        }
+
+        saveResults[slug] = {
+          success: true,
+          fileName: fileName,
+          url: result.url,
+          structured: Boolean(structured)
+        };
+
+        logger.info(`Successfully saved ${fileName}`);
+      } catch (fileError) {
+        saveResults[slug] = {
+          success: false,
+          error: fileError.message
+        };
+
+        logger.error(`Failed to save ${fileName}:`, fileError);
+      }
+    }
+
+    return saveResults;
+  }
+
+  /**
+   * Load a house's markdown from the storage backend
+   */
+  async loadHouseMechanicsFile(slug) {
+    return storageService.readText(this.getFileName(slug));
+  }
+
+  /**
+   * Load a house's structured model, or null if there is none
+   */
+  async loadStructuredMechanics(slug) {
+    return storageService.readJson(this.getStructuredFileName(slug));
+  }
+
+  getFileName(slug) {
+    return `house-mechanics-${slug}.md`;
+  }
+
+  getStructuredFileName(slug) {
+    return `house-mechanics-${slug}.json`;
+  }
 }
 
 const houseMechanicsService = new HouseMechanicsService();
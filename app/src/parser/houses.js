@@ -0,0 +1,151 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { HouseSchema, HouseSlugSchema } = require('./schema');
+
+// Other server instances share the store, so it is re-read after this long
+const CACHE_TTL_MS = 30 * 1000;
+
+// Used until the house list is first saved from the dashboard
+const DEFAULT_HOUSES = [
+  { slug: 'shady', name: 'Shady', title: 'The Shady Sheddy', address: null, coordinates: null, access: { roles: ['admin', 'editor', 'guest'] } },
+  { slug: 'lofty', name: 'Lofty', title: 'The Lofty Sheddy', address: null, coordinates: null, access: { roles: ['admin', 'editor', 'guest'] } }
+];
+
+/**
+ * Houses Service
+ *
+ * The compound's houses as data: name, slug, address, coordinates and which
+ * account roles can open each house. House mechanics parsing, the mechanics
+ * API, permissions (`mechanics:read:<slug>`), navigation and the house page
+ * are all driven from this list, so adding a house needs no code change.
+ *
+ * The list is stored in order on the storage backend; the order is the order
+ * of the navigation tabs.
+ */
+class HousesService {
+  constructor() {
+    this.key = config.houses.key;
+    this.houses = null;
+    this.loadedAt = 0;
+  }
+
+  async listHouses() {
+    if (this.houses && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.houses;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.houses = data?.houses || DEFAULT_HOUSES;
+      this.loadedAt = Date.now();
+      return this.houses;
+    } catch (error) {
+      logger.error('Failed to load houses:', error);
+      throw new Error(`Failed to load houses: ${error.message}`);
+    }
+  }
+
+  async saveHouses(houses) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        houses
+      });
+      this.houses = houses;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save houses:', error);
+      throw new Error(`Failed to save houses: ${error.message}`);
+    }
+  }
+
+  /**
+   * What anyone may know about a house; address and access rules are left out
+   */
+  toPublicHouse(house) {
+    return { slug: house.slug, name: house.name, title: house.title || house.name };
+  }
+
+  async getHouse(slug) {
+    const house = (await this.listHouses()).find(candidate => candidate.slug === slug);
+
+    if (!house) {
+      const notFoundError = new Error(`House ${slug} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    return house;
+  }
+
+  /**
+   * Create a house or replace the one with this slug, keeping its place in the list
+   */
+  async setHouse(slug, input, actor = null) {
+    const parsedSlug = HouseSlugSchema.safeParse(slug);
+    const parsed = HouseSchema.safeParse(input);
+    if (!parsedSlug.success || !parsed.success) {
+      const issues = [
+        ...(parsedSlug.success ? [] : parsedSlug.error.issues.map(issue => `slug: ${issue.message}`)),
+        ...(parsed.success ? [] : parsed.error.issues.map(issue => `${issue.path.join('.') || 'house'}: ${issue.message}`))
+      ];
+      const invalidError = new Error(`Invalid house: ${issues.join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const houses = await this.listHouses();
+    const house = {
+      slug,
+      address: null,
+      coordinates: null,
+      ...parsed.data,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+
+    const index = houses.findIndex(candidate => candidate.slug === slug);
+    await this.saveHouses(index === -1
+      ? [...houses, house]
+      : houses.map(candidate => candidate.slug === slug ? house : candidate));
+    logger.info(`${index === -1 ? 'Added' : 'Updated'} house ${slug} (${house.name})`);
+
+    return house;
+  }
+
+  /**
+   * Remove a house. Its mechanics file stays in storage and is used again if
+   * a house with the same slug is added back.
+   */
+  async deleteHouse(slug) {
+    const houses = await this.listHouses();
+
+    if (!houses.some(house => house.slug === slug)) {
+      const notFoundError = new Error(`House ${slug} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    await this.saveHouses(houses.filter(house => house.slug !== slug));
+    logger.info(`Removed house ${slug}`);
+  }
+
+  /**
+   * Throws a 400 error naming any slugs that are not houses, e.g. for invites
+   */
+  async assertHousesExist(slugs) {
+    const known = new Set((await this.listHouses()).map(house => house.slug));
+    const unknown = slugs.filter(slug => !known.has(slug));
+
+    if (unknown.length > 0) {
+      const invalidError = new Error(`Unknown house(s): ${unknown.join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+  }
+}
+
+const housesService = new HousesService();
+
+module.exports = { housesService };
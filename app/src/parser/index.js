@@ -2,7 +2,7 @@
 
 const { parser } = require('./parser');
 const { logger } = require('./logger');
-const { config } = require('./config');
+const { parserJobsService } = require('./parser-jobs');
 
 async function main() {
   try {
@@ -18,6 +18,10 @@ async function main() {
         await runParse(docId);
         break;
       
+      case 'refresh':
+        await runEnrichmentRefresh();
+        break;
+
       case 'stats':
         await showStats();
         break;
@@ -31,7 +35,7 @@ async function main() {
           // If a document ID is provided as first argument, treat it as parse command
           await runParse(command);
         } else {
-          // Default action: parse the configured document
+          // Default action: parse all source documents
           await runParse();
         }
         break;
@@ -45,21 +49,70 @@ async function main() {
   }
 }
 
-async function runParse(docId = null) {
-  try {
-    const documentId = docId || config.google.docId;
-    
-    if (!documentId) {
-      throw new Error('No document ID provided. Set GOOGLE_DOC_ID environment variable or provide as argument.');
+// Result stats kept in the job history and returned to the dashboard
+function summarizeResult(result) {
+  const typeBreakdown = result.places.reduce((acc, place) => {
+    acc[place.type] = (acc[place.type] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    totalPlaces: result.places.length,
+    sourceDocTitle: result.metadata?.sourceDocTitle || 'Unknown',
+    generatedAt: result.metadata?.generatedAt || new Date().toISOString(),
+    typeBreakdown: typeBreakdown,
+    categories: result.metadata?.categories || [],
+    enrichmentStats: result.metadata?.enrichmentStats || {},
+    houseMechanics: result.metadata?.houseMechanics || { processed: false }
+  };
+}
+
+/**
+ * Run the parser, or with kind 'refresh' the enrichment refresh, and record
+ * the run in the job history. Every parser event goes to the job's log before
+ * it is passed on to streamCallback. onJobStart receives the job record as
+ * soon as it exists.
+ */
+async function runJob(documentId, streamCallback, { kind = 'parse', signal = null, trigger, actor = null, queueId = null, attempt = 1, onJobStart = null }) {
+  const job = parserJobsService.startJob({ kind, trigger, actor, docId: documentId, queueId, attempt });
+  if (onJobStart) {
+    onJobStart(job);
+  }
+  const recordEvent = (type, message, data = null) => {
+    parserJobsService.recordEvent(job, type, message, data);
+    if (streamCallback) {
+      streamCallback(type, message, data);
     }
+  };
+
+  try {
+    const result = kind === 'refresh'
+      ? await parser.refreshEnrichment(recordEvent, { signal })
+      : await parser.parseDocument(documentId, recordEvent, { signal });
+    await parserJobsService.finishJob(job, 'completed', { stats: summarizeResult(result) });
+    return { job, result };
+  } catch (error) {
+    await parserJobsService.finishJob(job, error.cancelled ? 'cancelled' : 'failed', {
+      stats: error.progress || null,
+      error: error.message
+    });
+    throw error;
+  }
+}
 
-    logger.info(`Parsing document: ${documentId}`);
+/**
+ * Options: trigger (recorded in the job history, default 'cli'), actor
+ */
+async function runParse(docId = null, { trigger = 'cli', actor = null } = {}) {
+  try {
+    logger.info(docId ? `Parsing document: ${docId}` : 'Parsing all source documents');
     
-    const result = await parser.parseDocument(documentId);
+    const { job, result } = await runJob(docId, null, { trigger, actor });
     
     console.log('\n🎉 Parsing completed successfully!');
+    console.log(`🆔 Job: ${job.id}`);
     console.log(`📍 Total places: ${result.places.length}`);
-    console.log(`📄 Source: ${result.metadata.sourceDocTitle}`);
+    console.log(`📄 Sources: ${result.metadata.sourceDocTitle}`);
     console.log(`⏰ Generated: ${result.metadata.generatedAt}`);
     
     if (result.metadata.summary) {
@@ -83,40 +136,58 @@ async function runParse(docId = null) {
   }
 }
 
-async function runParseWithStreaming(docId = null, streamCallback = null) {
+/**
+ * Options: signal (AbortSignal that cancels the run); trigger (default
+ * 'manual'), actor, queueId, attempt and onJobStart for the job history
+ */
+async function runParseWithStreaming(docId = null, streamCallback = null, { signal = null, trigger = 'manual', actor = null, queueId = null, attempt = 1, onJobStart = null } = {}) {
   try {
-    const documentId = docId || config.google.docId;
-    
-    if (!documentId) {
-      throw new Error('No document ID provided. Set GOOGLE_DOC_ID environment variable or provide as argument.');
-    }
-
-    logger.info(`Parsing document with streaming: ${documentId}`);
-    
-    const result = await parser.parseDocument(documentId, streamCallback);
+    logger.info(docId ? `Parsing document with streaming: ${docId}` : 'Parsing all source documents with streaming');
     
-    // Calculate type breakdown for result
-    const typeBreakdown = result.places.reduce((acc, place) => {
-      acc[place.type] = (acc[place.type] || 0) + 1;
-      return acc;
-    }, {});
+    const { job } = await runJob(docId, streamCallback, { signal, trigger, actor, queueId, attempt, onJobStart });
 
     return {
       success: true,
       message: 'Parser completed successfully',
-      data: {
-        totalPlaces: result.places.length,
-        sourceDocTitle: result.metadata?.sourceDocTitle || 'Unknown',
-        generatedAt: result.metadata?.generatedAt || new Date().toISOString(),
-        typeBreakdown: typeBreakdown,
-        categories: result.metadata?.categories || [],
-        enrichmentStats: result.metadata?.enrichmentStats || {},
-        houseMechanics: result.metadata?.houseMechanics || { processed: false }
-      }
+      jobId: job.id,
+      data: job.stats
     };
     
   } catch (error) {
-    logger.error('Parse with streaming failed:', error);
+    if (!error.cancelled) {
+      logger.error('Parse with streaming failed:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refresh the hours and ratings of the current dataset. Options as for
+ * runParseWithStreaming; from the CLI the trigger is 'cli'.
+ */
+async function runEnrichmentRefresh(streamCallback = null, { signal = null, trigger = 'cli', actor = null, queueId = null, attempt = 1, onJobStart = null } = {}) {
+  try {
+    logger.info('Refreshing hours and ratings of the current dataset');
+
+    const { job, result } = await runJob(null, streamCallback, { kind: 'refresh', signal, trigger, actor, queueId, attempt, onJobStart });
+
+    if (trigger === 'cli') {
+      console.log('\n🔄 Enrichment refresh completed!');
+      console.log(`🆔 Job: ${job.id}`);
+      console.log(`📍 Total places: ${result.places.length}`);
+    }
+
+    return {
+      success: true,
+      message: 'Enrichment refresh completed successfully',
+      jobId: job.id,
+      data: job.stats
+    };
+
+  } catch (error) {
+    if (!error.cancelled) {
+      logger.error('Enrichment refresh failed:', error);
+    }
     throw error;
   }
 }
@@ -131,7 +202,7 @@ async function showStats() {
     if (stats.exists) {
       console.log(`📍 Total places: ${stats.totalPlaces}`);
       console.log(`⏰ Last parsed: ${stats.lastParsed}`);
-      console.log(`📄 Source document: ${stats.sourceDocTitle || stats.sourceDocId}`);
+      console.log(`📄 Source documents: ${stats.sourceDocTitle || stats.sources.map(source => source.docId).join(', ')}`);
     }
     
     if (stats.error) {
@@ -149,14 +220,15 @@ function showHelp() {
 🏖️  Compound Parser - Convert Google Docs to structured JSON
 
 Usage:
-  npm start                    Parse the configured Google Doc
-  npm start parse [docId]      Parse a specific document
+  npm start                    Parse all source documents into one dataset
+  npm start parse [docId]      Parse one document again, keeping the places of the others
+  npm start refresh            Refresh hours and ratings of the current places
   npm start stats              Show parsing statistics
   npm start help               Show this help message
 
 Environment Variables:
   OPENAI_API_KEY              OpenAI API key (required)
-  GOOGLE_DOC_ID               Google Doc ID to parse (required)
+  GOOGLE_DOC_ID               Google Doc ID to parse until source documents are set up on the admin dashboard
   GOOGLE_APPLICATION_CREDENTIALS  Path to Google API credentials JSON
   OUTPUT_DIR                  Output directory (default: ./output)
   OUTPUT_FILE                 Output filename (default: compound-places.json)
@@ -170,7 +242,7 @@ Examples:
 Setup:
   1. Create .env file with your API keys
   2. Download Google API credentials JSON
-  3. Set GOOGLE_DOC_ID to your document ID
+  3. Set GOOGLE_DOC_ID to your document ID, or add the documents on the admin dashboard
   4. Run 'npm start' to parse your document
 
 For more information, see the README.md file.
@@ -194,6 +266,7 @@ module.exports = {
   main,
   runParse,
   runParseWithStreaming,
+  runEnrichmentRefresh,
   showStats,
   showHelp
 };
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { InviteCreateSchema } = require('./schema');
+const { housesService } = require('./houses');
+
+// Other server instances share the store; changes they make are seen here
+// after at most this long
+const CACHE_TTL_MS = 5 * 1000;
+
+/**
+ * Invites Service
+ *
+ * Guest invite links scoped to one or more houses and a check-in/check-out
+ * window. Only a hash of each link code is stored; the code itself is
+ * returned once when the invite is created.
+ *
+ * Redeeming a link issues a guest token that expires at check-out. Tokens
+ * carry the invite ID and are resolved against the store on every request, so
+ * revoking an invite ends the stay's access immediately on this server
+ * instance, and within CACHE_TTL_MS on others sharing the store.
+ *
+ * Updates from this process are serialized, but the store assumes a single
+ * writing process: concurrent writes from other server instances are
+ * last-writer-wins.
+ */
+class InvitesService {
+  constructor() {
+    this.key = config.invites.key;
+    this.invites = null;
+    this.loadedAt = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async loadInvites(fresh = false) {
+    if (!fresh && this.invites && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.invites;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.invites = data?.invites || {};
+      this.loadedAt = Date.now();
+      return this.invites;
+    } catch (error) {
+      logger.error('Failed to load invites:', error);
+      throw new Error(`Failed to load invites: ${error.message}`);
+    }
+  }
+
+  async saveInvites(invites) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        invites
+      });
+      this.invites = invites;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save invites:', error);
+      throw new Error(`Failed to save invites: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run `change` on a fresh read of the store and return its result. Changes
+   * made by this process run one at a time, so none overwrites another made
+   * here.
+   */
+  async updateInvites(change) {
+    const run = this.pending.then(async () => change(await this.loadInvites(true)));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  /**
+   * Invite without the code hash, with its current status
+   */
+  toPublicInvite(invite, now = Date.now()) {
+    const publicInvite = { ...invite };
+    delete publicInvite.codeHash;
+    return { ...publicInvite, status: this.getStatus(invite, now) };
+  }
+
+  getStatus(invite, now = Date.now()) {
+    if (invite.revokedAt) return 'revoked';
+    if (now < Date.parse(invite.checkIn)) return 'upcoming';
+    if (now >= Date.parse(invite.checkOut)) return 'expired';
+    return 'active';
+  }
+
+  async listInvites() {
+    const invites = await this.loadInvites();
+    const now = Date.now();
+    return Object.values(invites)
+      .map(invite => this.toPublicInvite(invite, now))
+      .sort((a, b) => Date.parse(b.checkIn) - Date.parse(a.checkIn));
+  }
+
+  /**
+   * Create an invite. Returns the invite and its link code, which is not
+   * stored and can't be shown again.
+   */
+  async createInvite(input, actor = null) {
+    const parsed = InviteCreateSchema.safeParse(input);
+    if (!parsed.success) {
+      const invalidError = new Error(`Invalid invite: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`).join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    if (Date.parse(parsed.data.checkOut) <= Date.now()) {
+      const invalidError = new Error('Check-out is already in the past');
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    await housesService.assertHousesExist(parsed.data.houses);
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    const invite = {
+      id: `inv_${crypto.randomBytes(6).toString('hex')}`,
+      ...parsed.data,
+      checkIn: new Date(parsed.data.checkIn).toISOString(),
+      checkOut: new Date(parsed.data.checkOut).toISOString(),
+      codeHash: this.hashCode(code),
+      createdAt: new Date().toISOString(),
+      createdBy: actor,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    await this.updateInvites(invites => this.saveInvites({ ...invites, [invite.id]: invite }));
+    logger.info(`Created invite ${invite.id} for ${invite.guestName} (${invite.houses.join(', ')}, ${invite.checkIn} to ${invite.checkOut})`);
+
+    return { invite: this.toPublicInvite(invite), code };
+  }
+
+  async revokeInvite(inviteId, actor = null) {
+    return this.updateInvites(async invites => {
+      const invite = invites[inviteId];
+      if (!invite) {
+        const notFoundError = new Error(`Invite ${inviteId} not found`);
+        notFoundError.code = 404;
+        throw notFoundError;
+      }
+
+      const revoked = { ...invite, revokedAt: new Date().toISOString(), revokedBy: actor };
+      await this.saveInvites({ ...invites, [inviteId]: revoked });
+      logger.info(`Revoked invite ${inviteId} for ${invite.guestName}`);
+
+      return this.toPublicInvite(revoked);
+    });
+  }
+
+  /**
+   * Look up the invite behind a link code. Client errors explain why an
+   * invite can't be used right now.
+   */
+  async redeem(code) {
+    const invites = await this.loadInvites();
+    const codeHash = this.hashCode(code || '');
+    const invite = Object.values(invites).find(entry => entry.codeHash === codeHash);
+
+    if (!invite) {
+      const notFoundError = new Error('This invite link is not valid');
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    const status = this.getStatus(invite);
+    if (status !== 'active') {
+      const messages = {
+        revoked: 'This invite has been revoked',
+        upcoming: `This invite opens at check-in (${invite.checkIn})`,
+        expired: 'This invite expired at check-out'
+      };
+      const invalidError = new Error(messages[status]);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const used = { ...invite, lastUsedAt: new Date().toISOString() };
+    try {
+      await this.updateInvites(async latest => {
+        if (latest[invite.id]) {
+          await this.saveInvites({ ...latest, [invite.id]: { ...latest[invite.id], lastUsedAt: used.lastUsedAt } });
+        }
+      });
+    } catch (error) {
+      logger.warn(`Failed to record use of invite ${invite.id}:`, error.message);
+    }
+
+    logger.info(`Invite ${invite.id} redeemed by ${invite.guestName}`);
+    return this.toSessionUser(used);
+  }
+
+  /**
+   * Guest session for an invite, shaped like a user account
+   */
+  toSessionUser(invite) {
+    return {
+      id: invite.id,
+      username: invite.guestName,
+      displayName: invite.guestName,
+      role: 'guest',
+      houses: invite.houses,
+      stay: { checkIn: invite.checkIn, checkOut: invite.checkOut }
+    };
+  }
+
+  /**
+   * Guest behind a verified invite token, or null when the invite was revoked
+   * or the stay is over
+   */
+  async resolveTokenUser(payload) {
+    const invites = await this.loadInvites();
+    const invite = invites[payload.inviteId];
+    return invite && this.getStatus(invite) === 'active' ? this.toSessionUser(invite) : null;
+  }
+}
+
+const invitesService = new InvitesService();
+
+module.exports = { invitesService };
@@ -0,0 +1,221 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { parserJobsService } = require('./parser-jobs');
+
+/**
+ * Parser Job Queue
+ *
+ * Durable queue of requested parser runs on the storage backend, so requests
+ * survive restarts and are queued instead of refused while a run is going.
+ * Each request is stored as "<queuePrefix><id>.json" and is either `queued`
+ * or `running`; it is removed once its run has ended.
+ *
+ * The web process only ever creates files: new requests and cancel markers
+ * ("<queuePrefix><id>.cancel"). Updating and removing them is left to the
+ * worker, so the two never overwrite each other's changes.
+ *
+ * Claiming a request creates a claim marker ("<queuePrefix><id>.claim-<attempt>")
+ * that only one worker can create, so an inline worker and `npm run worker`
+ * never both run the same attempt of a request.
+ *
+ * A running request whose worker stops sending heartbeats is stale: it is
+ * queued again, or dropped once it has used up its attempts.
+ */
+class JobQueueService {
+  constructor() {
+    this.prefix = config.jobs.queuePrefix;
+    this.staleMs = config.jobs.staleSeconds * 1000;
+    this.maxAttempts = config.jobs.maxAttempts;
+  }
+
+  entryKey(id) {
+    return `${this.prefix}${id}.json`;
+  }
+
+  cancelKey(id) {
+    return `${this.prefix}${id}.cancel`;
+  }
+
+  claimKey(id, attempt) {
+    return `${this.prefix}${id}.claim-${attempt}`;
+  }
+
+  /**
+   * Requests oldest first, with `cancelRequested` set when a cancel marker exists
+   */
+  async listEntries() {
+    const keys = (await storageService.list(this.prefix)).map(file => file.key);
+    const cancelled = new Set(keys.filter(key => key.endsWith('.cancel')).map(key => key.slice(this.prefix.length, -'.cancel'.length)));
+
+    const entries = [];
+    for (const key of keys.filter(key => key.endsWith('.json')).sort()) {
+      const entry = await storageService.readJson(key);
+      if (entry) {
+        entries.push({ ...entry, cancelRequested: cancelled.has(entry.id) });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Queue a parser run: a parse, or an enrichment refresh with kind 'refresh'.
+   * A request made while another one of the same kind is still waiting is
+   * merged into it (`coalesced`), since the waiting run will read the latest
+   * document anyway. `position` is the number of requests ahead of it.
+   */
+  async enqueue({ kind = 'parse', trigger, actor = null, docId = null }) {
+    try {
+      const entries = (await this.listEntries()).filter(entry => !entry.cancelRequested);
+      const waiting = entries.find(entry => entry.status === 'queued' && (entry.kind || 'parse') === kind);
+
+      if (waiting) {
+        return { entry: waiting, coalesced: true, position: entries.indexOf(waiting) };
+      }
+
+      const entry = {
+        id: parserJobsService.createJobId(),
+        kind,
+        trigger,
+        actor,
+        docId,
+        status: 'queued',
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        workerId: null,
+        startedAt: null,
+        heartbeatAt: null,
+        jobId: null
+      };
+
+      await storageService.writeJson(this.entryKey(entry.id), entry);
+      logger.info(`Queued ${kind} run ${entry.id} (${trigger}${actor ? ` by ${actor}` : ''})`);
+      return { entry, coalesced: false, position: entries.length };
+    } catch (error) {
+      logger.error('Failed to queue parser run:', error);
+      throw new Error(`Failed to queue parser run: ${error.message}`);
+    }
+  }
+
+  async requestCancel(id) {
+    const entry = (await this.listEntries()).find(candidate => candidate.id === id);
+
+    if (!entry) {
+      const notFoundError = new Error(`Queued parser run ${id} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    await storageService.writeText(this.cancelKey(id), new Date().toISOString());
+    return entry;
+  }
+
+  // Entry as stored, without the flag listEntries() adds
+  toStored({ cancelRequested, ...entry }) {
+    return entry;
+  }
+
+  async isCancelRequested(id) {
+    return storageService.exists(this.cancelKey(id));
+  }
+
+  /**
+   * Worker: take the oldest waiting request. Requests cancelled before they
+   * started are removed and returned in `dropped`.
+   */
+  async claimNext(workerId) {
+    const dropped = [];
+
+    for (const entry of await this.listEntries()) {
+      if (entry.status !== 'queued') continue;
+
+      if (entry.cancelRequested) {
+        await this.remove(entry.id);
+        dropped.push(entry);
+        continue;
+      }
+
+      const attempt = entry.attempts + 1;
+      if (!(await storageService.create(this.claimKey(entry.id, attempt), workerId))) {
+        logger.debug(`Parser run ${entry.id} was claimed by another worker`);
+        continue;
+      }
+
+      // The request may have been cancelled or claimed between listing and claiming
+      const current = await storageService.readJson(this.entryKey(entry.id));
+      if (!current || current.status !== 'queued' || current.attempts !== entry.attempts) continue;
+      if (await this.isCancelRequested(entry.id)) {
+        await this.remove(entry.id);
+        dropped.push(entry);
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      const claimed = {
+        ...this.toStored(entry),
+        status: 'running',
+        attempts: attempt,
+        workerId,
+        startedAt: now,
+        heartbeatAt: now
+      };
+
+      await storageService.writeJson(this.entryKey(entry.id), claimed);
+      return { entry: claimed, dropped };
+    }
+
+    return { entry: null, dropped };
+  }
+
+  /**
+   * Worker: mark a running request as alive
+   */
+  async heartbeat(entry) {
+    entry.heartbeatAt = new Date().toISOString();
+    await storageService.writeJson(this.entryKey(entry.id), entry);
+  }
+
+  async remove(id) {
+    await storageService.delete(this.entryKey(id));
+    await storageService.delete(this.cancelKey(id));
+    for (const file of await storageService.list(`${this.prefix}${id}.claim-`)) {
+      await storageService.delete(file.key);
+    }
+  }
+
+  /**
+   * Worker: requeue or drop running requests without a recent heartbeat.
+   * Returns them with `requeued` telling which happened.
+   */
+  async recoverStale() {
+    const recovered = [];
+
+    for (const entry of await this.listEntries()) {
+      const lastSeen = Date.parse(entry.heartbeatAt || entry.startedAt);
+      if (entry.status !== 'running' || Date.now() - lastSeen < this.staleMs) continue;
+
+      const requeued = entry.attempts < this.maxAttempts && !entry.cancelRequested;
+      if (requeued) {
+        await storageService.writeJson(this.entryKey(entry.id), {
+          ...this.toStored(entry),
+          status: 'queued',
+          workerId: null,
+          startedAt: null,
+          heartbeatAt: null,
+          jobId: null,
+          interruptedJobIds: [...(entry.interruptedJobIds || []), entry.jobId].filter(Boolean)
+        });
+      } else {
+        await this.remove(entry.id);
+      }
+
+      recovered.push({ entry, requeued });
+    }
+
+    return recovered;
+  }
+}
+
+const jobQueueService = new JobQueueService();
+
+module.exports = { jobQueueService };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { saveToLogs } = require('./log-files');
+const { OpenAILLMProvider } = require('./openai-llm');
+const { ReplayLLMProvider } = require('./replay-llm');
+const { throwIfCancelled } = require('./cancellation');
+
+/**
+ * LLM Client
+ *
+ * Single entry point for every LLM call in the parser. The provider is chosen
+ * by config.llm.provider:
+ * - openai: the OpenAI API
+ * - local: an OpenAI-compatible endpoint at config.llm.baseUrl
+ * - replay: recorded responses from the logs directory, no network needed
+ *
+ * Messages are plain { role, content } objects. Responses are normalized to
+ * { content, toolCall, usage, finishReason } for every provider.
+ */
+class LLMClient {
+  constructor() {
+    this.provider = null;
+    // Running totals for this process; parser jobs report the difference over a run
+    this.usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'openai':
+        return new OpenAILLMProvider({
+          name: 'openai',
+          apiKey: config.openai.apiKey,
+          model: config.openai.model
+        });
+      case 'local':
+        if (!config.llm.baseUrl) {
+          throw new Error('LLM_BASE_URL is required for the local LLM provider');
+        }
+        return new OpenAILLMProvider({
+          name: 'local',
+          apiKey: config.llm.apiKey,
+          model: config.llm.model,
+          baseUrl: config.llm.baseUrl
+        });
+      case 'replay':
+        return new ReplayLLMProvider();
+      default:
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(config.llm.provider);
+      logger.info(`Using ${this.provider.name} LLM provider`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Stable hash of a request, used to record and replay responses. Only the
+   * messages and output schema name count, so runs with a different model or
+   * temperature still replay the same recordings.
+   */
+  hashRequest(messages, schemaName = null) {
+    const payload = JSON.stringify({
+      messages: messages.map(message => ({ role: message.role, content: message.content })),
+      schema: schemaName
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Send messages to the configured provider.
+   *
+   * Options: schema (zod schema the model must answer with through a function
+   * call), schemaName, temperature, maxTokens, signal (AbortSignal that
+   * cancels the call).
+   */
+  async invoke(messages, options = {}) {
+    throwIfCancelled(options.signal);
+    const provider = this.getProvider();
+    const requestHash = this.hashRequest(messages, options.schema ? options.schemaName || 'extract' : null);
+
+    const response = await provider.invoke(messages, { ...options, requestHash });
+    this.usage.calls++;
+    this.usage.promptTokens += response.usage?.prompt_tokens || 0;
+    this.usage.completionTokens += response.usage?.completion_tokens || 0;
+    this.usage.totalTokens += response.usage?.total_tokens || 0;
+
+    if (provider.name !== 'replay' && config.llm.record) {
+      saveToLogs(`llm-${requestHash}-request.json`, JSON.stringify({
+        provider: provider.name,
+        schema: options.schema ? options.schemaName || 'extract' : null,
+        messages
+      }, null, 2));
+      saveToLogs(`llm-${requestHash}-response.json`, JSON.stringify(response, null, 2));
+    }
+
+    return response;
+  }
+
+  /**
+   * Convenience wrapper returning the trimmed text of a single prompt's answer
+   */
+  async complete(prompt, systemPrompt = 'You are a helpful assistant that follows instructions precisely.', options = {}) {
+    const response = await this.invoke([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ], options);
+    return response.content.trim();
+  }
+}
+
+const llmClient = new LLMClient();
+
+module.exports = { llmClient };
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Local filesystem storage driver
+ *
+ * Stores every object as a plain file under config.storage.local.dir so the
+ * whole app can run offline against a local directory.
+ */
+class LocalStorageDriver {
+  constructor(rootDir = config.storage.local.dir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Never allow keys to escape the storage directory
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async read(key) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.debug(`File ${key} does not exist in local storage`);
+        return null;
+      }
+      throw new Error(`Failed to read ${key} from local storage: ${error.message}`);
+    }
+  }
+
+  async write(key, content) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, content, 'utf8');
+      logger.debug(`File written to local storage: ${filePath}`);
+      return { key, url: filePath };
+    } catch (error) {
+      throw new Error(`Failed to write ${key} to local storage: ${error.message}`);
+    }
+  }
+
+  async create(key, content) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, content, { encoding: 'utf8', flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw new Error(`Failed to create ${key} in local storage: ${error.message}`);
+    }
+  }
+
+  async append(key, content) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, content, 'utf8');
+      return { key, url: filePath };
+    } catch (error) {
+      throw new Error(`Failed to append to ${key} in local storage: ${error.message}`);
+    }
+  }
+
+  async stat(key) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        return null;
+      }
+      return {
+        key,
+        size: stats.size,
+        updated: stats.mtime.toISOString()
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to stat ${key} in local storage: ${error.message}`);
+    }
+  }
+
+  async list(prefix = '') {
+    const results = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+
+        const key = path.relative(this.rootDir, entryPath).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(entryPath);
+          results.push({
+            key,
+            size: stats.size,
+            updated: stats.mtime.toISOString()
+          });
+        }
+      }
+    };
+
+    try {
+      await walk(this.rootDir);
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to list local storage: ${error.message}`);
+    }
+  }
+
+  async listShallow(prefix = '') {
+    const slash = prefix.lastIndexOf('/');
+    const dirKey = prefix.slice(0, slash + 1);
+    const namePrefix = prefix.slice(slash + 1);
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.resolveKey(dirKey || '.'), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to list ${prefix} in local storage: ${error.message}`);
+    }
+
+    const results = [];
+    for (const entry of entries.filter(candidate => candidate.name.startsWith(namePrefix))) {
+      if (entry.isDirectory()) {
+        results.push({ key: `${dirKey}${entry.name}/` });
+        continue;
+      }
+
+      const stats = await fs.promises.stat(path.join(this.resolveKey(dirKey || '.'), entry.name));
+      results.push({
+        key: `${dirKey}${entry.name}`,
+        size: stats.size,
+        updated: stats.mtime.toISOString()
+      });
+    }
+    return results;
+  }
+
+  async delete(key) {
+    const filePath = this.resolveKey(key);
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`Failed to delete ${key} from local storage: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { LocalStorageDriver };
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Debug logs (prompts, responses, recorded LLM exchanges) are written here
+const LOGS_DIR = './logs';
+
+function ensureLogsDirectory() {
+  if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+    logger.info(`Created logs directory: ${LOGS_DIR}`);
+  }
+}
+
+/**
+ * Write a timestamped file to the logs directory and return its path
+ */
+function saveToLogs(filename, content) {
+  try {
+    ensureLogsDirectory();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const logPath = path.join(LOGS_DIR, `${timestamp}-${filename}`);
+    fs.writeFileSync(logPath, content, 'utf8');
+    logger.info(`Saved log: ${logPath}`);
+    return logPath;
+  } catch (error) {
+    logger.error('Failed to save log:', error);
+  }
+}
+
+module.exports = { LOGS_DIR, ensureLogsDirectory, saveToLogs };
@@ -0,0 +1,169 @@
+const { config } = require('./config');
+
+// Relative weight of each signal in the overall score
+const WEIGHTS = {
+  name: 0.5,
+  distance: 0.3,
+  type: 0.2
+};
+
+// Google Places types that fit each of our place types
+const COMPATIBLE_GOOGLE_TYPES = {
+  dining: ['restaurant', 'food', 'cafe', 'bar', 'bakery', 'meal_takeaway', 'meal_delivery', 'coffee_shop', 'ice_cream_shop', 'pizza_restaurant', 'seafood_restaurant', 'breakfast_restaurant', 'brewery', 'winery'],
+  restaurant: ['restaurant', 'food', 'cafe', 'bar', 'bakery', 'meal_takeaway', 'meal_delivery', 'coffee_shop', 'ice_cream_shop', 'pizza_restaurant', 'seafood_restaurant', 'breakfast_restaurant'],
+  activity: ['tourist_attraction', 'park', 'museum', 'natural_feature', 'beach', 'hiking_area', 'amusement_park', 'art_gallery', 'zoo', 'aquarium', 'marina', 'campground', 'state_park', 'historical_landmark', 'bowling_alley', 'movie_theater', 'golf_course', 'playground'],
+  accommodation: ['lodging', 'hotel', 'motel', 'inn', 'bed_and_breakfast', 'campground', 'rv_park'],
+  shopping: ['store', 'shopping_mall', 'supermarket', 'grocery_store', 'convenience_store', 'book_store', 'clothing_store', 'gift_shop', 'hardware_store', 'liquor_store', 'market']
+};
+
+// Words that don't help tell two business names apart
+const NAME_STOPWORDS = new Set(['the', 'a', 'an', 'and', 'of', 'at', 'in', 'on', '&']);
+
+/**
+ * Match Scoring Service
+ *
+ * Scores Google Places search results against a parsed place so enrichment
+ * doesn't blindly take the first result. The score (0-1) combines name
+ * similarity, distance from config.location.center and type compatibility.
+ */
+class MatchScoringService {
+  normalizeName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/['’`]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(word => word && !NAME_STOPWORDS.has(word));
+  }
+
+  bigrams(text) {
+    const grams = [];
+    for (let i = 0; i < text.length - 1; i++) {
+      grams.push(text.slice(i, i + 2));
+    }
+    return grams;
+  }
+
+  /**
+   * Name similarity: the better of character bigram overlap (Dice) and the
+   * share of our name's words found in the candidate's name
+   */
+  nameSimilarity(placeName, candidateName) {
+    const placeWords = this.normalizeName(placeName);
+    const candidateWords = this.normalizeName(candidateName);
+
+    if (placeWords.length === 0 || candidateWords.length === 0) {
+      return 0;
+    }
+
+    const a = this.bigrams(placeWords.join(''));
+    const b = this.bigrams(candidateWords.join(''));
+    const remaining = [...b];
+    let overlap = 0;
+    for (const gram of a) {
+      const index = remaining.indexOf(gram);
+      if (index !== -1) {
+        overlap++;
+        remaining.splice(index, 1);
+      }
+    }
+    const dice = a.length + b.length > 0 ? (2 * overlap) / (a.length + b.length) : 0;
+
+    const candidateSet = new Set(candidateWords);
+    const containment = placeWords.filter(word => candidateSet.has(word)).length / placeWords.length;
+
+    return Math.max(dice, containment);
+  }
+
+  distanceKm(from, to) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const earthRadiusKm = 6371;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * earthRadiusKm * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * 1 within nearbyKm of the compound, falling linearly to 0 at maxDistanceKm.
+   * null when there is no compound centre or candidate location to compare.
+   */
+  distanceScore(distanceKm) {
+    if (distanceKm === null) {
+      return null;
+    }
+    const { nearbyKm, maxDistanceKm } = config.matching;
+    if (distanceKm <= nearbyKm) return 1;
+    if (distanceKm >= maxDistanceKm) return 0;
+    return 1 - (distanceKm - nearbyKm) / (maxDistanceKm - nearbyKm);
+  }
+
+  /**
+   * 1 when a Google type fits our place type, 0 when none does, and null when
+   * either side is unknown
+   */
+  typeScore(placeType, googleTypes = []) {
+    const compatible = COMPATIBLE_GOOGLE_TYPES[placeType];
+    if (!compatible || googleTypes.length === 0) {
+      return null;
+    }
+    return googleTypes.some(type => compatible.includes(type)) ? 1 : 0;
+  }
+
+  /**
+   * Score one search result. Signals that can't be computed are left out and
+   * the remaining weights are scaled up.
+   */
+  scoreCandidate(place, candidate) {
+    const location = candidate.geometry?.location || null;
+    const center = config.location.center;
+    const distanceKm = center && location ? this.distanceKm(center, location) : null;
+
+    const signals = {
+      name: this.nameSimilarity(place.name, candidate.name),
+      distance: this.distanceScore(distanceKm),
+      type: this.typeScore(place.type, candidate.types)
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [signal, value] of Object.entries(signals)) {
+      if (value !== null) {
+        weighted += value * WEIGHTS[signal];
+        totalWeight += WEIGHTS[signal];
+      }
+    }
+
+    const score = totalWeight > 0 ? weighted / totalWeight : 0;
+    const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+    return {
+      score: round(score),
+      confidence: this.confidenceLabel(score),
+      nameScore: round(signals.name),
+      distanceScore: round(signals.distance),
+      typeScore: round(signals.type),
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10
+    };
+  }
+
+  confidenceLabel(score) {
+    if (score >= Math.max(0.8, config.matching.minConfidence)) return 'high';
+    if (score >= config.matching.minConfidence) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Score every search result and sort them best first
+   */
+  rankCandidates(place, searchResults) {
+    return searchResults
+      .map(candidate => ({ candidate, match: this.scoreCandidate(place, candidate) }))
+      .sort((a, b) => b.match.score - a.match.score);
+  }
+}
+
+const matchScoringService = new MatchScoringService();
+
+module.exports = { matchScoringService };
@@ -0,0 +1,75 @@
+const { ChatOpenAI } = require('@langchain/openai');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * OpenAI LLM provider
+ *
+ * Talks to the OpenAI API through LangChain. With a base URL it works against
+ * any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, ...), which is how
+ * the 'local' provider is set up.
+ */
+class OpenAILLMProvider {
+  constructor({ name = 'openai', apiKey, model, baseUrl } = {}) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl;
+    this.models = new Map();
+  }
+
+  getModel(temperature, maxTokens) {
+    const cacheKey = `${temperature}|${maxTokens}`;
+
+    if (!this.models.has(cacheKey)) {
+      if (!this.apiKey) {
+        throw new Error(`API key is required for the ${this.name} LLM provider`);
+      }
+
+      const modelConfig = {
+        apiKey: this.apiKey,
+        model: this.model,
+        temperature,
+      };
+
+      // Only set maxTokens if it's not 0 (0 means unlimited)
+      if (maxTokens > 0) {
+        modelConfig.maxTokens = maxTokens;
+      }
+
+      if (this.baseUrl) {
+        modelConfig.configuration = { baseURL: this.baseUrl };
+      }
+
+      this.models.set(cacheKey, new ChatOpenAI(modelConfig));
+      logger.debug(`Initialized ${this.name} model ${this.model}${this.baseUrl ? ` at ${this.baseUrl}` : ''}`);
+    }
+
+    return this.models.get(cacheKey);
+  }
+
+  async invoke(messages, { schema = null, schemaName = 'extract', temperature = config.openai.temperature, maxTokens = config.openai.maxTokens, signal } = {}) {
+    const model = this.getModel(temperature, maxTokens);
+
+    // With a schema the model has to answer through a function call
+    const response = schema
+      ? (await model.withStructuredOutput(schema, { name: schemaName, method: 'functionCalling', includeRaw: true }).invoke(messages, { signal })).raw
+      : await model.invoke(messages, { signal });
+
+    const toolCall = response.tool_calls?.[0];
+    const usage = response.usage_metadata;
+
+    return {
+      content: typeof response.content === 'string' ? response.content : '',
+      toolCall: toolCall ? { name: toolCall.name, args: toolCall.args } : null,
+      usage: usage ? {
+        prompt_tokens: usage.input_tokens,
+        completion_tokens: usage.output_tokens,
+        total_tokens: usage.total_tokens
+      } : null,
+      finishReason: response.response_metadata?.finish_reason || null
+    };
+  }
+}
+
+module.exports = { OpenAILLMProvider };
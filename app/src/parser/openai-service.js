@@ -1,118 +1,275 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
-const fs = require('fs');
-const path = require('path');
 const { config } = require('./config');
 const { logger } = require('./logger');
-const { generateParsingPrompt, generateCategoryCleanupPrompt } = require('./prompts');
-const { PlaceSchema, validatePlace } = require('./schema');
+const { generateParsingPrompt, generateCategoryCleanupPrompt, generatePlaceCorrectionPrompt } = require('./prompts');
+const { PlaceSchema, PlaceExtractionSchema, validatePlace } = require('./schema');
+const { sectionService } = require('./section-service');
+const { mapWithConcurrency } = require('./concurrency');
+const { llmClient } = require('./llm-client');
+const { saveToLogs } = require('./log-files');
+const { throwIfCancelled, isCancelled } = require('./cancellation');
 
+/**
+ * Parsing and writing tasks for the guide. All model calls go through
+ * llmClient, so the provider (OpenAI, local endpoint or replay) is set in config.
+ */
 class OpenAIService {
-  constructor() {
-    this.model = null;
-    this.ensureLogsDirectory();
+  saveToLogs(filename, content) {
+    return saveToLogs(filename, content);
   }
 
-  ensureLogsDirectory() {
-    const logsDir = './logs';
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-      logger.info(`Created logs directory: ${logsDir}`);
+  /**
+   * Options: signal (AbortSignal that cancels the parse and its LLM calls)
+   */
+  async parseDocument(documentContent, documentSections = [], { signal = null } = {}) {
+    try {
+      logger.info('Starting document parsing with OpenAI');
+      logger.info(`Document content length: ${documentContent.length} characters`);
+      logger.info(`Document sections: ${documentSections.length}`);
+      logger.info(`Location context: ${config.location.region}`);
+      
+      // Save the raw document content and sections
+      const docLogPath = this.saveToLogs('raw-document.md', documentContent);
+      logger.info(`Raw document saved to: ${docLogPath}`);
+      
+      const sectionsLogPath = this.saveToLogs('document-sections.json', JSON.stringify(documentSections, null, 2));
+      logger.info(`Document sections saved to: ${sectionsLogPath}`);
+
+      // Split long documents by heading into token-budgeted chunks so the
+      // response for each chunk fits within maxTokens
+      const chunks = this.buildChunks(documentContent, documentSections);
+      logger.info(`Parsing document in ${chunks.length} chunk(s) with concurrency ${config.openai.concurrency}`);
+
+      const chunkResults = await mapWithConcurrency(
+        chunks,
+        config.openai.concurrency,
+        (chunk, index) => this.parseChunk(chunk, chunks.length > 1 ? `chunk-${index + 1}` : null, signal)
+      );
+
+      const parsedData = { places: this.mergePlaces(chunkResults.flat()) };
+      logger.info(`Successfully parsed ${parsedData.places.length} places`);
+
+      // Save the parsed JSON to logs
+      const parsedJsonLogPath = this.saveToLogs('parsed-json.json', JSON.stringify(parsedData, null, 2));
+      logger.info(`Parsed JSON saved to: ${parsedJsonLogPath}`);
+
+      // Log place names for debugging
+      if (parsedData.places.length > 0) {
+        logger.debug('Parsed places:', parsedData.places.map(p => p.name));
+        
+        // Save place summary to logs
+        const placeSummary = `Places Found (${parsedData.places.length} total):
+Location Context: ${config.location.region}
+${parsedData.places.map((p, i) => `${i + 1}. ${p.name} (${p.type}) - Category: ${p.category || 'Unknown'}`).join('\n')}`;
+        this.saveToLogs('places-summary.txt', placeSummary);
+      }
+
+      // Clean up categories and validate each place
+      for (const place of parsedData.places) {
+        throwIfCancelled(signal);
+        // Clean up category if it exists
+        if (place.category) {
+          place.category = await this.cleanupCategory(place.category, signal);
+        }
+      }
+
+      const { valid: validatedPlaces, invalid } = this.validatePlaces(parsedData.places);
+      let droppedPlaces = 0;
+
+      if (invalid.length > 0) {
+        logger.warn(`${invalid.length} place(s) failed validation, asking the model to correct them`);
+        const { valid: correctedPlaces, invalid: stillInvalid } = await this.retryInvalidPlaces(invalid, signal);
+
+        validatedPlaces.push(...correctedPlaces);
+        droppedPlaces = stillInvalid.length;
+
+        for (const { place, issues } of stillInvalid) {
+          logger.warn(`Dropping place that failed validation after retry:`, {
+            place: place.name || 'Unknown',
+            issues
+          });
+        }
+      }
+
+      return {
+        places: validatedPlaces,
+        metadata: {
+          totalPlaces: validatedPlaces.length,
+          processedAt: new Date().toISOString(),
+          locationContext: config.location.region,
+          chunks: chunks.length,
+          outputMode: config.openai.outputMode,
+          droppedPlaces
+        }
+      };
+
+    } catch (error) {
+      logger.error('OpenAI parsing failed:', error);
+      throw new Error(`Parsing failed: ${error.message}`);
     }
   }
 
-  saveToLogs(filename, content) {
+  /**
+   * Split places into those that pass PlaceSchema and those that don't,
+   * keeping the zod issues for the invalid ones
+   */
+  validatePlaces(places) {
+    const valid = [];
+    const invalid = [];
+
+    for (const place of places) {
+      try {
+        valid.push(validatePlace(place));
+      } catch (validationError) {
+        const issues = validationError.issues
+          ? validationError.issues.map(issue => `${issue.path.join('.') || '(place)'}: ${issue.message}`)
+          : [validationError.message];
+        logger.warn(`Place validation failed:`, {
+          place: place.name || 'Unknown',
+          issues
+        });
+        invalid.push({ place, issues });
+      }
+    }
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Send invalid places back to the model once, together with their
+   * validation errors, and validate the corrected places
+   */
+  async retryInvalidPlaces(invalid, signal = null) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const logPath = path.join('./logs', `${timestamp}-${filename}`);
-      fs.writeFileSync(logPath, content, 'utf8');
-      logger.info(`Saved log: ${logPath}`);
-      return logPath;
+      const prompt = generatePlaceCorrectionPrompt(invalid, config.location.region);
+      this.saveToLogs('correction-prompt.txt', prompt);
+
+      const messages = [
+        { role: 'system', content: `You are an expert data parser. Return only valid JSON. All places are located in ${config.location.region}.` },
+        { role: 'user', content: prompt }
+      ];
+
+      const { places } = await this.requestPlaces(messages, 'correction', signal);
+      const result = this.validatePlaces(places);
+
+      // Places the model left out of its answer are still invalid
+      const correctedNames = new Set(places.map(place => this.normalizePlaceName(place.name)));
+      const missing = invalid.filter(({ place }) => !correctedNames.has(this.normalizePlaceName(place.name)));
+
+      logger.info(`Validation retry corrected ${result.valid.length} of ${invalid.length} place(s)`);
+      return { valid: result.valid, invalid: [...result.invalid, ...missing] };
     } catch (error) {
-      logger.error('Failed to save log:', error);
+      if (isCancelled(error, signal)) throw error;
+      logger.warn('Validation retry failed:', error);
+      return { valid: [], invalid };
     }
   }
 
-  initialize() {
-    if (!config.openai.apiKey) {
-      throw new Error('OpenAI API key is required');
+  buildChunks(documentContent, documentSections = []) {
+    if (documentSections.length === 0) {
+      return [{ markdown: documentContent, sections: [] }];
     }
 
-    const modelConfig = {
-      apiKey: config.openai.apiKey,
-      model: config.openai.model,
-      temperature: config.openai.temperature,
-    };
-    
-    // Only set maxTokens if it's not 0 (0 means unlimited)
-    if (config.openai.maxTokens > 0) {
-      modelConfig.maxTokens = config.openai.maxTokens;
+    // Accept both raw Google Docs sections and sections already annotated by sectionService
+    const sections = documentSections[0].hash ? documentSections : sectionService.buildSections(documentSections);
+
+    if (sectionService.estimateTokens(documentContent) <= config.openai.chunkTokens) {
+      return [{ markdown: documentContent, sections }];
     }
-    
-    this.model = new ChatOpenAI(modelConfig);
 
-    logger.info('OpenAI service initialized');
+    return sectionService.buildChunks(sections, config.openai.chunkTokens);
   }
 
-  async parseDocument(documentContent, documentSections = []) {
-    try {
-      if (!this.model) {
-        this.initialize();
+  /**
+   * Parse one chunk of the document. If the response is cut off at maxTokens the
+   * chunk is split in half and each half is parsed separately.
+   */
+  async parseChunk(chunk, label = null, signal = null) {
+    const logPrefix = label ? `${label}-` : '';
+
+    const prompt = generateParsingPrompt(chunk.markdown, config.location.region);
+    logger.info(`Generated ${label || 'document'} prompt length: ${prompt.length} characters`);
+    
+    // Save the input prompt to logs
+    const promptLogPath = this.saveToLogs(`${logPrefix}input-prompt.txt`, prompt);
+    logger.info(`Input prompt saved to: ${promptLogPath}`);
+    
+    const messages = [
+      { role: 'system', content: `You are an expert data parser. Return only valid JSON. All places are located in ${config.location.region}.` },
+      { role: 'user', content: prompt }
+    ];
+
+    const { places, truncated } = await this.requestPlaces(messages, label, signal);
+
+    if (truncated) {
+      const halves = this.splitChunk(chunk);
+      if (halves) {
+        logger.warn(`Response for ${label || 'document'} was truncated at maxTokens, splitting into smaller chunks`);
+        const results = await Promise.all(halves.map((half, index) => this.parseChunk(half, `${label || 'chunk'}-${index + 1}`, signal)));
+        return results.flat();
       }
+      logger.warn(`Response for ${label || 'document'} was truncated at maxTokens and cannot be split further`);
+    }
 
-      logger.info('Starting document parsing with OpenAI');
-      logger.info(`Document content length: ${documentContent.length} characters`);
-      logger.info(`Document sections: ${documentSections.length}`);
-      logger.info(`Location context: ${config.location.region}`);
-      
-      const prompt = generateParsingPrompt(documentContent, config.location.region);
-      logger.info(`Generated prompt length: ${prompt.length} characters`);
-      
-      // Save the input prompt to logs
-      const promptLogPath = this.saveToLogs('input-prompt.txt', prompt);
-      logger.info(`Input prompt saved to: ${promptLogPath}`);
-      
-      // Save the raw document content and sections
-      const docLogPath = this.saveToLogs('raw-document.md', documentContent);
-      logger.info(`Raw document saved to: ${docLogPath}`);
-      
-      const sectionsLogPath = this.saveToLogs('document-sections.json', JSON.stringify(documentSections, null, 2));
-      logger.info(`Document sections saved to: ${sectionsLogPath}`);
-      
-      const messages = [
-        new SystemMessage(`You are an expert data parser. Return only valid JSON. All places are located in ${config.location.region}.`),
-        new HumanMessage(prompt)
-      ];
+    logger.info(`Parsed ${places.length} places${label ? ` from ${label}` : ''}`);
+    return places;
+  }
 
-      const response = await this.model.invoke(messages);
-      
-      logger.info('Received response from OpenAI');
-      
-      // Save the raw AI response to logs
-      const responseLogPath = this.saveToLogs('ai-response.txt', response.content);
-      logger.info(`AI response saved to: ${responseLogPath}`);
+  /**
+   * Send a place extraction request and return the raw (unvalidated) places.
+   * In structured mode the model fills in PlaceExtractionSchema through a
+   * function call; in text mode JSON is extracted from the response text.
+   */
+  async requestPlaces(messages, label = null, signal = null) {
+    const logPrefix = label ? `${label}-` : '';
+    const structured = config.openai.outputMode === 'structured';
+
+    const response = await llmClient.invoke(messages, structured
+      ? { schema: PlaceExtractionSchema, schemaName: 'record_places', signal }
+      : { signal });
+    
+    logger.info(`Received response from the LLM${label ? ` for ${label}` : ''}`);
+
+    const toolCall = structured ? response.toolCall : null;
+    
+    // Save the raw AI response to logs
+    const responseLogPath = this.saveToLogs(
+      `${logPrefix}ai-response.txt`,
+      toolCall ? JSON.stringify(toolCall.args, null, 2) : response.content
+    );
+    logger.info(`AI response saved to: ${responseLogPath}`);
+    
+    // Log token usage if available
+    if (response.usage) {
+      logger.info('Token usage:', {
+        prompt: response.usage.prompt_tokens,
+        completion: response.usage.completion_tokens,
+        total: response.usage.total_tokens
+      });
       
-      // Log token usage if available
-      if (response.usage) {
-        logger.info('Token usage:', {
-          prompt: response.usage.prompt_tokens,
-          completion: response.usage.completion_tokens,
-          total: response.usage.total_tokens
-        });
-        
-        // Save token usage to logs
-        const usageInfo = `Token Usage:
+      // Save token usage to logs
+      const usageInfo = `Token Usage:
 Prompt tokens: ${response.usage.prompt_tokens}
 Completion tokens: ${response.usage.completion_tokens}
 Total tokens: ${response.usage.total_tokens}
 Model: ${config.openai.model}
 Max tokens configured: ${config.openai.maxTokens}
 Location context: ${config.location.region}`;
-        this.saveToLogs('token-usage.txt', usageInfo);
+      this.saveToLogs(`${logPrefix}token-usage.txt`, usageInfo);
+    }
+
+    const truncated = response.finishReason === 'length';
+
+    // Parse the JSON response
+    let parsedData;
+    if (structured) {
+      if (!toolCall) {
+        if (truncated) {
+          return { places: [], truncated };
+        }
+        throw new Error('Invalid response format: model did not return a record_places function call');
       }
-      
-      // Parse the JSON response
-      let parsedData;
+      parsedData = toolCall.args;
+    } else {
       try {
         // Clean the response content to extract JSON
         const content = response.content.trim();
@@ -124,91 +281,100 @@ Location context: ${config.location.region}`;
         
         const jsonString = jsonMatch[1] || content;
         parsedData = JSON.parse(jsonString);
-        
-        logger.info(`Successfully parsed ${parsedData.places?.length || 0} places`);
-        
-        // Save the parsed JSON to logs
-        const parsedJsonLogPath = this.saveToLogs('parsed-json.json', JSON.stringify(parsedData, null, 2));
-        logger.info(`Parsed JSON saved to: ${parsedJsonLogPath}`);
-        
-        // Log place names for debugging
-        if (parsedData.places && parsedData.places.length > 0) {
-          logger.debug('Parsed places:', parsedData.places.map(p => p.name));
-          
-          // Save place summary to logs
-          const placeSummary = `Places Found (${parsedData.places.length} total):
-Location Context: ${config.location.region}
-${parsedData.places.map((p, i) => `${i + 1}. ${p.name} (${p.type}) - Category: ${p.category || 'Unknown'}`).join('\n')}`;
-          this.saveToLogs('places-summary.txt', placeSummary);
-        }
-        
       } catch (parseError) {
+        if (truncated) {
+          return { places: [], truncated };
+        }
         logger.error('Failed to parse JSON response:', parseError);
         logger.debug('Raw response:', response.content);
         throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
       }
+    }
 
-      // Validate the parsed data
-      if (!parsedData.places || !Array.isArray(parsedData.places)) {
-        throw new Error('Invalid response format: missing places array');
-      }
+    // Validate the parsed data
+    if (!parsedData.places || !Array.isArray(parsedData.places)) {
+      throw new Error('Invalid response format: missing places array');
+    }
 
-      // Clean up categories and validate each place
-      const validatedPlaces = [];
-      for (const place of parsedData.places) {
-        try {
-          // Clean up category if it exists
-          if (place.category) {
-            place.category = await this.cleanupCategory(place.category);
+    return { places: parsedData.places, truncated };
+  }
+
+  splitChunk(chunk) {
+    if (chunk.sections.length > 1) {
+      const middle = Math.ceil(chunk.sections.length / 2);
+      return [chunk.sections.slice(0, middle), chunk.sections.slice(middle)]
+        .map(sections => ({ sections, markdown: sectionService.toMarkdown(sections) }));
+    }
+
+    const section = chunk.sections[0];
+    if (section && section.content.length > 1) {
+      const middle = Math.ceil(section.content.length / 2);
+      return [section.content.slice(0, middle), section.content.slice(middle)]
+        .map(content => {
+          const sections = [{ ...section, content, text: content.join('\n\n') }];
+          return { sections, markdown: sectionService.toMarkdown(sections) };
+        });
+    }
+
+    return null;
+  }
+
+  normalizePlaceName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/['’`]/g, '')
+      .replace(/^the\s+/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Merge places from all chunks. Places that appear in several sections are
+   * deduplicated by ID or normalized name, filling gaps from later mentions.
+   */
+  mergePlaces(places) {
+    const merged = [];
+    const byKey = new Map();
+    let duplicateCount = 0;
+
+    for (const place of places) {
+      const keys = [place.id, this.normalizePlaceName(place.name)].filter(Boolean);
+      const existing = keys.map(key => byKey.get(key)).find(Boolean);
+
+      if (existing) {
+        duplicateCount++;
+        for (const [field, value] of Object.entries(place)) {
+          if ((existing[field] === undefined || existing[field] === null || existing[field] === '') && value) {
+            existing[field] = value;
           }
-          
-          const validatedPlace = validatePlace(place);
-          validatedPlaces.push(validatedPlace);
-        } catch (validationError) {
-          logger.warn(`Place validation failed:`, {
-            place: place.name || 'Unknown',
-            error: validationError.message
-          });
-          // Still include the place but log the validation issue
-          validatedPlaces.push(place);
         }
+        keys.forEach(key => byKey.set(key, existing));
+        continue;
       }
 
-      return {
-        places: validatedPlaces,
-        metadata: {
-          totalPlaces: validatedPlaces.length,
-          processedAt: new Date().toISOString(),
-          locationContext: config.location.region
-        }
-      };
+      const copy = { ...place };
+      merged.push(copy);
+      keys.forEach(key => byKey.set(key, copy));
+    }
 
-    } catch (error) {
-      logger.error('OpenAI parsing failed:', error);
-      throw new Error(`Parsing failed: ${error.message}`);
+    if (duplicateCount > 0) {
+      logger.info(`Merged ${duplicateCount} duplicate place(s) found in multiple sections`);
     }
+
+    return merged;
   }
 
-  async cleanupCategory(category) {
+  async cleanupCategory(category, signal = null) {
     try {
-      if (!this.model) {
-        this.initialize();
-      }
-
       const prompt = generateCategoryCleanupPrompt(category);
       
-      const messages = [
-        new SystemMessage("You are helping clean up category names. Return only the cleaned category name."),
-        new HumanMessage(prompt)
-      ];
-
-      const response = await this.model.invoke(messages);
-      const cleanedCategory = response.content.trim();
+      const cleanedCategory = await llmClient.complete(prompt, 'You are helping clean up category names. Return only the cleaned category name.', { signal });
       
       logger.debug(`Cleaned category: "${category}" -> "${cleanedCategory}"`);
       return cleanedCategory;
       
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.warn(`Failed to clean up category "${category}":`, error);
       // Return the original category if cleanup fails
       return category.replace(/^#+\s*/, '').trim();
@@ -224,12 +390,8 @@ ${parsedData.places.map((p, i) => `${i + 1}. ${p.name} (${p.type}) - Category: $
     throw new Error('LLM-based enrichment is deprecated. Use webEnrichmentService.enrichPlaces() instead.');
   }
 
-  async generateSummary(places) {
+  async generateSummary(places, { signal = null } = {}) {
     try {
-      if (!this.model) {
-        this.initialize();
-      }
-
       const prompt = `Generate a brief summary of this vacation compound guide with ${places.length} places in ${config.location.region}. 
       
       Include:
@@ -243,17 +405,13 @@ ${parsedData.places.map((p, i) => `${i + 1}. ${p.name} (${p.type}) - Category: $
       
       Return a concise summary in 2-3 sentences.`;
 
-      const messages = [
-        new SystemMessage(`You are a travel guide writer. Create engaging summaries for ${config.location.region}.`),
-        new HumanMessage(prompt)
-      ];
-
-      const response = await this.model.invoke(messages);
+      const summary = await llmClient.complete(prompt, `You are a travel guide writer. Create engaging summaries for ${config.location.region}.`, { signal });
       
       logger.info('Generated summary');
-      return response.content.trim();
+      return summary;
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.error('Summary generation failed:', error);
       return `Vacation compound guide with ${places.length} places in ${config.location.region} including restaurants, activities, and attractions.`;
     }
@@ -261,21 +419,12 @@ ${parsedData.places.map((p, i) => `${i + 1}. ${p.name} (${p.type}) - Category: $
 
   async generateCompletion(prompt) {
     try {
-      if (!this.model) {
-        this.initialize();
-      }
-
-      logger.info('Generating completion with OpenAI');
+      logger.info('Generating completion');
       
-      const messages = [
-        new SystemMessage("You are a helpful assistant that follows instructions precisely."),
-        new HumanMessage(prompt)
-      ];
-
-      const response = await this.model.invoke(messages);
+      const completion = await llmClient.complete(prompt);
       
       logger.info('Generated completion');
-      return response.content.trim();
+      return completion;
 
     } catch (error) {
       logger.error('Completion generation failed:', error);
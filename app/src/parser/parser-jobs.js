@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { llmClient } = require('./llm-client');
+const { googlePlacesClient } = require('./google-places-client');
+
+const EVENT_SAVE_INTERVAL_MS = 2000;
+
+/**
+ * Parser Jobs Service
+ *
+ * Keeps a record of every parser run, whether a parse or an enrichment
+ * refresh (`kind`): how it was started (manual, cli or scheduled) and by whom, the time spent in each step, LLM token usage,
+ * Google Places API calls, the result stats and the full event log.
+ *
+ * Each run is stored as "<prefix><jobId>.json". Job IDs start with the start
+ * time, so keys sort chronologically. The record is written when the run
+ * starts, at every step, at most every few seconds while events come in and
+ * when it ends, so a run that dies with the process still leaves its log
+ * behind and the web process can follow a run in a separate worker. Saving
+ * never fails the run itself.
+ */
+class ParserJobsService {
+  constructor() {
+    this.prefix = config.jobs.prefix;
+    this.retain = config.jobs.retain;
+    this.pending = Promise.resolve();
+    // Counter values at the start of each running job
+    this.baselines = new Map();
+    this.lastSaved = new Map();
+  }
+
+  jobKey(jobId) {
+    return `${this.prefix}${jobId}.json`;
+  }
+
+  createJobId() {
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Process-wide counters; a job's metrics are their difference over the run
+  readCounters() {
+    return {
+      llmCalls: llmClient.usage.calls,
+      promptTokens: llmClient.usage.promptTokens,
+      completionTokens: llmClient.usage.completionTokens,
+      totalTokens: llmClient.usage.totalTokens,
+      placesApiCalls: googlePlacesClient.requestCount
+    };
+  }
+
+  /**
+   * Start recording a run. `actor` is the username that started it, null for
+   * runs started from the CLI or by the scheduler. Queued runs pass the ID of
+   * their queue request and which attempt at it this is.
+   */
+  startJob({ kind = 'parse', trigger, actor = null, docId = null, queueId = null, attempt = 1 }) {
+    const job = {
+      id: this.createJobId(),
+      kind,
+      trigger,
+      actor,
+      docId,
+      queueId,
+      attempt,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      steps: [],
+      metrics: null,
+      stats: null,
+      error: null,
+      events: []
+    };
+
+    this.baselines.set(job.id, this.readCounters());
+    this.save(job);
+    return job;
+  }
+
+  recordEvent(job, type, message, data = null) {
+    const timestamp = new Date().toISOString();
+    job.events.push({ type, message, timestamp, data });
+
+    if (type === 'step') {
+      this.closeStep(job, timestamp);
+      job.steps.push({ name: message, startedAt: timestamp, durationMs: null });
+    }
+
+    if (type === 'step' || Date.now() - (this.lastSaved.get(job.id) || 0) >= EVENT_SAVE_INTERVAL_MS) {
+      this.save(job);
+    }
+  }
+
+  closeStep(job, timestamp) {
+    const currentStep = job.steps[job.steps.length - 1];
+    if (currentStep && currentStep.durationMs === null) {
+      currentStep.durationMs = Date.parse(timestamp) - Date.parse(currentStep.startedAt);
+    }
+  }
+
+  /**
+   * Finish a run as completed, failed or cancelled. `stats` are the result
+   * stats, or the partial stats of a cancelled run.
+   */
+  async finishJob(job, status, { stats = null, error = null } = {}) {
+    const finishedAt = new Date().toISOString();
+    const baseline = this.baselines.get(job.id) || {};
+    this.baselines.delete(job.id);
+    this.lastSaved.delete(job.id);
+    this.closeStep(job, finishedAt);
+
+    Object.assign(job, {
+      status,
+      finishedAt,
+      durationMs: Date.parse(finishedAt) - Date.parse(job.startedAt),
+      metrics: Object.fromEntries(
+        Object.entries(this.readCounters()).map(([name, value]) => [name, value - (baseline[name] || 0)])
+      ),
+      stats,
+      error
+    });
+
+    await this.save(job);
+    await this.prune();
+    return job;
+  }
+
+  // Writes are queued so a slow step save never lands after the final one
+  save(job) {
+    if (job.status === 'running') {
+      this.lastSaved.set(job.id, Date.now());
+    }
+    this.pending = this.pending
+      .then(() => storageService.writeJson(this.jobKey(job.id), job))
+      .catch(error => logger.error(`Failed to save parser job ${job.id}:`, error));
+    return this.pending;
+  }
+
+  async listJobKeys() {
+    return (await storageService.list(this.prefix))
+      .map(file => file.key)
+      .filter(key => key.endsWith('.json'))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Newest jobs first, without their event logs
+   */
+  async listJobs(limit = 50) {
+    try {
+      const jobs = [];
+      for (const key of (await this.listJobKeys()).slice(0, limit)) {
+        const job = await storageService.readJson(key);
+        if (job) {
+          const { events, ...summary } = job;
+          jobs.push({ ...summary, eventCount: events?.length || 0 });
+        }
+      }
+      return jobs;
+    } catch (error) {
+      logger.error('Failed to list parser jobs:', error);
+      throw new Error(`Failed to list parser jobs: ${error.message}`);
+    }
+  }
+
+  async getJob(jobId) {
+    if (!/^[\w-]+$/.test(jobId)) {
+      const invalidError = new Error(`Invalid job ID: ${jobId}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const job = await storageService.readJson(this.jobKey(jobId));
+    if (!job) {
+      const notFoundError = new Error(`Job ${jobId} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    return job;
+  }
+
+  /**
+   * Close the record of a run whose worker died. Returns null when the
+   * record is missing or had already ended.
+   */
+  async markInterrupted(jobId) {
+    try {
+      const job = await storageService.readJson(this.jobKey(jobId));
+      if (!job || job.status !== 'running') return null;
+
+      const finishedAt = new Date().toISOString();
+      this.closeStep(job, finishedAt);
+      Object.assign(job, {
+        status: 'interrupted',
+        finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(job.startedAt),
+        error: 'The worker stopped before the run finished'
+      });
+
+      await this.save(job);
+      return job;
+    } catch (error) {
+      logger.warn(`Failed to mark parser job ${jobId} as interrupted:`, error);
+      return null;
+    }
+  }
+
+  async prune() {
+    try {
+      const staleKeys = (await this.listJobKeys()).slice(this.retain);
+      for (const key of staleKeys) {
+        await storageService.delete(key);
+      }
+    } catch (error) {
+      logger.warn('Failed to prune parser job history:', error);
+    }
+  }
+}
+
+const parserJobsService = new ParserJobsService();
+
+module.exports = { parserJobsService };
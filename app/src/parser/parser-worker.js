@@ -0,0 +1,196 @@
+const os = require('os');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { jobQueueService } = require('./job-queue');
+const { parserJobsService } = require('./parser-jobs');
+const { runParseWithStreaming, runEnrichmentRefresh } = require('./index');
+
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+/**
+ * Parser Worker
+ *
+ * Runs queued parser requests one at a time. It runs inside the web process
+ * (PARSER_WORKER=inline) or on its own through `npm run worker`, e.g. as the
+ * `worker` entry of the Procfile (PARSER_WORKER=external).
+ *
+ * While a run is going the worker sends heartbeats, which is also when it
+ * picks up cancel requests made from another process. Runs left behind by a
+ * worker that died are marked interrupted and queued again (see
+ * JobQueueService.recoverStale), when the worker starts and on every poll.
+ *
+ * Hooks passed to start(): onJobStart(entry), onEvent(type, message, data)
+ * and onJobEnd(entry, outcome), where outcome is { status, result, error,
+ * progress } and status is completed, failed or cancelled.
+ */
+class ParserWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollMs = config.jobs.pollSeconds * 1000;
+    this.hooks = {};
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+    this.abortController = null;
+    this.heartbeatPending = Promise.resolve();
+    // The pass over the queue in progress; there is never more than one
+    this.ticking = null;
+    this.wakeRequested = false;
+  }
+
+  start(hooks = {}) {
+    this.hooks = hooks;
+    this.running = true;
+    logger.info(`Parser worker ${this.workerId} started, polling the queue every ${config.jobs.pollSeconds}s`);
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.abortController?.abort();
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    if (this.running) {
+      this.timer = setTimeout(() => this.tick(), delay);
+    }
+  }
+
+  // Check the queue now rather than at the next poll, e.g. right after a
+  // request. During a pass the check happens as soon as the pass ends.
+  wake() {
+    if (this.ticking) {
+      this.wakeRequested = true;
+      return;
+    }
+    this.schedule(0);
+  }
+
+  /**
+   * Cancel the run of a queue request if this worker is running it. Returns
+   * false when it isn't, in which case the cancel marker takes effect.
+   */
+  cancel(queueId) {
+    if (this.current?.id !== queueId) return false;
+    this.abortController.abort();
+    return true;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+
+    this.ticking = this.processQueue();
+    let claimed = null;
+    try {
+      claimed = await this.ticking;
+    } finally {
+      this.ticking = null;
+    }
+
+    // Look for the next request straight away after a run or a wake-up
+    const woken = this.wakeRequested;
+    this.wakeRequested = false;
+    this.schedule(claimed || woken ? 0 : this.pollMs);
+  }
+
+  // Recover stale runs, then claim and run the oldest waiting request. Returns it, if any.
+  async processQueue() {
+    let claimed = null;
+
+    try {
+      await this.recover();
+
+      const { entry, dropped } = await jobQueueService.claimNext(this.workerId);
+      dropped.forEach(droppedEntry => {
+        logger.info(`Parser run ${droppedEntry.id} was cancelled before it started`);
+        this.hooks.onJobEnd?.(droppedEntry, { status: 'cancelled', progress: null });
+      });
+
+      claimed = entry;
+      if (claimed) {
+        await this.runEntry(claimed);
+      }
+    } catch (error) {
+      logger.error('Parser worker failed to process the queue:', error);
+    }
+
+    return claimed;
+  }
+
+  async recover() {
+    for (const { entry, requeued } of await jobQueueService.recoverStale()) {
+      if (entry.jobId) {
+        await parserJobsService.markInterrupted(entry.jobId);
+      }
+      logger.warn(`Parser run ${entry.id} was interrupted${requeued ? ' and has been queued again' : ` after ${entry.attempts} attempt(s) and has been dropped`}`);
+    }
+  }
+
+  async runEntry(entry) {
+    this.current = entry;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    const heartbeat = setInterval(() => this.sendHeartbeat(entry), HEARTBEAT_INTERVAL_MS);
+
+    logger.info(`Parser worker running ${entry.id} (attempt ${entry.attempts})`);
+    this.hooks.onJobStart?.(entry);
+
+    const options = {
+      signal,
+      trigger: entry.trigger,
+      actor: entry.actor,
+      queueId: entry.id,
+      attempt: entry.attempts,
+      onJobStart: (job) => {
+        entry.jobId = job.id;
+        this.sendHeartbeat(entry);
+      }
+    };
+
+    let outcome;
+    try {
+      const result = entry.kind === 'refresh'
+        ? await runEnrichmentRefresh(this.hooks.onEvent || null, options)
+        : await runParseWithStreaming(entry.docId, this.hooks.onEvent || null, options);
+      outcome = { status: 'completed', result };
+    } catch (error) {
+      outcome = error.cancelled
+        ? { status: 'cancelled', progress: error.progress }
+        : { status: 'failed', error: error.message };
+    } finally {
+      clearInterval(heartbeat);
+      this.current = null;
+      this.abortController = null;
+    }
+
+    try {
+      // A heartbeat still being written would bring the request back
+      await this.heartbeatPending;
+      await jobQueueService.remove(entry.id);
+    } catch (error) {
+      logger.error(`Failed to remove finished parser run ${entry.id} from the queue:`, error);
+    }
+
+    this.hooks.onJobEnd?.(entry, outcome);
+  }
+
+  sendHeartbeat(entry) {
+    this.heartbeatPending = this.heartbeatPending.then(async () => {
+      if (this.current?.id !== entry.id) return;
+      try {
+        await jobQueueService.heartbeat(entry);
+        if (await jobQueueService.isCancelRequested(entry.id)) {
+          this.cancel(entry.id);
+        }
+      } catch (error) {
+        logger.warn(`Failed to send heartbeat for parser run ${entry.id}:`, error);
+      }
+    });
+  }
+}
+
+const parserWorker = new ParserWorker();
+
+module.exports = { parserWorker };
@@ -1,26 +1,21 @@
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
 const { config } = require('./config');
 const { logger } = require('./logger');
 const { googleDocsService } = require('./google-docs');
 const { openaiService } = require('./openai-service');
 const { webEnrichmentService } = require('./web-enrichment-service');
 const { validateOutput } = require('./schema');
-const { googleCloudStorageService } = require('./google-cloud-storage');
+const { storageService } = require('./storage');
 const { houseMechanicsService } = require('./house-mechanics-service');
+const { secretsService } = require('./secrets');
+const { sectionService } = require('./section-service');
+const { placeOverridesService } = require('./place-overrides');
+const { datasetVersionsService } = require('./dataset-versions');
+const { sourceDocumentsService } = require('./source-documents');
+const { createCancelledError, throwIfCancelled, isCancelled } = require('./cancellation');
 
 class Parser {
   constructor() {
-    this.outputDir = config.output.dir;
-    this.outputFilename = config.output.filename;
-  }
-
-  async ensureOutputDirectory() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-      logger.info(`Created output directory: ${this.outputDir}`);
-    }
+    this.datasetKey = config.storage.datasetKey;
   }
 
   generatePlaceId(name) {
@@ -32,95 +27,164 @@ class Parser {
       .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
   }
 
-  async loadExistingPlaces() {
+  async loadExistingOutput() {
     try {
-      if (config.googleCloudStorage.enabled) {
-        // Load from Google Cloud Storage
-        const existingContent = await googleCloudStorageService.downloadFile();
-        
-        if (!existingContent) {
-          logger.info('No existing places file found in Google Cloud Storage');
-          return [];
-        }
-
-        const existingPlaces = existingContent.places || [];
-        logger.info(`Loaded ${existingPlaces.length} existing places from Google Cloud Storage`);
-        return existingPlaces;
-      } else {
-        // Fallback to local file system
-        const outputPath = path.join(this.outputDir, this.outputFilename);
-        
-        if (!fs.existsSync(outputPath)) {
-          logger.info('No existing places file found');
-          return [];
-        }
+      const existingContent = await storageService.readJson(this.datasetKey);
 
-        const existingContent = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
-        const existingPlaces = existingContent.places || [];
-        
-        logger.info(`Loaded ${existingPlaces.length} existing places`);
-        return existingPlaces;
+      if (!existingContent) {
+        logger.info(`No existing places file found in ${storageService.provider} storage`);
+        return null;
       }
+
+      logger.info(`Loaded ${existingContent.places?.length || 0} existing places from ${storageService.provider} storage`);
+      return existingContent;
     } catch (error) {
       logger.warn('Failed to load existing places:', error);
-      return [];
+      return null;
     }
   }
 
-  async parseDocument(docId = null, streamCallback = null) {
+  /**
+   * The part of the previous dataset parsed from one source document: its
+   * section hashes, places and what was recorded about the document.
+   * Datasets from before there were several documents had one `sourceDocId`
+   * in their metadata.
+   */
+  getPreviousOutputForSource(previousOutput, docId) {
+    const metadata = previousOutput?.metadata || {};
+    const belongsToSource = item => (item.sourceDocId || metadata.sourceDocId) === docId;
+
+    return {
+      sections: (metadata.sections || []).filter(belongsToSource).map(section => ({ ...section, sourceDocId: docId })),
+      places: (previousOutput?.places || []).filter(belongsToSource),
+      summary: metadata.sources
+        ? metadata.sources.find(source => source.docId === docId) || null
+        : metadata.sourceDocId === docId
+          ? { title: metadata.sourceDocTitle, lastModified: metadata.lastModified, modifiedTime: metadata.documentModifiedTime, parsedAt: metadata.generatedAt }
+          : null
+    };
+  }
+
+  /**
+   * Parse the source documents into one dataset. With a docId only that
+   * document is fetched again (see sourceDocumentsService.getRunPlan).
+   *
+   * Options: signal (AbortSignal). Cancelling stops LLM and Google Places calls
+   * in flight, never saves the dataset and rejects with an error whose
+   * `cancelled` flag is set and whose `progress` holds the partial stats.
+   */
+  async parseDocument(docId = null, streamCallback = null, { signal = null } = {}) {
+    // Partial stats reported when the run is cancelled
+    const progress = {
+      step: null,
+      placesFound: 0,
+      placesEnriched: 0
+    };
+
     try {
-      const documentId = docId || config.google.docId;
+      const runPlan = await sourceDocumentsService.getRunPlan(docId);
       
       const sendEvent = (type, message, data = null) => {
+        if (type === 'step') {
+          throwIfCancelled(signal);
+          progress.step = message;
+        }
         if (streamCallback) {
           streamCallback(type, message, data);
         }
       };
 
-      logger.info(`Starting parsing process for document: ${documentId}`);
-      logger.info(`Configuration: fullRefresh=${config.parsing.fullRefresh}, skipEnrichmentIfExists=${config.parsing.skipEnrichmentIfExists}`);
+      logger.info(`Starting parsing process for ${runPlan.fetchDocIds.length} of ${runPlan.sources.length} source document(s): ${runPlan.fetchDocIds.join(', ')}`);
+      logger.info(`Configuration: fullRefresh=${config.parsing.fullRefresh}, skipEnrichmentIfExists=${config.parsing.skipEnrichmentIfExists}, incremental=${config.parsing.incremental}`);
       
-      sendEvent('info', `Starting parser for document: ${documentId}`);
+      sendEvent('info', runPlan.fetchDocIds.length === 1
+        ? `Starting parser for document: ${runPlan.fetchDocIds[0]}`
+        : `Starting parser for ${runPlan.fetchDocIds.length} documents`);
       
       // Step 1: Load existing places for enrichment optimization
       logger.info('Step 1: Loading existing places');
       sendEvent('step', 'Step 1: Loading existing places');
-      const existingPlaces = await this.loadExistingPlaces();
+      const existingOutput = await this.loadExistingOutput();
+      // Previously applied overrides are stripped here and re-applied in Step 7
+      const existingPlaces = (existingOutput?.places || []).map(place => placeOverridesService.restoreOriginalValues(place));
       sendEvent('info', `Loaded ${existingPlaces.length} existing places`);
       
-      // Step 2: Fetch document from Google Docs
-      logger.info('Step 2: Fetching document from Google Docs');
-      sendEvent('step', 'Step 2: Fetching document from Google Docs');
-      const documentData = await googleDocsService.getDocumentAsMarkdown(documentId);
-      
-      logger.info(`Document fetched: "${documentData.title}"`);
-      logger.info(`Document content length: ${documentData.content.length} characters`);
-      logger.info(`Document sections: ${documentData.sections?.length || 0}`);
-      
-      sendEvent('info', `Document fetched: "${documentData.title}"`);
-      sendEvent('info', `Document content length: ${documentData.content.length} characters`);
-      
-      if (!documentData.content || documentData.content.trim().length === 0) {
-        throw new Error('Document content is empty');
+      // Step 2: Fetch the source documents from Google Docs
+      // A document that cannot be fetched keeps its places from the last run,
+      // unless it is the only one being fetched
+      logger.info('Step 2: Fetching source documents from Google Docs');
+      sendEvent('step', 'Step 2: Fetching source documents from Google Docs');
+      const documents = new Map();
+      const fetchErrors = new Map();
+      const foundSecrets = {};
+      for (const source of runPlan.sources.filter(source => runPlan.fetchDocIds.includes(source.docId))) {
+        try {
+          const documentData = await googleDocsService.getDocumentAsMarkdown(source.docId);
+
+          logger.info(`Document fetched: "${documentData.title}"`);
+          logger.info(`Document content length: ${documentData.content.length} characters`);
+          logger.info(`Document sections: ${documentData.sections?.length || 0}`);
+
+          sendEvent('info', `Document fetched: "${documentData.title}"${source.owner ? ` (${source.owner})` : ''}`);
+          sendEvent('info', `Document content length: ${documentData.content.length} characters`);
+
+          if (!documentData.content || documentData.content.trim().length === 0) {
+            throw new Error('Document content is empty');
+          }
+
+          // Passwords and codes are replaced with placeholders before anything
+          // is logged or sent to the LLM
+          const redacted = secretsService.redactDocument(documentData);
+          Object.assign(foundSecrets, redacted.secrets);
+          documents.set(source.docId, redacted.documentData);
+        } catch (fetchError) {
+          throwIfCancelled(signal);
+          if (runPlan.fetchDocIds.length === 1) throw fetchError;
+          logger.warn(`Failed to fetch source document ${source.docId}:`, fetchError);
+          sendEvent('warning', `Failed to fetch document ${source.docId}, keeping its places from the last run: ${fetchError.message}`);
+          fetchErrors.set(source.docId, fetchError);
+        }
+      }
+
+      if (documents.size === 0) {
+        throw fetchErrors.values().next().value;
+      }
+
+      // Secrets that can't be stored fail the run before anything refers to
+      // them, rather than being lost
+      const secretCount = Object.keys(foundSecrets).length;
+      if (secretCount > 0) {
+        sendEvent('info', `Redacted ${secretCount} password(s) and code(s) from the documents`);
+        await secretsService.storeSecrets(foundSecrets);
       }
 
       // Step 2.5: Process House Mechanics section
       logger.info('Step 2.5: Processing House Mechanics section');
       sendEvent('step', 'Step 2.5: Processing House Mechanics section');
-      let houseMechanicsResults = null;
+      // The files are only written in Step 9, with the dataset, so a cancelled
+      // run leaves the house pages as they were
+      let houseMechanicsData = null;
       try {
-        const houseMechanicsData = await houseMechanicsService.processHouseMechanics(documentData.content);
+        // A house described in several documents takes the later description
+        const parsedHouses = {};
+        for (const documentData of documents.values()) {
+          Object.assign(parsedHouses, await houseMechanicsService.processHouseMechanics(documentData.content, { signal }));
+        }
         
-        if (Object.keys(houseMechanicsData).length > 0) {
-          // Upload house mechanics files to Google Cloud Storage
-          houseMechanicsResults = await googleCloudStorageService.uploadHouseMechanicsFiles(houseMechanicsData);
-          logger.info(`House mechanics files processed and uploaded: ${Object.keys(houseMechanicsResults).join(', ')}`);
-          sendEvent('info', `House mechanics files processed and uploaded: ${Object.keys(houseMechanicsResults).join(', ')}`);
+        if (Object.keys(parsedHouses).length > 0) {
+          houseMechanicsData = parsedHouses;
+          logger.info(`House mechanics processed: ${Object.keys(houseMechanicsData).join(', ')}`);
+          sendEvent('info', `House mechanics processed: ${Object.keys(houseMechanicsData).join(', ')}`);
+          const markdownOnly = Object.keys(houseMechanicsData).filter(slug => !houseMechanicsData[slug].structured);
+          if (markdownOnly.length > 0) {
+            sendEvent('warning', `Could not extract structured house mechanics for ${markdownOnly.join(', ')}, their pages show the markdown only`);
+          }
         } else {
           logger.info('No house mechanics data found in document');
           sendEvent('info', 'No house mechanics data found in document');
         }
       } catch (houseMechanicsError) {
+        if (isCancelled(houseMechanicsError, signal)) throw houseMechanicsError;
         logger.warn('Failed to process house mechanics:', houseMechanicsError);
         sendEvent('warning', `Failed to process house mechanics: ${houseMechanicsError.message}`);
         // Continue with normal parsing even if house mechanics fails
@@ -131,23 +195,108 @@ class Parser {
       // - Place names, descriptions, notes, tags
       // - Categories from document headers
       // - Original text preservation
+      // Every document is parsed on its own. Only new or changed sections are
+      // sent to the LLM; places from unchanged sections, and from documents
+      // not fetched in this run, are carried over from the previous dataset
       logger.info('Step 3: Parsing document with OpenAI (extracting context from text)');
       sendEvent('step', 'Step 3: Parsing document with OpenAI');
-      const parsedData = await openaiService.parseDocument(documentData.content, documentData.sections);
+      const sourceResults = [];
+      for (const source of runPlan.sources) {
+        const previous = this.getPreviousOutputForSource(existingOutput, source.docId);
+        const documentData = documents.get(source.docId);
+        const withSource = place => ({ ...place, sourceDocId: source.docId });
+
+        if (!documentData) {
+          const carriedPlaces = previous.places.map(withSource);
+          sourceResults.push({
+            source,
+            documentData: null,
+            previousSummary: previous.summary,
+            error: fetchErrors.get(source.docId) || null,
+            sections: previous.sections,
+            places: carriedPlaces,
+            carriedPlaces,
+            parsedPlaces: [],
+            changedSections: 0
+          });
+          continue;
+        }
+
+        const sections = sectionService.buildSections(documentData.sections, { sourceDocId: source.docId, categoryPrefix: source.categoryPrefix });
+        const parsePlan = config.parsing.incremental && !config.parsing.fullRefresh
+          ? sectionService.planIncrementalParse(sections, { metadata: { sections: previous.sections }, places: previous.places })
+          : { changedSections: sections, unchangedSections: [], carriedPlaces: [] };
+
+        if (parsePlan.unchangedSections.length > 0) {
+          sendEvent('info', `Incremental parse of "${documentData.title}": ${parsePlan.changedSections.length} changed section(s), ${parsePlan.unchangedSections.length} unchanged, ${parsePlan.carriedPlaces.length} place(s) carried over`);
+        }
+
+        let parsedPlaces = [];
+        if (parsePlan.changedSections.length > 0) {
+          const parseContent = parsePlan.unchangedSections.length > 0
+            ? sectionService.toMarkdown(parsePlan.changedSections)
+            : documentData.content;
+          const parsedData = await openaiService.parseDocument(parseContent, parsePlan.changedSections, { signal });
+          parsedPlaces = sectionService.attributePlaces(parsedData.places || [], parsePlan.changedSections)
+            .map(place => withSource({
+              ...place,
+              category: source.categoryPrefix ? `${source.categoryPrefix} / ${place.category}` : place.category
+            }));
+          if (parsedData.metadata?.chunks > 1) {
+            sendEvent('info', `Parsed "${documentData.title}" in ${parsedData.metadata.chunks} chunks`);
+          }
+          if (parsedData.metadata?.droppedPlaces > 0) {
+            sendEvent('warning', `Dropped ${parsedData.metadata.droppedPlaces} place(s) that failed validation after a retry`);
+          }
+        } else {
+          logger.info(`No sections of "${documentData.title}" changed since the last run, skipping OpenAI parsing`);
+          sendEvent('info', `No sections of "${documentData.title}" changed since the last run, skipping OpenAI parsing`);
+        }
+
+        const carriedPlaces = parsePlan.carriedPlaces.map(withSource);
+        sourceResults.push({
+          source,
+          documentData,
+          previousSummary: previous.summary,
+          error: null,
+          sections,
+          places: sectionService.sortPlacesBySection([...carriedPlaces, ...parsedPlaces], sections),
+          carriedPlaces,
+          parsedPlaces,
+          changedSections: parsePlan.changedSections.length
+        });
+      }
+
+      const allPlaces = sourceResults.flatMap(result => result.places);
+      const carriedCount = sourceResults.reduce((sum, result) => sum + result.carriedPlaces.length, 0);
+      const parsedCount = sourceResults.reduce((sum, result) => sum + result.parsedPlaces.length, 0);
       
-      if (!parsedData.places || parsedData.places.length === 0) {
-        throw new Error('No places found in document');
+      if (allPlaces.length === 0) {
+        throw new Error('No places found in the source documents');
       }
 
-      sendEvent('info', `Found ${parsedData.places.length} places in document`);
+      progress.placesFound = allPlaces.length;
+      sendEvent('info', `Found ${allPlaces.length} places in ${runPlan.sources.length} document(s) (${parsedCount} parsed, ${carriedCount} carried over)`);
 
       // Step 4: Generate unique IDs for places
+      // Carried places keep their IDs; a place recommended in several
+      // documents is listed once per document, with a numbered ID
       logger.info('Step 4: Generating unique IDs for places');
       sendEvent('step', 'Step 4: Generating unique IDs for places');
-      const placesWithIds = parsedData.places.map(place => ({
-        ...place,
-        id: place.id || this.generatePlaceId(place.name)
-      }));
+      const carriedPlaces = new Set(sourceResults.flatMap(result => result.carriedPlaces));
+      const usedIds = new Set([...carriedPlaces].map(place => place.id));
+      const placesWithIds = allPlaces.map(place => {
+        if (carriedPlaces.has(place)) {
+          return place;
+        }
+        const baseId = place.id || this.generatePlaceId(place.name);
+        let id = baseId;
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+          id = `${baseId}-${suffix}`;
+        }
+        usedIds.add(id);
+        return { ...place, id };
+      });
       sendEvent('info', `Generated IDs for ${placesWithIds.length} places`);
 
       // Step 5: Enrich with Google Places API data and generate tags (Phases 2-3 of optimized flow)
@@ -157,12 +306,46 @@ class Parser {
       logger.info('Step 5: Enriching place data with Google Places API and generating comprehensive tags');
       sendEvent('step', 'Step 5: Enriching places with Google Places API');
       
+      let overrides = {};
+      try {
+        overrides = await placeOverridesService.loadOverrides();
+      } catch (overridesError) {
+        logger.warn('Failed to load place overrides, continuing without them:', overridesError);
+        sendEvent('warning', `Failed to load place overrides: ${overridesError.message}`);
+      }
+
       let enrichedPlaces;
       try {
-        enrichedPlaces = await webEnrichmentService.enrichPlaces(placesWithIds, existingPlaces);
+        enrichedPlaces = await webEnrichmentService.enrichPlaces(placesWithIds, existingPlaces, {
+          pinnedPlaceIds: placeOverridesService.getPinnedPlaceIds(overrides),
+          rejectedPlaceIds: placeOverridesService.getRejectedPlaceIds(overrides),
+          signal
+        });
+
+        // Already-enriched places are reused from the previous dataset, so make sure
+        // they point at the section and document they were found in during this
+        // run, and take the category (with the document's prefix) from this run
+        const origins = new Map(placesWithIds.map(place => [place.id, place]));
+        enrichedPlaces = enrichedPlaces.map(place => ({
+          ...place,
+          sectionHash: origins.get(place.id)?.sectionHash || place.sectionHash,
+          sourceDocId: origins.get(place.id)?.sourceDocId || place.sourceDocId,
+          category: origins.get(place.id)?.category || place.category
+        }));
+
         const enrichedCount = enrichedPlaces.filter(p => p.enrichmentStatus?.enriched).length;
+        progress.placesEnriched = enrichedPlaces.length;
         sendEvent('info', `Enriched ${enrichedCount} places with Google Places API data`);
+
+        const reviewCount = enrichedPlaces.filter(p => p.enrichmentStatus?.needsReview).length;
+        if (reviewCount > 0) {
+          sendEvent('warning', `${reviewCount} places had only low-confidence matches and are waiting in the review queue`);
+        }
       } catch (enrichError) {
+        if (isCancelled(enrichError, signal)) {
+          progress.placesEnriched = enrichError.progress?.enrichedPlaces || 0;
+          throw enrichError;
+        }
         logger.warn('Google Places API enrichment failed, using original data:', enrichError);
         sendEvent('warning', `Google Places API enrichment failed: ${enrichError.message}`);
         enrichedPlaces = placesWithIds.map(place => ({
@@ -181,9 +364,10 @@ class Parser {
       sendEvent('step', 'Step 6: Generating summary');
       let summary;
       try {
-        summary = await openaiService.generateSummary(enrichedPlaces);
+        summary = await openaiService.generateSummary(enrichedPlaces, { signal });
         sendEvent('info', 'Summary generated successfully');
       } catch (summaryError) {
+        if (isCancelled(summaryError, signal)) throw summaryError;
         logger.warn('Summary generation failed:', summaryError);
         sendEvent('warning', `Summary generation failed: ${summaryError.message}`);
         summary = `Vacation compound guide with ${enrichedPlaces.length} places`;
@@ -191,33 +375,61 @@ class Parser {
 
       // Step 7: Build final output (Phase 4 of optimized flow)
       // Combines LLM-extracted context + Google Places API business data + comprehensive tags
+      // Manual overrides are applied last so curated values always win
       logger.info('Step 7: Building final output (merging context + business data + tags)');
       sendEvent('step', 'Step 7: Building final output');
+      enrichedPlaces = placeOverridesService.applyOverrides(enrichedPlaces, overrides);
+      const overridesSummary = placeOverridesService.summarize(enrichedPlaces, overrides);
+      if (overridesSummary.applied > 0) {
+        sendEvent('info', `Applied manual overrides to ${overridesSummary.applied} places`);
+      }
+      if (overridesSummary.orphaned.length > 0) {
+        sendEvent('warning', `Overrides exist for places no longer in the document: ${overridesSummary.orphaned.join(', ')}`);
+      }
+
+      // Documents not fetched in this run keep what was recorded when they last were
+      const generatedAt = new Date().toISOString();
+      const sources = sourceResults.map(({ source, documentData, previousSummary, error }) => ({
+        docId: source.docId,
+        owner: source.owner,
+        categoryPrefix: source.categoryPrefix || null,
+        title: documentData ? documentData.title : previousSummary?.title || null,
+        lastModified: documentData ? documentData.lastModified : previousSummary?.lastModified || null,
+        modifiedTime: documentData ? documentData.modifiedTime : previousSummary?.modifiedTime || null,
+        parsedAt: documentData ? generatedAt : previousSummary?.parsedAt || null,
+        status: documentData ? 'parsed' : error ? 'failed' : 'carried',
+        ...(error && { error: error.message }),
+        totalPlaces: enrichedPlaces.filter(place => place.sourceDocId === source.docId).length
+      }));
+      const unchangedSections = sourceResults.reduce((sum, result) => sum + result.sections.length - result.changedSections, 0);
+
       const finalOutput = {
         metadata: {
-          generatedAt: new Date().toISOString(),
+          generatedAt,
           totalPlaces: enrichedPlaces.length,
-          sourceDocId: documentId,
-          sourceDocTitle: documentData.title,
+          sources,
+          sourceDocTitle: sources.map(source => source.title).filter(Boolean).join(', '),
           parserVersion: '1.0.0',
           enrichmentVersion: config.parsing.enrichmentVersion,
           summary: summary,
-          lastModified: documentData.lastModified,
           categories: [...new Set(enrichedPlaces.map(p => p.category).filter(Boolean))],
+          sections: sectionService.buildSectionMetadata(sourceResults.flatMap(result => result.sections), enrichedPlaces),
+          incremental: {
+            enabled: unchangedSections > 0,
+            changedSections: sourceResults.reduce((sum, result) => sum + result.changedSections, 0),
+            unchangedSections,
+            carriedPlaces: carriedCount,
+            parsedPlaces: parsedCount
+          },
+          overrides: overridesSummary,
           enrichmentStats: {
             totalPlaces: enrichedPlaces.length,
             enrichedPlaces: enrichedPlaces.filter(p => p.enrichmentStatus?.enriched).length,
-            skippedPlaces: enrichedPlaces.filter(p => p.enrichmentStatus?.enriched === false).length
+            skippedPlaces: enrichedPlaces.filter(p => p.enrichmentStatus?.enriched === false).length,
+            needsReview: enrichedPlaces.filter(p => p.enrichmentStatus?.needsReview).length
           },
-          houseMechanics: houseMechanicsResults ? {
-            processed: true,
-            files: houseMechanicsResults,
-            processedAt: new Date().toISOString(),
-            storage: 'google-cloud-storage'
-          } : {
-            processed: false,
-            reason: 'No house mechanics section found or processing failed'
-          }
+          // Filled in when the files are saved in Step 9
+          houseMechanics: null
         },
         places: enrichedPlaces
       };
@@ -236,8 +448,23 @@ class Parser {
       }
 
       // Step 9: Save to file
+      // Last point a cancellation takes effect; once saving starts the run completes
       logger.info('Step 9: Saving to file');
       sendEvent('step', 'Step 9: Saving output');
+      let houseMechanicsResults = null;
+      if (houseMechanicsData) {
+        houseMechanicsResults = await houseMechanicsService.saveHouseMechanicsFiles(houseMechanicsData);
+        sendEvent('info', `House mechanics files saved: ${Object.keys(houseMechanicsResults).join(', ')}`);
+      }
+      finalOutput.metadata.houseMechanics = houseMechanicsResults ? {
+        processed: true,
+        files: houseMechanicsResults,
+        processedAt: new Date().toISOString(),
+        storage: storageService.provider
+      } : {
+        processed: false,
+        reason: 'No house mechanics section found or processing failed'
+      };
       await this.saveOutput(finalOutput);
       sendEvent('info', 'Output saved successfully');
       
@@ -247,7 +474,7 @@ class Parser {
       
       if (houseMechanicsResults) {
         const processedHouses = Object.keys(houseMechanicsResults).filter(house => houseMechanicsResults[house].success);
-        logger.info(`House mechanics processed and uploaded to Google Cloud Storage: ${processedHouses.join(', ')}`);
+        logger.info(`House mechanics processed and saved to ${storageService.provider} storage: ${processedHouses.join(', ')}`);
       }
 
       // Calculate type breakdown for result
@@ -269,6 +496,10 @@ class Parser {
       return finalOutput;
 
     } catch (error) {
+      if (isCancelled(error, signal)) {
+        logger.info(`Parsing cancelled during "${progress.step}", the dataset was not changed`);
+        throw createCancelledError(progress);
+      }
       logger.error('Parsing failed:', error);
       if (streamCallback) {
         streamCallback('error', `Parsing failed: ${error.message}`);
@@ -277,61 +508,102 @@ class Parser {
     }
   }
 
-  async saveOutput(output) {
-    try {
-      if (config.googleCloudStorage.enabled) {
-        // Save to Google Cloud Storage
-        try {
-          // Check if file exists and create backup
-          const existingFile = await googleCloudStorageService.downloadFile();
-          if (existingFile) {
-            await googleCloudStorageService.createBackup(existingFile);
-          }
+  /**
+   * Refresh the hours and ratings of the current dataset from Google Places,
+   * without fetching or parsing the document. A new dataset version is saved
+   * only when something changed. Options and cancellation work as for
+   * parseDocument.
+   */
+  async refreshEnrichment(streamCallback = null, { signal = null } = {}) {
+    const progress = {
+      step: null,
+      placesFound: 0,
+      placesEnriched: 0
+    };
 
-          // Save the new output
-          const result = await googleCloudStorageService.uploadFile(output);
-          logger.info(`Output saved to Google Cloud Storage: ${result.fileName}`);
-          
-          // Also save a timestamped version
-          const timestampedFileName = `${path.basename(config.googleCloudStorage.fileName, '.json')}-${Date.now()}.json`;
-          await googleCloudStorageService.uploadFile(output, timestampedFileName);
-          logger.info(`Timestamped version saved to Google Cloud Storage: ${timestampedFileName}`);
-
-          return result.url;
-        } catch (gcsError) {
-          logger.error('Failed to save to Google Cloud Storage:', gcsError);
-          throw gcsError;
+    try {
+      const sendEvent = (type, message, data = null) => {
+        if (type === 'step') {
+          throwIfCancelled(signal);
+          progress.step = message;
         }
-      } else {
-        // Fallback to local file system
-        await this.ensureOutputDirectory();
-        
-        const outputPath = path.join(this.outputDir, this.outputFilename);
-        
-        // Create a backup if file already exists
-        if (fs.existsSync(outputPath)) {
-          const backupPath = path.join(
-            this.outputDir,
-            `${path.basename(this.outputFilename, '.json')}-backup-${Date.now()}.json`
-          );
-          fs.copyFileSync(outputPath, backupPath);
-          logger.info(`Created backup: ${backupPath}`);
+        if (streamCallback) {
+          streamCallback(type, message, data);
         }
+      };
 
-        // Save the new output
-        fs.writeFileSync(outputPath, JSON.stringify(output, null, 2), 'utf8');
-        logger.info(`Output saved to: ${outputPath}`);
-        
-        // Also save a timestamped version
-        const timestampedPath = path.join(
-          this.outputDir,
-          `${path.basename(this.outputFilename, '.json')}-${Date.now()}.json`
-        );
-        fs.writeFileSync(timestampedPath, JSON.stringify(output, null, 2), 'utf8');
-        logger.info(`Timestamped version saved to: ${timestampedPath}`);
-
-        return outputPath;
+      sendEvent('step', 'Step 1: Loading the current dataset');
+      const existingOutput = await this.loadExistingOutput();
+      if (!existingOutput?.places?.length) {
+        throw new Error('There is no dataset to refresh yet, run the parser first');
       }
+      const places = existingOutput.places.map(place => placeOverridesService.restoreOriginalValues(place));
+      progress.placesFound = places.length;
+      sendEvent('info', `Loaded ${places.length} places`);
+
+      sendEvent('step', 'Step 2: Refreshing hours and ratings from Google Places');
+      const overrides = await placeOverridesService.loadOverrides();
+      let refresh;
+      try {
+        refresh = await webEnrichmentService.refreshPlaces(places, {
+          rejectedPlaceIds: placeOverridesService.getRejectedPlaceIds(overrides),
+          signal
+        });
+      } catch (refreshError) {
+        if (isCancelled(refreshError, signal)) {
+          progress.placesEnriched = refreshError.progress?.enrichedPlaces || 0;
+        }
+        throw refreshError;
+      }
+      progress.placesEnriched = refresh.refreshed;
+      sendEvent('info', `Refreshed ${refresh.refreshed} places, ${refresh.changed} with new hours or ratings`);
+      if (refresh.failed > 0) {
+        sendEvent('warning', `Google Places could not be reached for ${refresh.failed} places, they keep their previous data`);
+      }
+
+      sendEvent('step', 'Step 3: Saving output');
+      if (refresh.changed === 0) {
+        sendEvent('info', 'Nothing changed, the dataset was left as it is');
+        return existingOutput;
+      }
+
+      const refreshedPlaces = placeOverridesService.applyOverrides(refresh.places, overrides);
+      const output = {
+        ...existingOutput,
+        metadata: {
+          ...existingOutput.metadata,
+          enrichmentRefresh: {
+            refreshedAt: new Date().toISOString(),
+            refreshedPlaces: refresh.refreshed,
+            changedPlaces: refresh.changed,
+            failedPlaces: refresh.failed
+          }
+        },
+        places: refreshedPlaces
+      };
+
+      await this.saveOutput(output);
+      sendEvent('info', 'Output saved successfully');
+      return output;
+
+    } catch (error) {
+      if (isCancelled(error, signal)) {
+        logger.info(`Enrichment refresh cancelled during "${progress.step}", the dataset was not changed`);
+        throw createCancelledError(progress);
+      }
+      logger.error('Enrichment refresh failed:', error);
+      if (streamCallback) {
+        streamCallback('error', `Enrichment refresh failed: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async saveOutput(output) {
+    try {
+      // Backs up the current dataset and keeps a timestamped version alongside it
+      const result = await datasetVersionsService.saveVersion(output);
+      return result.url;
     } catch (error) {
       logger.error('Failed to save output:', error);
       throw new Error(`Failed to save output: ${error.message}`);
@@ -340,56 +612,28 @@ class Parser {
 
   async getParsingStats() {
     try {
-      if (config.googleCloudStorage.enabled) {
-        // Get stats from Google Cloud Storage
-        const content = await googleCloudStorageService.downloadFile();
-        
-        if (!content) {
-          return {
-            exists: false,
-            lastParsed: null,
-            totalPlaces: 0
-          };
-        }
-
-        const metadata = await googleCloudStorageService.getFileMetadata();
-        
-        return {
-          exists: true,
-          lastParsed: content.metadata?.generatedAt || metadata?.updated || null,
-          totalPlaces: content.places?.length || 0,
-          sourceDocId: content.metadata?.sourceDocId,
-          sourceDocTitle: content.metadata?.sourceDocTitle,
-          categories: content.metadata?.categories || [],
-          enrichmentStats: content.metadata?.enrichmentStats || {},
-          houseMechanics: content.metadata?.houseMechanics || { processed: false }
-        };
-      } else {
-        // Fallback to local file system
-        const outputPath = path.join(this.outputDir, this.outputFilename);
-        
-        if (!fs.existsSync(outputPath)) {
-          return {
-            exists: false,
-            lastParsed: null,
-            totalPlaces: 0
-          };
-        }
+      const content = await storageService.readJson(this.datasetKey);
 
-        const stats = fs.statSync(outputPath);
-        const content = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
-        
+      if (!content) {
         return {
-          exists: true,
-          lastParsed: content.metadata?.generatedAt || stats.mtime.toISOString(),
-          totalPlaces: content.places?.length || 0,
-          sourceDocId: content.metadata?.sourceDocId,
-          sourceDocTitle: content.metadata?.sourceDocTitle,
-          categories: content.metadata?.categories || [],
-          enrichmentStats: content.metadata?.enrichmentStats || {},
-          houseMechanics: content.metadata?.houseMechanics || { processed: false }
+          exists: false,
+          lastParsed: null,
+          totalPlaces: 0
         };
       }
+
+      const metadata = await storageService.stat(this.datasetKey);
+
+      return {
+        exists: true,
+        lastParsed: content.metadata?.generatedAt || metadata?.updated || null,
+        totalPlaces: content.places?.length || 0,
+        sources: content.metadata?.sources || [],
+        sourceDocTitle: content.metadata?.sourceDocTitle,
+        categories: content.metadata?.categories || [],
+        enrichmentStats: content.metadata?.enrichmentStats || {},
+        houseMechanics: content.metadata?.houseMechanics || { processed: false }
+      };
     } catch (error) {
       logger.error('Failed to get parsing stats:', error);
       return {
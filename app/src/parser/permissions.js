@@ -0,0 +1,66 @@
+/**
+ * Permissions
+ *
+ * Maps roles to named permissions. Routes declare the permissions they need
+ * instead of checking role names, so adding a role only means adding a row
+ * here. A permission ending in `:*` grants every permission under that prefix,
+ * e.g. `mechanics:read:*` covers `mechanics:read:lofty`.
+ *
+ * Given the house list, `mechanics:read:*` and `secrets:read:*` are narrowed
+ * to the houses whose access rules let the user's role in. Admins can always
+ * open every house.
+ *
+ * `secrets:read:<house>` is the tier above reading a house's mechanics: it
+ * reveals the house's WiFi passwords and door codes. Guest accounts don't get
+ * it; invite guests get it for the houses on their invite, during their stay.
+ */
+
+// Granted to everyone, including visitors who are not logged in
+const PUBLIC_PERMISSIONS = ['places:read'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['places:read', 'mechanics:read:*', 'secrets:read:*', 'parser:run', 'data:download', 'overrides:edit', 'users:manage', 'audit:read'],
+  editor: ['places:read', 'mechanics:read:*', 'secrets:read:*', 'parser:run', 'data:download', 'overrides:edit'],
+  guest: ['places:read', 'mechanics:read:*']
+};
+
+// Permissions granted per house
+const HOUSE_PERMISSIONS = ['mechanics:read', 'secrets:read'];
+
+const isInStay = (stay, now = Date.now()) => now >= Date.parse(stay.checkIn) && now < Date.parse(stay.checkOut);
+
+/**
+ * Permissions of a signed-in user (or of anonymous visitors for null).
+ * Invite guests only get the mechanics of the houses on their invite, and
+ * their secrets only between check-in and check-out.
+ */
+const getPermissions = (user, houses = null) => {
+  if (!user) return PUBLIC_PERMISSIONS;
+
+  const permissions = ROLE_PERMISSIONS[user.role] || PUBLIC_PERMISSIONS;
+  if (user.houses) {
+    return [
+      ...permissions.filter(permission => !HOUSE_PERMISSIONS.some(prefix => permission.startsWith(`${prefix}:`))),
+      ...user.houses.map(house => `mechanics:read:${house}`),
+      ...(user.stay && isInStay(user.stay) ? user.houses.map(house => `secrets:read:${house}`) : [])
+    ];
+  }
+  if (!houses || user.role === 'admin') return permissions;
+
+  return permissions.flatMap(permission => HOUSE_PERMISSIONS.some(prefix => permission === `${prefix}:*`)
+    ? houses.filter(house => house.access.roles.includes(user.role)).map(house => permission.replace(/\*$/, house.slug))
+    : [permission]);
+};
+
+const grants = (granted, permission) => granted === permission ||
+  (granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1)));
+
+const hasPermission = (user, permission, houses = null) =>
+  getPermissions(user, houses).some(granted => grants(granted, permission));
+
+module.exports = {
+  PUBLIC_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
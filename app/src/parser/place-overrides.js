@@ -0,0 +1,179 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { PlaceOverrideSchema } = require('./schema');
+
+// Override fields that steer enrichment instead of replacing a place field
+const ENRICHMENT_FIELDS = ['placeId', 'skipEnrichment'];
+
+/**
+ * Place Overrides Service
+ *
+ * Hand-curated field values keyed by place ID, stored on the storage backend
+ * so they survive re-parsing. The parser applies them in Step 7; a pinned
+ * Google placeId is used during enrichment instead of searching, and
+ * skipEnrichment keeps a place out of enrichment altogether.
+ *
+ * Overridden places carry an `overrides` object listing the curated fields and
+ * the values they replaced, so the UI can flag them and the original values
+ * can be restored when an override is removed.
+ */
+class PlaceOverridesService {
+  constructor() {
+    this.key = config.overrides.key;
+  }
+
+  async loadOverrides() {
+    try {
+      const data = await storageService.readJson(this.key);
+      return data?.overrides || {};
+    } catch (error) {
+      logger.error('Failed to load place overrides:', error);
+      throw new Error(`Failed to load place overrides: ${error.message}`);
+    }
+  }
+
+  async saveOverrides(overrides) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        overrides
+      });
+    } catch (error) {
+      logger.error('Failed to save place overrides:', error);
+      throw new Error(`Failed to save place overrides: ${error.message}`);
+    }
+  }
+
+  async listOverrides() {
+    const overrides = await this.loadOverrides();
+    return Object.entries(overrides).map(([placeId, override]) => ({ placeId, ...override }));
+  }
+
+  /**
+   * Create or replace the override for a place
+   */
+  async setOverride(placeId, input, actor = null) {
+    const parsed = PlaceOverrideSchema.safeParse(input);
+    if (!parsed.success) {
+      const invalidError = new Error(`Invalid override: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'fields'}: ${issue.message}`).join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const overrides = await this.loadOverrides();
+    const override = {
+      ...parsed.data,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+    overrides[placeId] = override;
+
+    await this.saveOverrides(overrides);
+    logger.info(`Saved override for place ${placeId}: ${Object.keys(override.fields).join(', ')}`);
+
+    return { placeId, ...override };
+  }
+
+  async deleteOverride(placeId) {
+    const overrides = await this.loadOverrides();
+
+    if (!overrides[placeId]) {
+      const notFoundError = new Error(`No override found for place ${placeId}`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    delete overrides[placeId];
+    await this.saveOverrides(overrides);
+    logger.info(`Deleted override for place ${placeId}`);
+  }
+
+  /**
+   * Pinned Google place_ids by place ID, for enrichment
+   */
+  getPinnedPlaceIds(overrides) {
+    return new Map(
+      Object.entries(overrides)
+        .filter(([, override]) => override.fields.placeId)
+        .map(([placeId, override]) => [placeId, override.fields.placeId])
+    );
+  }
+
+  /**
+   * IDs of places an admin excluded from enrichment
+   */
+  getRejectedPlaceIds(overrides) {
+    return new Set(
+      Object.entries(overrides)
+        .filter(([, override]) => override.fields.skipEnrichment)
+        .map(([placeId]) => placeId)
+    );
+  }
+
+  /**
+   * Undo previously applied overrides so a place reused from an earlier
+   * dataset reflects its parsed/enriched values again
+   */
+  restoreOriginalValues(place) {
+    if (!place.overrides) {
+      return place;
+    }
+
+    const { overrides, ...restored } = place;
+    for (const field of overrides.fields) {
+      if (ENRICHMENT_FIELDS.includes(field)) continue;
+      if (overrides.original[field] === undefined) {
+        delete restored[field];
+      } else {
+        restored[field] = overrides.original[field];
+      }
+    }
+    return restored;
+  }
+
+  applyOverrides(places, overrides) {
+    return places.map(place => {
+      const basePlace = this.restoreOriginalValues(place);
+      const override = overrides[place.id];
+
+      if (!override) {
+        return basePlace;
+      }
+
+      const fieldValues = Object.fromEntries(
+        Object.entries(override.fields).filter(([field]) => !ENRICHMENT_FIELDS.includes(field))
+      );
+      const original = {};
+      for (const field of Object.keys(fieldValues)) {
+        original[field] = basePlace[field];
+      }
+
+      return {
+        ...basePlace,
+        ...fieldValues,
+        overrides: {
+          fields: Object.keys(override.fields),
+          original,
+          updatedAt: override.updatedAt
+        }
+      };
+    });
+  }
+
+  /**
+   * Output metadata: how many places are curated, and overrides whose place
+   * no longer exists in the document
+   */
+  summarize(places, overrides) {
+    const placeIds = new Set(places.map(place => place.id));
+    return {
+      applied: places.filter(place => place.overrides).length,
+      orphaned: Object.keys(overrides).filter(placeId => !placeIds.has(placeId))
+    };
+  }
+}
+
+const placeOverridesService = new PlaceOverridesService();
+
+module.exports = { placeOverridesService };
@@ -186,8 +186,31 @@ const generateCategoryCleanupPrompt = (category) => {
   return CATEGORY_CLEANUP_PROMPT.replace('{category}', category);
 };
 
+const generatePlaceCorrectionPrompt = (invalidPlaces, locationContext = 'Maine, USA') => {
+  const entries = invalidPlaces.map(({ place, issues }, index) => `### Place ${index + 1}
+\`\`\`json
+${JSON.stringify(place, null, 2)}
+\`\`\`
+Validation errors:
+${issues.map(issue => `- ${issue}`).join('\n')}`).join('\n\n');
+
+  return `The following places were extracted from a vacation compound guide but failed schema validation.
+
+Fix each place so that it passes validation:
+- Keep the same place, name and origText - only correct the fields listed in the errors
+- "type" must be one of: dining, restaurant, activity, accommodation, shopping, other
+- "url" and "mapsLink" must be full URLs (starting with http:// or https://) or null
+- Remove optional fields you cannot fill in correctly instead of guessing
+- All places are in ${locationContext}
+
+${entries}
+
+Return the corrected places in a "places" array, in the same order.`;
+};
+
 module.exports = {
   generateParsingPrompt,
+  generatePlaceCorrectionPrompt,
   CATEGORY_CLEANUP_PROMPT,
   generateCategoryCleanupPrompt
 }; 
\ No newline at end of file
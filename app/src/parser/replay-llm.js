@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Replay LLM provider
+ *
+ * Deterministic, offline provider for CI and laptops. Every live LLM call is
+ * recorded to the logs directory as llm-<hash>-response.json (see llmClient);
+ * this provider looks up the request hash and returns the recorded response.
+ */
+class ReplayLLMProvider {
+  constructor(replayDir = config.llm.replayDir) {
+    this.name = 'replay';
+    this.replayDir = path.resolve(replayDir);
+    this.recordings = null;
+  }
+
+  /**
+   * Index recordings by request hash. Log files are prefixed with an ISO
+   * timestamp, so the last one in sort order is the latest recording.
+   */
+  loadRecordings() {
+    this.recordings = new Map();
+
+    if (!fs.existsSync(this.replayDir)) {
+      logger.warn(`LLM replay directory ${this.replayDir} does not exist`);
+      return;
+    }
+
+    const files = fs.readdirSync(this.replayDir).sort();
+    for (const file of files) {
+      const match = file.match(/llm-([0-9a-f]+)-response\.json$/);
+      if (match) {
+        this.recordings.set(match[1], path.join(this.replayDir, file));
+      }
+    }
+
+    logger.info(`Loaded ${this.recordings.size} recorded LLM responses from ${this.replayDir}`);
+  }
+
+  async invoke(messages, { requestHash } = {}) {
+    if (!this.recordings) {
+      this.loadRecordings();
+    }
+
+    const recordingPath = this.recordings.get(requestHash);
+    if (!recordingPath) {
+      throw new Error(`No recorded LLM response for request ${requestHash} in ${this.replayDir}`);
+    }
+
+    logger.debug(`Replaying LLM response ${requestHash} from ${recordingPath}`);
+    return JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  }
+}
+
+module.exports = { ReplayLLMProvider };
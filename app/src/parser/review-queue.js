@@ -0,0 +1,172 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { placeOverridesService } = require('./place-overrides');
+
+/**
+ * Review Queue Service
+ *
+ * Places whose best Google Places match scored below
+ * config.matching.minConfidence are held here with their top candidates
+ * instead of being enriched. An admin resolves an item by picking a candidate
+ * (stored as a pinned placeId override) or by rejecting enrichment.
+ *
+ * The parser (possibly in a separate worker process) and the server both
+ * change the queue, so changes are kept as holds and releases and merged into
+ * the stored queue on save, rather than writing back a whole copy that may be
+ * stale.
+ */
+class ReviewQueueService {
+  constructor() {
+    this.key = config.matching.reviewQueueKey;
+    this.items = null;
+    // Unsaved holds (placeId -> item) and releases (placeId -> null)
+    this.changes = new Map();
+  }
+
+  applyChanges(items) {
+    const merged = { ...items };
+    for (const [placeId, item] of this.changes) {
+      if (item) {
+        merged[placeId] = item;
+      } else {
+        delete merged[placeId];
+      }
+    }
+    return merged;
+  }
+
+  async readStored() {
+    const data = await storageService.readJson(this.key);
+    return data?.items || {};
+  }
+
+  /**
+   * The queue with this process's unsaved changes applied. With fresh, the
+   * stored queue is re-read first.
+   */
+  async load(fresh = false) {
+    if (this.items && !fresh) {
+      return this.items;
+    }
+
+    try {
+      this.items = this.applyChanges(await this.readStored());
+    } catch (error) {
+      logger.warn('Failed to load review queue, starting with an empty queue:', error.message);
+      this.items = this.applyChanges({});
+    }
+
+    return this.items;
+  }
+
+  /**
+   * Drop unsaved changes and re-read the stored queue, at the start of each
+   * enrichment pass so items resolved elsewhere since the last one stay gone
+   */
+  async reload() {
+    this.changes.clear();
+    return this.load(true);
+  }
+
+  async save() {
+    if (this.changes.size === 0) {
+      return;
+    }
+
+    try {
+      const items = this.applyChanges(await this.readStored());
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        items
+      });
+      this.items = items;
+      this.changes.clear();
+    } catch (error) {
+      logger.error('Failed to save review queue:', error);
+      throw new Error(`Failed to save review queue: ${error.message}`);
+    }
+  }
+
+  async list() {
+    // Re-read the stored queue so the server sees parser updates
+    const items = await this.load(true);
+    return Object.values(items).sort((a, b) => a.placeName.localeCompare(b.placeName));
+  }
+
+  hold(place, query, rankedCandidates) {
+    const item = {
+      placeId: place.id,
+      placeName: place.name,
+      placeType: place.type,
+      category: place.category || null,
+      query,
+      candidates: rankedCandidates.slice(0, 3).map(({ candidate, match }) => ({
+        googlePlaceId: candidate.place_id,
+        name: candidate.name,
+        address: candidate.formatted_address || null,
+        types: candidate.types || [],
+        coordinates: candidate.geometry?.location || null,
+        ...match
+      })),
+      queuedAt: new Date().toISOString()
+    };
+    this.items[place.id] = item;
+    this.changes.set(place.id, item);
+  }
+
+  release(placeId) {
+    if (this.items?.[placeId]) {
+      delete this.items[placeId];
+      this.changes.set(placeId, null);
+    }
+  }
+
+  /**
+   * Resolve a queued place. With a googlePlaceId the match is pinned; with
+   * reject the place is excluded from enrichment. Either way the decision is
+   * stored as an override and takes effect on the next parser run.
+   */
+  async resolve(placeId, { googlePlaceId = null, reject = false } = {}, actor = null) {
+    if (!googlePlaceId && !reject) {
+      const invalidError = new Error('Either a googlePlaceId or reject is required');
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const items = await this.load(true);
+    const item = items[placeId];
+
+    if (!item) {
+      const notFoundError = new Error(`Place ${placeId} is not in the review queue`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    // Keep any other curated fields the place already has
+    const existing = (await placeOverridesService.loadOverrides())[placeId];
+    const otherFields = Object.fromEntries(
+      Object.entries(existing?.fields || {}).filter(([field]) => !['placeId', 'skipEnrichment'].includes(field))
+    );
+    const fields = reject
+      ? { ...otherFields, skipEnrichment: true }
+      : { ...otherFields, placeId: googlePlaceId };
+
+    const candidate = item.candidates.find(entry => entry.googlePlaceId === googlePlaceId);
+    const note = reject
+      ? 'Enrichment rejected from the review queue'
+      : `Match picked from the review queue: ${candidate?.name || googlePlaceId}`;
+
+    await placeOverridesService.setOverride(placeId, { fields, note }, actor);
+
+    this.release(placeId);
+    await this.save();
+
+    logger.info(`Resolved review for ${placeId}: ${reject ? 'enrichment rejected' : `pinned ${googlePlaceId}`}`);
+    return { placeId, googlePlaceId: reject ? null : googlePlaceId, rejected: reject };
+  }
+}
+
+const reviewQueueService = new ReviewQueueService();
+
+module.exports = { reviewQueueService };
@@ -0,0 +1,232 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * S3-compatible storage driver
+ *
+ * Works with AWS S3 and any S3-compatible store (MinIO, Cloudflare R2, ...)
+ * by pointing S3_ENDPOINT at it.
+ */
+class S3StorageDriver {
+  constructor() {
+    this.name = 's3';
+    this.client = null;
+    this.commands = null;
+    this.bucket = config.storage.s3.bucket;
+  }
+
+  initialize() {
+    if (this.client) {
+      return;
+    }
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_PROVIDER=s3');
+    }
+
+    // Loaded lazily so the SDK is only needed when the S3 driver is in use
+    const { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const clientConfig = {
+      region: config.storage.s3.region,
+      forcePathStyle: config.storage.s3.forcePathStyle
+    };
+
+    if (config.storage.s3.endpoint) {
+      clientConfig.endpoint = config.storage.s3.endpoint;
+    }
+
+    if (config.storage.s3.accessKeyId && config.storage.s3.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: config.storage.s3.accessKeyId,
+        secretAccessKey: config.storage.s3.secretAccessKey
+      };
+    }
+
+    this.client = new S3Client(clientConfig);
+    this.commands = { GetObjectCommand, PutObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand };
+
+    logger.info(`S3 storage initialized successfully. Bucket: ${this.bucket}`);
+  }
+
+  isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+  }
+
+  async read(key) {
+    this.initialize();
+
+    try {
+      const response = await this.client.send(new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      logger.debug(`File downloaded successfully from S3: ${key}`);
+      return await response.Body.transformToString('utf8');
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        logger.debug(`File ${key} does not exist in S3`);
+        return null;
+      }
+      logger.error(`Failed to download ${key} from S3:`, error);
+      throw new Error(`Failed to download file from S3: ${error.message}`);
+    }
+  }
+
+  async write(key, content, contentType = 'text/plain') {
+    this.initialize();
+
+    try {
+      await this.client.send(new this.commands.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: content,
+        ContentType: contentType,
+        Metadata: {
+          uploadedAt: new Date().toISOString(),
+          source: 'compound-parser'
+        }
+      }));
+
+      logger.info(`File uploaded successfully to S3: ${key}`);
+      return {
+        key,
+        url: `s3://${this.bucket}/${key}`
+      };
+    } catch (error) {
+      logger.error(`Failed to upload ${key} to S3:`, error);
+      throw new Error(`Failed to upload file to S3: ${error.message}`);
+    }
+  }
+
+  async create(key, content, contentType = 'text/plain') {
+    this.initialize();
+
+    try {
+      await this.client.send(new this.commands.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: content,
+        ContentType: contentType,
+        IfNoneMatch: '*'
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'PreconditionFailed' || error.$metadata?.httpStatusCode === 412) {
+        return false;
+      }
+      logger.error(`Failed to create ${key} in S3:`, error);
+      throw new Error(`Failed to create file in S3: ${error.message}`);
+    }
+  }
+
+  async stat(key) {
+    this.initialize();
+
+    try {
+      const response = await this.client.send(new this.commands.HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        key,
+        size: response.ContentLength,
+        updated: response.LastModified?.toISOString(),
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        logger.error(`Failed to get metadata for ${key} from S3:`, error);
+      }
+      return null;
+    }
+  }
+
+  async list(prefix = '') {
+    this.initialize();
+
+    try {
+      const results = [];
+      let continuationToken;
+
+      do {
+        const response = await this.client.send(new this.commands.ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        (response.Contents || []).forEach(object => {
+          results.push({
+            key: object.Key,
+            size: object.Size,
+            updated: object.LastModified?.toISOString()
+          });
+        });
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to list files in S3:', error);
+      throw new Error(`Failed to list files in S3: ${error.message}`);
+    }
+  }
+
+  async listShallow(prefix = '') {
+    this.initialize();
+
+    try {
+      const results = [];
+      let continuationToken;
+
+      do {
+        const response = await this.client.send(new this.commands.ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix || undefined,
+          Delimiter: '/',
+          ContinuationToken: continuationToken
+        }));
+
+        (response.Contents || []).forEach(object => {
+          results.push({
+            key: object.Key,
+            size: object.Size,
+            updated: object.LastModified?.toISOString()
+          });
+        });
+        (response.CommonPrefixes || []).forEach(common => results.push({ key: common.Prefix }));
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return results;
+    } catch (error) {
+      logger.error(`Failed to list ${prefix} in S3:`, error);
+      throw new Error(`Failed to list files in S3: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    this.initialize();
+
+    try {
+      await this.client.send(new this.commands.DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return true;
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return false;
+      }
+      logger.error(`Failed to delete ${key} from S3:`, error);
+      throw new Error(`Failed to delete file from S3: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { S3StorageDriver };
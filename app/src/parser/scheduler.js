@@ -0,0 +1,222 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { googleDocsService } = require('./google-docs');
+const { jobQueueService } = require('./job-queue');
+const { sourceDocumentsService } = require('./source-documents');
+const { SchedulerSettingsSchema } = require('./schema');
+
+const DEFAULT_SETTINGS = {
+  documentCheck: { enabled: false, intervalMinutes: 15 },
+  enrichmentRefresh: { enabled: false, intervalHours: 24 }
+};
+
+/**
+ * Scheduler Service
+ *
+ * Queues parser runs on its own, as `scheduled` runs:
+ * - documentCheck compares the modified time of every source document with
+ *   the one the current dataset was parsed from, and queues a parse only when
+ *   a document changed. A change is queued once, so a parse that fails is not
+ *   retried on every check.
+ * - enrichmentRefresh queues a refresh of hours and ratings (see
+ *   Parser.refreshEnrichment) at its own interval.
+ *
+ * Settings are saved from the dashboard and re-read on every tick, so changes
+ * reach a scheduler in a separate worker process. What the scheduler did last
+ * is kept in a state file of its own, which only the scheduler writes.
+ */
+class SchedulerService {
+  constructor() {
+    this.settingsKey = config.scheduler.settingsKey;
+    this.stateKey = config.scheduler.stateKey;
+    this.tickMs = config.scheduler.tickSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+    this.onQueued = null;
+  }
+
+  async getSettings() {
+    try {
+      const stored = await storageService.readJson(this.settingsKey);
+      return {
+        documentCheck: { ...DEFAULT_SETTINGS.documentCheck, ...stored?.documentCheck },
+        enrichmentRefresh: { ...DEFAULT_SETTINGS.enrichmentRefresh, ...stored?.enrichmentRefresh },
+        updatedAt: stored?.updatedAt || null,
+        updatedBy: stored?.updatedBy || null
+      };
+    } catch (error) {
+      logger.error('Failed to load scheduler settings:', error);
+      throw new Error(`Failed to load scheduler settings: ${error.message}`);
+    }
+  }
+
+  async updateSettings(input, actor = null) {
+    const parsed = SchedulerSettingsSchema.safeParse(input);
+    if (!parsed.success) {
+      const invalidError = new Error(`Invalid schedule: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'settings'}: ${issue.message}`).join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const settings = {
+      ...parsed.data,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+
+    try {
+      await storageService.writeJson(this.settingsKey, settings);
+      logger.info(`Scheduler settings updated: document check ${settings.documentCheck.enabled ? 'on' : 'off'}, enrichment refresh ${settings.enrichmentRefresh.enabled ? 'on' : 'off'}`);
+      return settings;
+    } catch (error) {
+      logger.error('Failed to save scheduler settings:', error);
+      throw new Error(`Failed to save scheduler settings: ${error.message}`);
+    }
+  }
+
+  async getState() {
+    const stored = await storageService.readJson(this.stateKey);
+    return {
+      documentCheck: stored?.documentCheck || {},
+      enrichmentRefresh: stored?.enrichmentRefresh || {}
+    };
+  }
+
+  /**
+   * Settings with what the scheduler did last and when each task is due next
+   */
+  async getStatus() {
+    const [settings, state] = await Promise.all([this.getSettings(), this.getState()]);
+    return {
+      settings,
+      documentCheck: {
+        ...state.documentCheck,
+        nextRunAt: settings.documentCheck.enabled
+          ? this.nextRunAt(state.documentCheck.lastRunAt, settings.documentCheck.intervalMinutes * 60 * 1000)
+          : null
+      },
+      enrichmentRefresh: {
+        ...state.enrichmentRefresh,
+        nextRunAt: settings.enrichmentRefresh.enabled
+          ? this.nextRunAt(state.enrichmentRefresh.lastRunAt, settings.enrichmentRefresh.intervalHours * 60 * 60 * 1000)
+          : null
+      }
+    };
+  }
+
+  nextRunAt(lastRunAt, intervalMs) {
+    if (!lastRunAt) return new Date().toISOString();
+    return new Date(Date.parse(lastRunAt) + intervalMs).toISOString();
+  }
+
+  isDue(lastRunAt, intervalMs) {
+    return !lastRunAt || Date.now() - Date.parse(lastRunAt) >= intervalMs;
+  }
+
+  /**
+   * Start checking for due tasks. onQueued(entry) is called for every run the
+   * scheduler queues, e.g. to wake the worker.
+   */
+  start({ onQueued = null } = {}) {
+    this.onQueued = onQueued;
+    this.running = true;
+    logger.info(`Scheduler started, checking for due tasks every ${config.scheduler.tickSeconds}s`);
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    if (!this.running) return;
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      this.schedule(this.tickMs);
+    }, delay);
+  }
+
+  async tick() {
+    try {
+      const [settings, state] = await Promise.all([this.getSettings(), this.getState()]);
+      let changed = false;
+
+      if (settings.documentCheck.enabled && this.isDue(state.documentCheck.lastRunAt, settings.documentCheck.intervalMinutes * 60 * 1000)) {
+        state.documentCheck = await this.checkDocument(state.documentCheck);
+        changed = true;
+      }
+
+      if (settings.enrichmentRefresh.enabled && this.isDue(state.enrichmentRefresh.lastRunAt, settings.enrichmentRefresh.intervalHours * 60 * 60 * 1000)) {
+        state.enrichmentRefresh = await this.queueRun('refresh', state.enrichmentRefresh);
+        changed = true;
+      }
+
+      if (changed) {
+        await storageService.writeJson(this.stateKey, state);
+      }
+    } catch (error) {
+      logger.error('Scheduler tick failed:', error);
+    }
+  }
+
+  /**
+   * Queue a parse when any source document was modified after the current
+   * dataset was parsed from it. The parse covers every document; unchanged
+   * ones are carried over section by section. Returns the new state of the task.
+   */
+  async checkDocument(previous) {
+    const lastRunAt = new Date().toISOString();
+
+    try {
+      const sources = await sourceDocumentsService.listSources();
+      const dataset = await storageService.readJson(config.storage.datasetKey);
+      const parsedModifiedTimes = new Map((dataset?.metadata?.sources || []).map(source => [source.docId, source.modifiedTime]));
+      const queuedModifiedTimes = previous.queuedModifiedTimes || {};
+
+      const modifiedTimes = {};
+      for (const source of sources) {
+        modifiedTimes[source.docId] = await googleDocsService.getDocumentModifiedTime(source.docId);
+      }
+
+      const changed = sources.filter(({ docId }) =>
+        modifiedTimes[docId] !== parsedModifiedTimes.get(docId) && modifiedTimes[docId] !== queuedModifiedTimes[docId]);
+
+      if (changed.length === 0) {
+        return { ...previous, lastRunAt, modifiedTimes, result: 'unchanged', error: null };
+      }
+
+      logger.info(`Source document(s) modified since the dataset was parsed: ${changed.map(source => source.docId).join(', ')}`);
+      return {
+        ...await this.queueRun('parse', previous),
+        lastRunAt,
+        modifiedTimes,
+        queuedModifiedTimes: modifiedTimes
+      };
+    } catch (error) {
+      logger.warn('Scheduled document check failed:', error);
+      return { ...previous, lastRunAt, result: 'failed', error: error.message };
+    }
+  }
+
+  async queueRun(kind, previous) {
+    const lastRunAt = new Date().toISOString();
+
+    try {
+      const { entry, coalesced } = await jobQueueService.enqueue({ kind, trigger: 'scheduled' });
+      if (this.onQueued) {
+        this.onQueued(entry);
+      }
+      return { ...previous, lastRunAt, result: coalesced ? 'already-queued' : 'queued', queueId: entry.id, error: null };
+    } catch (error) {
+      logger.warn(`Failed to queue scheduled ${kind} run:`, error);
+      return { ...previous, lastRunAt, result: 'failed', error: error.message };
+    }
+  }
+}
+
+const schedulerService = new SchedulerService();
+
+module.exports = { schedulerService };
@@ -32,12 +32,142 @@ const PlaceSchema = z.object({
   }).optional().describe('Tracking information for enrichment status')
 });
 
+// Schema the model fills in when parsing in structured-output mode
+const PlaceExtractionSchema = z.object({
+  places: z.array(PlaceSchema).describe('All places, restaurants and activities found in the document')
+}).describe('Record the places extracted from the document');
+
+// Hand-curated values that replace parsed/enriched fields of a place
+const PlaceOverrideSchema = z.object({
+  fields: PlaceSchema.pick({
+    name: true,
+    type: true,
+    description: true,
+    url: true,
+    address: true,
+    mapsLink: true,
+    phone: true,
+    priceRange: true,
+    hours: true,
+    notes: true,
+    tags: true,
+    coordinates: true,
+    category: true
+  }).extend({
+    website: z.string().url().describe('Website URL'),
+    placeId: z.string().min(1).describe('Google Places place_id to enrich from instead of searching'),
+    skipEnrichment: z.literal(true).describe('Never enrich this place from Google Places')
+  }).partial().strict().refine(fields => Object.keys(fields).length > 0, 'At least one field is required'),
+  note: z.string().max(500).optional().describe('Why the override exists')
+});
+
+// Accounts in the user store
+const UserRoleSchema = z.enum(['admin', 'editor', 'guest']);
+
+const UserCreateSchema = z.object({
+  username: z.string().trim().toLowerCase().regex(/^[a-z0-9._-]{2,32}$/, 'Use 2-32 letters, digits, dots, dashes or underscores'),
+  displayName: z.string().trim().min(1).max(80).optional(),
+  role: UserRoleSchema,
+  password: z.string().min(8, 'Passwords need at least 8 characters').max(128).optional()
+}).strict();
+
+const UserUpdateSchema = z.object({
+  displayName: z.string().trim().min(1).max(80),
+  role: UserRoleSchema,
+  disabled: z.boolean()
+}).partial().strict().refine(changes => Object.keys(changes).length > 0, 'At least one change is required');
+
+// Houses of the compound; the slug is used in URLs, permissions and file names
+const HouseSlugSchema = z.string().regex(/^[a-z0-9][a-z0-9-]{0,31}$/, 'Use up to 32 lowercase letters, digits or dashes');
+
+const HouseSchema = z.object({
+  name: z.string().trim().min(1).max(40),
+  title: z.string().trim().min(1).max(80).optional(),
+  address: z.string().trim().max(200).nullable().optional(),
+  coordinates: z.object({
+    lat: z.number().min(-90).max(90),
+    lng: z.number().min(-180).max(180)
+  }).nullable().optional(),
+  access: z.object({
+    roles: z.array(UserRoleSchema).transform(roles => [...new Set(roles)])
+  }).strict().describe('Account roles that can open the house; invite guests get the houses on their invite')
+}).strict();
+
+// Structured house mechanics the model records from a house's section of the document
+const HouseMechanicsExtractionSchema = z.object({
+  wifi: z.array(z.object({
+    network: z.string().describe('Network name (SSID)'),
+    password: z.string().nullish().describe('Password, exactly as written'),
+    note: z.string().nullish().describe('Where the network reaches or when to use it')
+  })).describe('WiFi networks of the house'),
+  doorCodes: z.array(z.object({
+    door: z.string().describe('Door or lock, e.g. "Front door"'),
+    code: z.string().nullish().describe('Code or PIN, exactly as written'),
+    instructions: z.string().nullish().describe('How to lock and unlock it')
+  })).describe('Door codes and lock instructions'),
+  checklists: z.array(z.object({
+    kind: z.enum(['arrival', 'departure', 'other']).describe('When the checklist is used'),
+    title: z.string().describe('Short title, e.g. "Before you leave"'),
+    items: z.array(z.string()).describe('One task per item, in order')
+  })).describe('Checklists for arriving, leaving and other routines'),
+  appliances: z.array(z.object({
+    name: z.string().describe('Appliance or house system, e.g. "Mini splits"'),
+    instructions: z.array(z.string()).describe('How to use it, one step or tip per item')
+  })).describe('How to use the appliances and house systems'),
+  emergencyContacts: z.array(z.object({
+    name: z.string().describe('Person or service'),
+    role: z.string().nullish().describe('e.g. "Property manager" or "Plumber"'),
+    phone: z.string().nullish().describe('Phone number, exactly as written'),
+    note: z.string().nullish().describe('When to call them')
+  })).describe('Who to call when something goes wrong')
+}).describe('Record the mechanics of one house');
+
+// Google Docs the guide is merged from; the document ID is taken from its URL
+const SourceDocIdSchema = z.string().trim().regex(/^[A-Za-z0-9_-]{10,128}$/, 'Use the document ID from the Google Docs URL');
+
+const SourceDocumentSchema = z.object({
+  owner: z.string().trim().min(1).max(60).describe('Family member who maintains the document'),
+  categoryPrefix: z.string().trim().min(1).max(40).nullable().optional().describe('Put in front of the category of every place from the document')
+}).strict();
+
+// Stay-scoped guest invite links
+const InviteCreateSchema = z.object({
+  guestName: z.string().trim().min(1).max(80),
+  houses: z.array(HouseSlugSchema).min(1, 'Pick at least one house').transform(houses => [...new Set(houses)]),
+  checkIn: z.string().datetime({ offset: true }),
+  checkOut: z.string().datetime({ offset: true }),
+  note: z.string().max(500).optional()
+}).strict().refine(invite => Date.parse(invite.checkOut) > Date.parse(invite.checkIn), {
+  message: 'Check-out must be after check-in',
+  path: ['checkOut']
+});
+
+// Items a guest ticked on one of a house's checklists
+const ChecklistProgressSchema = z.object({
+  ticked: z.array(z.string().max(80)).max(200).transform(ticked => [...new Set(ticked)])
+}).strict();
+
+// Automatic parser runs, edited on the admin dashboard
+const SchedulerSettingsSchema = z.object({
+  documentCheck: z.object({
+    enabled: z.boolean(),
+    intervalMinutes: z.number().int().min(5).max(1440)
+  }).strict(),
+  enrichmentRefresh: z.object({
+    enabled: z.boolean(),
+    intervalHours: z.number().int().min(1).max(720)
+  }).strict()
+}).strict();
+
 // Complete output schema
 const OutputSchema = z.object({
   metadata: z.object({
     generatedAt: z.string().datetime(),
     totalPlaces: z.number(),
-    sourceDocId: z.string(),
+    sources: z.array(z.object({
+      docId: z.string(),
+      owner: z.string().nullable()
+    })).min(1),
     parserVersion: z.string()
   }),
   places: z.array(PlaceSchema)
@@ -49,6 +179,19 @@ const validateOutput = (data) => OutputSchema.parse(data);
 
 module.exports = {
   PlaceSchema,
+  PlaceExtractionSchema,
+  PlaceOverrideSchema,
+  UserRoleSchema,
+  UserCreateSchema,
+  UserUpdateSchema,
+  HouseSlugSchema,
+  HouseSchema,
+  HouseMechanicsExtractionSchema,
+  SourceDocIdSchema,
+  SourceDocumentSchema,
+  InviteCreateSchema,
+  ChecklistProgressSchema,
+  SchedulerSettingsSchema,
   OutputSchema,
   validatePlace,
   validateOutput
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+
+// Other server instances share the store, so it is re-read after this long
+const CACHE_TTL_MS = 30 * 1000;
+
+// What guests without access to a house's secrets see instead
+const MASK = '••••••';
+
+// Placeholders put into documents in place of a secret
+const PLACEHOLDER_PATTERN = /\{\{secret:([a-z0-9]+)\}\}/g;
+
+// Markdown emphasis after a label, e.g. "**Password:**"
+const EMPHASIS = String.raw`\**\s*`;
+
+// A quoted value is taken whole, spaces and all
+const QUOTED = String.raw`"[^"\n]+"|'[^'\n]+'|“[^”\n]+”|‘[^’\n]+’|\`[^\`\n]+\``;
+
+// After "label:" (or "=", or a table cell border) the value runs to the end
+// of the line, so a password with spaces is never cut short
+const AFTER_COLON = String.raw`${EMPHASIS}[:=|]\s*\**\s*(${QUOTED}|[^\n|]*[^\s|*])`;
+
+// After "label is" or "label - " only one word (or a quoted value) is taken,
+// since prose usually follows
+const AFTER_IS = String.raw`${EMPHASIS}(?:is|[–-](?=\s))\s*\**\s*(${QUOTED}|[^\s*]+)`;
+
+// "code for the front door", "password to the WiFi"
+const FOR_THING = String.raw`\s+(?:for|to|of|on)\s+(?:[\w'-]+\s+){0,3}?[\w'-]+`;
+
+const PASSWORD_LABEL = String.raw`(?:wi-?fi\s+|network\s+)?(?:password|passcode|passwd|passphrase|pwd|pw)`;
+const CODE_LABEL = String.raw`(?:door|front\s+door|lock|lockbox|key\s?box|key\s?safe|gate|garage|keypad|alarm|entry|access|building)\s+(?:code|pin|combo|combination)`;
+// Labels too short or common to take an "is" after them. Postal, promo and
+// dress codes are not secrets.
+const BARE_LABEL = String.raw`(?<!(?:zip|postal|area|promo|discount|dress|country|qr)\s+)(?:pass|pin|code|combo|combination|keypad|lockbox|key\s?box|key\s?safe)`;
+
+// Labels and the values they introduce, most specific first. Anything after
+// a label and a colon is redacted, so an unusual value is hidden rather than
+// leaked.
+const SECRET_PATTERNS = [
+  {
+    kind: 'code',
+    pattern: new RegExp(String.raw`\b(?:code|pin|combo|combination)${FOR_THING}(?:${AFTER_COLON}|\s+${AFTER_IS})`, 'gi')
+  },
+  {
+    kind: 'password',
+    pattern: new RegExp(String.raw`\b(?:password|passcode|passphrase)${FOR_THING}(?:${AFTER_COLON}|\s+${AFTER_IS})`, 'gi')
+  },
+  {
+    kind: 'code',
+    pattern: new RegExp(String.raw`\b${CODE_LABEL}(?:${AFTER_COLON}|\s*${AFTER_IS}|\s+\`?([0-9A-Za-z#*-]*\d[0-9A-Za-z#*-]*))`, 'gi')
+  },
+  {
+    kind: 'password',
+    pattern: new RegExp(String.raw`\b${PASSWORD_LABEL}(?:${AFTER_COLON}|\s*${AFTER_IS})`, 'gi')
+  },
+  {
+    kind: 'code',
+    pattern: new RegExp(String.raw`\b${BARE_LABEL}(?:${AFTER_COLON}|\s+(\d[\d#*-]{2,11})\b)`, 'gi')
+  }
+];
+
+// Values that say there is no secret, and words that start one ("none yet")
+const NOT_SECRETS = new Set(['none', 'n/a', 'na', 'no', 'not', 'required', 'needed', 'below', 'above', 'tbd', 'on', 'in', 'at', 'printed', 'written', 'taped', 'located', 'shown', 'listed', 'provided', 'sent', 'available', 'case-sensitive']);
+const NO_SECRET_WORDS = new Set(['none', 'n/a', 'no', 'not', 'tbd']);
+
+// Opening and closing quotes of a quoted value
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’', '`': '`' };
+
+/**
+ * Secrets Service
+ *
+ * Keeps WiFi passwords, PINs and lock codes out of everything the parser
+ * writes or sends. Fetched documents are redacted before any LLM call or log
+ * write: each secret is replaced with a `{{secret:<id>}}` placeholder, and its
+ * value is encrypted (AES-256-GCM) into a store of its own.
+ *
+ * Placeholder IDs are keyed hashes of the value, so they stay the same from
+ * run to run (keeping incremental parses incremental) without giving away
+ * short PINs. The house mechanics API swaps placeholders back for users with
+ * the house's `secrets:read` permission and masks them for everyone else.
+ */
+class SecretsService {
+  constructor() {
+    this.key = config.secrets.key;
+    this.secrets = null;
+    this.loadedAt = 0;
+    this.pending = Promise.resolve();
+  }
+
+  isEnabled() {
+    return Boolean(config.secrets.encryptionKey);
+  }
+
+  // Logged when the server and worker start, so a missing key is noticed
+  warnIfDisabled() {
+    if (!this.isEnabled()) {
+      logger.warn('SECRETS_ENCRYPTION_KEY is not set: parser runs stop when the documents contain WiFi passwords or door codes, since they could not be stored');
+    }
+  }
+
+  deriveKey(purpose) {
+    return Buffer.from(crypto.hkdfSync('sha256', config.secrets.encryptionKey, '', `house-secrets:${purpose}`, 32));
+  }
+
+  getSecretId(kind, value) {
+    if (!this.isEnabled()) return 'hidden';
+    return crypto.createHmac('sha256', this.deriveKey('ids')).update(`${kind}:${value}`).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * A quoted value without its quotes; anything else without trailing
+   * punctuation
+   */
+  unquote(rawValue = '') {
+    const closing = QUOTES[rawValue[0]];
+    if (closing && rawValue.length > 1 && rawValue.endsWith(closing)) {
+      return rawValue.slice(1, -1);
+    }
+    const value = rawValue.replace(/[.,;:]+$/, '');
+    return value.endsWith(')') && !value.includes('(') ? value.slice(0, -1) : value;
+  }
+
+  /**
+   * Replace the secrets in a text with placeholders. Returns the redacted text
+   * and the secrets found, by ID.
+   */
+  redact(text) {
+    const found = {};
+    if (!text) return { text, secrets: found };
+
+    let redacted = text;
+    for (const { kind, pattern } of SECRET_PATTERNS) {
+      redacted = redacted.replace(pattern, (match, ...groups) => {
+        const rawValue = groups.slice(0, -2).find(group => typeof group === 'string');
+        const value = this.unquote(rawValue);
+        const firstWord = value.split(/\s/)[0].replace(/[.,;:!?)]+$/, '').toLowerCase();
+        if (!value || value.includes('{{secret:') || NOT_SECRETS.has(value.toLowerCase()) || NO_SECRET_WORDS.has(firstWord)) {
+          return match;
+        }
+
+        const id = this.getSecretId(kind, value);
+        found[id] = { kind, value };
+        const valueAt = match.lastIndexOf(value);
+        return `${match.slice(0, valueAt)}{{secret:${id}}}${match.slice(valueAt + value.length)}`;
+      });
+    }
+
+    return { text: redacted, secrets: found };
+  }
+
+  /**
+   * Redact a fetched document: its markdown and the paragraphs of its sections
+   */
+  redactDocument(documentData) {
+    const { text: content, secrets } = this.redact(documentData.content);
+    const sections = (documentData.sections || []).map(section => ({
+      ...section,
+      content: section.content.map(paragraph => {
+        const redacted = this.redact(paragraph);
+        Object.assign(secrets, redacted.secrets);
+        return redacted.text;
+      })
+    }));
+
+    return { documentData: { ...documentData, content, sections }, secrets };
+  }
+
+  async loadSecrets(fresh = false) {
+    if (!fresh && this.secrets && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.secrets;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.secrets = data?.secrets || {};
+      this.loadedAt = Date.now();
+      return this.secrets;
+    } catch (error) {
+      logger.error('Failed to load house secrets:', error);
+      throw new Error(`Failed to load house secrets: ${error.message}`);
+    }
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey('encryption'), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(entry) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey('encryption'), Buffer.from(entry.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Encrypt and store the secrets found by a parse. Secrets from earlier runs
+   * are kept, since documents that were not fetched still refer to them.
+   * Without a key they can't be stored, and are refused rather than dropped.
+   */
+  async storeSecrets(found) {
+    const ids = Object.keys(found);
+    if (ids.length === 0) return 0;
+
+    if (!this.isEnabled()) {
+      throw new Error(`Found ${ids.length} password(s) or code(s) in the documents, but SECRETS_ENCRYPTION_KEY is not set so they can't be stored. Set it and run the parser again`);
+    }
+
+    const now = new Date().toISOString();
+    try {
+      // One store at a time from this process, each on a fresh read, so
+      // concurrent parses don't drop each other's secrets
+      const run = this.pending.then(async () => {
+        const secrets = await this.loadSecrets(true);
+        const updated = { ...secrets };
+        for (const [id, { kind, value }] of Object.entries(found)) {
+          updated[id] = { kind, ...this.encrypt(value), storedAt: secrets[id]?.storedAt || now, lastSeenAt: now };
+        }
+
+        await storageService.writeJson(this.key, { updatedAt: now, secrets: updated });
+        this.secrets = updated;
+        this.loadedAt = Date.now();
+      });
+      this.pending = run.catch(() => {});
+      await run;
+      logger.info(`Stored ${ids.length} house secret(s)`);
+      return ids.length;
+    } catch (error) {
+      logger.error('Failed to store house secrets:', error);
+      throw new Error(`Failed to store house secrets: ${error.message}`);
+    }
+  }
+
+  hasPlaceholders(text) {
+    return typeof text === 'string' && text.search(PLACEHOLDER_PATTERN) !== -1;
+  }
+
+  mask(text) {
+    return typeof text === 'string' ? text.replace(PLACEHOLDER_PATTERN, MASK) : text;
+  }
+
+  /**
+   * Put the stored values back into a text. Secrets that can't be found or
+   * decrypted (e.g. after the key changed) stay masked.
+   */
+  async reveal(text) {
+    if (!this.hasPlaceholders(text) || !this.isEnabled()) return this.mask(text);
+
+    const secrets = await this.loadSecrets();
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, id) => {
+      if (!secrets[id]) return MASK;
+      try {
+        return this.decrypt(secrets[id]);
+      } catch (error) {
+        logger.warn(`Failed to decrypt house secret ${id}:`, error.message);
+        return MASK;
+      }
+    });
+  }
+
+  /**
+   * Reveal or mask every string in a JSON value, e.g. a structured house model
+   */
+  async transformDeep(value, transform) {
+    if (typeof value === 'string') return transform(value);
+    if (Array.isArray(value)) return Promise.all(value.map(item => this.transformDeep(item, transform)));
+    if (value && typeof value === 'object') {
+      const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await this.transformDeep(item, transform)]));
+      return Object.fromEntries(entries);
+    }
+    return value;
+  }
+
+  /**
+   * A house's markdown and structured model with its secrets revealed, or
+   * masked when `revealSecrets` is false. `hidden` tells whether anything was
+   * masked, which is also the case for everyone while no key is set;
+   * `unavailable` tells users who may see them that this is why.
+   */
+  async prepareHouseMechanics({ content, mechanics }, revealSecrets) {
+    const hidden = (!revealSecrets || !this.isEnabled()) &&
+      (this.hasPlaceholders(content) || this.hasPlaceholders(JSON.stringify(mechanics || null)));
+    const transform = revealSecrets ? text => this.reveal(text) : text => this.mask(text);
+
+    return {
+      content: await transform(content),
+      mechanics: await this.transformDeep(mechanics, transform),
+      hidden,
+      unavailable: hidden && revealSecrets
+    };
+  }
+}
+
+const secretsService = new SecretsService();
+
+module.exports = { secretsService };
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Section Service
+ *
+ * Supports incremental parsing. Every document section (as produced by
+ * googleDocsService.extractStructuredTextFromDocument) is hashed together with
+ * its parent headings. The hashes are stored with the output so the next run
+ * only sends new or changed sections to the LLM and carries the places from
+ * unchanged sections over from the previous dataset.
+ *
+ * Each source document is planned on its own; sections carry the
+ * `sourceDocId` of their document.
+ */
+class SectionService {
+  /**
+   * Annotate raw document sections with their heading path and content hash.
+   * The category prefix of the source is part of the hash, so changing it
+   * re-parses the document.
+   */
+  buildSections(rawSections = [], { sourceDocId = null, categoryPrefix = null } = {}) {
+    const headingStack = [];
+
+    return rawSections.map((section, index) => {
+      const level = section.headingLevel || 0;
+
+      if (section.category) {
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+          headingStack.pop();
+        }
+      }
+
+      const parents = [...headingStack];
+      if (section.category) {
+        headingStack.push({ level, title: section.category });
+      }
+
+      const headingPath = [...parents.map(heading => heading.title), section.category].filter(Boolean);
+      const text = section.content.join('\n\n');
+
+      return {
+        index,
+        sourceDocId,
+        category: section.category,
+        headingLevel: level,
+        parents,
+        headingPath,
+        content: section.content,
+        text,
+        hash: this.hashSection(categoryPrefix ? [categoryPrefix, ...headingPath] : headingPath, text)
+      };
+    });
+  }
+
+  hashSection(headingPath, text) {
+    return crypto
+      .createHash('sha256')
+      .update(`${headingPath.join(' > ')}\n${text}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Split the current sections into changed and unchanged ones, and collect the
+   * places from the previous dataset that belong to unchanged sections
+   */
+  planIncrementalParse(sections, previousOutput) {
+    const previousSections = previousOutput?.metadata?.sections;
+
+    if (!Array.isArray(previousSections) || previousSections.length === 0) {
+      logger.info('No section hashes in previous output, parsing all sections');
+      return { changedSections: sections, unchangedSections: [], carriedPlaces: [] };
+    }
+
+    const previousHashes = new Set(previousSections.map(section => section.hash));
+    const changedSections = sections.filter(section => !previousHashes.has(section.hash));
+    const unchangedSections = sections.filter(section => previousHashes.has(section.hash));
+
+    const unchangedHashes = new Set(unchangedSections.map(section => section.hash));
+    const carriedPlaces = (previousOutput.places || []).filter(place => unchangedHashes.has(place.sectionHash));
+
+    logger.info(`Incremental parse: ${changedSections.length} changed section(s), ${unchangedSections.length} unchanged, ${carriedPlaces.length} place(s) carried over`);
+
+    return { changedSections, unchangedSections, carriedPlaces };
+  }
+
+  /**
+   * Render sections back to markdown, repeating parent headings so the LLM
+   * keeps the category context of each section
+   */
+  toMarkdown(sections) {
+    const blocks = [];
+    let emittedPath = [];
+
+    for (const section of sections) {
+      const headings = [...section.parents, ...(section.category ? [{ level: section.headingLevel, title: section.category }] : [])];
+
+      headings.forEach((heading, depth) => {
+        if (emittedPath[depth] !== heading.title) {
+          blocks.push(`${'#'.repeat(heading.level || 1)} ${heading.title}`);
+          emittedPath = [...emittedPath.slice(0, depth), heading.title];
+        }
+      });
+
+      if (section.text) {
+        blocks.push(section.text);
+      }
+    }
+
+    return blocks.join('\n\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  estimateTokens(text) {
+    // Rough heuristic: ~4 characters per token for English prose
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Group consecutive sections into chunks that fit within a token budget.
+   * Sections larger than the budget are split by paragraph and keep their
+   * heading context.
+   */
+  buildChunks(sections, tokenBudget) {
+    const pieces = [];
+
+    for (const section of sections) {
+      if (this.estimateTokens(section.text) <= tokenBudget || section.content.length <= 1) {
+        pieces.push(section);
+        continue;
+      }
+
+      let paragraphs = [];
+      for (const paragraph of section.content) {
+        const candidate = [...paragraphs, paragraph];
+        if (paragraphs.length > 0 && this.estimateTokens(candidate.join('\n\n')) > tokenBudget) {
+          pieces.push({ ...section, content: paragraphs, text: paragraphs.join('\n\n') });
+          paragraphs = [paragraph];
+        } else {
+          paragraphs = candidate;
+        }
+      }
+      if (paragraphs.length > 0) {
+        pieces.push({ ...section, content: paragraphs, text: paragraphs.join('\n\n') });
+      }
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const piece of pieces) {
+      const pieceTokens = this.estimateTokens(`${piece.headingPath.join('\n')}\n${piece.text}`);
+      if (current.length > 0 && currentTokens + pieceTokens > tokenBudget) {
+        chunks.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(piece);
+      currentTokens += pieceTokens;
+    }
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks.map(chunkSections => ({
+      sections: chunkSections,
+      markdown: this.toMarkdown(chunkSections)
+    }));
+  }
+
+  normalizeText(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[*_#`>[\]()]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Tag each parsed place with the hash of the section it came from
+   */
+  attributePlaces(places, sections) {
+    if (sections.length === 0) {
+      return places;
+    }
+
+    const candidates = sections.map(section => {
+      const normalized = this.normalizeText(`${section.category || ''} ${section.text}`);
+      return {
+        section,
+        normalized,
+        words: new Set(normalized.split(' ').filter(word => word.length > 3)),
+        category: this.normalizeText(section.category)
+      };
+    });
+
+    return places.map(place => {
+      const origText = this.normalizeText(place.origText).slice(0, 80);
+
+      // Prefer the section that literally contains the place's original text
+      let match = origText ? candidates.find(candidate => candidate.normalized.includes(origText)) : null;
+
+      if (!match) {
+        // Otherwise pick the section sharing the most words with the place
+        const placeWords = this.normalizeText(`${place.name} ${place.origText}`).split(' ').filter(word => word.length > 3);
+        let bestScore = -1;
+
+        for (const candidate of candidates) {
+          let score = placeWords.filter(word => candidate.words.has(word)).length;
+          if (candidate.category && candidate.category === this.normalizeText(place.category)) {
+            score += 5;
+          }
+          if (score > bestScore) {
+            bestScore = score;
+            match = candidate;
+          }
+        }
+      }
+
+      return { ...place, sectionHash: match.section.hash };
+    });
+  }
+
+  /**
+   * Order places by the position of their section in the current document
+   */
+  sortPlacesBySection(places, sections) {
+    const order = new Map(sections.map(section => [section.hash, section.index]));
+    return places
+      .map((place, position) => ({ place, position }))
+      .sort((a, b) => {
+        const sectionDiff = (order.get(a.place.sectionHash) ?? Number.MAX_SAFE_INTEGER) - (order.get(b.place.sectionHash) ?? Number.MAX_SAFE_INTEGER);
+        return sectionDiff !== 0 ? sectionDiff : a.position - b.position;
+      })
+      .map(({ place }) => place);
+  }
+
+  /**
+   * Section hashes stored in the output metadata for the next run
+   */
+  buildSectionMetadata(sections, places) {
+    return sections.map(section => ({
+      hash: section.hash,
+      sourceDocId: section.sourceDocId,
+      category: section.category,
+      placeIds: places
+        .filter(place => place.sectionHash === section.hash && place.sourceDocId === section.sourceDocId)
+        .map(place => place.id)
+    }));
+  }
+}
+
+const sectionService = new SectionService();
+
+module.exports = { sectionService };
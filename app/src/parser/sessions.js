@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+
+// Other server instances share the registry; changes they make are seen here
+// after at most this long
+const CACHE_TTL_MS = 5 * 1000;
+
+// Two tabs can refresh at the same moment; the token they both held stays
+// usable for this long after it was rotated
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Ended sessions are kept this long for the record before being pruned
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions Service
+ *
+ * Server-side registry of logins. Each login creates a session with a
+ * rotating refresh token (stored as a hash) and receives short-lived access
+ * tokens that carry the session ID. Authenticated requests check that the
+ * session is still active, so revoking one ends its access immediately on
+ * this server instance, and within CACHE_TTL_MS on others sharing the
+ * registry.
+ *
+ * Updates from this process are serialized, but the registry assumes a single
+ * writing process: concurrent writes from other server instances are
+ * last-writer-wins.
+ *
+ * Presenting a refresh token that was already rotated (outside the grace
+ * period) means it leaked, and revokes the whole session.
+ */
+class SessionsService {
+  constructor() {
+    this.key = config.sessions.key;
+    this.sessions = null;
+    this.loadedAt = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async loadSessions(fresh = false) {
+    if (!fresh && this.sessions && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.sessions;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.sessions = data?.sessions || {};
+      this.loadedAt = Date.now();
+      return this.sessions;
+    } catch (error) {
+      logger.error('Failed to load sessions:', error);
+      throw new Error(`Failed to load sessions: ${error.message}`);
+    }
+  }
+
+  async saveSessions(sessions) {
+    const cutoff = Date.now() - RETENTION_MS;
+    const kept = Object.fromEntries(
+      Object.entries(sessions).filter(([, session]) =>
+        Date.parse(session.revokedAt || session.expiresAt) > cutoff
+      )
+    );
+
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        sessions: kept
+      });
+      this.sessions = kept;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save sessions:', error);
+      throw new Error(`Failed to save sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run `change` on a fresh read of the registry and return its result.
+   * Changes made by this process run one at a time, so none overwrites
+   * another made here.
+   */
+  async updateSessions(change) {
+    const run = this.pending.then(async () => change(await this.loadSessions(true)));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  matchesHash(secret, hash) {
+    if (!hash) return false;
+    const candidate = Buffer.from(this.hashToken(secret), 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  }
+
+  /**
+   * Session without token hashes, safe to return from the API
+   */
+  toPublicSession(session) {
+    const publicSession = { ...session };
+    delete publicSession.refreshTokenHash;
+    delete publicSession.previousRefreshTokenHash;
+    return publicSession;
+  }
+
+  isSessionActive(session, now = Date.now()) {
+    return Boolean(session) && !session.revokedAt && Date.parse(session.expiresAt) > now;
+  }
+
+  /**
+   * Refresh tokens slide forward on every refresh, but never past the end of
+   * an invite guest's stay
+   */
+  getExpiry(user) {
+    const expiresAt = Date.now() + config.sessions.refreshTokenDays * 24 * 60 * 60 * 1000;
+    return new Date(user.stay ? Math.min(expiresAt, Date.parse(user.stay.checkOut)) : expiresAt).toISOString();
+  }
+
+  issueRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: this.hashToken(secret) };
+  }
+
+  async createSession(user, { userAgent = null, ip = null } = {}) {
+    const id = `ses_${crypto.randomBytes(8).toString('hex')}`;
+    const { refreshToken, refreshTokenHash } = this.issueRefreshToken(id);
+    const now = new Date().toISOString();
+
+    const session = {
+      id,
+      userId: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      kind: user.stay ? 'invite' : 'account',
+      userAgent,
+      ip,
+      createdAt: now,
+      lastRefreshedAt: now,
+      expiresAt: this.getExpiry(user),
+      revokedAt: null,
+      refreshTokenHash,
+      previousRefreshTokenHash: null
+    };
+
+    await this.updateSessions(sessions => this.saveSessions({ ...sessions, [id]: session }));
+    logger.info(`Started session ${id} for ${user.username} (${user.role})`);
+
+    return { session: this.toPublicSession(session), refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one. resolveUser(session) looks up the
+   * account or invite behind the session; when it returns null (disabled,
+   * removed or revoked) the session is revoked instead.
+   */
+  async rotate(refreshToken, resolveUser) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    return this.updateSessions(async sessions => {
+      const session = sessions[sessionId];
+
+      const unauthorized = (message) => {
+        const unauthorizedError = new Error(message);
+        unauthorizedError.code = 401;
+        return unauthorizedError;
+      };
+
+      if (!secret || !this.isSessionActive(session)) {
+        throw unauthorized('Session expired or revoked, please log in again');
+      }
+
+      const isCurrent = this.matchesHash(secret, session.refreshTokenHash);
+      const isPrevious = this.matchesHash(secret, session.previousRefreshTokenHash);
+      const withinGrace = Date.now() - Date.parse(session.lastRefreshedAt) < ROTATION_GRACE_MS;
+
+      if (!isCurrent && !(isPrevious && withinGrace)) {
+        if (isPrevious) {
+          logger.warn(`Refresh token reuse detected for session ${sessionId}, revoking it`);
+          await this.saveSessions({ ...sessions, [sessionId]: { ...session, revokedAt: new Date().toISOString(), revokedBy: 'reuse-detection' } });
+        }
+        throw unauthorized('Session expired or revoked, please log in again');
+      }
+
+      const user = await resolveUser(session);
+      if (!user) {
+        await this.saveSessions({ ...sessions, [sessionId]: { ...session, revokedAt: new Date().toISOString(), revokedBy: 'account-disabled' } });
+        throw unauthorized('Account is disabled or no longer exists');
+      }
+
+      const { refreshToken: nextRefreshToken, refreshTokenHash } = this.issueRefreshToken(sessionId);
+      const rotated = {
+        ...session,
+        role: user.role,
+        displayName: user.displayName,
+        lastRefreshedAt: new Date().toISOString(),
+        expiresAt: this.getExpiry(user),
+        refreshTokenHash,
+        previousRefreshTokenHash: session.refreshTokenHash
+      };
+
+      await this.saveSessions({ ...sessions, [sessionId]: rotated });
+
+      return { session: this.toPublicSession(rotated), user, refreshToken: nextRefreshToken };
+    });
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout). Returns the ended
+   * session, or null when the token matched no active session.
+   */
+  async endSession(refreshToken) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    return this.updateSessions(async sessions => {
+      const session = sessions[sessionId];
+      if (!secret || !this.isSessionActive(session) ||
+          !(this.matchesHash(secret, session.refreshTokenHash) || this.matchesHash(secret, session.previousRefreshTokenHash))) {
+        return null;
+      }
+
+      const ended = { ...session, revokedAt: new Date().toISOString(), revokedBy: 'logout' };
+      await this.saveSessions({ ...sessions, [sessionId]: ended });
+      logger.info(`Ended session ${sessionId} of ${session.username}`);
+      return this.toPublicSession(ended);
+    });
+  }
+
+  async isActive(sessionId) {
+    const sessions = await this.loadSessions();
+    return this.isSessionActive(sessions[sessionId]);
+  }
+
+  async listActiveSessions() {
+    const sessions = await this.loadSessions();
+    const now = Date.now();
+    return Object.values(sessions)
+      .filter(session => this.isSessionActive(session, now))
+      .map(session => this.toPublicSession(session))
+      .sort((a, b) => Date.parse(b.lastRefreshedAt) - Date.parse(a.lastRefreshedAt));
+  }
+
+  async revokeSession(sessionId, actor = null) {
+    return this.updateSessions(async sessions => {
+      const session = sessions[sessionId];
+      if (!this.isSessionActive(session)) {
+        const notFoundError = new Error(`No active session ${sessionId}`);
+        notFoundError.code = 404;
+        throw notFoundError;
+      }
+
+      const revoked = { ...session, revokedAt: new Date().toISOString(), revokedBy: actor };
+      await this.saveSessions({ ...sessions, [sessionId]: revoked });
+      logger.info(`Revoked session ${sessionId} of ${session.username}`);
+
+      return this.toPublicSession(revoked);
+    });
+  }
+
+  /**
+   * Revoke every active session matching a filter. Returns how many were revoked.
+   */
+  async revokeWhere(predicate, actor = null) {
+    return this.updateSessions(async sessions => {
+      const now = Date.now();
+      const revokedAt = new Date(now).toISOString();
+      let count = 0;
+
+      const updated = Object.fromEntries(Object.entries(sessions).map(([id, session]) => {
+        if (!this.isSessionActive(session, now) || !predicate(session)) {
+          return [id, session];
+        }
+        count++;
+        return [id, { ...session, revokedAt, revokedBy: actor }];
+      }));
+
+      if (count > 0) {
+        await this.saveSessions(updated);
+        logger.info(`Revoked ${count} session(s)`);
+      }
+      return count;
+    });
+  }
+
+  async revokeAll(exceptSessionId = null, actor = null) {
+    return this.revokeWhere(session => session.id !== exceptSessionId, actor);
+  }
+
+  async revokeForUser(userId, actor = null) {
+    return this.revokeWhere(session => session.userId === userId, actor);
+  }
+}
+
+const sessionsService = new SessionsService();
+
+module.exports = { sessionsService };
@@ -0,0 +1,162 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { SourceDocIdSchema, SourceDocumentSchema } = require('./schema');
+
+// Other server instances share the store, so it is re-read after this long
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Source Documents Service
+ *
+ * The Google Docs the guide is parsed from. Different family members keep
+ * their own recommendation documents; every document is parsed on its own
+ * and the places are merged into one dataset, each place keeping the
+ * `sourceDocId` and `origText` it came from. A document can have a category
+ * prefix that is put in front of the categories of its places, e.g.
+ * "Grandma / Restaurants".
+ *
+ * The list is stored in order; places of earlier documents come first. Until
+ * it is first saved, GOOGLE_DOC_ID is the only source.
+ */
+class SourceDocumentsService {
+  constructor() {
+    this.key = config.sources.key;
+    this.sources = null;
+    this.loadedAt = 0;
+  }
+
+  getDefaultSources() {
+    return config.google.docId
+      ? [{ docId: config.google.docId, owner: null, categoryPrefix: null }]
+      : [];
+  }
+
+  getDocumentUrl(docId) {
+    return `https://docs.google.com/document/d/${docId}/edit`;
+  }
+
+  async listSources() {
+    if (this.sources && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.sources;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.sources = data?.sources || this.getDefaultSources();
+      this.loadedAt = Date.now();
+      return this.sources;
+    } catch (error) {
+      logger.error('Failed to load source documents:', error);
+      throw new Error(`Failed to load source documents: ${error.message}`);
+    }
+  }
+
+  async saveSources(sources) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        sources
+      });
+      this.sources = sources;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save source documents:', error);
+      throw new Error(`Failed to save source documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * The source documents with a link and what the last parse got from each
+   */
+  async listSourcesWithStatus() {
+    const [sources, dataset] = await Promise.all([
+      this.listSources(),
+      storageService.readJson(config.storage.datasetKey)
+    ]);
+    const parsed = new Map((dataset?.metadata?.sources || []).map(source => [source.docId, source]));
+
+    return sources.map(source => ({
+      ...source,
+      url: this.getDocumentUrl(source.docId),
+      lastParse: parsed.get(source.docId) || null
+    }));
+  }
+
+  /**
+   * Add a document or replace the one with this ID, keeping its place in the list
+   */
+  async setSource(docId, input, actor = null) {
+    const parsedDocId = SourceDocIdSchema.safeParse(docId);
+    const parsed = SourceDocumentSchema.safeParse(input);
+    if (!parsedDocId.success || !parsed.success) {
+      const issues = [
+        ...(parsedDocId.success ? [] : parsedDocId.error.issues.map(issue => `docId: ${issue.message}`)),
+        ...(parsed.success ? [] : parsed.error.issues.map(issue => `${issue.path.join('.') || 'source'}: ${issue.message}`))
+      ];
+      const invalidError = new Error(`Invalid source document: ${issues.join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const sources = await this.listSources();
+    const source = {
+      docId: parsedDocId.data,
+      categoryPrefix: null,
+      ...parsed.data,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+
+    const index = sources.findIndex(candidate => candidate.docId === source.docId);
+    await this.saveSources(index === -1
+      ? [...sources, source]
+      : sources.map(candidate => candidate.docId === source.docId ? source : candidate));
+    logger.info(`${index === -1 ? 'Added' : 'Updated'} source document ${source.docId} (${source.owner})`);
+
+    return source;
+  }
+
+  /**
+   * Remove a document. Its places are dropped from the dataset by the next parse.
+   */
+  async deleteSource(docId) {
+    const sources = await this.listSources();
+
+    if (!sources.some(source => source.docId === docId)) {
+      const notFoundError = new Error(`Source document ${docId} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+
+    await this.saveSources(sources.filter(source => source.docId !== docId));
+    logger.info(`Removed source document ${docId}`);
+  }
+
+  /**
+   * The documents a parse merges and the IDs of those it fetches again. With
+   * a docId only that document is fetched and the places of the others are
+   * kept from the last run; a document that is not in the list is merged for
+   * this run only.
+   */
+  async getRunPlan(docId = null) {
+    const sources = await this.listSources();
+
+    if (!docId) {
+      if (sources.length === 0) {
+        throw new Error('No source documents. Add one on the admin dashboard, set GOOGLE_DOC_ID or provide a document ID as argument.');
+      }
+      return { sources, fetchDocIds: sources.map(source => source.docId) };
+    }
+
+    const known = sources.some(source => source.docId === docId);
+    return {
+      sources: known ? sources : [...sources, { docId, owner: null, categoryPrefix: null }],
+      fetchDocIds: [docId]
+    };
+  }
+}
+
+const sourceDocumentsService = new SourceDocumentsService();
+
+module.exports = { sourceDocumentsService };
@@ -0,0 +1,180 @@
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { LocalStorageDriver } = require('./local-storage');
+const { GoogleCloudStorageDriver } = require('./google-cloud-storage');
+const { S3StorageDriver } = require('./s3-storage');
+
+const drivers = {
+  local: LocalStorageDriver,
+  gcs: GoogleCloudStorageDriver,
+  s3: S3StorageDriver
+};
+
+/**
+ * Storage Service
+ *
+ * Single entry point for every read and write the server and parser make.
+ * The concrete driver (local filesystem, Google Cloud Storage or an
+ * S3-compatible store) is picked from config.storage.provider, so routes and
+ * parser steps never need to know where the data actually lives.
+ *
+ * Drivers implement: read(key), write(key, content, contentType),
+ * create(key, content, contentType), stat(key), list(prefix),
+ * listShallow(prefix), delete(key) and optionally append(key, content).
+ * create() only writes a key that does not exist yet, atomically, and returns
+ * whether it did. listShallow() stops at the next "/", returning the keys
+ * directly under a prefix and the sub-prefixes below it (ending in "/").
+ * Object stores have no append, see canAppend().
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  get provider() {
+    return this.getDriver().name;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      const Driver = drivers[config.storage.provider];
+      if (!Driver) {
+        throw new Error(`Unknown storage provider "${config.storage.provider}". Use one of: ${Object.keys(drivers).join(', ')}`);
+      }
+      this.driver = new Driver();
+      logger.info(`Using ${this.driver.name} storage backend`);
+    }
+    return this.driver;
+  }
+
+  async readText(key) {
+    return this.getDriver().read(key);
+  }
+
+  async readJson(key) {
+    const content = await this.readText(key);
+    if (content === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse ${key} as JSON: ${error.message}`);
+    }
+  }
+
+  async writeText(key, content, contentType = 'text/plain') {
+    return this.getDriver().write(key, content, contentType);
+  }
+
+  async writeJson(key, data) {
+    return this.writeText(key, JSON.stringify(data, null, 2), 'application/json');
+  }
+
+  async create(key, content, contentType = 'text/plain') {
+    return this.getDriver().create(key, content, contentType);
+  }
+
+  canAppend() {
+    return typeof this.getDriver().append === 'function';
+  }
+
+  async append(key, content) {
+    if (!this.canAppend()) {
+      throw new Error(`The ${this.provider} storage backend can't append to ${key}`);
+    }
+    return this.getDriver().append(key, content);
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async stat(key) {
+    return this.getDriver().stat(key);
+  }
+
+  async list(prefix = '') {
+    return this.getDriver().list(prefix);
+  }
+
+  async listShallow(prefix = '') {
+    return this.getDriver().listShallow(prefix);
+  }
+
+  async delete(key) {
+    return this.getDriver().delete(key);
+  }
+
+  /**
+   * Copy the current contents of a key to "<name>-backup-<timestamp><ext>"
+   */
+  async createBackup(key) {
+    const content = await this.readText(key);
+    if (content === null) {
+      return null;
+    }
+
+    const { base, ext } = this.splitKey(key);
+    const backupKey = `${base}-backup-${Date.now()}${ext}`;
+    await this.writeText(backupKey, content, ext === '.json' ? 'application/json' : 'text/plain');
+    logger.info(`Created backup: ${backupKey}`);
+    return backupKey;
+  }
+
+  /**
+   * Write JSON to a key, backing up the previous contents and keeping a
+   * timestamped "<name>-<timestamp><ext>" version alongside it
+   */
+  async writeVersioned(key, data) {
+    await this.createBackup(key);
+
+    const result = await this.writeJson(key, data);
+    logger.info(`Output saved to ${this.provider} storage: ${key}`);
+
+    const { base, ext } = this.splitKey(key);
+    const versionId = String(Date.now());
+    const versionKey = `${base}-${versionId}${ext}`;
+    await this.writeJson(versionKey, data);
+    logger.info(`Timestamped version saved: ${versionKey}`);
+
+    return { ...result, versionKey, versionId };
+  }
+
+  /**
+   * List the timestamped versions of a key, newest first
+   */
+  async listVersions(key) {
+    const { base, ext } = this.splitKey(key);
+    const pattern = new RegExp(`^${this.escapeRegExp(base)}-(\\d+)${this.escapeRegExp(ext)}$`);
+
+    const files = await this.list(base);
+    return files
+      .map(file => {
+        const match = file.key.match(pattern);
+        return match ? { ...file, versionId: match[1], createdAt: new Date(parseInt(match[1])).toISOString() } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => parseInt(b.versionId) - parseInt(a.versionId));
+  }
+
+  versionKey(key, versionId) {
+    const { base, ext } = this.splitKey(key);
+    return `${base}-${versionId}${ext}`;
+  }
+
+  splitKey(key) {
+    const ext = path.posix.extname(key);
+    return { base: key.slice(0, key.length - ext.length), ext };
+  }
+
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+const storageService = new StorageService();
+
+module.exports = { storageService };
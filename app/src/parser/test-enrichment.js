@@ -1,27 +1,24 @@
-const fs = require('fs');
-const path = require('path');
 const { config } = require('./config');
 const { logger } = require('./logger');
 const { webEnrichmentService } = require('./web-enrichment-service');
+const { storageService } = require('./storage');
 
 class EnrichmentTester {
   constructor() {
-    this.outputDir = config.output.dir;
-    this.outputFilename = config.output.filename;
+    this.datasetKey = config.storage.datasetKey;
   }
 
   async loadExistingPlaces() {
     try {
-      const outputPath = path.join(this.outputDir, this.outputFilename);
+      const content = await storageService.readJson(this.datasetKey);
       
-      if (!fs.existsSync(outputPath)) {
-        throw new Error(`No existing places file found at: ${outputPath}`);
+      if (!content) {
+        throw new Error(`No existing places file found in ${storageService.provider} storage: ${this.datasetKey}`);
       }
 
-      const content = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
       const places = content.places || [];
       
-      logger.info(`Loaded ${places.length} existing places from: ${outputPath}`);
+      logger.info(`Loaded ${places.length} existing places from ${storageService.provider} storage: ${this.datasetKey}`);
       return { places, metadata: content.metadata || {} };
     } catch (error) {
       logger.error('Failed to load existing places:', error);
@@ -45,21 +42,14 @@ class EnrichmentTester {
         places: enrichedPlaces
       };
 
-      const outputPath = path.join(this.outputDir, this.outputFilename);
-      
       // Create backup
-      const backupPath = path.join(
-        this.outputDir,
-        `${path.basename(this.outputFilename, '.json')}-backup-${Date.now()}.json`
-      );
-      fs.copyFileSync(outputPath, backupPath);
-      logger.info(`Created backup: ${backupPath}`);
+      await storageService.createBackup(this.datasetKey);
 
       // Save updated data
-      fs.writeFileSync(outputPath, JSON.stringify(updatedData, null, 2), 'utf8');
-      logger.info(`Updated places saved to: ${outputPath}`);
+      const result = await storageService.writeJson(this.datasetKey, updatedData);
+      logger.info(`Updated places saved to: ${result.url}`);
 
-      return outputPath;
+      return result.url;
     } catch (error) {
       logger.error('Failed to save enrichment results:', error);
       throw error;
@@ -72,12 +62,14 @@ class EnrichmentTester {
       startIndex = 0,
       forceEnrichment = true,
       filterByType = null,
-      dryRun = false
+      dryRun = false,
+      noCache = false
     } = options;
 
     try {
       logger.info('=== Starting Enrichment Test ===');
       logger.info(`Options: maxPlaces=${maxPlaces}, startIndex=${startIndex}, forceEnrichment=${forceEnrichment}, dryRun=${dryRun}`);
+      logger.info(`Google Places mode: ${config.googlePlaces.mode}, LLM provider: ${config.llm.provider}`);
 
       // Load existing places
       const originalData = await this.loadExistingPlaces();
@@ -114,10 +106,15 @@ class EnrichmentTester {
 
       // Temporarily override config for testing
       const originalSkipSetting = config.parsing.skipEnrichmentIfExists;
+      const originalCacheSetting = config.enrichmentCache.enabled;
       if (forceEnrichment) {
         config.parsing.skipEnrichmentIfExists = false;
         logger.info('Forcing enrichment (ignoring existing enrichment status)');
       }
+      if (noCache) {
+        config.enrichmentCache.enabled = false;
+        logger.info('Bypassing the enrichment cache');
+      }
 
       // Test enrichment
       logger.info('Starting web enrichment...');
@@ -125,6 +122,7 @@ class EnrichmentTester {
       
       // Restore original config
       config.parsing.skipEnrichmentIfExists = originalSkipSetting;
+      config.enrichmentCache.enabled = originalCacheSetting;
 
       // Update the full places array with enriched results
       const updatedPlaces = [...originalData.places];
@@ -227,7 +225,8 @@ async function main() {
           maxPlaces, 
           startIndex, 
           forceEnrichment: true,
-          dryRun: args.includes('--dry-run')
+          dryRun: args.includes('--dry-run'),
+          noCache: args.includes('--no-cache')
         });
         break;
         
@@ -242,7 +241,8 @@ async function main() {
           maxPlaces: count, 
           filterByType: type,
           forceEnrichment: true,
-          dryRun: args.includes('--dry-run')
+          dryRun: args.includes('--dry-run'),
+          noCache: args.includes('--no-cache')
         });
         break;
         
@@ -258,6 +258,12 @@ Commands:
   
 Flags:
   --dry-run                 Show what would be tested without actually running enrichment
+  --no-cache                Ignore the enrichment cache and query Google Places for every field
+
+Offline runs:
+  GOOGLE_PLACES_MODE=record  Call the live API and save every response to GOOGLE_PLACES_RECORDINGS_DIR
+  GOOGLE_PLACES_MODE=replay  Serve recorded responses instead of calling the API
+  LLM_PROVIDER=replay        Serve recorded LLM responses for tags and hours
 
 Examples:
   node src/test-enrichment.js list 10
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { storageService } = require('./storage');
+const { UserCreateSchema, UserUpdateSchema } = require('./schema');
+
+// Other server instances share the store; changes they make are seen here
+// after at most this long
+const CACHE_TTL_MS = 5 * 1000;
+
+const SALT_ROUNDS = 10;
+
+// Token subjects issued for the shared legacy passwords
+const LEGACY_USER_IDS = {
+  admin: 'legacy-admin',
+  guest: 'legacy-guest'
+};
+
+/**
+ * Users Service
+ *
+ * Named accounts with a role and a bcrypt password hash, stored on the storage
+ * backend. Tokens carry the user ID, and every authenticated request resolves
+ * it against the store so disabling an account or changing its role takes
+ * effect immediately on this server instance, and within CACHE_TTL_MS on
+ * others (or after a change made with the user CLI).
+ *
+ * Updates from this process are serialized, but the store assumes a single
+ * writing process: concurrent writes from other server instances or the user
+ * CLI are last-writer-wins.
+ *
+ * Until the first account is created, the shared ADMIN_PASSWORD_HASH and
+ * GUEST_PASSWORD_HASH still log in, so existing deployments can bootstrap an
+ * admin from the dashboard.
+ */
+class UsersService {
+  constructor() {
+    this.key = config.users.key;
+    this.users = null;
+    this.loadedAt = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async loadUsers(fresh = false) {
+    if (!fresh && this.users && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.users;
+    }
+
+    try {
+      const data = await storageService.readJson(this.key);
+      this.users = data?.users || {};
+      this.loadedAt = Date.now();
+      return this.users;
+    } catch (error) {
+      logger.error('Failed to load users:', error);
+      throw new Error(`Failed to load users: ${error.message}`);
+    }
+  }
+
+  async saveUsers(users) {
+    try {
+      await storageService.writeJson(this.key, {
+        updatedAt: new Date().toISOString(),
+        users
+      });
+      this.users = users;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save users:', error);
+      throw new Error(`Failed to save users: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run `change` on a fresh read of the store and return its result. Changes
+   * made by this process run one at a time, so none overwrites another made
+   * here.
+   */
+  async updateUsers(change) {
+    const run = this.pending.then(async () => change(await this.loadUsers(true)));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * User without the password hash, safe to return from the API
+   */
+  toPublicUser(user) {
+    const publicUser = { ...user };
+    delete publicUser.passwordHash;
+    return publicUser;
+  }
+
+  generatePassword() {
+    return crypto.randomBytes(9).toString('base64url');
+  }
+
+  validate(schema, input, label) {
+    const parsed = schema.safeParse(input);
+    if (!parsed.success) {
+      const invalidError = new Error(`Invalid ${label}: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`).join(', ')}`);
+      invalidError.code = 400;
+      throw invalidError;
+    }
+    return parsed.data;
+  }
+
+  async hasUsers() {
+    return Object.keys(await this.loadUsers()).length > 0;
+  }
+
+  async listUsers() {
+    const users = await this.loadUsers();
+    return Object.values(users)
+      .map(user => this.toPublicUser(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async getUser(userId) {
+    const users = await this.loadUsers();
+    return users[userId] ? this.toPublicUser(users[userId]) : null;
+  }
+
+  async findByUsername(username) {
+    const users = await this.loadUsers();
+    const normalized = (username || '').trim().toLowerCase();
+    const user = Object.values(users).find(entry => entry.username === normalized);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  assertUserExists(users, userId) {
+    if (!users[userId]) {
+      const notFoundError = new Error(`User ${userId} not found`);
+      notFoundError.code = 404;
+      throw notFoundError;
+    }
+  }
+
+  /**
+   * Refuse changes that would leave no enabled admin account
+   */
+  assertKeepsAnAdmin(users, userId, nextUser) {
+    const remainingAdmins = Object.values(users).filter(user =>
+      user.id !== userId && user.role === 'admin' && !user.disabled
+    );
+    if (remainingAdmins.length === 0 && (!nextUser || nextUser.role !== 'admin' || nextUser.disabled)) {
+      const invalidError = new Error('At least one enabled admin account is required');
+      invalidError.code = 400;
+      throw invalidError;
+    }
+  }
+
+  /**
+   * Create an account. Without a password a temporary one is generated and
+   * returned once so it can be handed to the user.
+   */
+  async createUser(input, actor = null) {
+    const { password, ...fields } = this.validate(UserCreateSchema, input, 'user');
+    const temporaryPassword = password ? null : this.generatePassword();
+    const passwordHash = await bcrypt.hash(password || temporaryPassword, SALT_ROUNDS);
+
+    const user = await this.updateUsers(async users => {
+      // Legacy logins stop working once an account exists, so the first one must be able to manage the rest
+      if (Object.keys(users).length === 0 && fields.role !== 'admin') {
+        const invalidError = new Error('The first account must be an admin');
+        invalidError.code = 400;
+        throw invalidError;
+      }
+
+      if (Object.values(users).some(entry => entry.username === fields.username)) {
+        const invalidError = new Error(`Username ${fields.username} is already taken`);
+        invalidError.code = 400;
+        throw invalidError;
+      }
+
+      const now = new Date().toISOString();
+      const created = {
+        id: `usr_${crypto.randomBytes(6).toString('hex')}`,
+        ...fields,
+        displayName: fields.displayName || fields.username,
+        passwordHash,
+        disabled: false,
+        createdAt: now,
+        createdBy: actor,
+        updatedAt: now,
+        lastLoginAt: null
+      };
+
+      await this.saveUsers({ ...users, [created.id]: created });
+      return created;
+    });
+    logger.info(`Created ${user.role} account ${user.username}`);
+
+    return { user: this.toPublicUser(user), temporaryPassword };
+  }
+
+  async updateUser(userId, input, actor = null) {
+    const changes = this.validate(UserUpdateSchema, input, 'user update');
+
+    const user = await this.updateUsers(async users => {
+      this.assertUserExists(users, userId);
+      const updated = {
+        ...users[userId],
+        ...changes,
+        updatedAt: new Date().toISOString(),
+        updatedBy: actor
+      };
+      if (users[userId].role === 'admin' && !users[userId].disabled) {
+        this.assertKeepsAnAdmin(users, userId, updated);
+      }
+
+      await this.saveUsers({ ...users, [userId]: updated });
+      return updated;
+    });
+    logger.info(`Updated account ${user.username}: ${Object.keys(changes).join(', ')}`);
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Replace a user's password, generating a temporary one when none is given
+   */
+  async resetPassword(userId, password = null, actor = null) {
+    if (password !== null && (typeof password !== 'string' || password.length < 8)) {
+      const invalidError = new Error('Passwords need at least 8 characters');
+      invalidError.code = 400;
+      throw invalidError;
+    }
+
+    const temporaryPassword = password ? null : this.generatePassword();
+    const passwordHash = await bcrypt.hash(password || temporaryPassword, SALT_ROUNDS);
+
+    const user = await this.updateUsers(async users => {
+      this.assertUserExists(users, userId);
+      const updated = {
+        ...users[userId],
+        passwordHash,
+        updatedAt: new Date().toISOString(),
+        updatedBy: actor
+      };
+
+      await this.saveUsers({ ...users, [userId]: updated });
+      return updated;
+    });
+    logger.info(`Reset password for account ${user.username}`);
+
+    return { user: this.toPublicUser(user), temporaryPassword };
+  }
+
+  async deleteUser(userId) {
+    const removed = await this.updateUsers(async users => {
+      this.assertUserExists(users, userId);
+      if (users[userId].role === 'admin' && !users[userId].disabled) {
+        this.assertKeepsAnAdmin(users, userId, null);
+      }
+
+      const { [userId]: user, ...remaining } = users;
+      await this.saveUsers(remaining);
+      return user;
+    });
+    logger.info(`Deleted account ${removed.username}`);
+  }
+
+  /**
+   * Check a username and password. Returns the public user, or null when the
+   * credentials are wrong or the account is disabled.
+   */
+  async authenticate(username, password) {
+    const users = await this.loadUsers();
+
+    if (Object.keys(users).length === 0) {
+      return this.authenticateLegacy(password);
+    }
+
+    const normalized = (username || '').trim().toLowerCase();
+    const user = Object.values(users).find(entry => entry.username === normalized);
+    if (!user || user.disabled || !(await bcrypt.compare(password, user.passwordHash))) {
+      return null;
+    }
+
+    const updatedUser = { ...user, lastLoginAt: new Date().toISOString() };
+    try {
+      await this.updateUsers(async latest => {
+        if (latest[user.id]) {
+          await this.saveUsers({ ...latest, [user.id]: { ...latest[user.id], lastLoginAt: updatedUser.lastLoginAt } });
+        }
+      });
+    } catch (error) {
+      logger.warn(`Failed to record login for ${user.username}:`, error.message);
+    }
+
+    return this.toPublicUser(updatedUser);
+  }
+
+  async authenticateLegacy(password) {
+    for (const [role, hash] of Object.entries(config.users.legacyPasswordHashes)) {
+      if (hash && await bcrypt.compare(password, hash)) {
+        logger.warn(`Logged in with the shared ${role} password; create named accounts to replace it`);
+        return this.legacyUser(role);
+      }
+    }
+    return null;
+  }
+
+  legacyUser(role) {
+    return { id: LEGACY_USER_IDS[role], username: role, displayName: role === 'admin' ? 'Admin' : 'Guest', role };
+  }
+
+  /**
+   * Account behind a verified token payload, or null when it was disabled or
+   * removed (or is a legacy login and named accounts now exist)
+   */
+  async resolveTokenUser(payload) {
+    const legacyRole = Object.keys(LEGACY_USER_IDS).find(role => LEGACY_USER_IDS[role] === payload.sub);
+    if (legacyRole) {
+      return (await this.hasUsers()) ? null : this.legacyUser(legacyRole);
+    }
+
+    const user = payload.sub ? await this.getUser(payload.sub) : null;
+    return user && !user.disabled ? user : null;
+  }
+}
+
+const usersService = new UsersService();
+
+module.exports = { usersService };
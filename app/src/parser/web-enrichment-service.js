@@ -1,7 +1,29 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const axios = require('axios');
 const { config } = require('./config');
 const { logger } = require('./logger');
+const { llmClient } = require('./llm-client');
+const { googlePlacesClient } = require('./google-places-client');
+const { enrichmentCacheService } = require('./enrichment-cache');
+const { matchScoringService } = require('./match-scoring');
+const { reviewQueueService } = require('./review-queue');
+const { createCancelledError, throwIfCancelled, isCancelled } = require('./cancellation');
+
+// Google Places (New) field mask entries for each enriched field
+const DETAIL_FIELD_MASKS = {
+  address: ['formattedAddress'],
+  phone: ['nationalPhoneNumber', 'internationalPhoneNumber'],
+  website: ['websiteUri'],
+  rawHours: ['regularOpeningHours.weekdayDescriptions'],
+  rating: ['rating'],
+  reviewCount: ['userRatingCount'],
+  priceRange: ['priceLevel'],
+  googlePlacesTypes: ['types'],
+  type: ['types'],
+  coordinates: ['location'],
+  mapsLink: ['googleMapsUri']
+};
+
+// Fields that go out of date between parses, re-fetched by the enrichment refresh
+const REFRESH_FIELDS = ['rawHours', 'rating', 'reviewCount'];
 
 /**
  * Web Enrichment Service
@@ -27,38 +49,28 @@ const { logger } = require('./logger');
  */
 class WebEnrichmentService {
   constructor() {
-    this.model = null;
-    this.searchCache = new Map();
-    this.rateLimitDelay = 1000; // 1 second between API requests
+    this.initialized = false;
+    this.rateLimitDelay = config.googlePlaces.mode === 'replay' ? 0 : 1000; // 1 second between API requests
   }
 
   initialize() {
-    if (!config.googlePlaces?.apiKey) {
+    if (!config.googlePlaces?.apiKey && config.googlePlaces?.mode !== 'replay') {
       throw new Error('Google Places API key is required for web enrichment. Please set GOOGLE_PLACES_API_KEY in your environment.');
     }
 
-    if (!config.openai.apiKey) {
-      throw new Error('OpenAI API key is required for data validation');
-    }
-
-    this.model = new ChatOpenAI({
-      apiKey: config.openai.apiKey,
-      model: config.openai.model,
-      temperature: 0.1,
-      maxTokens: 1000,
-    });
+    this.initialized = true;
 
-    logger.info('Web enrichment service initialized with Google Places API');
+    logger.info(`Web enrichment service initialized with Google Places API (${config.googlePlaces.mode} mode)`);
   }
 
-  async searchGooglePlaces(query, maxResults = 5) {
+  async searchGooglePlaces(query, maxResults = 5, signal = null) {
     try {
       const apiKey = config.googlePlaces.apiKey;
       
       logger.debug(`Searching Google Places API (New) for: ${query}`);
       
       // Use the new Google Places API Text Search endpoint
-      const response = await axios.post(
+      const response = await googlePlacesClient.post(
         'https://places.googleapis.com/v1/places:searchText',
         {
           textQuery: query,
@@ -85,7 +97,8 @@ class WebEnrichmentService {
               'places.regularOpeningHours.weekdayDescriptions'
             ].join(',')
           },
-          timeout: 10000
+          timeout: 10000,
+          signal
         }
       );
 
@@ -117,6 +130,7 @@ class WebEnrichmentService {
       return results;
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       if (error.response) {
         logger.error(`Google Places API search error for "${query}":`, {
           status: error.response.status,
@@ -134,35 +148,43 @@ class WebEnrichmentService {
     }
   }
 
-  async getPlaceDetails(placeId) {
+  /**
+   * Fetch place details. With a list of fields only those are requested (see
+   * DETAIL_FIELD_MASKS), which keeps cache refreshes cheap. Returns null when
+   * the request fails.
+   */
+  async getPlaceDetails(placeId, fields = null, signal = null) {
     try {
       const apiKey = config.googlePlaces.apiKey;
       
       logger.debug(`Getting place details for: ${placeId}`);
       
       // Use the new Google Places API Place Details endpoint
-      const response = await axios.get(
+      const response = await googlePlacesClient.get(
         `https://places.googleapis.com/v1/places/${placeId}`,
         {
           headers: {
             'Content-Type': 'application/json',
             'X-Goog-Api-Key': apiKey,
-            'X-Goog-FieldMask': [
-              'displayName',
-              'formattedAddress',
-              'nationalPhoneNumber',
-              'internationalPhoneNumber',
-              'websiteUri',
-              'regularOpeningHours.weekdayDescriptions',
-              'rating',
-              'userRatingCount',
-              'priceLevel',
-              'location',
-              'types',
-              'googleMapsUri'
-            ].join(',')
+            'X-Goog-FieldMask': (fields
+              ? [...new Set(fields.flatMap(field => DETAIL_FIELD_MASKS[field] || []))]
+              : [
+                'displayName',
+                'formattedAddress',
+                'nationalPhoneNumber',
+                'internationalPhoneNumber',
+                'websiteUri',
+                'regularOpeningHours.weekdayDescriptions',
+                'rating',
+                'userRatingCount',
+                'priceLevel',
+                'location',
+                'types',
+                'googleMapsUri'
+              ]).join(',')
           },
-          timeout: 10000
+          timeout: 10000,
+          signal
         }
       );
 
@@ -251,6 +273,7 @@ class WebEnrichmentService {
       return extractedData;
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       if (error.response) {
         logger.error(`Google Places Details API error for ${placeId}:`, {
           status: error.response.status,
@@ -264,13 +287,51 @@ class WebEnrichmentService {
       } else {
         logger.warn(`Failed to get place details for ${placeId}:`, error.message);
       }
-      return {};
+      return null;
+    }
+  }
+
+  /**
+   * Basic business data available directly on a text search result
+   */
+  extractSearchResultData(searchResult) {
+    const extractedData = {};
+
+    if (searchResult.formatted_address) {
+      extractedData.address = searchResult.formatted_address;
+    }
+    if (searchResult.rating) {
+      extractedData.rating = searchResult.rating;
+    }
+    
+    // Store Google Places API types for tag generation
+    if (searchResult.types && searchResult.types.length > 0) {
+      extractedData.googlePlacesTypes = searchResult.types;
+    }
+    if (searchResult.price_level !== undefined) {
+      // Handle both old format (numbers) and new format (strings)
+      if (typeof searchResult.price_level === 'string') {
+        const priceMap = { 
+          'PRICE_LEVEL_FREE': '',
+          'PRICE_LEVEL_INEXPENSIVE': '$',
+          'PRICE_LEVEL_MODERATE': '$$',
+          'PRICE_LEVEL_EXPENSIVE': '$$$',
+          'PRICE_LEVEL_VERY_EXPENSIVE': '$$$$'
+        };
+        extractedData.priceRange = priceMap[searchResult.price_level] || null;
+      } else {
+        // Legacy fallback for old format
+        const priceMap = { 0: '$', 1: '$', 2: '$$', 3: '$$$', 4: '$$$$' };
+        extractedData.priceRange = priceMap[searchResult.price_level] || null;
+      }
     }
+
+    return extractedData;
   }
 
-  async enrichPlace(place) {
+  async enrichPlace(place, pinnedPlaceId = null, signal = null) {
     try {
-      if (!this.model) {
+      if (!this.initialized) {
         this.initialize();
       }
 
@@ -297,87 +358,107 @@ class WebEnrichmentService {
 
       logger.info(`Enriching place: ${placeName} (query: "${searchQuery}")`);
 
-      // Check cache first
-      const cacheKey = `${placeName}:${searchContext}`;
-      if (this.searchCache.has(cacheKey)) {
-        logger.debug(`Using cached data for: ${placeName}`);
-        return { ...place, ...this.searchCache.get(cacheKey) };
+      // Cached Google data is reused across runs and only stale fields are re-fetched
+      const useCache = config.enrichmentCache.enabled;
+      if (useCache) {
+        await enrichmentCacheService.load();
       }
 
       // This method enriches places that already have LLM-extracted context
       // (name, description, notes, tags, origText, category) with real business data
       // from Google Places API (address, phone, website, rating, hours, coordinates)
 
-      // Step 1: Search Google Places for the place
-      const searchResults = await this.searchGooglePlaces(searchQuery);
-      
-      if (searchResults.length === 0) {
-        logger.warn(`No places found for: ${placeName}`);
-        return {
-          ...place,
-          enrichmentStatus: {
-            enriched: false,
-            enrichedAt: new Date().toISOString(),
-            enrichmentVersion: config.parsing.enrichmentVersion,
-            reason: 'No places found in Google Places API'
-          }
-        };
-      }
-
-      // Step 2: Get detailed information for the best match
-      const bestMatch = searchResults[0]; // Google Places API returns results by relevance
+      // Step 1: Find the place, from the cache if this query was matched recently
+      const cachedMatch = !pinnedPlaceId && useCache ? enrichmentCacheService.getQueryMatch(searchQuery) : null;
+      let placeId = pinnedPlaceId || cachedMatch?.placeId || null;
+      let match = cachedMatch?.match || null;
+      let searchResultsCount = null;
       let extractedData = {};
 
-      // Use basic data from search result
-      if (bestMatch.formatted_address) {
-        extractedData.address = bestMatch.formatted_address;
-      }
-      if (bestMatch.rating) {
-        extractedData.rating = bestMatch.rating;
-      }
-      
-      // Store Google Places API types for tag generation
-      if (bestMatch.types && bestMatch.types.length > 0) {
-        extractedData.googlePlacesTypes = bestMatch.types;
-      }
-      if (bestMatch.price_level !== undefined) {
-        // Handle both old format (numbers) and new format (strings)
-        if (typeof bestMatch.price_level === 'string') {
-          const priceMap = { 
-            'PRICE_LEVEL_FREE': '',
-            'PRICE_LEVEL_INEXPENSIVE': '$',
-            'PRICE_LEVEL_MODERATE': '$$',
-            'PRICE_LEVEL_EXPENSIVE': '$$$',
-            'PRICE_LEVEL_VERY_EXPENSIVE': '$$$$'
+      if (pinnedPlaceId) {
+        logger.info(`Using pinned place_id ${pinnedPlaceId} for: ${placeName}`);
+      } else if (placeId) {
+        logger.debug(`Using cached place_id ${placeId} for: ${placeName}`);
+      } else {
+        const searchResults = await this.searchGooglePlaces(searchQuery, 5, signal);
+        searchResultsCount = searchResults.length;
+        
+        if (searchResults.length === 0) {
+          logger.warn(`No places found for: ${placeName}`);
+          return {
+            ...place,
+            enrichmentStatus: {
+              enriched: false,
+              enrichedAt: new Date().toISOString(),
+              enrichmentVersion: config.parsing.enrichmentVersion,
+              reason: 'No places found in Google Places API'
+            }
           };
-          extractedData.priceRange = priceMap[bestMatch.price_level] || null;
-        } else {
-          // Legacy fallback for old format
-          const priceMap = { 0: '$', 1: '$', 2: '$$', 3: '$$$', 4: '$$$$' };
-          extractedData.priceRange = priceMap[bestMatch.price_level] || null;
         }
+
+        // Score every result rather than trusting Google's relevance order, which
+        // happily returns a business with the same name in another town
+        const rankedCandidates = matchScoringService.rankCandidates(place, searchResults);
+        const bestMatch = rankedCandidates[0];
+        match = bestMatch.match;
+
+        if (match.score < config.matching.minConfidence) {
+          logger.warn(`Low-confidence match for ${placeName}: "${bestMatch.candidate.name}" scored ${match.score}, holding for review`);
+          await reviewQueueService.load();
+          reviewQueueService.hold(place, searchQuery, rankedCandidates);
+          return {
+            ...place,
+            enrichmentStatus: {
+              enriched: false,
+              enrichedAt: new Date().toISOString(),
+              enrichmentVersion: config.parsing.enrichmentVersion,
+              reason: 'Low-confidence match, waiting for review',
+              needsReview: true,
+              confidence: match.confidence,
+              match: { place_id: bestMatch.candidate.place_id, name: bestMatch.candidate.name, ...match }
+            }
+          };
+        }
+
+        placeId = bestMatch.candidate.place_id;
+        extractedData = this.extractSearchResultData(bestMatch.candidate);
+
+        if (useCache) {
+          enrichmentCacheService.setQueryMatch(searchQuery, placeId, match);
+          enrichmentCacheService.setFields(placeId, extractedData, Object.keys(extractedData));
+        }
+      }
+
+      // Step 2: Work out which fields still need fetching
+      let fieldsToFetch = null; // null fetches every field
+      if (useCache) {
+        const { fresh, stale } = enrichmentCacheService.getFields(placeId);
+        extractedData = { ...fresh, ...extractedData };
+        fieldsToFetch = stale;
       }
 
       // Step 3: Get detailed place information
-      try {
-        const detailedData = await this.getPlaceDetails(bestMatch.place_id);
-        
-        // Merge detailed data, preferring detailed information over basic search data
-        extractedData = { ...extractedData, ...detailedData };
+      if (fieldsToFetch === null || fieldsToFetch.length > 0) {
+        const detailedData = await this.getPlaceDetails(placeId, fieldsToFetch, signal);
+
+        if (detailedData) {
+          // Merge detailed data, preferring detailed information over basic search data
+          extractedData = { ...extractedData, ...detailedData };
+
+          if (useCache) {
+            enrichmentCacheService.setFields(placeId, detailedData, fieldsToFetch || enrichmentCacheService.fields);
+          }
+        }
+        // Continue with basic search data if details fail
 
         // Rate limiting
         await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-        
-      } catch (error) {
-        logger.warn(`Failed to get details for ${bestMatch.place_id}:`, error.message);
-        // Continue with basic search data if details fail
+      } else {
+        logger.debug(`All Google Places fields for ${placeName} served from the enrichment cache`);
       }
 
       // Step 4: Return enriched place data
       if (Object.keys(extractedData).length > 0) {
-        // Cache the results
-        this.searchCache.set(cacheKey, extractedData);
-        
         logger.info(`Successfully enriched: ${placeName} with Google Places API`);
         
         // Preserve LLM-extracted context and add Google Places API business data
@@ -389,8 +470,11 @@ class WebEnrichmentService {
             enrichedAt: new Date().toISOString(),
             enrichmentVersion: config.parsing.enrichmentVersion,
             source: 'Google Places API',
-            place_id: bestMatch.place_id,
-            confidence: searchResults.length > 0 ? 'high' : 'medium'
+            place_id: placeId,
+            confidence: pinnedPlaceId ? 'high' : match?.confidence || 'medium',
+            ...(match && !pinnedPlaceId && { match }),
+            ...(pinnedPlaceId && { pinned: true }),
+            ...(fieldsToFetch && { refreshedFields: fieldsToFetch })
           }
         };
       }
@@ -404,11 +488,12 @@ class WebEnrichmentService {
           enrichedAt: new Date().toISOString(),
           enrichmentVersion: config.parsing.enrichmentVersion,
           reason: 'No data available from Google Places API',
-          searchResultsCount: searchResults.length
+          ...(searchResultsCount !== null && { searchResultsCount })
         }
       };
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.error(`Enrichment failed for ${place.name}:`, error);
       return {
         ...place,
@@ -422,9 +507,9 @@ class WebEnrichmentService {
     }
   }
 
-  async generateTags(place) {
+  async generateTags(place, signal = null) {
     try {
-      if (!this.model) {
+      if (!this.initialized) {
         this.initialize();
       }
 
@@ -450,10 +535,10 @@ Example: ["restaurant", "breakfast", "harbor view", "weekend busy", "pizza", "ca
 
 Return only the JSON array of tags, nothing else.`;
 
-      const response = await this.model.invoke([
+      const response = await llmClient.invoke([
         { role: 'system', content: 'You are a helpful assistant that generates search tags. Return only a JSON array of tags.' },
         { role: 'user', content: prompt }
-      ]);
+      ], { temperature: 0.1, maxTokens: 1000, signal });
 
       try {
         const content = response.content.trim();
@@ -494,18 +579,19 @@ Return only the JSON array of tags, nothing else.`;
       return fallbackTags;
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.warn(`Tag generation failed for ${place.name}:`, error);
       return [place.type || 'place'].filter(Boolean);
     }
   }
 
-  async summarizeHours(rawHours) {
+  async summarizeHours(rawHours, signal = null) {
     try {
       if (!rawHours || rawHours.length === 0) {
         return null;
       }
 
-      if (!this.model) {
+      if (!this.initialized) {
         this.initialize();
       }
 
@@ -528,10 +614,10 @@ Examples:
 
 Return only the string or JSON array, nothing else.`;
 
-      const response = await this.model.invoke([
+      const response = await llmClient.invoke([
         { role: 'system', content: 'You are a helpful assistant that summarizes business hours. Return only a string or JSON array.' },
         { role: 'user', content: prompt }
-      ]);
+      ], { temperature: 0.1, maxTokens: 1000, signal });
 
       try {
         const content = response.content.trim();
@@ -558,14 +644,24 @@ Return only the string or JSON array, nothing else.`;
       return rawHours.join('\n');
 
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       logger.warn(`Hours summarization failed:`, error);
       return rawHours ? rawHours.join('\n') : null;
     }
   }
 
-  async enrichPlaces(places, existingPlaces = []) {
+  /**
+   * Options: pinnedPlaceIds (place ID -> Google place_id chosen by an admin),
+   * rejectedPlaceIds (places an admin excluded from enrichment) and signal
+   * (AbortSignal that cancels the run). When cancelled, the Google data fetched
+   * so far is still cached and the error's progress counts the places done.
+   */
+  async enrichPlaces(places, existingPlaces = [], { pinnedPlaceIds = new Map(), rejectedPlaceIds = new Set(), signal = null } = {}) {
+    const enrichedPlaces = [];
+
     try {
       logger.info(`Starting web-based enrichment for ${places.length} places`);
+      await reviewQueueService.reload();
       
       // Create a map of existing places for quick lookup
       const existingPlacesMap = new Map();
@@ -575,26 +671,49 @@ Return only the string or JSON array, nothing else.`;
         }
       });
 
-      const enrichedPlaces = [];
       let skippedCount = 0;
 
       for (const place of places) {
+        throwIfCancelled(signal);
+
         try {
+          const pinnedPlaceId = pinnedPlaceIds.get(place.id) || null;
+
+          if (rejectedPlaceIds.has(place.id)) {
+            logger.debug(`Skipping enrichment for ${place.name} (rejected by admin)`);
+            skippedCount++;
+            reviewQueueService.release(place.id);
+            enrichedPlaces.push({
+              ...place,
+              tags: (!place.tags || place.tags.length === 0) ? await this.generateTags(place, signal) : place.tags,
+              enrichmentStatus: {
+                enriched: false,
+                enrichedAt: new Date().toISOString(),
+                enrichmentVersion: config.parsing.enrichmentVersion,
+                reason: 'Enrichment rejected by admin',
+                rejected: true
+              }
+            });
+            continue;
+          }
+
           // Check if enrichment should be skipped
           if (config.parsing.skipEnrichmentIfExists && !config.parsing.fullRefresh) {
             const existingPlace = existingPlacesMap.get(place.id);
-            if (existingPlace && existingPlace.enrichmentStatus?.enriched) {
+            // A newly pinned place_id always triggers re-enrichment
+            const matchesPin = !pinnedPlaceId || existingPlace?.enrichmentStatus?.place_id === pinnedPlaceId;
+            if (existingPlace && existingPlace.enrichmentStatus?.enriched && matchesPin) {
               logger.debug(`Skipping enrichment for ${place.name} (already enriched)`);
               skippedCount++;
               
               // Generate tags if not already present
               if (!existingPlace.tags || existingPlace.tags.length === 0) {
-                const tags = await this.generateTags(existingPlace);
+                const tags = await this.generateTags(existingPlace, signal);
                 
                 // Summarize hours if available and not already summarized
                 let summarizedHours = existingPlace.hours;
                 if (existingPlace.rawHours && !existingPlace.hours) {
-                  summarizedHours = await this.summarizeHours(existingPlace.rawHours);
+                  summarizedHours = await this.summarizeHours(existingPlace.rawHours, signal);
                 }
                 
                 enrichedPlaces.push({
@@ -610,17 +729,17 @@ Return only the string or JSON array, nothing else.`;
           }
 
           // Skip if place already has most information
-          if (place.address && place.phone && place.website && !config.parsing.fullRefresh) {
+          if (place.address && place.phone && place.website && !config.parsing.fullRefresh && !pinnedPlaceId) {
             logger.debug(`Skipping enrichment for ${place.name} (already complete)`);
             skippedCount++;
             
             // Generate tags if not already present
-            const tags = (!place.tags || place.tags.length === 0) ? await this.generateTags(place) : place.tags;
+            const tags = (!place.tags || place.tags.length === 0) ? await this.generateTags(place, signal) : place.tags;
             
             // Summarize hours if available and not already summarized
             let summarizedHours = place.hours;
             if (place.rawHours && !place.hours) {
-              summarizedHours = await this.summarizeHours(place.rawHours);
+              summarizedHours = await this.summarizeHours(place.rawHours, signal);
             }
             
             enrichedPlaces.push({
@@ -638,15 +757,18 @@ Return only the string or JSON array, nothing else.`;
           }
 
           // Enrich the place with Google Places API data
-          const enrichedPlace = await this.enrichPlace(place);
+          const enrichedPlace = await this.enrichPlace(place, pinnedPlaceId, signal);
+          if (!enrichedPlace.enrichmentStatus?.needsReview) {
+            reviewQueueService.release(place.id);
+          }
           
           // Generate tags using both original text and Google Places API types
-          const tags = await this.generateTags(enrichedPlace);
+          const tags = await this.generateTags(enrichedPlace, signal);
           
           // Summarize hours if available
           let summarizedHours = null;
           if (enrichedPlace.rawHours) {
-            summarizedHours = await this.summarizeHours(enrichedPlace.rawHours);
+            summarizedHours = await this.summarizeHours(enrichedPlace.rawHours, signal);
           }
           
           const finalPlace = {
@@ -661,15 +783,16 @@ Return only the string or JSON array, nothing else.`;
           await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
 
         } catch (error) {
+          if (isCancelled(error, signal)) throw error;
           logger.warn(`Failed to enrich ${place.name}:`, error);
           
           // Generate tags even if enrichment fails
-          const tags = await this.generateTags(place);
+          const tags = await this.generateTags(place, signal);
           
           // Summarize hours if available and not already summarized
           let summarizedHours = place.hours;
           if (place.rawHours && !place.hours) {
-            summarizedHours = await this.summarizeHours(place.rawHours);
+            summarizedHours = await this.summarizeHours(place.rawHours, signal);
           }
           
           enrichedPlaces.push({
@@ -686,14 +809,109 @@ Return only the string or JSON array, nothing else.`;
         }
       }
 
+      await enrichmentCacheService.save();
+      await reviewQueueService.save();
+
       logger.info(`Web enrichment completed for ${enrichedPlaces.length} places (${skippedCount} skipped)`);
       return enrichedPlaces;
 
     } catch (error) {
+      if (isCancelled(error, signal)) {
+        logger.info(`Web enrichment cancelled after ${enrichedPlaces.length} of ${places.length} places`);
+        await enrichmentCacheService.save().catch(saveError => logger.warn('Failed to save enrichment cache:', saveError));
+        await reviewQueueService.save().catch(saveError => logger.warn('Failed to save review queue:', saveError));
+        throw createCancelledError({ enrichedPlaces: enrichedPlaces.length, totalPlaces: places.length });
+      }
       logger.error('Web enrichment failed:', error);
       throw new Error(`Web enrichment failed: ${error.message}`);
     }
   }
+
+  /**
+   * Re-fetch the hours and ratings of places already matched to a Google
+   * place, without touching anything parsed from the document. Hours are
+   * summarized again only when they changed. Returns the places and counts of
+   * those refreshed, changed and failed; a cancelled refresh reports the
+   * places done in the error's progress.
+   */
+  async refreshPlaces(places, { rejectedPlaceIds = new Set(), signal = null } = {}) {
+    const stats = { refreshed: 0, changed: 0, failed: 0 };
+    const refreshedPlaces = [];
+
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      const useCache = config.enrichmentCache.enabled;
+      if (useCache) {
+        await enrichmentCacheService.load();
+      }
+
+      for (const place of places) {
+        throwIfCancelled(signal);
+
+        const placeId = place.enrichmentStatus?.place_id;
+        if (!placeId || !place.enrichmentStatus.enriched || rejectedPlaceIds.has(place.id)) {
+          refreshedPlaces.push(place);
+          continue;
+        }
+
+        const details = await this.getPlaceDetails(placeId, REFRESH_FIELDS, signal);
+        if (!details) {
+          stats.failed++;
+          refreshedPlaces.push(place);
+          continue;
+        }
+
+        if (useCache) {
+          enrichmentCacheService.setFields(placeId, details, REFRESH_FIELDS);
+        }
+
+        const changedFields = REFRESH_FIELDS.filter(field =>
+          details[field] !== undefined && JSON.stringify(details[field]) !== JSON.stringify(place[field]));
+        const hours = changedFields.includes('rawHours')
+          ? await this.summarizeHours(details.rawHours, signal)
+          : null;
+
+        stats.refreshed++;
+        if (changedFields.length > 0) {
+          stats.changed++;
+          logger.debug(`Refreshed ${place.name}: ${changedFields.join(', ')} changed`);
+        }
+
+        refreshedPlaces.push({
+          ...place,
+          ...details,
+          ...(hours && { hours }),
+          enrichmentStatus: {
+            ...place.enrichmentStatus,
+            refreshedAt: new Date().toISOString(),
+            refreshedFields: REFRESH_FIELDS
+          }
+        });
+
+        // Rate limiting between places
+        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+      }
+
+      if (useCache) {
+        await enrichmentCacheService.save();
+      }
+
+      logger.info(`Enrichment refresh completed: ${stats.refreshed} refreshed, ${stats.changed} changed, ${stats.failed} failed`);
+      return { places: refreshedPlaces, ...stats };
+
+    } catch (error) {
+      if (isCancelled(error, signal)) {
+        logger.info(`Enrichment refresh cancelled after ${refreshedPlaces.length} of ${places.length} places`);
+        await enrichmentCacheService.save().catch(saveError => logger.warn('Failed to save enrichment cache:', saveError));
+        throw createCancelledError({ enrichedPlaces: stats.refreshed, totalPlaces: places.length });
+      }
+      logger.error('Enrichment refresh failed:', error);
+      throw new Error(`Enrichment refresh failed: ${error.message}`);
+    }
+  }
 }
 
 const webEnrichmentService = new WebEnrichmentService();
@@ -17,19 +17,43 @@ export interface Place {
     lng: number;
   } | null;
   origText: string;
+  sourceDocId?: string;
   category: string;
   enrichmentStatus: {
     enriched: boolean;
     enrichedAt: string;
     enrichmentVersion: string;
+    place_id?: string;
+    pinned?: boolean;
+    confidence?: 'high' | 'medium' | 'low';
+    needsReview?: boolean;
+    rejected?: boolean;
   };
+  // Present when an admin has curated some of the fields
+  overrides?: {
+    fields: string[];
+    original: Partial<Place>;
+    updatedAt: string;
+  };
+}
+
+// What the last parse got from one source document
+export interface SourceDocumentSummary {
+  docId: string;
+  owner: string | null;
+  categoryPrefix: string | null;
+  title: string | null;
+  parsedAt: string | null;
+  status: 'parsed' | 'carried' | 'failed';
+  error?: string;
+  totalPlaces: number;
 }
 
 export interface PlacesData {
   metadata: {
     generatedAt: string;
     totalPlaces: number;
-    sourceDocId: string;
+    sources?: SourceDocumentSummary[];
     sourceDocTitle: string;
     parserVersion: string;
     enrichmentVersion: string;
@@ -42,4 +66,44 @@ export interface PlacesData {
     };
   };
   places: Place[];
-} 
\ No newline at end of file
+} 
+
+// A checklist from a house's mechanics; IDs are derived from the text
+export interface HouseChecklist {
+  id: string;
+  kind: 'arrival' | 'departure' | 'other';
+  title: string;
+  items: { id: string; text: string }[];
+}
+
+// Progress of the signed-in guest's stay on one of a house's checklists
+export interface ChecklistProgress {
+  id: string;
+  kind: HouseChecklist['kind'];
+  title: string;
+  ticked: string[];
+  done: number;
+  total: number;
+  completedAt: string | null;
+  updatedAt: string | null;
+}
+
+// Structured house mechanics extracted by the parser, shown as widgets on the house page
+export interface HouseMechanics {
+  wifi: { network: string; password?: string | null; note?: string | null }[];
+  doorCodes: { door: string; code?: string | null; instructions?: string | null }[];
+  checklists: HouseChecklist[];
+  appliances: { name: string; instructions: string[] }[];
+  emergencyContacts: { name: string; role?: string | null; phone?: string | null; note?: string | null }[];
+  generatedAt: string;
+}
+
+// A house of the compound, as listed by /api/houses. Permissions, invites and
+// URLs refer to houses by slug.
+export interface House {
+  slug: string;
+  name: string;
+  title: string;
+  address?: string | null;
+  coordinates?: { lat: number; lng: number } | null;
+}
\ No newline at end of file
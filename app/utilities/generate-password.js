@@ -1,101 +1,161 @@
-const bcrypt = require('bcrypt');
 const readline = require('readline');
+const { usersService } = require('../src/parser/users');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-async function generatePasswordHash(password, type = 'admin') {
-  try {
-    const saltRounds = 10;
-    const hash = await bcrypt.hash(password, saltRounds);
-    
-    const envVarName = type === 'guest' ? 'GUEST_PASSWORD_HASH' : 'ADMIN_PASSWORD_HASH';
-    
-    console.log(`\n=== ${type.charAt(0).toUpperCase() + type.slice(1)} Password Hash Generated ===`);
-    console.log('Add this to your environment variables:');
-    console.log(`${envVarName}=${hash}`);
-    console.log('\nFor local development, add to .env.local:');
-    console.log(`${envVarName}=${hash}`);
-    console.log('\nFor Heroku deployment:');
-    console.log(`heroku config:set ${envVarName}="${hash}"`);
-    console.log('\nKeep this hash secret and secure!');
-    
-    return hash;
-  } catch (error) {
-    console.error('Error generating hash:', error);
-    throw error;
-  }
-}
+// Changes made here are recorded as made by the CLI
+const ACTOR = 'cli';
 
 function printUsage() {
-  console.log('Password Hash Generator');
+  console.log('User Management');
   console.log('Usage:');
-  console.log('  node utilities/generate-password.js [type] [password]');
+  console.log('  node utilities/generate-password.js <command> [arguments] [options]');
   console.log('');
-  console.log('Arguments:');
-  console.log('  type      Password type: "admin" or "guest" (default: admin)');
-  console.log('  password  The password to hash (if omitted, will prompt)');
+  console.log('Commands:');
+  console.log('  list                      List all accounts');
+  console.log('  add <username>            Create an account');
+  console.log('  reset <username>          Set a new password');
+  console.log('  disable <username>        Block an account from logging in');
+  console.log('  enable <username>         Allow a disabled account to log in again');
+  console.log('  remove <username>         Delete an account');
+  console.log('');
+  console.log('Options:');
+  console.log('  --role <role>             Role for add: admin, editor or guest (default: guest)');
+  console.log('  --name <display name>     Display name for add');
+  console.log('  --password <password>     Password for add/reset (if omitted, will prompt;');
+  console.log('                            leave the prompt empty to generate one)');
   console.log('');
   console.log('Examples:');
-  console.log('  node utilities/generate-password.js                    # Interactive mode (admin)');
-console.log('  node utilities/generate-password.js admin              # Interactive mode (admin)');
-console.log('  node utilities/generate-password.js guest              # Interactive mode (guest)');
-console.log('  node utilities/generate-password.js admin myPassword   # Direct mode (admin)');
-console.log('  node utilities/generate-password.js guest myPassword   # Direct mode (guest)');
+  console.log('  node utilities/generate-password.js add alice --role admin --name "Alice"');
+  console.log('  node utilities/generate-password.js add bob              # Interactive mode (guest)');
+  console.log('  node utilities/generate-password.js reset bob --password myNewPassword');
+  console.log('  node utilities/generate-password.js disable bob');
+  console.log('');
+  console.log('Accounts are stored on the configured storage backend, so run this with the');
+  console.log('same environment as the server.');
+}
+
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { command: positional[0], username: positional[1], options };
 }
 
-async function promptForPassword(type) {
+async function promptForPassword(username) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
   return new Promise((resolve) => {
-    rl.question(`Enter the ${type} password: `, (password) => {
-      resolve(password);
+    rl.question(`Enter a password for ${username} (leave empty to generate one): `, (password) => {
+      rl.close();
+      resolve(password.trim() || null);
     });
   });
 }
 
+async function requireUser(username) {
+  const user = await usersService.findByUsername(username);
+  if (!user) {
+    throw new Error(`No account named ${username}`);
+  }
+  return user;
+}
+
+function printTemporaryPassword(username, temporaryPassword) {
+  if (temporaryPassword) {
+    console.log(`\nGenerated password for ${username}: ${temporaryPassword}`);
+    console.log('Share it securely; it is not shown again.');
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
-  
+
   // Handle help flag
-  if (args.includes('--help') || args.includes('-h')) {
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     printUsage();
     process.exit(0);
   }
-  
-  let type = 'admin';
-  let password = null;
-  
-  // Parse arguments
-  if (args.length >= 1) {
-    if (args[0] === 'admin' || args[0] === 'guest') {
-      type = args[0];
-      password = args[1];
-    } else {
-      // First argument is password, default to admin
-      password = args[0];
-    }
+
+  const { command, username, options } = parseArgs(args);
+
+  if (command !== 'list' && !username) {
+    console.error('Error: A username is required');
+    process.exit(1);
   }
-  
+
   try {
-    // If no password provided, prompt for it
-    if (!password) {
-      password = await promptForPassword(type);
-    }
-    
-    if (!password || password.trim() === '') {
-      console.error('Error: Password cannot be empty');
-      process.exit(1);
+    switch (command) {
+      case 'list': {
+        const users = await usersService.listUsers();
+        if (users.length === 0) {
+          console.log('No accounts yet. Create an admin with: node utilities/generate-password.js add <username> --role admin');
+          break;
+        }
+        for (const user of users) {
+          const status = user.disabled ? 'disabled' : 'active';
+          const lastLogin = user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'never';
+          console.log(`${user.username.padEnd(20)} ${user.role.padEnd(7)} ${status.padEnd(9)} last login: ${lastLogin}  (${user.displayName})`);
+        }
+        break;
+      }
+
+      case 'add': {
+        const password = options.password || await promptForPassword(username);
+        const { user, temporaryPassword } = await usersService.createUser({
+          username,
+          role: options.role || 'guest',
+          ...(options.name && { displayName: options.name }),
+          ...(password && { password })
+        }, ACTOR);
+        console.log(`Created ${user.role} account ${user.username}`);
+        printTemporaryPassword(user.username, temporaryPassword);
+        break;
+      }
+
+      case 'reset': {
+        const user = await requireUser(username);
+        const password = options.password || await promptForPassword(username);
+        const { temporaryPassword } = await usersService.resetPassword(user.id, password, ACTOR);
+        console.log(`Password reset for ${user.username}`);
+        printTemporaryPassword(user.username, temporaryPassword);
+        break;
+      }
+
+      case 'disable':
+      case 'enable': {
+        const user = await requireUser(username);
+        await usersService.updateUser(user.id, { disabled: command === 'disable' }, ACTOR);
+        console.log(`${command === 'disable' ? 'Disabled' : 'Enabled'} account ${user.username}`);
+        break;
+      }
+
+      case 'remove': {
+        const user = await requireUser(username);
+        await usersService.deleteUser(user.id);
+        console.log(`Removed account ${user.username}`);
+        break;
+      }
+
+      default:
+        console.error(`Error: Unknown command "${command}"`);
+        printUsage();
+        process.exit(1);
     }
-    
-    await generatePasswordHash(password, type);
-    
   } catch (error) {
     console.error('Error:', error.message);
     process.exit(1);
-  } finally {
-    rl.close();
   }
 }
 
-main(); 
\ No newline at end of file
+main();
\ No newline at end of file
@@ -0,0 +1,16 @@
+require('dotenv').config();
+const { parserWorker } = require('./src/parser/parser-worker');
+const { schedulerService } = require('./src/parser/scheduler');
+const { logger } = require('./src/parser/logger');
+const { secretsService } = require('./src/parser/secrets');
+
+// Standalone parser worker for PARSER_WORKER=external, e.g. the Procfile
+// `worker` entry. A run cut short by a restart is picked up again once its
+// heartbeat goes stale (PARSER_JOB_STALE_SECONDS). Scheduled runs are
+// queued from here too, so they keep going while the web process sleeps.
+parserWorker.start({
+  onEvent: (type, message) => logger.info(`[${type}] ${message}`),
+  onJobEnd: (entry, outcome) => logger.info(`Parser run ${entry.id} ${outcome.status}${outcome.error ? `: ${outcome.error}` : ''}`)
+});
+schedulerService.start({ onQueued: () => parserWorker.wake() });
+secretsService.warnIfDisabled();